@@ -9,16 +9,28 @@ import path from 'path';
 import minimist from 'minimist';
 import { scaffold } from './src/operations/scaffold.js';
 import { update } from './src/operations/update.js';
+import { outdated } from './src/operations/outdated.js';
+import { adopt } from './src/operations/adopt.js';
+import { manageCache } from './src/operations/cache.js';
+import { managePresets } from './src/operations/presets.js';
+import { addLibrary, removeLibrary } from './src/operations/library.js';
 import { configExists, migrateConfigIfNeeded } from './src/config.js';
 import { t } from './src/i18n/index.js';
 import * as display from './src/ui/display.js';
 import { VERSION } from './src/version.js';
+import { configureHttp, getHttpSettings } from './src/http.js';
+import { InvalidFlagError, TargetExistsError, toCreateP5Error } from './src/errors.js';
 
-async function main() {
-  // Parse command line arguments
-  const args = minimist(process.argv.slice(2), {
-    boolean: ['yes', 'git', 'no-types', 'help', 'verbose', 'include-prerelease', 'silent'],
-    string: ['template', 'version', 'mode', 'type'],
+/**
+ * Parses the command line
+ * @returns {Object} Parsed arguments
+ */
+function parseArgs() {
+  return minimist(process.argv.slice(2), {
+    boolean: ['yes', 'git', 'no-types', 'help', 'verbose', 'include-prerelease', 'silent', 'offline', 'all', 'sri', 'dry-run', 'json', 'within-range', 'recursive'],
+    string: ['template', 'version', 'mode', 'type', 'retries', 'timeout', 'answers', 'save-answers', 'preset'],
+    // null tells "not given" apart from --no-git, so a configured default can apply
+    default: { git: null },
     alias: {
       y: 'yes',
       g: 'git',
@@ -30,12 +42,26 @@ async function main() {
       s: 'silent'
     }
   });
+}
 
+/**
+ * Routes the command line to an operation
+ * @param {Object} args - Parsed command line arguments
+ * @returns {Promise<void>}
+ * @throws {import('./src/errors.js').CreateP5Error} When the command fails
+ */
+async function main(args) {
   if (args.silent) {
     args.yes = true;
     display.setSilentMode(true);
   }
 
+  // --json replaces all output with one JSON result, so it never prompts either
+  if (args.json) {
+    args.yes = true;
+    display.setJsonMode(true);
+  }
+
   // Handle --version flag (when used without a value)
   if (args.version === true || (args.version === '' && !args._.length)) {
     console.log(VERSION);
@@ -48,24 +74,71 @@ async function main() {
     process.exit(0);
   }
 
+  // Apply --retries / --timeout to every download
+  const httpSettingsError = configureHttp({ retries: args.retries, timeout: args.timeout });
+  if (httpSettingsError) {
+    throw new InvalidFlagError('error.http.invalidOption', {}, { details: [httpSettingsError] });
+  }
+  // Check CREATE_P5_HTTP_RETRIES / CREATE_P5_HTTP_TIMEOUT now rather than at the first download
+  getHttpSettings();
+
   // Handle 'update' command explicitly
   if (args._[0] === 'update') {
-    await update();
+    await update(process.cwd(), args);
+    return;
+  }
+
+  // Handle 'outdated' command explicitly
+  if (args._[0] === 'outdated') {
+    await outdated(args);
+    return;
+  }
+
+  // Handle 'adopt' command explicitly
+  if (args._[0] === 'adopt') {
+    await adopt(args);
+    return;
+  }
+
+  // Handle 'cache' command explicitly
+  if (args._[0] === 'cache') {
+    await manageCache(args);
+    return;
+  }
+
+  // Handle 'presets' command explicitly
+  if (args._[0] === 'presets') {
+    await managePresets(args);
+    return;
+  }
+
+  // Handle 'add' and 'remove' library commands explicitly
+  if (args._[0] === 'add') {
+    await addLibrary(args);
+    return;
+  }
+
+  if (args._[0] === 'remove') {
+    await removeLibrary(args);
     return;
   }
 
   // Check for old config file and migrate if found (before checking for existing project)
-  const migrationResult = await migrateConfigIfNeeded(process.cwd());
-  if (migrationResult.migrated) {
+  const migrationResult = await migrateConfigIfNeeded(process.cwd(), { dryRun: args['dry-run'] });
+  if (migrationResult.migrated && !args['dry-run']) {
     display.warn('info.update.migratedConfig');
   } else if (migrationResult.error) {
-    display.warn(migrationResult.error);
+    display.warn(migrationResult.error.key, migrationResult.error.vars);
   }
 
   // Check if we're in an existing p5.js project
   const currentConfigPath = path.join(process.cwd(), '.p5-config.json');
 
   if (await configExists(currentConfigPath)) {
+    // Nothing is created, which a --json caller has to treat as a failure
+    if (args.json) {
+      throw new TargetExistsError('error.existingProject.alreadyProject');
+    }
     display.info('error.existingProject.detected');
     display.info('error.existingProject.alreadyProject');
     display.message('');
@@ -78,4 +151,16 @@ async function main() {
   await scaffold(args);
 }
 
-main();
+/**
+ * Reports an error that ended the command and exits with its documented exit code
+ * @param {Error} error - Error thrown by main()
+ * @param {Object} args - Parsed command line arguments
+ */
+function handleError(error, args) {
+  const failure = toCreateP5Error(error);
+  display.failure(failure, { verbose: args.verbose });
+  process.exit(failure.exitCode);
+}
+
+const args = parseArgs();
+main(args).catch(error => handleError(error, args));
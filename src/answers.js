@@ -0,0 +1,146 @@
+/**
+ * Answers files - Every choice of the new-project wizard in one JSON file
+ * --answers reads one instead of prompting; --save-answers writes the choices of a run,
+ * so an interactive session can be replayed exactly (e.g., in CI):
+ *
+ *   {
+ *     "path": "my-sketch",
+ *     "setupType": "custom",
+ *     "version": "2.1.1",
+ *     "mode": "local",
+ *     "language": "javascript",
+ *     "p5Mode": "global",
+ *     "git": true,
+ *     "types": true
+ *   }
+ *
+ * A community template is recorded as { "path": ..., "template": "user/repo" }.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { t } from './i18n/index.js';
+import { writeJSON, validateProjectName, validateSetupType, validateMode, validateLanguage, validateP5Mode, isRemoteTemplateSpec } from './utils.js';
+import { CreateP5Error, InvalidFlagError } from './errors.js';
+
+/**
+ * Type of every answer
+ * @type {Record<string, 'string'|'boolean'>}
+ */
+const ANSWER_TYPES = {
+  path: 'string',
+  setupType: 'string',
+  version: 'string',
+  mode: 'string',
+  language: 'string',
+  p5Mode: 'string',
+  git: 'boolean',
+  types: 'boolean',
+  template: 'string'
+};
+
+/**
+ * Reads and validates an answers file
+ * @param {string} file - Path to the JSON file
+ * @returns {Promise<Object>} The answers
+ * @throws {InvalidFlagError} When the file cannot be read or parsed, or an answer is invalid
+ */
+export async function readAnswers(file) {
+  let answers;
+  try {
+    answers = JSON.parse(await fs.readFile(file, 'utf-8'));
+  } catch (error) {
+    throw new InvalidFlagError('error.answers.unreadable', { file, error: error.message }, { cause: error });
+  }
+
+  const errors = validateAnswers(answers);
+  if (errors.length > 0) {
+    throw new InvalidFlagError('error.answers.invalid', { file }, { details: errors });
+  }
+  return answers;
+}
+
+/**
+ * Checks the keys, types and values of answers. The version is only checked to be a string here;
+ * it is validated against the available versions when the project is created.
+ * @param {any} answers - Parsed answers file
+ * @returns {string[]} Error messages (empty when the answers are valid)
+ */
+export function validateAnswers(answers) {
+  if (!answers || typeof answers !== 'object' || Array.isArray(answers)) {
+    return [t('error.answers.notObject')];
+  }
+
+  const errors = [];
+  for (const [key, value] of Object.entries(answers)) {
+    if (!ANSWER_TYPES[key]) {
+      errors.push(t('error.answers.unknownKey', { key, keys: Object.keys(ANSWER_TYPES).join(', ') }));
+    } else if (typeof value !== ANSWER_TYPES[key]) {
+      errors.push(t('error.answers.wrongType', { key, type: ANSWER_TYPES[key] }));
+    }
+  }
+  if (errors.length > 0) {
+    return errors;
+  }
+
+  const { path: projectPath, setupType, mode, language, p5Mode, template } = answers;
+  if (projectPath !== undefined) {
+    // Same check as for a path given on the command line
+    errors.push(projectPath.trim() !== '.' && validateProjectName(path.basename(projectPath.trim())));
+  }
+  if (setupType !== undefined) {
+    errors.push(validateSetupType(setupType));
+  }
+  if (mode !== undefined) {
+    errors.push(validateMode(mode));
+  }
+  if (language !== undefined) {
+    errors.push(validateLanguage(language));
+  }
+  if (p5Mode !== undefined) {
+    errors.push(validateP5Mode(p5Mode));
+  }
+  if (template !== undefined && !isRemoteTemplateSpec(template)) {
+    errors.push(t('error.templateMustBeRemote', { template }));
+  }
+  return errors.filter(Boolean);
+}
+
+/**
+ * Fills in the command line arguments from answers. Flags given on the command line win;
+ * prompts are skipped, and choices missing from the file get their defaults.
+ * @param {Object} args - Parsed command line arguments
+ * @param {Object} answers - Validated answers
+ * @returns {Object} The combined arguments
+ */
+export function applyAnswers(args, answers) {
+  return {
+    ...args,
+    _: args._.length === 0 && answers.path !== undefined ? [answers.path] : args._,
+    yes: true,
+    type: args.type || answers.setupType,
+    version: args.version || answers.version,
+    mode: args.mode || answers.mode,
+    language: args.language || answers.language,
+    'p5-mode': args['p5-mode'] || answers.p5Mode,
+    template: args.template || answers.template,
+    // null means no --git/--no-git, so a missing answer leaves git to the configured defaults
+    git: args.git ?? answers.git,
+    types: args.types === false ? false : answers.types
+  };
+}
+
+/**
+ * Writes answers to a file
+ * @param {string} file - Path to the JSON file
+ * @param {Object} answers - Choices of the run
+ * @returns {Promise<void>}
+ * @throws {CreateP5Error} When the file cannot be written
+ */
+export async function saveAnswers(file, answers) {
+  try {
+    await writeJSON(file, answers);
+  } catch (error) {
+    throw new CreateP5Error('error.answers.saveFailed', { file, error: error.message }, { cause: error });
+  }
+}
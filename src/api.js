@@ -0,0 +1,29 @@
+/**
+ * Programmatic API - Create and update p5.js projects from Node.js scripts
+ * Nothing here prompts or exits the process: results are returned, failures are thrown
+ * as CreateP5Error subclasses (see src/errors.js), and output goes to the logger and
+ * progress callback passed in the options.
+ *
+ * @example
+ * import { createProject, updateProject } from 'create-p5js';
+ *
+ * const project = await createProject({ path: 'week-1', mode: 'local', logger: console });
+ * await updateProject(project.projectPath, { version: 'latest' });
+ */
+
+export { createProject } from './operations/scaffold.js';
+export { updateProject } from './operations/update.js';
+export { adoptProject } from './operations/adopt.js';
+export {
+  EXIT_CODES,
+  CreateP5Error,
+  InvalidFlagError,
+  TargetExistsError,
+  NoProjectError,
+  NetworkError,
+  NotCachedError,
+  TemplateFetchError,
+  IntegrityError,
+  IncompatibleError,
+  ConfigError
+} from './errors.js';
@@ -0,0 +1,207 @@
+/**
+ * Artifact cache - Persistent user-level store for p5.js downloads
+ * Keeps the version list, p5.js library files and type definitions so projects
+ * can be scaffolded and updated without network access (--offline).
+ *
+ * Layout:
+ *   <cacheDir>/versions.json               Raw version list from the CDN API
+ *   <cacheDir>/p5/<version>/p5.js          Library files
+ *   <cacheDir>/types/<version>/p5.d.ts     Type definitions
+ *   <cacheDir>/libraries/ml5@1.4.0/ml5.min.js  Add-on library files, by npm package spec
+ */
+
+import os from 'os';
+import fs from 'fs/promises';
+import path from 'path';
+import { createRequire } from 'module';
+import { readJSON, writeJSON, readFile, writeFile, fileExists, createDirectory, removeDirectory } from './utils.js';
+
+const require = createRequire(import.meta.url);
+const tar = require('tar');
+
+/**
+ * Top-level entries that belong to the cache (used to filter archives)
+ * @type {string[]}
+ */
+const CACHE_ENTRIES = ['versions.json', 'p5', 'types', 'libraries'];
+
+/**
+ * Returns the directory used for the artifact cache.
+ * Honours CREATE_P5_CACHE_DIR, then the platform's user cache location
+ * (LOCALAPPDATA on Windows, XDG_CACHE_HOME or ~/.cache elsewhere).
+ * @returns {string} Absolute path to the cache directory
+ */
+export function getCacheDir() {
+  if (process.env.CREATE_P5_CACHE_DIR) {
+    return path.resolve(process.env.CREATE_P5_CACHE_DIR);
+  }
+
+  if (process.platform === 'win32' && process.env.LOCALAPPDATA) {
+    return path.join(process.env.LOCALAPPDATA, 'create-p5', 'cache');
+  }
+
+  const base = process.env.XDG_CACHE_HOME || path.join(os.homedir(), '.cache');
+  return path.join(base, 'create-p5');
+}
+
+/**
+ * Returns the path of a cached artifact file
+ * @param {'p5' | 'types' | 'libraries'} kind - Artifact kind
+ * @param {string} version - p5.js version (or types version, or library package spec) the file belongs to
+ * @param {string} name - File name (e.g., 'p5.min.js', 'global.d.ts')
+ * @returns {string} Absolute path inside the cache directory
+ */
+export function getCachedFilePath(kind, version, name) {
+  return path.join(getCacheDir(), kind, version, name);
+}
+
+/**
+ * Reads the cached version list
+ * @returns {Promise<{ tags: Record<string, string>, versions: string[], dates?: Record<string, string> }|null>} API data or null if not cached
+ */
+export async function readCachedVersions() {
+  return await readJSON(path.join(getCacheDir(), 'versions.json'));
+}
+
+/**
+ * Stores the version list returned by the CDN API.
+ * Failures are ignored: the cache is an optimisation, never a reason to fail.
+ * @param {{ tags: Record<string, string>, versions: string[], dates?: Record<string, string> }} data - API data (publish dates by version, when known)
+ * @returns {Promise<void>}
+ */
+export async function writeCachedVersions(data) {
+  try {
+    await createDirectory(getCacheDir());
+    await writeJSON(path.join(getCacheDir(), 'versions.json'), {
+      tags: data.tags,
+      versions: data.versions,
+      dates: data.dates || {},
+      fetchedAt: new Date().toISOString()
+    });
+  } catch {
+    // ignore
+  }
+}
+
+/**
+ * Reads a cached artifact file
+ * @param {'p5' | 'types' | 'libraries'} kind - Artifact kind
+ * @param {string} version - Version (or, for libraries, npm package spec) the file belongs to
+ * @param {string} name - File name
+ * @returns {Promise<string|null>} File content or null if not cached
+ */
+export async function readCachedFile(kind, version, name) {
+  const filePath = getCachedFilePath(kind, version, name);
+  if (!(await fileExists(filePath))) {
+    return null;
+  }
+  return await readFile(filePath);
+}
+
+/**
+ * Stores an artifact file in the cache. Failures are ignored.
+ * @param {'p5' | 'types' | 'libraries'} kind - Artifact kind
+ * @param {string} version - Version (or, for libraries, npm package spec) the file belongs to
+ * @param {string} name - File name
+ * @param {string} content - File content
+ * @returns {Promise<void>}
+ */
+export async function writeCachedFile(kind, version, name, content) {
+  try {
+    const filePath = getCachedFilePath(kind, version, name);
+    await createDirectory(path.dirname(filePath));
+    await writeFile(filePath, content);
+  } catch {
+    // ignore
+  }
+}
+
+/**
+ * Lists the versions that have cached artifacts
+ * @returns {Promise<{ p5: string[], types: string[], versionsFetchedAt: string|null }>} Cached versions per artifact kind
+ */
+export async function listCachedVersions() {
+  const readVersions = async (kind) => {
+    try {
+      const entries = await fs.readdir(path.join(getCacheDir(), kind), { withFileTypes: true });
+      return entries.filter(entry => entry.isDirectory()).map(entry => entry.name);
+    } catch {
+      return [];
+    }
+  };
+
+  const versionList = await readCachedVersions();
+
+  return {
+    p5: await readVersions('p5'),
+    types: await readVersions('types'),
+    versionsFetchedAt: versionList ? versionList.fetchedAt || null : null
+  };
+}
+
+/**
+ * Removes the cached artifacts of one version
+ * @param {'p5' | 'types'} kind - Artifact kind
+ * @param {string} version - Version to remove
+ * @returns {Promise<void>}
+ */
+export async function removeCachedVersion(kind, version) {
+  await removeDirectory(path.join(getCacheDir(), kind, version));
+}
+
+/**
+ * Removes everything from the cache
+ * @returns {Promise<void>}
+ */
+export async function clearCache() {
+  await removeDirectory(getCacheDir());
+}
+
+/**
+ * Writes the cache contents to a gzipped tarball that can be imported elsewhere
+ * @param {string} archivePath - Path of the .tgz file to create
+ * @returns {Promise<number>} Number of top-level cache entries exported (0 if the cache is empty)
+ */
+export async function exportCache(archivePath) {
+  const cacheDir = getCacheDir();
+  const entries = [];
+  for (const entry of CACHE_ENTRIES) {
+    if (await fileExists(path.join(cacheDir, entry))) {
+      entries.push(entry);
+    }
+  }
+
+  if (entries.length === 0) {
+    return 0;
+  }
+
+  await tar.create({ gzip: true, file: archivePath, cwd: cacheDir, portable: true }, entries);
+  return entries.length;
+}
+
+/**
+ * Extracts a tarball created by exportCache() into the cache.
+ * Only known cache entries are extracted; anything else in the archive is ignored.
+ * @param {string} archivePath - Path of the .tgz file to import
+ * @returns {Promise<number>} Number of files imported
+ */
+export async function importCache(archivePath) {
+  const cacheDir = getCacheDir();
+  await createDirectory(cacheDir);
+
+  let imported = 0;
+  await tar.extract({
+    file: archivePath,
+    cwd: cacheDir,
+    filter: (entryPath, entry) => {
+      const topLevel = entryPath.replace(/^\.\//, '').split('/')[0];
+      const allowed = CACHE_ENTRIES.includes(topLevel) && (entry.type === 'File' || entry.type === 'Directory');
+      if (allowed && entry.type === 'File') {
+        imported++;
+      }
+      return allowed;
+    }
+  });
+
+  return imported;
+}
@@ -1,8 +1,9 @@
-import https from 'https';
-import { promises as fs, createWriteStream } from 'fs';
+import { promises as fs } from 'fs';
+import { Readable } from 'stream';
 import { createGunzip } from 'zlib';
 import { createRequire } from 'module';
 import path from 'path';
+import { request } from './http.js';
 
 const require = createRequire(import.meta.url);
 const tar = require('tar');
@@ -134,60 +135,40 @@ export async function downloadCodebergArchive(user, repo, ref, subpath, targetPa
 
   await fs.mkdir(targetPath, { recursive: true });
 
-  return new Promise((resolve, reject) => {
-    const downloadWithRedirects = (urlToFetch, redirectCount = 0) => {
-      if (redirectCount > 10) {
-        reject(new Error('Too many redirects'));
-        return;
+  const response = await request(archiveUrl);
+
+  if (response.status !== 200) {
+    if (response.body) await response.body.cancel();
+    throw new Error(`Failed to download archive: HTTP ${response.status}`);
+  }
+
+  // Codeberg archive format: repo-ref/
+  const repoPrefix = `${repo}/`;
+  const stripPrefix = subpath ? `${repoPrefix}${subpath}/` : repoPrefix;
+
+  const extractor = tar.extract({
+    cwd: targetPath,
+    strip: stripPrefix.split('/').length - 1,
+    filter: (entryPath) => {
+      // Only extract files that are in the target subpath
+      if (subpath) {
+        return entryPath.startsWith(stripPrefix);
       }
+      return entryPath.startsWith(repoPrefix);
+    }
+  });
+
+  return new Promise((resolve, reject) => {
+    const body = Readable.fromWeb(response.body);
+    const gunzip = createGunzip();
+
+    // Ensure errors from all streams in the pipeline reject the promise
+    body.on('error', reject);
+    gunzip.on('error', reject);
+    extractor.on('error', reject);
+    extractor.on('finish', resolve);
 
-      https.get(urlToFetch, (response) => {
-        // Handle redirects
-        if (response.statusCode === 301 || response.statusCode === 302 ||
-            response.statusCode === 307 || response.statusCode === 308) {
-          const location = response.headers.location;
-          if (!location) {
-            reject(new Error(`Redirect without Location header: HTTP ${response.statusCode}`));
-            return;
-          }
-          downloadWithRedirects(location, redirectCount + 1);
-          return;
-        }
-
-        if (response.statusCode !== 200) {
-          reject(new Error(`Failed to download archive: HTTP ${response.statusCode}`));
-          return;
-        }
-
-        // Codeberg archive format: repo-ref/
-        const repoPrefix = `${repo}/`;
-        const stripPrefix = subpath ? `${repoPrefix}${subpath}/` : repoPrefix;
-
-        const extractor = tar.extract({
-          cwd: targetPath,
-          strip: stripPrefix.split('/').length - 1,
-          filter: (entryPath) => {
-            // Only extract files that are in the target subpath
-            if (subpath) {
-              return entryPath.startsWith(stripPrefix);
-            }
-            return entryPath.startsWith(repoPrefix);
-          }
-        });
-
-        const gunzip = createGunzip();
-
-        // Ensure errors from all streams in the pipeline reject the promise
-        response.on('error', reject);
-        gunzip.on('error', reject);
-        extractor.on('error', reject);
-        extractor.on('finish', resolve);
-
-        response.pipe(gunzip).pipe(extractor);
-      }).on('error', reject);
-    };
-
-    downloadWithRedirects(archiveUrl);
+    body.pipe(gunzip).pipe(extractor);
   });
 }
 
@@ -207,42 +188,13 @@ export async function downloadCodebergSingleFile(user, repo, ref, filepath, targ
   await fs.mkdir(targetPath, { recursive: true });
   const filePath = path.join(targetPath, filename);
 
-  return new Promise((resolve, reject) => {
-    const downloadWithRedirects = (urlToFetch, redirectCount = 0) => {
-      if (redirectCount > 10) {
-        reject(new Error('Too many redirects'));
-        return;
-      }
+  const response = await request(rawUrl);
 
-      https.get(urlToFetch, (response) => {
-        // Handle redirects
-        if (response.statusCode === 301 || response.statusCode === 302 ||
-            response.statusCode === 307 || response.statusCode === 308) {
-          const location = response.headers.location;
-          if (!location) {
-            reject(new Error(`Redirect without Location header: HTTP ${response.statusCode}`));
-            return;
-          }
-          downloadWithRedirects(location, redirectCount + 1);
-          return;
-        }
-
-        if (response.statusCode !== 200) {
-          reject(new Error(`Failed to download file: HTTP ${response.statusCode}`));
-          return;
-        }
-
-        // Write directly to target as a file
-        const writeStream = createWriteStream(filePath);
-
-        response.on('error', reject);
-        writeStream.on('error', reject);
-        writeStream.on('finish', resolve);
-
-        response.pipe(writeStream);
-      }).on('error', reject);
-    };
-
-    downloadWithRedirects(rawUrl);
-  });
+  if (response.status !== 200) {
+    if (response.body) await response.body.cancel();
+    throw new Error(`Failed to download file: HTTP ${response.status}`);
+  }
+
+  // Write directly to target as a file
+  await fs.writeFile(filePath, Buffer.from(await response.arrayBuffer()));
 }
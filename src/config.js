@@ -5,6 +5,27 @@
 import fs from 'fs/promises';
 import path from 'path';
 import { readJSON, writeJSON, fileExists } from './utils.js';
+import { ConfigError } from './errors.js';
+
+/**
+ * Builds the content of a .p5-config.json file
+ *
+ * @param {Object} options - Configuration options (see createConfig)
+ * @returns {Object} The configuration object, stamped with the current time
+ */
+export function buildConfig(options) {
+  return {
+    version: options.version,
+    versionSpec: options.versionSpec || null,
+    mode: options.mode || 'cdn',
+    language: options.language || null,
+    p5Mode: options.p5Mode || null,
+    typeDefsVersion: options.typeDefsVersion || null,
+    libraries: options.libraries || [],
+    sri: options.sri || false,
+    lastUpdated: new Date().toISOString()
+  };
+}
 
 /**
  * Creates a new .p5-config.json file with project metadata
@@ -12,30 +33,24 @@ import { readJSON, writeJSON, fileExists } from './utils.js';
  * @param {string} configPath - The path where the config file should be created
  * @param {Object} options - Configuration options
  * @param {string} options.version - The p5.js version used
+ * @param {string} [options.versionSpec] - The version as requested ("latest", a dist-tag, an exact version or a semver range), resolved to `version`
  * @param {string} [options.mode='cdn'] - Delivery mode: "cdn" or "local"
  * @param {string} [options.language] - Programming language: "javascript" or "typescript"
  * @param {string} [options.p5Mode] - p5.js mode: "global" or "instance"
  * @param {string|null} [options.typeDefsVersion=null] - Version of TypeScript definitions installed
+ * @param {string[]} [options.libraries=[]] - Names of add-on libraries added to the project
+ * @param {boolean} [options.sri=false] - Whether CDN script tags carry Subresource Integrity attributes
  * @returns {Promise<void>}
  */
 export async function createConfig(configPath, options) {
-  const config = {
-    version: options.version,
-    mode: options.mode || 'cdn',
-    language: options.language || null,
-    p5Mode: options.p5Mode || null,
-    typeDefsVersion: options.typeDefsVersion || null,
-    lastUpdated: new Date().toISOString()
-  };
-
-  await writeJSON(configPath, config);
+  await writeJSON(configPath, buildConfig(options));
 }
 
 /**
  * Reads an existing .p5-config.json file
  *
  * @param {string} configPath - The path to the config file
- * @returns {Promise<Object|null>} The configuration object with {version, mode, language, p5Mode, typeDefsVersion, lastUpdated} or null if file doesn't exist
+ * @returns {Promise<Object|null>} The configuration object with {version, versionSpec, mode, language, p5Mode, typeDefsVersion, libraries, sri, lastUpdated} or null if file doesn't exist
  */
 export async function readConfig(configPath) {
   return await readJSON(configPath);
@@ -56,9 +71,11 @@ export async function configExists(configPath) {
  * Handles edge cases: both files exist, permission errors, etc.
  *
  * @param {string} projectDir - The directory containing the config file(s)
- * @returns {Promise<{migrated: boolean, error: string|null}>} Migration result with status and any error message
+ * @param {Object} [options={}] - Migration options
+ * @param {boolean} [options.dryRun=false] - Report whether a migration is needed without renaming anything
+ * @returns {Promise<{migrated: boolean, error: ConfigError|null}>} Migration result with status and any error (to show as a warning)
  */
-export async function migrateConfigIfNeeded(projectDir) {
+export async function migrateConfigIfNeeded(projectDir, options = {}) {
   const oldConfigPath = path.join(projectDir, 'p5-config.json');
   const newConfigPath = path.join(projectDir, '.p5-config.json');
 
@@ -71,10 +88,14 @@ export async function migrateConfigIfNeeded(projectDir) {
   if (await fileExists(newConfigPath)) {
     return {
       migrated: false,
-      error: 'error.migration.configExists'
+      error: new ConfigError('error.migration.configExists')
     };
   }
 
+  if (options.dryRun) {
+    return { migrated: true, error: null };
+  }
+
   // Attempt migration
   try {
     await fs.rename(oldConfigPath, newConfigPath);
@@ -82,7 +103,7 @@ export async function migrateConfigIfNeeded(projectDir) {
   } catch (err) {
     return {
       migrated: false,
-      error: `error.migration.renameFailed: ${err.message}`
+      error: new ConfigError('error.migration.renameFailed', { error: err.message }, { cause: err })
     };
   }
 }
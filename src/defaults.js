@@ -0,0 +1,200 @@
+/**
+ * Defaults - Choices used when neither a flag nor a prompt gives one
+ * Read from the `defaults` section of the user config file and from the nearest `.p5rc`
+ * in the current directory or one of its parents (e.g., the root of a course repository):
+ *
+ *   {
+ *     "version": "latest",
+ *     "mode": "local",
+ *     "language": "javascript",
+ *     "p5Mode": "global",
+ *     "git": true,
+ *     "types": false,
+ *     "cdn": "jsdelivr",
+ *     "locale": "en"
+ *   }
+ *
+ * Precedence: flags > preset (see presets.js) > .p5rc > user config > built-in defaults.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { t } from './i18n/index.js';
+import { readUserConfig, getUserConfigPath } from './userConfig.js';
+import { validateMode, validateLanguage, validateP5Mode, validateCdn } from './utils.js';
+import { ConfigError } from './errors.js';
+
+/** Name of the project-tree defaults file */
+export const RC_FILE = '.p5rc';
+
+/**
+ * Type of every default
+ * @type {Record<string, 'string'|'boolean'>}
+ */
+const DEFAULT_TYPES = {
+  version: 'string',
+  mode: 'string',
+  language: 'string',
+  p5Mode: 'string',
+  git: 'boolean',
+  types: 'boolean',
+  cdn: 'string',
+  locale: 'string'
+};
+
+/**
+ * @typedef {Object} Defaults
+ * @property {Record<string, string|boolean>} values - Configured defaults
+ * @property {Record<string, string>} sources - Path of the file each default came from ('preset:<name>' for a preset)
+ */
+
+/**
+ * Reads the user config defaults and the nearest .p5rc; .p5rc values win
+ * @param {string} cwd - Directory to start looking for .p5rc from
+ * @returns {Promise<Defaults>} The merged defaults
+ * @throws {ConfigError} When a defaults file cannot be parsed or holds invalid values
+ */
+export async function loadDefaults(cwd) {
+  const defaults = { values: {}, sources: {} };
+
+  const userConfig = await readUserConfig();
+  if (userConfig.defaults !== undefined) {
+    mergeDefaults(defaults, userConfig.defaults, getUserConfigPath());
+  }
+
+  const rcPath = await findRcFile(cwd);
+  if (rcPath) {
+    mergeDefaults(defaults, await readRcFile(rcPath), rcPath);
+  }
+
+  return defaults;
+}
+
+/**
+ * Picks a choice by precedence: flag, then configured default, then built-in default
+ * @param {any} flag - Value given on the command line (undefined or null when not given)
+ * @param {Defaults} defaults - Loaded defaults
+ * @param {string} key - Name of the default
+ * @param {any} [builtIn] - Built-in default
+ * @returns {{ value: any, source: string }} The value and where it came from ('flag', a file path, 'preset:<name>', or 'default')
+ */
+export function pickDefault(flag, defaults, key, builtIn) {
+  if (flag !== undefined && flag !== null) {
+    return { value: flag, source: 'flag' };
+  }
+  if (defaults.values[key] !== undefined) {
+    return { value: defaults.values[key], source: defaults.sources[key] };
+  }
+  return { value: builtIn, source: 'default' };
+}
+
+/**
+ * Layers a preset over the defaults: its choices beat .p5rc and the user config, flags still win
+ * @param {Defaults} defaults - Loaded defaults
+ * @param {string} name - Preset name
+ * @param {Object} preset - The preset's choices
+ * @returns {Defaults} The combined defaults
+ */
+export function withPreset(defaults, name, preset) {
+  const combined = { values: { ...defaults.values }, sources: { ...defaults.sources } };
+  for (const [key, value] of Object.entries(preset)) {
+    combined.values[key] = value;
+    combined.sources[key] = `preset:${name}`;
+  }
+  return combined;
+}
+
+/**
+ * Checks the keys, types and values of defaults. The version is only checked to be a string here;
+ * it is validated against the available versions when a project is created.
+ * @param {any} defaults - Parsed defaults
+ * @returns {string[]} Error messages (empty when the defaults are valid)
+ */
+export function validateDefaults(defaults) {
+  if (!defaults || typeof defaults !== 'object' || Array.isArray(defaults)) {
+    return [t('error.defaults.notObject')];
+  }
+
+  const errors = [];
+  for (const [key, value] of Object.entries(defaults)) {
+    if (!DEFAULT_TYPES[key]) {
+      errors.push(t('error.defaults.unknownKey', { key, keys: Object.keys(DEFAULT_TYPES).join(', ') }));
+    } else if (typeof value !== DEFAULT_TYPES[key]) {
+      errors.push(t('error.defaults.wrongType', { key, type: DEFAULT_TYPES[key] }));
+    }
+  }
+  if (errors.length > 0) {
+    return errors;
+  }
+
+  const { mode, language, p5Mode, cdn } = defaults;
+  if (mode !== undefined) {
+    errors.push(validateMode(mode));
+  }
+  if (language !== undefined) {
+    errors.push(validateLanguage(language));
+  }
+  if (p5Mode !== undefined) {
+    errors.push(validateP5Mode(p5Mode));
+  }
+  if (cdn !== undefined) {
+    errors.push(validateCdn(cdn));
+  }
+  return errors.filter(Boolean);
+}
+
+/**
+ * Validates defaults from one file and merges them over the ones loaded so far
+ * @param {Defaults} defaults - Defaults loaded so far (modified in place)
+ * @param {any} values - Defaults read from the file
+ * @param {string} file - Path of the file
+ * @throws {ConfigError} When the values are invalid
+ */
+function mergeDefaults(defaults, values, file) {
+  const errors = validateDefaults(values);
+  if (errors.length > 0) {
+    throw new ConfigError('error.defaults.invalid', { file }, { details: errors });
+  }
+  for (const [key, value] of Object.entries(values)) {
+    defaults.values[key] = value;
+    defaults.sources[key] = file;
+  }
+}
+
+/**
+ * Finds the nearest .p5rc in a directory or its parents
+ * @param {string} dir - Directory to start from
+ * @returns {Promise<string|null>} Absolute path of the file, or null if there is none
+ */
+async function findRcFile(dir) {
+  let current = path.resolve(dir);
+  while (true) {
+    const candidate = path.join(current, RC_FILE);
+    try {
+      if ((await fs.stat(candidate)).isFile()) {
+        return candidate;
+      }
+    } catch {
+      // not here, keep looking
+    }
+    const parent = path.dirname(current);
+    if (parent === current) {
+      return null;
+    }
+    current = parent;
+  }
+}
+
+/**
+ * Reads a .p5rc file
+ * @param {string} file - Path of the file
+ * @returns {Promise<any>} Parsed contents
+ * @throws {ConfigError} When the file cannot be read or is not valid JSON
+ */
+async function readRcFile(file) {
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf-8'));
+  } catch (error) {
+    throw new ConfigError('error.defaults.unreadable', { file, error: error.message }, { cause: error });
+  }
+}
@@ -0,0 +1,149 @@
+/**
+ * Errors - Typed errors for failures that end a command
+ * Operations throw these instead of printing and calling process.exit(); the single
+ * handler in index.js reports them (display.failure) and exits with the code's exit status.
+ *
+ * Every error carries an i18n key and its variables. `details` holds underlying
+ * messages (validator output, network errors) and `hints` the follow-up lines to show
+ * (suggestions, troubleshooting steps), as keys too.
+ */
+
+import { t } from './i18n/index.js';
+
+/**
+ * Exit status for each error code (documented in the README - keep both in sync)
+ * @type {Record<string, number>}
+ */
+export const EXIT_CODES = {
+  GENERAL: 1,
+  INVALID_FLAG: 2,
+  TARGET_EXISTS: 3,
+  NO_PROJECT: 4,
+  NETWORK: 5,
+  NOT_CACHED: 6,
+  TEMPLATE_FETCH: 7,
+  INTEGRITY: 8,
+  INCOMPATIBLE: 9,
+  CONFIG: 10,
+  OUTDATED: 11
+};
+
+/**
+ * @typedef {Object} Hint
+ * @property {string} key - Translation key of the line
+ * @property {Record<string, any>} [vars] - Variables for interpolation
+ */
+
+/**
+ * Base class; used directly for unexpected failures (code GENERAL)
+ */
+export class CreateP5Error extends Error {
+  static code = 'GENERAL';
+
+  /**
+   * @param {string} key - Translation key of the message
+   * @param {Record<string, any>} [vars={}] - Variables for interpolation
+   * @param {Object} [options={}] - Additional information
+   * @param {string[]} [options.details=[]] - Underlying messages, shown below the error
+   * @param {Array<string|Hint>} [options.hints=[]] - Follow-up lines, as translation keys
+   * @param {Error} [options.cause] - Underlying error
+   * @param {Record<string, any>} [options.result] - Partial result kept in the --json output (e.g. what a bulk command did before failing)
+   */
+  constructor(key, vars = {}, { details = [], hints = [], cause, result = null } = {}) {
+    super(t(key, vars), cause ? { cause } : undefined);
+    this.name = new.target.name;
+    this.code = new.target.code;
+    this.key = key;
+    this.vars = vars;
+    this.details = details.filter(Boolean);
+    this.hints = hints.map(hint => (typeof hint === 'string' ? { key: hint } : hint));
+    this.result = result;
+  }
+
+  /**
+   * @returns {number} Exit status for this error
+   */
+  get exitCode() {
+    return EXIT_CODES[this.code];
+  }
+}
+
+/** A command line option or argument is missing or invalid */
+export class InvalidFlagError extends CreateP5Error {
+  static code = 'INVALID_FLAG';
+}
+
+/** The target directory already exists or already holds a project */
+export class TargetExistsError extends CreateP5Error {
+  static code = 'TARGET_EXISTS';
+}
+
+/** The directory is not a create-p5 project (no .p5-config.json) */
+export class NoProjectError extends CreateP5Error {
+  static code = 'NO_PROJECT';
+}
+
+/** A download failed: version list, p5.js files, libraries or hashes */
+export class NetworkError extends CreateP5Error {
+  static code = 'NETWORK';
+}
+
+/** --offline was used and something is missing from the artifact cache */
+export class NotCachedError extends CreateP5Error {
+  static code = 'NOT_CACHED';
+}
+
+/** A community template could not be fetched */
+export class TemplateFetchError extends CreateP5Error {
+  static code = 'TEMPLATE_FETCH';
+}
+
+/** A downloaded file did not match its published checksum */
+export class IntegrityError extends CreateP5Error {
+  static code = 'INTEGRITY';
+}
+
+/** The requested change does not fit the project (e.g. a library without a build for its p5.js version) */
+export class IncompatibleError extends CreateP5Error {
+  static code = 'INCOMPATIBLE';
+}
+
+/** The project configuration or a defaults file could not be read or migrated */
+export class ConfigError extends CreateP5Error {
+  static code = 'CONFIG';
+}
+
+/** `outdated` found projects with a newer p5.js release, so scripts can fail on the exit status */
+export class OutdatedError extends CreateP5Error {
+  static code = 'OUTDATED';
+}
+
+/**
+ * Returns typed errors as they are and wraps anything else as an unexpected error
+ * @param {Error} error - Any error
+ * @returns {CreateP5Error} The typed error
+ */
+export function toCreateP5Error(error) {
+  if (error instanceof CreateP5Error) {
+    return error;
+  }
+  return new CreateP5Error('error.unexpected', {}, { details: [error && error.message], cause: error });
+}
+
+/**
+ * Wraps a failure of fetchVersions() with the troubleshooting steps for it
+ * @param {Error} error - Error thrown by fetchVersions()
+ * @param {boolean} [offline=false] - Whether the list was read from the artifact cache
+ * @returns {NetworkError|NotCachedError|ConfigError} The typed error (a ConfigError is returned as it is)
+ */
+export function versionListError(error, offline = false) {
+  // A broken user config file (mirror settings) is not a download failure
+  if (error instanceof ConfigError) {
+    return error;
+  }
+  const ErrorClass = offline ? NotCachedError : NetworkError;
+  const hints = offline
+    ? ['error.fetchVersions.troubleshooting', 'error.offline.hint']
+    : ['error.fetchVersions.troubleshooting', 'error.fetchVersions.step1', 'error.fetchVersions.step2', 'error.fetchVersions.step3'];
+  return new ErrorClass('error.fetchVersions.failed', {}, { details: [error.message], hints, cause: error });
+}
@@ -54,6 +54,55 @@ export async function initGit(projectDir) {
   await createGitignore(projectDir);
 }
 
+/**
+ * Standard .gitignore entries for p5.js projects
+ * @type {string[]}
+ */
+const GITIGNORE_ENTRIES = [
+  '# Dependencies',
+  'node_modules/',
+  '',
+  '# System files',
+  '.DS_Store',
+  'Thumbs.db',
+  '',
+  '# Logs',
+  '*.log',
+  'npm-debug.log*',
+  '',
+  '# Environment',
+  '.env',
+  '.env.local'
+];
+
+/**
+ * Returns .gitignore content with the standard entries for p5.js projects.
+ * Existing content with substantial entries is kept as it is.
+ * @param {string} content - Current .gitignore content ('' if there is none)
+ * @returns {string} The new content
+ */
+export function withDefaultGitignore(content) {
+  return content.trim().length === 0 ? GITIGNORE_ENTRIES.join('\n') + '\n' : content;
+}
+
+/**
+ * Returns .gitignore content that excludes the lib/ directory (for local mode)
+ * @param {string} content - Current .gitignore content ('' if there is none)
+ * @returns {string} The new content
+ */
+export function withLibIgnored(content) {
+  return content.includes('lib/') ? content : content + '\n# Local p5.js files\nlib/\n';
+}
+
+/**
+ * Reads a .gitignore file
+ * @param {string} gitignorePath - Path to the .gitignore file
+ * @returns {Promise<string>} The content, or '' if the file does not exist
+ */
+async function readGitignore(gitignorePath) {
+  return (await fileExists(gitignorePath)) ? await readFile(gitignorePath) : '';
+}
+
 /**
  * Creates a .gitignore file with standard entries for p5.js projects
  * @param {string} projectDir - Absolute path to the project directory
@@ -61,53 +110,27 @@ export async function initGit(projectDir) {
  */
 async function createGitignore(projectDir) {
   const gitignorePath = path.join(projectDir, '.gitignore');
+  const existingContent = await readGitignore(gitignorePath);
 
-  // Check if .gitignore already exists
-  let existingContent = '';
-  if (await fileExists(gitignorePath)) {
-    existingContent = await readFile(gitignorePath);
-  }
-
-  // Standard entries for p5.js projects
-  const gitignoreEntries = [
-    '# Dependencies',
-    'node_modules/',
-    '',
-    '# System files',
-    '.DS_Store',
-    'Thumbs.db',
-    '',
-    '# Logs',
-    '*.log',
-    'npm-debug.log*',
-    '',
-    '# Environment',
-    '.env',
-    '.env.local'
-  ];
-
-  // Only add entries if .gitignore doesn't already have substantial content
-  if (existingContent.trim().length === 0) {
-    await writeFile(gitignorePath, gitignoreEntries.join('\n') + '\n');
+  const content = withDefaultGitignore(existingContent);
+  if (content !== existingContent) {
+    await writeFile(gitignorePath, content);
   }
 }
 
 /**
  * Adds lib/ directory to .gitignore (for local mode)
  * @param {string} projectDir - Absolute path to the project directory
- * @returns {Promise<void>}
+ * @returns {Promise<boolean>} True if .gitignore was changed
  */
 export async function addLibToGitignore(projectDir) {
   const gitignorePath = path.join(projectDir, '.gitignore');
+  const gitignoreContent = await readGitignore(gitignorePath);
 
-  let gitignoreContent = '';
-  if (await fileExists(gitignorePath)) {
-    gitignoreContent = await readFile(gitignorePath);
-  }
-
-  // Check if lib/ is already in .gitignore
-  if (!gitignoreContent.includes('lib/')) {
-    const libEntry = '\n# Local p5.js files\nlib/\n';
-    await writeFile(gitignorePath, gitignoreContent + libEntry);
+  const content = withLibIgnored(gitignoreContent);
+  if (content === gitignoreContent) {
+    return false;
   }
+  await writeFile(gitignorePath, content);
+  return true;
 }
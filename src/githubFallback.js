@@ -1,8 +1,9 @@
-import https from 'https';
-import { createWriteStream, promises as fs } from 'fs';
+import { promises as fs } from 'fs';
+import { Readable } from 'stream';
 import { createGunzip } from 'zlib';
 import { createRequire } from 'module';
 import path from 'path';
+import { request } from './http.js';
 
 const require = createRequire(import.meta.url);
 const tar = require('tar');
@@ -81,54 +82,17 @@ export async function downloadSingleFile(user, repo, ref, filepath, targetPath)
   await fs.mkdir(targetPath, { recursive: true });
   const filePath = path.join(targetPath, filename);
 
-  return new Promise((resolve, reject) => {
-    const downloadWithRedirects = (urlToFetch, redirectCount = 0) => {
-      if (redirectCount > 10) {
-        reject(new Error('Too many redirects'));
-        return;
-      }
+  const response = await request(url);
 
-      https.get(urlToFetch, (response) => {
-        if (response.statusCode === 404) {
-          reject(new Error(`File not found: ${url}`));
-          return;
-        }
-
-        // Handle redirects
-        if (response.statusCode === 301 || response.statusCode === 302 ||
-            response.statusCode === 307 || response.statusCode === 308) {
-          const location = response.headers.location;
-          if (!location) {
-            reject(new Error(`Redirect without Location header: HTTP ${response.statusCode}`));
-            return;
-          }
-          response.resume();
-          response.on('end', () => {
-            downloadWithRedirects(location, redirectCount + 1);
-          });
-          return;
-        }
-
-        if (response.statusCode !== 200) {
-          reject(new Error(`Failed to download file: HTTP ${response.statusCode}`));
-          return;
-        }
-
-        const fileStream = createWriteStream(filePath);
-        response.on('error', reject);
-        response.pipe(fileStream);
-
-        fileStream.on('finish', () => {
-          fileStream.close();
-          resolve();
-        });
-
-        fileStream.on('error', reject);
-      }).on('error', reject);
-    };
-
-    downloadWithRedirects(url);
-  });
+  if (response.status === 404) {
+    throw new Error(`File not found: ${url}`);
+  }
+
+  if (response.status !== 200) {
+    throw new Error(`Failed to download file: HTTP ${response.status}`);
+  }
+
+  await fs.writeFile(filePath, Buffer.from(await response.arrayBuffer()));
 }
 
 /**
@@ -144,63 +108,40 @@ export async function downloadGitHubArchive(user, repo, ref, subpath, targetPath
 
   await fs.mkdir(targetPath, { recursive: true });
 
-  return new Promise((resolve, reject) => {
-    const downloadWithRedirects = (urlToFetch, redirectCount = 0) => {
-      if (redirectCount > 10) {
-        reject(new Error('Too many redirects'));
-        return;
+  const response = await request(archiveUrl);
+
+  if (response.status !== 200) {
+    if (response.body) await response.body.cancel();
+    throw new Error(`Failed to download archive: HTTP ${response.status}`);
+  }
+
+  // GitHub archive root directories normalize branch names by replacing slashes with dashes.
+  const archiveRef = ref.replace(/[\\/]/g, '-');
+  const repoPrefix = `${repo}-${archiveRef}/`;
+  const stripPrefix = subpath ? `${repoPrefix}${subpath}/` : repoPrefix;
+
+  const extractor = tar.extract({
+    cwd: targetPath,
+    strip: stripPrefix.split('/').length - 1,
+    filter: (entryPath) => {
+      // Only extract files that are in the target subpath
+      if (subpath) {
+        return entryPath.startsWith(stripPrefix);
       }
+      return entryPath.startsWith(repoPrefix);
+    }
+  });
+
+  return new Promise((resolve, reject) => {
+    const body = Readable.fromWeb(response.body);
+    const gunzip = createGunzip();
+
+    // Ensure errors from all streams in the pipeline reject the promise
+    body.on('error', reject);
+    gunzip.on('error', reject);
+    extractor.on('error', reject);
+    extractor.on('finish', resolve);
 
-      https.get(urlToFetch, (response) => {
-        // Handle redirects
-        if (response.statusCode === 301 || response.statusCode === 302 ||
-            response.statusCode === 307 || response.statusCode === 308) {
-          const location = response.headers.location;
-          if (!location) {
-            response.resume();
-            reject(new Error(`Redirect without Location header: HTTP ${response.statusCode}`));
-            return;
-          }
-          response.resume();
-          downloadWithRedirects(location, redirectCount + 1);
-          return;
-        }
-
-        if (response.statusCode !== 200) {
-          response.resume();
-          reject(new Error(`Failed to download archive: HTTP ${response.statusCode}`));
-          return;
-        }
-
-        // GitHub archive root directories normalize branch names by replacing slashes with dashes.
-        const archiveRef = ref.replace(/[\\/]/g, '-');
-        const repoPrefix = `${repo}-${archiveRef}/`;
-        const stripPrefix = subpath ? `${repoPrefix}${subpath}/` : repoPrefix;
-
-        const extractor = tar.extract({
-          cwd: targetPath,
-          strip: stripPrefix.split('/').length - 1,
-          filter: (entryPath) => {
-            // Only extract files that are in the target subpath
-            if (subpath) {
-              return entryPath.startsWith(stripPrefix);
-            }
-            return entryPath.startsWith(repoPrefix);
-          }
-        });
-
-        const gunzip = createGunzip();
-
-        // Ensure errors from all streams in the pipeline reject the promise
-        response.on('error', reject);
-        gunzip.on('error', reject);
-        extractor.on('error', reject);
-        extractor.on('finish', resolve);
-
-        response.pipe(gunzip).pipe(extractor);
-      }).on('error', reject);
-    };
-
-    downloadWithRedirects(archiveUrl);
+    body.pipe(gunzip).pipe(extractor);
   });
 }
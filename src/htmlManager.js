@@ -1,8 +1,9 @@
 import { parseHTML } from 'linkedom';
+import { LIBRARY_CATALOG, resolveLibraryBuild, getLibraryScriptSrc } from './libraries.js';
 
 const P5_PATTERNS = [
   /^https?:\/\/cdn\.jsdelivr\.net\/npm\/p5@([^/]+)\/lib\/p5\.(min\.)?js$/,
-  /^https?:\/\/cdnjs\.cloudflare\.com\/ajax\/libs\/p5\.js\/([^/]+)\/p5\.(?:min\.)?js$/,
+  /^https?:\/\/cdnjs\.cloudflare\.com\/ajax\/libs\/p5\.js\/([^/]+)\/p5\.(min\.)?js$/,
   /^https?:\/\/unpkg\.com\/p5@([^/]+)\/lib\/p5\.(min\.)?js$/,
   /^\.?\/?\blib\/p5(?:@([^/]+))?\.(min\.)?js$/
 ];
@@ -13,6 +14,7 @@ const P5_PATTERNS = [
  * - Parse HTML into a DOM
  * - Find existing p5.js script tags and detect CDN/provider and minification
  * - Insert or replace a p5.js script tag preserving user preferences
+ * - Recognise known add-on library tags and keep them in sync with p5.js
  */
 class HTMLManager {
   /**
@@ -59,6 +61,26 @@ class HTMLManager {
     return null;
   }
 
+  /**
+   * Returns the URL updateP5Script() would write for a version and mode.
+   * An existing p5 tag keeps its CDN provider and minification; otherwise preferences apply.
+   *
+   * @param {string} version - p5.js version to reference
+   * @param {string} [mode='cdn'] - Delivery mode: 'cdn' or 'local'
+   * @param {Object} [preferences={}] - Optional preferences: { isMinified: boolean, cdnProvider: string }
+   * @returns {string} The script src
+   */
+  getP5ScriptURL(version, mode = 'cdn', preferences = {}) {
+    const p5Info = this.findP5Script();
+    if (p5Info) {
+      return buildScriptURL(version, mode, {
+        isMinified: p5Info.isMinified,
+        cdnProvider: mode === 'cdn' ? p5Info.cdnProvider : undefined
+      });
+    }
+    return buildScriptURL(version, mode, preferences);
+  }
+
   /**
    * Update (or insert) the p5.js script tag for the given version and mode.
    * Strategy:
@@ -66,20 +88,24 @@ class HTMLManager {
    * 2. Replace marker comment `<!-- P5JS_SCRIPT_TAG -->` if present
    * 3. Insert script into <head>
    *
+   * In CDN mode, `preferences.integrity` is written as the tag's `integrity` attribute
+   * (with `crossorigin="anonymous"`). Without it, or in local mode, any existing
+   * `integrity` attribute is removed since it would no longer match the new file.
+   *
    * @param {string} version - p5.js version to reference
    * @param {string} [mode='cdn'] - Delivery mode: 'cdn' or 'local'
-   * @param {Object} [preferences={}] - Optional preferences: { isMinified: boolean, cdnProvider: string }
+   * @param {Object} [preferences={}] - Optional preferences: { isMinified: boolean, cdnProvider: string, integrity: string }
    * @returns {boolean} True if the document was modified, false otherwise
    */
   updateP5Script(version, mode = 'cdn', preferences = {}) {
+    const newURL = this.getP5ScriptURL(version, mode, preferences);
+    const integrity = mode === 'cdn' ? preferences.integrity : null;
+
     // Try update existing script
     const p5Info = this.findP5Script();
     if (p5Info) {
-      const newURL = buildScriptURL(version, mode, {
-        isMinified: p5Info.isMinified,
-        cdnProvider: mode === 'cdn' ? p5Info.cdnProvider : undefined
-      });
       p5Info.scriptNode.setAttribute('src', newURL);
+      this.setScriptIntegrity(p5Info.scriptNode, integrity);
       return true;
     }
 
@@ -87,8 +113,8 @@ class HTMLManager {
     const marker = this._findMarker();
     if (marker) {
       const script = this.document.createElement('script');
-      const newURL = buildScriptURL(version, mode, preferences);
       script.setAttribute('src', newURL);
+      this.setScriptIntegrity(script, integrity);
       marker.parentNode.replaceChild(script, marker);
       return true;
     }
@@ -96,8 +122,8 @@ class HTMLManager {
     // Insert into head
     if (this.document.head) {
       const script = this.document.createElement('script');
-      const newURL = buildScriptURL(version, mode, preferences);
       script.setAttribute('src', newURL);
+      this.setScriptIntegrity(script, integrity);
       const firstChild = this.document.head.firstChild;
       if (firstChild) this.document.head.insertBefore(script, firstChild);
       else this.document.head.appendChild(script);
@@ -107,6 +133,157 @@ class HTMLManager {
     return false;
   }
 
+  /**
+   * Set or clear the Subresource Integrity attributes of a script tag
+   * @param {Element} scriptNode - The script element
+   * @param {string|null} integrity - Integrity value, or null to remove a stale one
+   * @returns {void}
+   */
+  setScriptIntegrity(scriptNode, integrity) {
+    if (integrity) {
+      // linkedom inserts new attributes first; re-add src afterwards so it stays in front
+      const src = scriptNode.getAttribute('src');
+      scriptNode.setAttribute('crossorigin', 'anonymous');
+      scriptNode.setAttribute('integrity', integrity);
+      if (src !== null) {
+        scriptNode.removeAttribute('src');
+        scriptNode.setAttribute('src', src);
+      }
+    } else if (scriptNode.hasAttribute('integrity')) {
+      scriptNode.removeAttribute('integrity');
+    }
+  }
+
+  /**
+   * Check whether any p5.js or add-on library script tag carries an `integrity` attribute
+   * @returns {boolean} True if Subresource Integrity is in use
+   */
+  usesIntegrity() {
+    const p5Info = this.findP5Script();
+    if (p5Info && p5Info.scriptNode.hasAttribute('integrity')) return true;
+    return this.findLibraryScripts().some(({ scriptNode }) => scriptNode.hasAttribute('integrity'));
+  }
+
+  /**
+   * Find an add-on library script tag by the library's file name
+   * @param {string} file - Library file name (e.g., 'p5.sound.min.js')
+   * @returns {Element|null} The script element or null if not present
+   */
+  findLibraryScript(file) {
+    const scripts = this.document.querySelectorAll('script');
+
+    for (const script of scripts) {
+      const src = script.getAttribute('src') || '';
+      if (src === file || src.endsWith(`/${file}`)) {
+        return script;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Insert an add-on library script tag directly after the p5.js script tag.
+   * Library scripts must load after p5.js and before the sketch.
+   *
+   * @param {string} src - Script URL or local path
+   * @param {string|null} [integrity=null] - Subresource Integrity value for CDN scripts
+   * @returns {boolean} True if inserted, false if no p5.js script tag exists
+   */
+  insertLibraryScript(src, integrity = null) {
+    const p5Info = this.findP5Script();
+    if (!p5Info) return false;
+
+    const p5Node = p5Info.scriptNode;
+    const parent = p5Node.parentNode;
+    const script = this.document.createElement('script');
+    script.setAttribute('src', src);
+    this.setScriptIntegrity(script, integrity);
+
+    // Reuse the indentation in front of the p5 tag so the output stays tidy
+    const previous = p5Node.previousSibling;
+    const indent = previous && previous.nodeType === 3 ? previous.textContent.replace(/^[^\n]*/, '') : '';
+
+    parent.insertBefore(script, p5Node.nextSibling);
+    if (indent) {
+      parent.insertBefore(this.document.createTextNode(indent), script);
+    }
+    return true;
+  }
+
+  /**
+   * Remove an add-on library script tag
+   * @param {string} file - Library file name (e.g., 'p5.sound.min.js')
+   * @returns {boolean} True if a tag was removed
+   */
+  removeLibraryScript(file) {
+    const script = this.findLibraryScript(file);
+    if (!script) return false;
+
+    const previous = script.previousSibling;
+    if (previous && previous.nodeType === 3 && previous.textContent.trim() === '') {
+      previous.parentNode.removeChild(previous);
+    }
+    script.parentNode.removeChild(script);
+    return true;
+  }
+
+  /**
+   * Find script tags of known add-on libraries (see LIBRARY_CATALOG).
+   * A tag is recognised by the library's file name, minified or not, on any CDN or in lib/.
+   * @returns {{scriptNode: Element, library: Object, isLocal: boolean}[]} Recognised library tags in document order
+   */
+  findLibraryScripts() {
+    const found = [];
+    const scripts = this.document.querySelectorAll('script');
+
+    for (const script of scripts) {
+      const src = script.getAttribute('src') || '';
+      const filename = src.split(/[?#]/)[0].split('/').pop();
+      if (!filename) continue;
+
+      const library = LIBRARY_CATALOG.find(lib =>
+        Object.values(lib.builds).some(build =>
+          build.file === filename || build.file.replace(/\.min\.js$/, '.js') === filename
+        )
+      );
+
+      if (library) {
+        found.push({ scriptNode: script, library, isLocal: !/^https?:\/\//.test(src) });
+      }
+    }
+
+    return found;
+  }
+
+  /**
+   * Point every recognised add-on library tag at the build matching a p5.js version and delivery mode,
+   * on the same CDN as the p5.js tag. Tags of libraries without a build for the target p5.js major are left untouched.
+   * Rewritten tags lose their `integrity` attribute; callers set a fresh one with setScriptIntegrity().
+   *
+   * @param {string} version - Target p5.js version
+   * @param {string} [mode='cdn'] - Delivery mode: 'cdn' or 'local'
+   * @returns {{updated: {name: string, build: {url: string, file: string}, scriptNode: Element}[], unsupported: string[]}} What was rewritten and what could not be
+   */
+  updateLibraryScripts(version, mode = 'cdn') {
+    const updated = [];
+    const unsupported = [];
+    const p5Info = this.findP5Script();
+
+    for (const { scriptNode, library } of this.findLibraryScripts()) {
+      const build = resolveLibraryBuild(library, version, p5Info ? p5Info.cdnProvider : undefined);
+      if (!build) {
+        unsupported.push(library.name);
+        continue;
+      }
+      scriptNode.setAttribute('src', getLibraryScriptSrc(build, mode));
+      this.setScriptIntegrity(scriptNode, null);
+      updated.push({ name: library.name, build, scriptNode });
+    }
+
+    return { updated, unsupported };
+  }
+
   _findMarker() {
     const head = this.document.head;
     if (!head) return null;
@@ -0,0 +1,236 @@
+/**
+ * HTTP client - The single path for outbound requests
+ * - Honours proxy variables (see proxy.js)
+ * - Follows redirects itself, up to a hop limit
+ * - Times out attempts that get no response headers in time
+ * - Retries network errors, timeouts and 5xx responses with exponential backoff
+ * - Reports transport failures as HttpError with a stable `code`
+ *
+ * Retries and timeout come from configureHttp() (the --retries / --timeout flags),
+ * then CREATE_P5_HTTP_RETRIES / CREATE_P5_HTTP_TIMEOUT, then the defaults below.
+ */
+
+import { t } from './i18n/index.js';
+import { proxyFetch } from './proxy.js';
+import { InvalidFlagError } from './errors.js';
+
+/** @type {number} Retries after the first attempt */
+export const DEFAULT_RETRIES = 2;
+
+/** @type {number} Milliseconds to wait for response headers */
+export const DEFAULT_TIMEOUT = 30000;
+
+/** @type {number} Maximum redirects followed per request */
+export const MAX_REDIRECTS = 10;
+
+/** @type {number} Delay before the first retry; doubled for each further retry */
+const RETRY_BASE_DELAY = 500;
+
+const REDIRECT_STATUSES = new Set([301, 302, 303, 307, 308]);
+
+/**
+ * Error raised for failed requests
+ * Codes: 'NETWORK', 'TIMEOUT', 'HTTP_STATUS', 'TOO_MANY_REDIRECTS', 'REDIRECT_WITHOUT_LOCATION'
+ */
+export class HttpError extends Error {
+  /**
+   * @param {string} message - Human readable message
+   * @param {Object} details - Error details
+   * @param {string} details.code - Error code
+   * @param {string} details.url - URL of the failed request
+   * @param {number|null} [details.status=null] - HTTP status, for status errors
+   * @param {string} [details.reason] - Short description of the failure without the URL (defaults to message)
+   * @param {Error} [details.cause] - Underlying error
+   */
+  constructor(message, { code, url, status = null, reason, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = 'HttpError';
+    this.code = code;
+    this.url = url;
+    this.status = status;
+    this.reason = reason || message;
+  }
+}
+
+let configured = { retries: undefined, timeout: undefined };
+
+/**
+ * Parses a retries/timeout setting
+ * @param {*} value - Raw value (flag or env string)
+ * @param {number} min - Smallest accepted value
+ * @returns {number|null} The number, or null if the value is not a whole number >= min
+ */
+function parseSetting(value, min) {
+  const number = Number(value);
+  return Number.isInteger(number) && number >= min ? number : null;
+}
+
+/**
+ * Sets retries and timeout from command line flags (they win over environment variables)
+ * @param {Object} [options={}] - Settings
+ * @param {number|string} [options.retries] - Retries after the first attempt
+ * @param {number|string} [options.timeout] - Timeout in milliseconds
+ * @returns {string|null} Error message if a value is invalid, null otherwise
+ */
+export function configureHttp(options = {}) {
+  const next = { retries: undefined, timeout: undefined };
+
+  if (options.retries !== undefined) {
+    next.retries = parseSetting(options.retries, 0);
+    if (next.retries === null) return t('error.http.invalidRetries', { value: options.retries });
+  }
+  if (options.timeout !== undefined) {
+    next.timeout = parseSetting(options.timeout, 1);
+    if (next.timeout === null) return t('error.http.invalidTimeout', { value: options.timeout });
+  }
+
+  configured = next;
+  return null;
+}
+
+/**
+ * Returns the effective retries and timeout
+ * @returns {{ retries: number, timeout: number }} Current settings
+ * @throws {InvalidFlagError} If an environment variable holds an invalid value
+ */
+export function getHttpSettings() {
+  const fromEnv = (name, min, key) => {
+    const raw = process.env[name];
+    if (raw === undefined || raw === '') return undefined;
+    const value = parseSetting(raw, min);
+    if (value === null) {
+      throw new InvalidFlagError(key, { value: `${raw} (${name})` });
+    }
+    return value;
+  };
+
+  return {
+    retries: configured.retries ?? fromEnv('CREATE_P5_HTTP_RETRIES', 0, 'error.http.invalidRetries') ?? DEFAULT_RETRIES,
+    timeout: configured.timeout ?? fromEnv('CREATE_P5_HTTP_TIMEOUT', 1, 'error.http.invalidTimeout') ?? DEFAULT_TIMEOUT
+  };
+}
+
+/**
+ * Checks whether an error means the server could not be reached (as opposed to an error status)
+ * @param {Error} error - Error thrown by request()
+ * @returns {boolean} True for network errors and timeouts
+ */
+export function isNetworkError(error) {
+  return error instanceof HttpError && (error.code === 'NETWORK' || error.code === 'TIMEOUT');
+}
+
+/**
+ * Sends a GET request, following redirects and retrying transient failures.
+ * The final response is returned whatever its status (after retrying 5xx); callers
+ * decide how to report unsuccessful statuses.
+ * @param {string} url - URL to fetch
+ * @param {Object} [options={}] - Per-request overrides
+ * @param {number} [options.retries] - Retries after the first attempt
+ * @param {number} [options.timeout] - Milliseconds to wait for response headers
+ * @param {number} [options.retryDelay] - Delay before the first retry in milliseconds
+ * @param {number} [options.maxRedirects] - Maximum redirects to follow
+ * @returns {Promise<Response>} The final (non-redirect) response
+ * @throws {HttpError} On network errors, timeouts and redirect problems
+ */
+export async function request(url, options = {}) {
+  const settings = getHttpSettings();
+  const attemptOptions = {
+    retries: options.retries ?? settings.retries,
+    timeout: options.timeout ?? settings.timeout,
+    retryDelay: options.retryDelay ?? RETRY_BASE_DELAY
+  };
+  const maxRedirects = options.maxRedirects ?? MAX_REDIRECTS;
+
+  let currentUrl = url;
+  for (let redirects = 0; ; redirects++) {
+    const response = await fetchWithRetries(currentUrl, attemptOptions);
+
+    if (!REDIRECT_STATUSES.has(response.status)) {
+      return response;
+    }
+
+    const location = response.headers.get('location');
+    await discardBody(response);
+
+    if (!location) {
+      throw new HttpError(`Redirect without Location header: HTTP ${response.status}`, {
+        code: 'REDIRECT_WITHOUT_LOCATION', url: currentUrl, status: response.status
+      });
+    }
+    if (redirects >= maxRedirects) {
+      throw new HttpError('Too many redirects', { code: 'TOO_MANY_REDIRECTS', url });
+    }
+
+    currentUrl = new URL(location, currentUrl).toString();
+  }
+}
+
+/**
+ * Fetches one URL (no redirect following), retrying network errors, timeouts and 5xx responses
+ * @param {string} url - URL to fetch
+ * @param {{ retries: number, timeout: number, retryDelay: number }} options - Attempt settings
+ * @returns {Promise<Response>} The response of the last attempt
+ * @throws {HttpError} If the last attempt failed without a response
+ */
+async function fetchWithRetries(url, { retries, timeout, retryDelay }) {
+  for (let attempt = 0; ; attempt++) {
+    let response = null;
+    let failure = null;
+
+    try {
+      response = await fetchOnce(url, timeout);
+    } catch (error) {
+      failure = error;
+    }
+
+    const retryable = failure !== null || response.status >= 500;
+    if (!retryable || attempt >= retries) {
+      if (failure) throw failure;
+      return response;
+    }
+
+    if (response) await discardBody(response);
+    await new Promise(resolve => setTimeout(resolve, retryDelay * 2 ** attempt));
+  }
+}
+
+/**
+ * Performs a single attempt. The timeout covers the wait for response headers;
+ * reading the body is not limited, so large downloads on slow links still complete.
+ * @param {string} url - URL to fetch
+ * @param {number} timeout - Milliseconds to wait for response headers
+ * @returns {Promise<Response>} The response
+ * @throws {HttpError} On network errors and timeouts
+ */
+async function fetchOnce(url, timeout) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeout);
+
+  try {
+    return await proxyFetch(url, { redirect: 'manual', signal: controller.signal });
+  } catch (error) {
+    if (controller.signal.aborted) {
+      const reason = `timed out after ${timeout} ms`;
+      throw new HttpError(`Request to ${url} ${reason}`, { code: 'TIMEOUT', url, reason, cause: error });
+    }
+    const reason = error.cause && error.cause.message ? error.cause.message : error.message;
+    throw new HttpError(`Network error while fetching ${url}: ${reason}`, { code: 'NETWORK', url, reason, cause: error });
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Releases the connection of a response whose body is not needed
+ * @param {Response} response - Response to discard
+ * @returns {Promise<void>}
+ */
+async function discardBody(response) {
+  try {
+    if (response.body && typeof response.body.cancel === 'function') {
+      await response.body.cancel();
+    }
+  } catch {
+    // ignore
+  }
+}
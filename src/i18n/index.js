@@ -88,7 +88,7 @@ function interpolate(template, vars) {
  * // => "Directory "./my-sketch" already exists."
  *
  * @example
- * t('prompt.version.latestLabel', { version: '1.9.0' })
+ * t('prompt.version.taggedLabel', { version: '1.9.0', tags: 'latest' })
  * // => "1.9.0 (latest)"
  */
 export function t(key, vars = {}) {
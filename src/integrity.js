@@ -0,0 +1,47 @@
+/**
+ * Subresource Integrity - Computes `integrity` values for CDN script tags
+ * Hashes are computed from the exact bytes served at the referenced URL,
+ * so they stay valid for whichever CDN provider and build (minified or not) the tag uses.
+ */
+
+import crypto from 'crypto';
+import { t } from './i18n/index.js';
+import { request } from './http.js';
+
+/**
+ * Hash algorithm used for integrity values (sha384 is the SRI recommendation)
+ * @type {string}
+ */
+export const SRI_ALGORITHM = 'sha384';
+
+/**
+ * Computes a Subresource Integrity value for some content
+ * @param {Buffer|string} content - The exact file content
+ * @param {string} [algorithm=SRI_ALGORITHM] - Hash algorithm ('sha256', 'sha384' or 'sha512')
+ * @returns {string} Integrity value, e.g. 'sha384-<base64 digest>'
+ */
+export function computeIntegrity(content, algorithm = SRI_ALGORITHM) {
+  const digest = crypto.createHash(algorithm).update(content).digest('base64');
+  return `${algorithm}-${digest}`;
+}
+
+/**
+ * Downloads a file and computes its Subresource Integrity value
+ * @param {string} url - URL of the script referenced by the tag
+ * @returns {Promise<string>} Integrity value for the file at that URL
+ * @throws {Error} If the file cannot be downloaded
+ */
+export async function fetchIntegrity(url) {
+  let response;
+  try {
+    response = await request(url);
+  } catch (error) {
+    throw new Error(t('error.integrity.fetchFailed', { url, error: error.reason || error.message }));
+  }
+
+  if (!response.ok) {
+    throw new Error(t('error.integrity.fetchFailed', { url, error: `HTTP ${response.status}` }));
+  }
+
+  return computeIntegrity(Buffer.from(await response.arrayBuffer()));
+}
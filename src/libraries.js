@@ -0,0 +1,179 @@
+/**
+ * Add-on library catalog - Known p5.js libraries that can be added to a project
+ * Each entry lists one build per compatible p5.js major version, as a file of an npm package.
+ * Package specs may reference {p5Version} for libraries shipped with p5 itself; otherwise
+ * they pin an exact version, so a script tag's integrity hash keeps matching the file it loads.
+ *
+ * Script tags point at the public CDN the p5.js tag uses (jsdelivr, unpkg or cdnjs); local mode
+ * downloads go through the configured CDN endpoint (jsdelivr or its mirror) and are kept in the
+ * artifact cache for --offline.
+ */
+
+import { writeFile } from './utils.js';
+import { parseVersion } from './version.js';
+import { isNetworkError } from './http.js';
+import { ENDPOINTS, resolveEndpoint, fetchFromEndpoint } from './mirrors.js';
+import { readCachedFile, writeCachedFile } from './cache.js';
+import { NotCachedError } from './errors.js';
+
+/**
+ * @typedef {Object} LibraryBuild
+ * @property {string} pkg - npm package spec ({p5Version} is replaced with the project's p5.js version)
+ * @property {string} path - Path of the file inside the package
+ * @property {string} file - File name used in lib/ for local delivery mode
+ * @property {string} [cdnjs] - Path of the file on cdnjs, for builds cdnjs hosts ({p5Version} is replaced too)
+ */
+
+/**
+ * @typedef {Object} ResolvedBuild
+ * @property {string} pkg - npm package spec, e.g. 'p5@1.9.0' or 'ml5@1.4.0'
+ * @property {string} path - Path of the file inside the package
+ * @property {string} url - Public CDN URL, used in script tags
+ * @property {string} file - File name used in lib/ for local delivery mode
+ */
+
+/**
+ * @typedef {Object} LibraryEntry
+ * @property {string} name - Library name as used on the command line and in .p5-config.json
+ * @property {string} homepage - Project homepage
+ * @property {Record<number, LibraryBuild>} builds - Builds keyed by compatible p5.js major version
+ */
+
+/** @type {LibraryEntry[]} */
+export const LIBRARY_CATALOG = [
+  {
+    name: 'p5.sound',
+    homepage: 'https://github.com/processing/p5.sound.js',
+    builds: {
+      1: { pkg: 'p5@{p5Version}', path: '/lib/addons/p5.sound.min.js', file: 'p5.sound.min.js', cdnjs: 'p5.js/{p5Version}/addons/p5.sound.min.js' },
+      2: { pkg: 'p5.sound@0.2.0', path: '/dist/p5.sound.min.js', file: 'p5.sound.min.js' }
+    }
+  },
+  {
+    name: 'ml5',
+    homepage: 'https://ml5js.org',
+    builds: {
+      1: { pkg: 'ml5@1.4.0', path: '/dist/ml5.min.js', file: 'ml5.min.js' }
+    }
+  },
+  {
+    name: 'p5.collide2D',
+    homepage: 'https://github.com/bmoren/p5.collide2D',
+    builds: {
+      1: { pkg: 'p5.collide2d@0.7.3', path: '/p5.collide2d.min.js', file: 'p5.collide2d.min.js' },
+      2: { pkg: 'p5.collide2d@0.7.3', path: '/p5.collide2d.min.js', file: 'p5.collide2d.min.js' }
+    }
+  }
+];
+
+/**
+ * Looks up a library in the catalog (case-insensitive)
+ * @param {string} name - Library name (e.g., 'p5.sound', 'ml5')
+ * @returns {LibraryEntry|null} The catalog entry or null if unknown
+ */
+export function findLibrary(name) {
+  if (!name) return null;
+  const wanted = String(name).toLowerCase();
+  return LIBRARY_CATALOG.find(lib => lib.name.toLowerCase() === wanted) || null;
+}
+
+/**
+ * Returns the p5.js major versions a library has builds for
+ * @param {LibraryEntry} library - Catalog entry
+ * @returns {number[]} Compatible major versions
+ */
+export function getCompatibleMajors(library) {
+  return Object.keys(library.builds).map(Number);
+}
+
+/**
+ * Base URLs of the public CDNs that serve npm package files as <base>/<pkg><path>
+ * @type {Record<string, string>}
+ */
+const NPM_CDNS = {
+  jsdelivr: ENDPOINTS.cdn.defaultUrl,
+  unpkg: 'https://unpkg.com'
+};
+
+/**
+ * Resolves the build of a library to use with a given p5.js version
+ * @param {LibraryEntry} library - Catalog entry
+ * @param {string} p5Version - The project's p5.js version
+ * @param {string} [cdnProvider='jsdelivr'] - CDN the project's p5.js tag uses: 'jsdelivr', 'unpkg' or 'cdnjs'
+ * @returns {ResolvedBuild|null} The build with its public CDN URL, or null if no compatible build
+ */
+export function resolveLibraryBuild(library, p5Version, cdnProvider = 'jsdelivr') {
+  const build = library.builds[parseVersion(p5Version).major];
+  if (!build) return null;
+
+  const pkg = build.pkg.replace('{p5Version}', p5Version);
+  // cdnjs only hosts some builds; the others load from jsdelivr
+  const url = cdnProvider === 'cdnjs' && build.cdnjs
+    ? `https://cdnjs.cloudflare.com/ajax/libs/${build.cdnjs.replace('{p5Version}', p5Version)}`
+    : `${NPM_CDNS[cdnProvider] || NPM_CDNS.jsdelivr}/${pkg}${build.path}`;
+
+  return { pkg, path: build.path, url, file: build.file };
+}
+
+/**
+ * Returns the URL a library build is downloaded from: the configured CDN endpoint (jsdelivr or its mirror)
+ * @param {ResolvedBuild} build - Resolved build
+ * @returns {Promise<string>} The download URL
+ * @throws {Error} If the configured mirror URL is invalid
+ */
+export async function getLibraryDownloadUrl(build) {
+  const cdn = await resolveEndpoint('cdn');
+  return `${cdn.url}/${build.pkg}${build.path}`;
+}
+
+/**
+ * Returns the script src for a resolved library build
+ * @param {ResolvedBuild} build - Resolved build
+ * @param {string} mode - Delivery mode: 'cdn' or 'local'
+ * @returns {string} The src attribute value
+ */
+export function getLibraryScriptSrc(build, mode) {
+  return mode === 'local' ? `./lib/${build.file}` : build.url;
+}
+
+/**
+ * Downloads a library build into the lib/ directory for local mode, from the configured CDN
+ * endpoint. The file is stored in the artifact cache; in offline mode it is copied from the cache instead.
+ * @param {ResolvedBuild} build - Resolved build
+ * @param {string} libDir - The lib/ directory path
+ * @param {Object} [options={}] - Download options
+ * @param {boolean} [options.offline=false] - Copy the file from the artifact cache only
+ * @returns {Promise<void>}
+ * @throws {NotCachedError} In offline mode, when the file is not cached
+ * @throws {Error} If the download fails
+ */
+export async function downloadLibraryFile(build, libDir, options = {}) {
+  const { offline = false } = options;
+
+  if (offline) {
+    const content = await readCachedFile('libraries', build.pkg, build.file);
+    if (content === null) {
+      throw new NotCachedError('error.offline.fileNotCached', { filename: build.file, version: build.pkg });
+    }
+    await writeFile(`${libDir}/${build.file}`, content);
+    return;
+  }
+
+  try {
+    const cdn = await resolveEndpoint('cdn');
+    const response = await fetchFromEndpoint(cdn, `${cdn.url}/${build.pkg}${build.path}`);
+
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+
+    const content = await response.text();
+    await writeCachedFile('libraries', build.pkg, build.file, content);
+    await writeFile(`${libDir}/${build.file}`, content);
+  } catch (error) {
+    if (isNetworkError(error)) {
+      throw new Error(`Unable to download ${build.file}. Please check your internet connection and try again.`);
+    }
+    throw new Error(`Failed to download ${build.file}: ${error.message}`);
+  }
+}
@@ -0,0 +1,110 @@
+/**
+ * Mirrors - Base URLs of the services create-p5 downloads p5.js from
+ * Each endpoint defaults to jsdelivr and can be pointed at a mirror through an
+ * environment variable or the `mirrors` section of the user config file
+ * (environment variables win).
+ *
+ * A version API mirror must answer like data.jsdelivr.com:
+ *   <versionApi>/p5          -> { tags: { latest }, versions: [...] }  (versions may be { version, date } objects)
+ *   <versionApi>/p5@x/flat   -> { files: [{ name: '/lib/p5.js', hash: '<base64 sha256>' }] }
+ * or like an npm registry:
+ *   <versionApi>/p5          -> { 'dist-tags': { latest }, versions: { [version]: {...} }, time: { [version]: date } }
+ *   <versionApi>/p5/x        -> { dist: { tarball, integrity } }  (used when /flat is not available)
+ * The registry endpoint is an npm registry; the version picker reads release dates from
+ * the `time` map of <registry>/p5 when the version API does not provide them.
+ * File and type mirrors must serve npm package files as <base>/p5@<version>/<path>
+ * (the file mirror also serves add-on library packages, e.g. <base>/ml5@1.4.0/dist/ml5.min.js).
+ */
+
+import { t } from './i18n/index.js';
+import { readUserConfig, getUserConfigPath } from './userConfig.js';
+import { request } from './http.js';
+
+/**
+ * Known endpoints with their environment variable and default base URL
+ * @type {Record<string, { env: string, defaultUrl: string }>}
+ */
+export const ENDPOINTS = {
+  versionApi: { env: 'CREATE_P5_VERSION_API_URL', defaultUrl: 'https://data.jsdelivr.com/v1/package/npm' },
+  cdn: { env: 'CREATE_P5_CDN_URL', defaultUrl: 'https://cdn.jsdelivr.net/npm' },
+  types: { env: 'CREATE_P5_TYPES_URL', defaultUrl: 'https://cdn.jsdelivr.net/npm' },
+  registry: { env: 'CREATE_P5_REGISTRY_URL', defaultUrl: 'https://registry.npmjs.org' }
+};
+
+/**
+ * @typedef {Object} Endpoint
+ * @property {string} name - Endpoint key ('versionApi', 'cdn', 'types' or 'registry')
+ * @property {string} url - Base URL without trailing slash
+ * @property {string|null} source - Where the override came from (env variable name or config file path), null for the default
+ */
+
+/**
+ * Resolves the base URL of an endpoint
+ * @param {'versionApi' | 'cdn' | 'types' | 'registry'} name - Endpoint key
+ * @returns {Promise<Endpoint>} The resolved endpoint
+ * @throws {Error} If the configured URL is not a valid http(s) URL
+ * @throws {import('./errors.js').ConfigError} If the user config file cannot be read
+ */
+export async function resolveEndpoint(name) {
+  const { env, defaultUrl } = ENDPOINTS[name];
+
+  let url = defaultUrl;
+  let source = null;
+
+  if (process.env[env]) {
+    url = process.env[env];
+    source = env;
+  } else {
+    const userConfig = await readUserConfig();
+    const configured = userConfig.mirrors && userConfig.mirrors[name];
+    if (configured) {
+      url = configured;
+      source = getUserConfigPath();
+    }
+  }
+
+  if (source) {
+    let parsed = null;
+    try {
+      parsed = new URL(url);
+    } catch {
+      // reported below
+    }
+    if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) {
+      throw new Error(t('error.mirror.invalidUrl', { endpoint: t(`error.mirror.endpoint.${name}`), url, source }));
+    }
+  }
+
+  return { name, url: url.replace(/\/+$/, ''), source };
+}
+
+/**
+ * Fetches a URL from an endpoint. Failures of mirrored endpoints (unreachable, or
+ * unsuccessful responses) are reported with the endpoint, URL and the setting that
+ * configured it; default endpoints behave exactly like request() so callers can show
+ * their usual connection hints.
+ * @param {Endpoint} endpoint - Resolved endpoint
+ * @param {string} url - Full URL to fetch
+ * @returns {Promise<Response>} The response
+ * @throws {Error} If the request fails, or a mirrored endpoint answers with an error status
+ */
+export async function fetchFromEndpoint(endpoint, url) {
+  if (!endpoint.source) {
+    return await request(url);
+  }
+
+  const vars = { endpoint: t(`error.mirror.endpoint.${endpoint.name}`), url, source: endpoint.source };
+
+  let response;
+  try {
+    response = await request(url);
+  } catch (error) {
+    throw new Error(t('error.mirror.unreachable', { ...vars, error: error.reason || error.message }));
+  }
+
+  if (!response.ok) {
+    throw new Error(t('error.mirror.httpError', { ...vars, status: response.status }));
+  }
+
+  return response;
+}
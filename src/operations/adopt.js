@@ -0,0 +1,244 @@
+/**
+ * Adopt operation - Starts managing a p5.js sketch that was not created with create-p5
+ * (e.g. downloaded from the p5.js Web Editor) by writing a .p5-config.json for it
+ * Philosophy: Business logic only, NO inline copy
+ * All UI text comes from i18n layer
+ *
+ * adoptProject() does the work and never prompts or exits (it is part of the programmatic API);
+ * adopt() is the CLI wrapper that shows what was detected.
+ */
+
+import path from 'path';
+import semver from 'semver';
+
+// i18n
+import { t } from '../i18n/index.js';
+
+// UI primitives
+import * as display from '../ui/display.js';
+
+// Business utilities
+import { createConfig, buildConfig } from '../config.js';
+import { HTMLManager } from '../htmlManager.js';
+import { fileExists, readFile } from '../utils.js';
+import { Plan } from '../plan.js';
+import { createReporter } from '../reporter.js';
+import { InvalidFlagError, NoProjectError, TargetExistsError } from '../errors.js';
+
+/** Config file names that mark a project as already managed, newest first */
+const CONFIG_FILES = ['.p5-config.json', 'p5-config.json'];
+
+/** Version banner at the top of p5.js builds, e.g. "p5.js v1.9.0 January 25, 2024" */
+const P5_BANNER = /p5\.js v(\d+\.\d+\.\d+(?:-[\w.]+)?)/;
+
+/**
+ * Entry point for `create-p5 adopt [directory]`
+ * @param {Object} args - Parsed command line arguments (args._[0] is 'adopt')
+ * @param {string} [args.version] - p5.js version to record when it cannot be read from the sketch
+ * @param {boolean} [args['dry-run']] - Print the config that would be written instead of writing it
+ * @returns {Promise<void>}
+ * @throws {import('../errors.js').CreateP5Error} When the folder is already a project, has no p5.js sketch, or its version is unknown
+ */
+export async function adopt(args) {
+  const projectDir = path.resolve(args._[1] !== undefined ? String(args._[1]) : process.cwd());
+
+  const result = await adoptProject(projectDir, {
+    version: args.version,
+    dryRun: Boolean(args['dry-run']),
+    logger: display.logger
+  });
+
+  const { files, warnings, plan, ...fields } = result;
+  display.result(fields);
+  display.filesWritten(files);
+
+  display.note([
+    'note.adopt.version',
+    'note.adopt.mode',
+    'note.adopt.script',
+    'note.adopt.p5Mode',
+    'note.adopt.libraries'
+  ], 'note.adopt.title', {
+    version: result.version,
+    mode: result.mode,
+    script: t(result.cdnProvider ? 'note.adopt.scriptCdn' : 'note.adopt.scriptLocal', { cdn: result.cdnProvider }) +
+      (result.minified ? t('note.adopt.minified') : ''),
+    p5Mode: result.p5Mode || t('note.adopt.unknown'),
+    libraries: result.libraries.length > 0 ? result.libraries.join(', ') : t('note.adopt.none')
+  });
+
+  if (plan) {
+    display.plan(plan);
+    display.outro(t('note.success.dryRun'));
+    return;
+  }
+  display.outro(t('note.success.adopted'));
+}
+
+/**
+ * Writes a .p5-config.json for an existing sketch, inferred from its index.html and sketch code:
+ * the p5.js version, delivery mode, CDN provider and minification come from the p5.js script tag
+ * (or the banner of the local lib/ file), global or instance mode from the sketch source.
+ * Never prompts and never exits the process.
+ * @param {string} projectDir - Directory holding the sketch's index.html
+ * @param {Object} [options={}] - Options
+ * @param {string} [options.version] - Exact p5.js version to record instead of the detected one
+ * @param {boolean} [options.dryRun=false] - Plan the config file without writing it
+ * @param {import('../reporter.js').Logger} [options.logger] - Receives messages (none are shown by default)
+ * @returns {Promise<Object>} `{ projectPath, version, mode, cdnProvider, minified, language, p5Mode, libraries, files, warnings, plan }`
+ * @throws {TargetExistsError} When the directory already has a config file
+ * @throws {NoProjectError} When there is no index.html or it has no p5.js script tag
+ * @throws {InvalidFlagError} When the version is invalid or cannot be detected
+ */
+export async function adoptProject(projectDir, options = {}) {
+  const { dryRun = false } = options;
+  const report = createReporter(options);
+  const plan = dryRun ? new Plan() : null;
+
+  for (const name of CONFIG_FILES) {
+    if (await fileExists(path.join(projectDir, name))) {
+      throw new TargetExistsError('error.adopt.alreadyManaged', { file: name });
+    }
+  }
+
+  const indexPath = path.join(projectDir, 'index.html');
+  if (!(await fileExists(indexPath))) {
+    throw new NoProjectError('error.adopt.noIndex', { path: projectDir });
+  }
+  const mgr = new HTMLManager(await readFile(indexPath));
+  const p5Info = mgr.findP5Script();
+  if (!p5Info) {
+    throw new NoProjectError('error.adopt.noP5Script');
+  }
+
+  const src = p5Info.scriptNode.getAttribute('src');
+  const mode = /^https?:\/\//.test(src) ? 'cdn' : 'local';
+  const version = await detectVersion(projectDir, src, p5Info.version, options.version);
+
+  const sketches = await readSketchSources(projectDir, mgr, p5Info.scriptNode);
+  const p5Mode = detectP5Mode(sketches.map(sketch => sketch.source));
+  if (!p5Mode) {
+    report.warn('info.adopt.unknownP5Mode');
+  }
+
+  const libraries = [...new Set(mgr.findLibraryScripts().map(({ library }) => library.name))];
+  const configOptions = {
+    version,
+    versionSpec: version,
+    mode,
+    language: sketches.some(sketch => /\.ts$/.test(sketch.src)) ? 'typescript' : 'javascript',
+    p5Mode,
+    libraries,
+    sri: mgr.usesIntegrity()
+  };
+
+  const configPath = path.join(projectDir, '.p5-config.json');
+  if (plan) {
+    plan.writeJSON(configPath, buildConfig(configOptions));
+  } else {
+    await createConfig(configPath, configOptions);
+    report.filesWritten(['.p5-config.json']);
+    report.success('info.adopt.wroteConfig');
+  }
+
+  return report.result({
+    projectPath: projectDir,
+    version,
+    mode,
+    cdnProvider: mode === 'cdn' ? p5Info.cdnProvider : null,
+    minified: p5Info.isMinified,
+    language: configOptions.language,
+    p5Mode,
+    libraries
+  }, plan);
+}
+
+/**
+ * Finds the exact p5.js version of the sketch: the given one, the one in the CDN URL or lib/ file name,
+ * or the banner at the top of the local lib/ file
+ * @param {string} projectDir - Project directory
+ * @param {string} src - src of the p5.js script tag
+ * @param {string} tagVersion - Version found by HTMLManager.findP5Script() ('local' when the URL has none)
+ * @param {string} [requested] - Version passed by the caller
+ * @returns {Promise<string>} The exact version
+ * @throws {InvalidFlagError} When the requested version is not exact or no exact version is found
+ */
+async function detectVersion(projectDir, src, tagVersion, requested) {
+  if (requested !== undefined) {
+    if (!semver.valid(String(requested))) {
+      throw new InvalidFlagError('error.adopt.invalidVersion', { version: requested });
+    }
+    return semver.clean(String(requested));
+  }
+
+  if (semver.valid(tagVersion)) {
+    return tagVersion;
+  }
+
+  if (tagVersion === 'local') {
+    try {
+      const match = P5_BANNER.exec((await readFile(path.join(projectDir, localPath(src)))).slice(0, 500));
+      if (match) {
+        return match[1];
+      }
+    } catch {
+      // A missing lib/ file leaves the version to --version
+    }
+  }
+
+  // A tag like p5@1 or p5@latest does not say which release the sketch was written for
+  throw new InvalidFlagError('error.adopt.unknownVersion', { version: tagVersion }, { hints: ['error.adopt.versionHint'] });
+}
+
+/**
+ * Reads the sketch code of the page: local scripts other than p5.js and add-on libraries, and inline scripts
+ * @param {string} projectDir - Project directory
+ * @param {HTMLManager} mgr - Parsed index.html
+ * @param {Element} p5Script - The p5.js script tag
+ * @returns {Promise<{src: string|null, source: string}[]>} Each script's src (null when inline) and code; unreadable files are skipped
+ */
+async function readSketchSources(projectDir, mgr, p5Script) {
+  const libraryScripts = mgr.findLibraryScripts().map(({ scriptNode }) => scriptNode);
+  const sketches = [];
+
+  for (const script of mgr.document.querySelectorAll('script')) {
+    if (script === p5Script || libraryScripts.includes(script)) continue;
+
+    const src = script.getAttribute('src');
+    if (src === null) {
+      sketches.push({ src: null, source: script.textContent });
+    } else if (!/^(?:https?:)?\/\//.test(src)) {
+      try {
+        sketches.push({ src, source: await readFile(path.join(projectDir, localPath(src))) });
+      } catch {
+        // A script the page cannot load either says nothing about the sketch
+      }
+    }
+  }
+
+  return sketches;
+}
+
+/**
+ * Turns a script src into a path relative to the project directory
+ * @param {string} src - Script src, e.g. './lib/p5.js', '/src/sketch.ts' or 'sketch.js?v=2'
+ * @returns {string} The relative path
+ */
+function localPath(src) {
+  return src.split(/[?#]/)[0].replace(/^\.?\//, '');
+}
+
+/**
+ * Detects whether sketch code uses p5.js in instance mode (`new p5(...)`) or global mode (top-level setup/draw)
+ * @param {string[]} sources - Sketch code
+ * @returns {'instance'|'global'|null} The mode, or null when neither is recognised
+ */
+function detectP5Mode(sources) {
+  if (sources.some(source => /\bnew\s+p5\s*\(/.test(source))) {
+    return 'instance';
+  }
+  if (sources.some(source => /\bfunction\s+(?:setup|draw)\s*\(|\b(?:window\.)?(?:setup|draw)\s*=/.test(source))) {
+    return 'global';
+  }
+  return null;
+}
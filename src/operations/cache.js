@@ -0,0 +1,213 @@
+/**
+ * Cache operations - Manages the user-level p5.js artifact cache
+ * Philosophy: Business logic only, NO inline copy
+ * All UI text comes from i18n layer
+ */
+
+import os from 'os';
+import path from 'path';
+import fs from 'fs/promises';
+
+// i18n
+import { t } from '../i18n/index.js';
+
+// UI primitives
+import * as display from '../ui/display.js';
+
+// Business utilities
+import { fetchVersions, resolveVersion, downloadP5Files, downloadTypeDefinitions, compareVersions, parseVersion } from '../version.js';
+import { getCacheDir, listCachedVersions, removeCachedVersion, clearCache, exportCache, importCache } from '../cache.js';
+import { validateVersion, fileExists, removeDirectory } from '../utils.js';
+import { CreateP5Error, InvalidFlagError, NetworkError, versionListError } from '../errors.js';
+
+/**
+ * Entry point for `create-p5 cache <subcommand>`
+ * Subcommands: list, add <version>, prune [--all], export <file>, import <file>
+ * @param {Object} args - Parsed command line arguments (args._[0] is 'cache')
+ * @returns {Promise<void>}
+ * @throws {import('../errors.js').CreateP5Error} When the subcommand or its argument is invalid, or it fails
+ */
+export async function manageCache(args) {
+  const [, subcommand, target] = args._.map(String);
+
+  switch (subcommand) {
+    case 'list':
+      await listCache();
+      break;
+    case 'add':
+      await addToCache(target, args);
+      break;
+    case 'prune':
+      await pruneCache(args);
+      break;
+    case 'export':
+      await exportCacheTo(target);
+      break;
+    case 'import':
+      await importCacheFrom(target);
+      break;
+    default:
+      throw new InvalidFlagError('error.cache.unknownSubcommand', { subcommand: subcommand || '' }, { hints: ['error.cache.usage'] });
+  }
+}
+
+/**
+ * Shows the versions currently stored in the cache
+ * @returns {Promise<void>}
+ */
+async function listCache() {
+  const cached = await listCachedVersions();
+
+  display.info('info.cache.location', { path: getCacheDir() });
+
+  if (cached.versionsFetchedAt) {
+    display.info('info.cache.versionList', { timestamp: cached.versionsFetchedAt });
+  }
+
+  if (cached.p5.length === 0 && cached.types.length === 0) {
+    display.info('info.cache.empty');
+    return;
+  }
+
+  for (const version of sortVersions(cached.p5)) {
+    const key = cached.types.includes(version) ? 'info.cache.entryWithTypes' : 'info.cache.entry';
+    display.message(t(key, { version }));
+  }
+  for (const version of sortVersions(cached.types.filter(v => !cached.p5.includes(v)))) {
+    display.message(t('info.cache.typesEntry', { version }));
+  }
+}
+
+/**
+ * Pre-downloads p5.js, p5.min.js and type definitions for a version.
+ * Uses the regular download code paths, which store what they fetch in the cache.
+ * @param {string} version - Version to cache ('latest' or an exact version)
+ * @param {Object} args - Parsed command line arguments
+ * @returns {Promise<void>}
+ */
+async function addToCache(version, args) {
+  if (!version) {
+    throw new InvalidFlagError('error.cache.missingVersion');
+  }
+
+  let versionList;
+  try {
+    versionList = await fetchVersions(true);
+  } catch (error) {
+    throw versionListError(error);
+  }
+
+  const versionError = validateVersion(version, versionList.versions, versionList.latest, versionList.tags);
+  if (versionError) {
+    throw new InvalidFlagError('error.cache.invalidVersion', {}, { details: [versionError] });
+  }
+
+  const resolvedVersion = resolveVersion(version, versionList);
+
+  // Download into a throwaway directory; only the cache copy is kept
+  const scratchDir = await fs.mkdtemp(path.join(os.tmpdir(), 'create-p5-cache-'));
+  try {
+    const s = display.spinner('spinner.downloadingP5File', { filename: 'p5.js' });
+    await downloadP5Files(resolvedVersion, scratchDir, s);
+
+    if (args.types !== false) {
+      const typesSpinner = display.spinner('spinner.downloadingTypes');
+      await downloadTypeDefinitions(resolvedVersion, scratchDir, typesSpinner, 'global');
+    }
+
+    display.success('info.cache.added', { version: resolvedVersion });
+  } catch (error) {
+    // Typed failures (a checksum mismatch, a missing cache entry) keep their own exit code
+    if (error instanceof CreateP5Error) throw error;
+    throw new NetworkError('error.cache.addFailed', { version: resolvedVersion }, { details: [error.message], cause: error });
+  } finally {
+    await removeDirectory(scratchDir);
+  }
+}
+
+/**
+ * Removes older cached versions, keeping the newest version of each major release.
+ * With --all, removes the whole cache.
+ * @param {Object} args - Parsed command line arguments
+ * @returns {Promise<void>}
+ */
+async function pruneCache(args) {
+  if (args.all) {
+    await clearCache();
+    display.success('info.cache.cleared');
+    return;
+  }
+
+  const cached = await listCachedVersions();
+  let removed = 0;
+
+  for (const kind of ['p5', 'types']) {
+    const newestPerMajor = new Map();
+    for (const version of sortVersions(cached[kind])) {
+      const major = parseVersion(version).major;
+      if (!newestPerMajor.has(major)) {
+        newestPerMajor.set(major, version);
+        continue;
+      }
+      await removeCachedVersion(kind, version);
+      removed++;
+    }
+  }
+
+  display.success('info.cache.pruned', { count: removed });
+}
+
+/**
+ * Exports the cache as a portable tarball
+ * @param {string} file - Archive path to write
+ * @returns {Promise<void>}
+ */
+async function exportCacheTo(file) {
+  if (!file) {
+    throw new InvalidFlagError('error.cache.missingFile');
+  }
+
+  const archivePath = path.resolve(file);
+  const exported = await exportCache(archivePath);
+
+  if (exported === 0) {
+    display.warn('info.cache.empty');
+    return;
+  }
+
+  display.success('info.cache.exported', { path: file });
+}
+
+/**
+ * Imports a tarball created with `cache export`
+ * @param {string} file - Archive path to read
+ * @returns {Promise<void>}
+ */
+async function importCacheFrom(file) {
+  if (!file) {
+    throw new InvalidFlagError('error.cache.missingFile');
+  }
+
+  const archivePath = path.resolve(file);
+  if (!(await fileExists(archivePath))) {
+    throw new InvalidFlagError('error.cache.fileNotFound', { path: file });
+  }
+
+  try {
+    const count = await importCache(archivePath);
+    display.success('info.cache.imported', { count, path: file });
+  } catch (error) {
+    throw new CreateP5Error('error.cache.importFailed', { path: file }, { details: [error.message], cause: error });
+  }
+}
+
+/**
+ * Sorts version directory names newest first, ignoring names that are not versions
+ * @param {string[]} versions - Version strings
+ * @returns {string[]} Sorted versions
+ */
+function sortVersions(versions) {
+  return versions
+    .filter(v => /^\d+\.\d+\.\d+(?:-.+)?$/.test(v))
+    .sort((a, b) => compareVersions(b, a));
+}
@@ -0,0 +1,154 @@
+/**
+ * Library operations - Adds and removes add-on libraries (p5.sound, ml5, ...) in existing projects
+ * Philosophy: Business logic only, NO inline copy
+ * All UI text comes from i18n layer
+ */
+
+import path from 'path';
+
+// UI primitives
+import * as display from '../ui/display.js';
+
+// Business utilities
+import { readConfig, createConfig } from '../config.js';
+import { HTMLManager } from '../htmlManager.js';
+import { LIBRARY_CATALOG, findLibrary, getCompatibleMajors, resolveLibraryBuild, getLibraryScriptSrc, downloadLibraryFile } from '../libraries.js';
+import { fetchIntegrity } from '../integrity.js';
+import { createDirectory, readFile, writeFile, fileExists, deleteFile } from '../utils.js';
+import { InvalidFlagError, NoProjectError, NetworkError, NotCachedError, IncompatibleError } from '../errors.js';
+
+/**
+ * Adds an add-on library to the project: inserts its script tag after p5.js,
+ * downloads it into lib/ in local mode and records it in .p5-config.json
+ * @param {Object} args - Parsed command line arguments (args._[1] is the library name)
+ * @param {boolean} [args.offline] - Copy the library file from the artifact cache instead of downloading it
+ * @param {string} [projectDir=process.cwd()] - The project directory
+ * @returns {Promise<void>}
+ * @throws {import('../errors.js').CreateP5Error} When the library cannot be added
+ */
+export async function addLibrary(args, projectDir = process.cwd()) {
+  const { config, library, configPath } = await loadContext(args, projectDir);
+
+  const libraries = config.libraries || [];
+  if (libraries.includes(library.name)) {
+    display.info('info.library.alreadyAdded', { name: library.name });
+    return;
+  }
+
+  const indexPath = path.join(projectDir, 'index.html');
+  const mgr = new HTMLManager(await readFile(indexPath));
+  const p5Info = mgr.findP5Script();
+
+  const build = resolveLibraryBuild(library, config.version, p5Info ? p5Info.cdnProvider : undefined);
+  if (!build) {
+    throw new IncompatibleError('error.library.incompatible', {
+      name: library.name,
+      version: config.version,
+      majors: getCompatibleMajors(library).map(major => `${major}.x`).join(', ')
+    });
+  }
+
+  if (!mgr.findLibraryScript(build.file)) {
+    const useIntegrity = config.mode === 'cdn' && (config.sri || mgr.usesIntegrity());
+    let integrity = null;
+    if (useIntegrity) {
+      try {
+        integrity = await fetchIntegrity(build.url);
+      } catch (error) {
+        throw new NetworkError('error.library.downloadFailed', { name: library.name }, { details: [error.message], cause: error });
+      }
+    }
+    if (!mgr.insertLibraryScript(getLibraryScriptSrc(build, config.mode), integrity)) {
+      throw new IncompatibleError('error.library.noP5Script');
+    }
+  }
+
+  if (config.mode === 'local') {
+    const libPath = path.join(projectDir, 'lib');
+    await createDirectory(libPath);
+    try {
+      await downloadLibraryFile(build, libPath, { offline: Boolean(args.offline) });
+    } catch (error) {
+      if (error instanceof NotCachedError) throw error;
+      throw new NetworkError('error.library.downloadFailed', { name: library.name }, { details: [error.message], cause: error });
+    }
+  }
+
+  await writeFile(indexPath, mgr.serialize());
+  await createConfig(configPath, { ...config, libraries: [...libraries, library.name] });
+
+  display.success('info.library.added', { name: library.name });
+}
+
+/**
+ * Removes an add-on library from the project: deletes its script tag, its lib/ file
+ * in local mode and its entry in .p5-config.json
+ * @param {Object} args - Parsed command line arguments (args._[1] is the library name)
+ * @param {string} [projectDir=process.cwd()] - The project directory
+ * @returns {Promise<void>}
+ * @throws {import('../errors.js').CreateP5Error} When the project or the library name is invalid
+ */
+export async function removeLibrary(args, projectDir = process.cwd()) {
+  const { config, library, configPath } = await loadContext(args, projectDir);
+
+  const libraries = config.libraries || [];
+  if (!libraries.includes(library.name)) {
+    display.info('info.library.notAdded', { name: library.name });
+    return;
+  }
+
+  // Remove every known file name so tags from any p5 major are cleaned up
+  const files = [...new Set(Object.values(library.builds).map(build => build.file))];
+
+  const indexPath = path.join(projectDir, 'index.html');
+  if (await fileExists(indexPath)) {
+    const mgr = new HTMLManager(await readFile(indexPath));
+    let changed = false;
+    for (const file of files) {
+      changed = mgr.removeLibraryScript(file) || changed;
+    }
+    if (changed) {
+      await writeFile(indexPath, mgr.serialize());
+    }
+  }
+
+  for (const file of files) {
+    const libFile = path.join(projectDir, 'lib', file);
+    if (await fileExists(libFile)) {
+      await deleteFile(libFile);
+    }
+  }
+
+  await createConfig(configPath, { ...config, libraries: libraries.filter(name => name !== library.name) });
+
+  display.success('info.library.removed', { name: library.name });
+}
+
+/**
+ * Reads the project config and looks up the requested library
+ * @param {Object} args - Parsed command line arguments
+ * @param {string} projectDir - The project directory
+ * @returns {Promise<{ config: Object, library: Object, configPath: string }>} Context
+ * @throws {InvalidFlagError|NoProjectError} When the name is missing or unknown, or there is no project
+ */
+async function loadContext(args, projectDir) {
+  const name = args._[1];
+  const available = { key: 'error.library.available', vars: { names: LIBRARY_CATALOG.map(lib => lib.name).join(', ') } };
+
+  if (!name) {
+    throw new InvalidFlagError('error.library.missingName', {}, { hints: [available] });
+  }
+
+  const configPath = path.join(projectDir, '.p5-config.json');
+  const config = await readConfig(configPath);
+  if (!config) {
+    throw new NoProjectError('error.update.noConfig');
+  }
+
+  const library = findLibrary(name);
+  if (!library) {
+    throw new InvalidFlagError('error.library.unknown', { name }, { hints: [available] });
+  }
+
+  return { config, library, configPath };
+}
@@ -0,0 +1,137 @@
+/**
+ * Outdated operation - Reports the p5.js version of every project in a directory tree
+ * Philosophy: Business logic only, NO inline copy
+ * All UI text comes from i18n layer
+ *
+ * listOutdated() does the work and never prompts or exits;
+ * outdated() is the CLI wrapper that prints the table (or the JSON result).
+ */
+
+import path from 'path';
+
+// i18n
+import { t } from '../i18n/index.js';
+
+// UI primitives
+import * as display from '../ui/display.js';
+
+// Business utilities
+import { fetchVersions, findNewerVersions } from '../version.js';
+import { findProjects, readProjectConfig } from '../projects.js';
+import { createReporter } from '../reporter.js';
+import { OutdatedError, versionListError } from '../errors.js';
+
+/** Table columns: result field and header key */
+const COLUMNS = [
+  ['path', 'info.outdated.column.path'],
+  ['version', 'info.outdated.column.version'],
+  ['patch', 'info.outdated.column.patch'],
+  ['minor', 'info.outdated.column.minor'],
+  ['major', 'info.outdated.column.major'],
+  ['mode', 'info.outdated.column.mode'],
+  ['typesVersion', 'info.outdated.column.types']
+];
+
+/**
+ * Entry point for `create-p5 outdated [directory]`
+ * @param {Object} args - Parsed command line arguments (args._[0] is 'outdated')
+ * @param {boolean} [args['include-prerelease']] - Count pre-releases as newer versions
+ * @param {boolean} [args.offline] - Use the cached version list
+ * @returns {Promise<void>}
+ * @throws {import('../errors.js').CreateP5Error} When the version list cannot be fetched
+ * @throws {OutdatedError} With --json, when any project can be updated
+ */
+export async function outdated(args) {
+  const root = path.resolve(args._[1] !== undefined ? String(args._[1]) : process.cwd());
+
+  const result = await listOutdated(root, {
+    includePrerelease: Boolean(args['include-prerelease']),
+    offline: Boolean(args.offline),
+    logger: display.logger,
+    onProgress: display.progress({ verbose: args.verbose })
+  });
+
+  const { projects, outdatedCount } = result;
+  display.result({ root, latest: result.latest, projects, outdatedCount });
+
+  if (projects.length === 0) {
+    display.info('info.outdated.noProjects', { path: root });
+    return;
+  }
+
+  // One row per project, each column as wide as its widest cell
+  const header = COLUMNS.map(([, key]) => t(key));
+  const rows = projects.map(project => COLUMNS.map(([field]) => project[field] || '-'));
+  const widths = header.map((title, column) => Math.max(title.length, ...rows.map(row => row[column].length)));
+  const format = cells => cells.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd();
+  display.message([format(header), ...rows.map(format)].join('\n'));
+
+  if (outdatedCount === 0) {
+    display.success('info.outdated.upToDate', { total: projects.length });
+  } else if (display.isJsonMode()) {
+    // The --json report is meant for CI, so it fails when a project is behind; the projects are still printed
+    throw new OutdatedError('error.outdated.found', { count: outdatedCount, total: projects.length }, {
+      result: { root, latest: result.latest, projects, outdatedCount }
+    });
+  } else {
+    display.warn('info.outdated.summary', { count: outdatedCount, total: projects.length });
+  }
+}
+
+/**
+ * Finds the projects under a directory and compares their p5.js version with the available
+ * versions, fetched once. Never prompts and never exits the process.
+ * @param {string} root - Directory to search
+ * @param {Object} [options={}] - Options
+ * @param {boolean} [options.includePrerelease=false] - Count pre-releases as newer versions
+ * @param {boolean} [options.offline=false] - Use the cached version list
+ * @param {import('../reporter.js').Logger} [options.logger] - Receives messages (none are shown by default)
+ * @param {(event: import('../reporter.js').ProgressEvent) => void} [options.onProgress] - Receives progress of the version list download
+ * @returns {Promise<Object>} `{ latest, projects, outdatedCount, files, warnings, plan }` (nothing is written); each project has `path` (relative to the root),
+ *   `version`, `patch`, `minor` and `major` (newer versions, or null), `mode`, `typesVersion` and `outdated`
+ * @throws {import('../errors.js').CreateP5Error} When the version list cannot be fetched
+ */
+export async function listOutdated(root, options = {}) {
+  const { includePrerelease = false, offline = false } = options;
+  const report = createReporter(options);
+
+  const found = await findProjects(root);
+  if (found.length === 0) {
+    return report.result({ latest: null, projects: [], outdatedCount: 0 }, null);
+  }
+
+  let versionList;
+  const versionsProgress = report.spinner('versions', 'spinner.fetchingVersions');
+  try {
+    versionList = await fetchVersions(includePrerelease, { offline });
+    versionsProgress.stop('spinner.fetchedVersions');
+  } catch (error) {
+    versionsProgress.stop('spinner.failedVersions');
+    throw versionListError(error, offline);
+  }
+
+  const projects = [];
+  for (const project of found) {
+    const config = await readProjectConfig(project);
+    if (!config || typeof config.version !== 'string') {
+      report.warn('info.outdated.unreadable', { path: project.relativePath });
+      continue;
+    }
+
+    const newer = findNewerVersions(config.version, versionList);
+    projects.push({
+      path: project.relativePath,
+      version: config.version,
+      ...newer,
+      mode: config.mode || 'cdn',
+      typesVersion: config.typeDefsVersion || null,
+      outdated: Boolean(newer.patch || newer.minor || newer.major)
+    });
+  }
+
+  return report.result({
+    latest: versionList.latest,
+    projects,
+    outdatedCount: projects.filter(project => project.outdated).length
+  }, null);
+}
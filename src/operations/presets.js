@@ -0,0 +1,78 @@
+/**
+ * Preset operations - Lists and removes the presets saved from the custom setup wizard
+ * Philosophy: Business logic only, NO inline copy
+ * All UI text comes from i18n layer
+ */
+
+// i18n
+import { t } from '../i18n/index.js';
+
+// UI primitives
+import * as display from '../ui/display.js';
+
+// Business utilities
+import { readPresets, removePreset, getPresetsPath } from '../presets.js';
+import { InvalidFlagError } from '../errors.js';
+
+/**
+ * Entry point for `create-p5 presets <subcommand>`
+ * Subcommands: list, remove <name>
+ * @param {Object} args - Parsed command line arguments (args._[0] is 'presets')
+ * @returns {Promise<void>}
+ * @throws {import('../errors.js').CreateP5Error} When the subcommand or its argument is invalid, or it fails
+ */
+export async function managePresets(args) {
+  const [, subcommand, name] = args._.map(String);
+
+  switch (subcommand) {
+    case 'list':
+      await listPresets();
+      break;
+    case 'remove':
+      await removePresetNamed(name);
+      break;
+    default:
+      throw new InvalidFlagError('error.presets.unknownSubcommand', { subcommand: subcommand || '' }, { hints: ['error.presets.usage'] });
+  }
+}
+
+/**
+ * Shows the saved presets and their choices
+ * @returns {Promise<void>}
+ */
+async function listPresets() {
+  const presets = await readPresets();
+
+  display.info('info.presets.location', { path: getPresetsPath() });
+
+  if (Object.keys(presets).length === 0) {
+    display.info('info.presets.empty');
+    return;
+  }
+
+  for (const [name, preset] of Object.entries(presets)) {
+    display.message(t('info.presets.entry', {
+      name,
+      version: preset.version || 'latest',
+      mode: preset.mode || 'cdn',
+      language: preset.language || 'javascript',
+      p5Mode: preset.p5Mode || 'global',
+      git: preset.git ? t('info.presets.withGit') : '',
+      types: preset.types === false ? t('info.presets.withoutTypes') : ''
+    }));
+  }
+}
+
+/**
+ * Removes a saved preset
+ * @param {string} name - Preset name
+ * @returns {Promise<void>}
+ */
+async function removePresetNamed(name) {
+  if (!name) {
+    throw new InvalidFlagError('error.presets.missingName');
+  }
+
+  await removePreset(name);
+  display.success('info.presets.removed', { name });
+}
@@ -2,6 +2,9 @@
  * Scaffolding operations - Creates new p5.js projects
  * Philosophy: Business logic only, NO inline copy
  * All UI text comes from i18n layer
+ *
+ * createProject() does the work and never prompts or exits (it is part of the programmatic API);
+ * scaffold() is the CLI wrapper that asks for missing choices and shows the result.
  */
 
 import path from 'path';
@@ -9,315 +12,659 @@ import fs from 'fs/promises';
 import { fileURLToPath } from 'url';
 
 // i18n
-import { t } from '../i18n/index.js';
+import { t, setLocale } from '../i18n/index.js';
 
 // UI primitives
 import * as display from '../ui/display.js';
 import * as prompts from '../ui/prompts.js';
+import { runSteps, BACK } from '../ui/wizard.js';
 
 // Business utilities
-import { copyTemplateFiles, determineTargetPath, validateProjectName, directoryExists, validateMode, validateVersion, validateLanguage, validateP5Mode, validateSetupType, getTemplateName, generateProjectName, isRemoteTemplateSpec, renameFile, deleteFile } from '../utils.js';
-import { fetchVersions, downloadP5Files, downloadTypeDefinitions } from '../version.js';
-import { injectP5Script } from '../htmlManager.js';
-import { createConfig } from '../config.js';
-import { initGit, addLibToGitignore } from '../git.js';
+import { copyTemplateFiles, determineTargetPath, validateProjectName, directoryExists, validateMode, validateCdn, validateVersion, validateLanguage, validateP5Mode, validateSetupType, getTemplateName, generateProjectName, isRemoteTemplateSpec, renameFile, deleteFile, listFiles } from '../utils.js';
+import { fetchVersions, resolveVersion, downloadP5Files, downloadTypeDefinitions, getP5FileUrls, getTypeDefinitionFiles } from '../version.js';
+import { HTMLManager } from '../htmlManager.js';
+import { fetchIntegrity } from '../integrity.js';
+import { createConfig, buildConfig } from '../config.js';
+import { initGit, addLibToGitignore, withDefaultGitignore, withLibIgnored } from '../git.js';
 import { normalizeTemplateSpec, fetchTemplate } from '../templateFetcher.js';
+import { ProjectStaging } from '../staging.js';
+import { Plan } from '../plan.js';
+import { createReporter } from '../reporter.js';
+import { readAnswers, applyAnswers, saveAnswers } from '../answers.js';
+import { loadDefaults, pickDefault, withPreset } from '../defaults.js';
+import { readPresets, getPreset, savePreset, validatePresetName } from '../presets.js';
+import { CreateP5Error, InvalidFlagError, TargetExistsError, NetworkError, TemplateFetchError, toCreateP5Error, versionListError } from '../errors.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 /**
- * Main scaffolding function
+ * Main scaffolding function (CLI): asks for whatever the flags (or the --answers file) leave open, then runs createProject().
+ * Choices that are neither given nor asked for come from the .p5rc and user config defaults.
  * @param {Object} args - Parsed command line arguments
  * @returns {Promise<void>}
+ * @throws {import('../errors.js').CreateP5Error} When the project cannot be created (nothing is left behind)
  */
 export async function scaffold(args) {
+  // Only project creation uses the defaults files, so a broken .p5rc cannot get in the way of other commands;
+  // a configured locale applies from the intro on
+  const defaults = await loadDefaults(process.cwd());
+  if (defaults.values.locale) {
+    setLocale(defaults.values.locale);
+  }
+
   display.intro();
 
-  // STEP: Determine project path (command argument, flag, or prompt)
-  let projectPath;
-  const firstArg = args._[0];
+  // An answers file supplies the choices instead of prompts
+  if (args.answers) {
+    args = applyAnswers(args, await readAnswers(args.answers));
+  }
 
-  if (firstArg && firstArg !== 'update') {
-    // User provided a path as first argument
-    projectPath = firstArg;
-  } else if (args.yes || args.template) {
-    // --yes or --template flag: use random project name
-    projectPath = generateProjectName();
-  } else {
-    // Interactive mode: prompt for path
-    const randomName = generateProjectName();
-    projectPath = await prompts.promptProjectPath(`${randomName}`);
-    if (prompts.isCancel(projectPath)) {
-      display.cancel('prompt.cancel.sketchCreation');
+  // Defaults from .p5rc and the user config file apply wherever a flag is missing;
+  // a preset (--preset, or picked in the setup type prompt) beats them
+  const firstArg = args._[0];
+  const setupContext = {
+    args,
+    defaults,
+    presets: {},
+    pathArg: firstArg && firstArg !== 'update' ? firstArg : null,
+    fallbackPath: generateProjectName()
+  };
+  if (args.preset && !args.template) {
+    setupContext.presets[args.preset] = await getPreset(args.preset);
+  }
+  if (args.type && !args.template) {
+    const typeError = validateSetupType(args.type);
+    if (typeError) {
+      throw new InvalidFlagError('error.invalidSetupType', {}, { details: [typeError] });
     }
   }
 
-  // STEP: Determine setup type (allow override via --type flag)
-  let setupType = 'standard';
-  const hasConfigFlags = args.language || args['p5-mode'] || args.version || args.mode;
+  if (args.verbose) {
+    display.info('info.verboseEnabled');
+  }
 
+  // STEP: Work out every choice: from flags and defaults, or with the wizard (which ends with a review)
+  let setup;
   if (args.template) {
-    // When using --template, skip setup type - it will be handled in the template section
-    setupType = null;
-  } else if (args.type) {
-    const typeError = validateSetupType(args.type);
-    if (typeError) {
-      display.error('error.invalidSetupType');
-      display.message(typeError);
-      process.exit(1);
+    // Community templates are used as-is: only the path is needed (--template never prompts)
+    const projectPath = (setupContext.pathArg || setupContext.fallbackPath).trim() || '.';
+    setup = { projectPath, setupType: null, presetName: null, choices: {} };
+    await resolveTarget(projectPath, process.cwd());
+  } else {
+    // Validate the flags that do not depend on the version list before prompting
+    validateChoices({ language: args.language, p5Mode: args['p5-mode'], mode: args.mode });
+
+    // Fail on a bad name or an existing directory before asking anything else
+    if (setupContext.pathArg) {
+      await resolveTarget(setupContext.pathArg.trim() || '.', process.cwd());
     }
-    setupType = args.type;
-  } else if (!args.yes && !hasConfigFlags) {
-    // Interactive mode without config flags: ask for setup type
-    setupType = await prompts.promptSetupType();
-    if (prompts.isCancel(setupType)) {
-      display.cancel('prompt.cancel.sketchCreation');
+
+    const answers = args.yes ? {} : await askChoices(setupContext);
+    setup = chooseSetup(setupContext, answers);
+  }
+  const { projectPath, setupType } = setup;
+  const { projectName } = await resolveTarget(projectPath, process.cwd());
+
+  const options = {
+    path: projectPath,
+    template: args.template,
+    setupType,
+    ...setup.choices,
+    sri: Boolean(args.sri),
+    offline: Boolean(args.offline),
+    includePrerelease: Boolean(args['include-prerelease']),
+    dryRun: Boolean(args['dry-run']),
+    verbose: Boolean(args.verbose),
+    logger: display.logger,
+    // Fetching a community template takes a while, so it always gets a spinner
+    onProgress: display.progress({ verbose: args.verbose, always: ['template'] })
+  };
+
+  const result = await createProject(options);
+  const { files, warnings, plan, ...fields } = result;
+  display.result(fields);
+
+  // Record the choices actually used (including the resolved version) so the run can be replayed
+  if (args['save-answers']) {
+    const answers = args.template
+      ? { path: projectPath, template: args.template }
+      : {
+          path: projectPath,
+          setupType,
+          version: result.version,
+          mode: result.mode,
+          language: result.language,
+          p5Mode: result.p5Mode,
+          git: options.git,
+          types: options.types
+        };
+    if (plan) {
+      // A dry run writes nothing: the answers file is listed with the planned steps
+      plan.push({ type: 'config', path: path.resolve(args['save-answers']), content: JSON.stringify(answers, null, 2) });
+    } else {
+      await saveAnswers(args['save-answers'], answers);
+      display.success('info.answers.saved', { file: args['save-answers'] });
     }
-  } else if (hasConfigFlags) {
-    // If user provided config flags, they clearly want to customize
-    setupType = 'custom';
   }
-  // If --yes flag without --type, setupType remains 'standard' (use defaults)
 
-  // Normalize the path
-  projectPath = projectPath.trim() || '.';
+  // STEP: Offer to save the choices of a manual custom setup as a preset (not on a dry run, which writes nothing)
+  if (setupType === 'custom' && !args.yes && !setup.presetName && !plan) {
+    const presetName = await prompts.promptPresetName(validatePresetName);
+    if (!prompts.isCancel(presetName) && presetName.trim()) {
+      // Keep the version as chosen ("latest", a range), not the release it resolved to today
+      await savePreset(presetName.trim(), { ...result, version: options.version, git: options.git, types: options.types });
+      display.success('info.presets.saved', { name: presetName.trim() });
+    }
+  }
 
-  // Extract project name from path for display purposes
-  const projectName = projectPath === '.' ? path.basename(process.cwd()) : path.basename(projectPath);
-  
-  // Validate project name
-  const nameError = validateProjectName(projectName);
-  if (nameError) {
-    display.error('error.invalidProjectName');
-    display.message(nameError);
-    process.exit(1);
+  // STEP: Dry run - show the plan instead of the success summary
+  if (plan) {
+    display.plan(plan);
+    display.outro(t('note.success.dryRun'));
+    return;
   }
 
-  const targetPath = determineTargetPath(process.cwd(), projectPath);
+  display.filesWritten(files);
 
-  // Check if target directory already exists (unless it's current directory and empty)
-  if (projectPath !== '.') {
-    if (await directoryExists(targetPath)) {
-      display.error('error.directoryExists', { path: projectPath });
-      display.info('error.directoryExistsSuggestion');
-      process.exit(1);
-    }
-  } else {
-    // If creating in current directory, check if it's empty
-    const files = await fs.readdir(targetPath);
-    const hasRelevantFiles = files.some(f => !f.startsWith('.') && f !== 'node_modules');
-    if (hasRelevantFiles) {
-      display.error('error.currentDirNotEmpty');
-      display.info('error.currentDirSuggestion');
-      process.exit(1);
+  if (args.template) {
+    // Success! Community templates are used as-is, no modifications
+    // Show next steps before outro
+    const nextStepsLines = [
+      'note.nextSteps.step1',
+      'note.communityTemplate.checkReadme'
+    ];
+    display.note(nextStepsLines, 'note.nextSteps.title', { projectName });
+
+    // outro() exits the process - nothing after this executes
+    display.outro(t('note.success.created'));
+    return;
+  }
+
+  // STEP: Success summary
+  display.outro(t('note.success.created'));
+
+  // Build project summary
+  const summaryLines = [
+    'note.projectSummary.name',
+    'note.projectSummary.language',
+    'note.projectSummary.p5Mode',
+    'note.projectSummary.version',
+    'note.projectSummary.mode'
+  ];
+  if (result.typesVersion) {
+    summaryLines.push('note.projectSummary.types');
+  }
+  if (options.git) {
+    summaryLines.push('note.projectSummary.git');
+  }
+  display.note(summaryLines, 'note.projectSummary.title', {
+    name: projectName,
+    language: result.language,
+    p5Mode: result.p5Mode,
+    version: result.version,
+    mode: result.mode,
+    types: result.typesVersion
+  });
+
+  // Next steps and documentation
+  const nextStepsLines = [
+    'note.nextSteps.step1',
+    'note.nextSteps.step2',
+    'note.nextSteps.documentation',
+    'note.nextSteps.reference',
+    'note.nextSteps.examples',
+    'note.nextSteps.update'
+  ];
+  display.note(nextStepsLines, 'note.nextSteps.title', { projectName });
+
+  // Language and mode-specific tips
+  if (result.language === 'typescript') {
+    const tipsLines = [
+      'note.typescriptTips.editor',
+      'note.typescriptTips.install',
+      'note.typescriptTips.compile'
+    ];
+    display.note(tipsLines, 'note.typescriptTips.title');
+  }
+
+  if (result.p5Mode === 'instance') {
+    const tipsLines = [
+      'note.instanceTips.multiple',
+      'note.instanceTips.usage'
+    ];
+    display.note(tipsLines, 'note.instanceTips.title');
+  }
+
+  if (options.git) {
+    const gitTipsLines = ['note.gitTips.firstCommit'];
+    if (result.mode === 'local') {
+      gitTipsLines.push('note.gitTips.libIgnored');
     }
+    display.note(gitTipsLines, 'note.gitTips.title');
   }
+}
 
-  if (projectPath === '.') {
-    display.info('info.creatingInCurrent');
+/**
+ * @typedef {Object} SetupContext
+ * @property {Object} args - Parsed command line arguments
+ * @property {import('../defaults.js').Defaults} defaults - Defaults from .p5rc and the user config
+ * @property {Record<string, Object>} presets - Presets that can be chosen, by name
+ * @property {string|null} pathArg - Project path given on the command line
+ * @property {string} fallbackPath - Random project name used when no path is given
+ */
+
+/**
+ * @typedef {Object} Setup
+ * @property {string} projectPath - Project path ('.' for the current directory)
+ * @property {'basic'|'standard'|'custom'} setupType - Setup type (a preset is a custom setup)
+ * @property {string|null} presetName - Preset the choices come from
+ * @property {{ version?: string, mode?: string, language?: string, p5Mode?: string, git: boolean, types: boolean, cdn: string }} choices
+ *   Options for createProject(); undefined ones get its defaults
+ * @property {Record<string, string>} sources - Where each choice came from ('prompt', 'flag', a defaults file path, 'preset:<name>', or 'default')
+ */
+
+/**
+ * Works out every choice of a new project. Precedence: wizard answers, flags, preset,
+ * .p5rc and user config defaults, built-in defaults. Never prompts.
+ * @param {SetupContext} context - Flags, defaults and presets
+ * @param {Object} answers - Wizard answers by step name (empty without the wizard)
+ * @returns {Setup} The choices
+ */
+function chooseSetup({ args, defaults, presets, pathArg, fallbackPath }, answers) {
+  const projectPath = (answers.path ?? pathArg ?? fallbackPath).trim() || '.';
+
+  let setupType;
+  if (answers.setupType) {
+    setupType = answers.setupType;
+  } else if (args.preset) {
+    setupType = `preset:${args.preset}`;
+  } else if (args.type) {
+    setupType = args.type;
+  } else if (hasConfigFlags(args)) {
+    // If user provided config flags, they clearly want to customize
+    setupType = 'custom';
   } else {
-    display.info('info.creatingIn', { path: projectPath });
+    setupType = 'standard';
   }
 
-  if (args.verbose) {
-    display.info('info.verboseEnabled');
+  let presetName = null;
+  let layers = defaults;
+  if (setupType.startsWith('preset:')) {
+    // A preset holds the choices of a custom setup
+    presetName = setupType.slice('preset:'.length);
+    layers = withPreset(defaults, presetName, presets[presetName]);
+    setupType = 'custom';
   }
 
-  try {
-    // Fetch available p5.js versions (skip for community templates)
-    let latest, versions;
-    if (!args.template) {
-      if (args.verbose) {
-        const s = display.spinner('spinner.fetchingVersions');
-        try {
-          ({ latest, versions } = await fetchVersions(args['include-prerelease']));
-          s.stop('spinner.fetchedVersions');
-          if (args['include-prerelease']) {
-            display.info('info.includePrerelease');
-          }
-        } catch (error) {
-          s.stop('spinner.failedVersions');
-          display.message('');
-          display.error('error.fetchVersions.failed');
-          display.message(error.message);
-          display.message('');
-          display.info('error.fetchVersions.troubleshooting');
-          display.info('error.fetchVersions.step1');
-          display.info('error.fetchVersions.step2');
-          display.info('error.fetchVersions.step3');
-          process.exit(1);
-        }
-      } else {
-        try {
-          ({ latest, versions } = await fetchVersions(args['include-prerelease']));
-          if (args['include-prerelease']) {
-            display.info('info.includePrerelease');
+  // Answers to the custom setup steps only count while a custom setup is chosen
+  const customAnswers = setupType === 'custom' && !presetName;
+  const choose = (key, flag, builtIn, custom = true) => {
+    if (answers[key] !== undefined && (customAnswers || !custom)) {
+      return { value: answers[key], source: 'prompt' };
+    }
+    return pickDefault(flag, layers, key, builtIn);
+  };
+
+  const picked = {
+    version: choose('version', args.version),
+    mode: choose('mode', args.mode),
+    language: choose('language', args.language),
+    p5Mode: choose('p5Mode', args['p5-mode']),
+    git: choose('git', args.git, false, false),
+    types: choose('types', args.types, true, false),
+    cdn: pickDefault(undefined, layers, 'cdn', 'jsdelivr')
+  };
+  if (setupType === 'basic' && !(args.language && args['p5-mode'])) {
+    // Basic setup always uses the minimal JavaScript + Global mode template
+    picked.language = picked.p5Mode = { value: undefined, source: 'default' };
+  }
+
+  return {
+    projectPath,
+    setupType,
+    presetName,
+    choices: Object.fromEntries(Object.entries(picked).map(([key, { value }]) => [key, value])),
+    sources: Object.fromEntries(Object.entries(picked).map(([key, { source }]) => [key, source]))
+  };
+}
+
+/**
+ * Runs the new-project wizard: asks for whatever the flags leave open, allowing to go back a step,
+ * then shows every choice for review until the user confirms. Nothing is written before that.
+ * @param {SetupContext} context - Flags, defaults and presets (presets are added to it)
+ * @returns {Promise<Object>} The answers by step name, for chooseSetup()
+ * @throws {import('../errors.js').CreateP5Error} When the project path is invalid or the version list cannot be fetched
+ */
+async function askChoices(context) {
+  const { args } = context;
+  const answers = {};
+  const current = () => chooseSetup(context, answers);
+  const isCustom = () => current().setupType === 'custom' && !current().presetName;
+  const check = value => {
+    if (prompts.isCancel(value)) {
+      display.cancel('prompt.cancel.sketchCreation');
+    }
+    return value;
+  };
+
+  let versionList = null;
+
+  /** @type {import('../ui/wizard.js').WizardStep[]} */
+  const steps = [
+    {
+      name: 'path',
+      when: () => !context.pathArg,
+      ask: async () => {
+        const value = check(await prompts.promptProjectPath(answers.path ?? context.fallbackPath));
+        await resolveTarget(value.trim() || '.', process.cwd());
+        return value;
+      }
+    },
+    {
+      name: 'setupType',
+      when: () => !args.preset && !args.type && !hasConfigFlags(args),
+      ask: async ({ back }) => {
+        Object.assign(context.presets, await readPresets());
+        const { setupType, presetName } = current();
+        const initialValue = presetName ? `preset:${presetName}` : setupType;
+        return check(await prompts.promptSetupType(context.presets, { initialValue, back }));
+      }
+    },
+    {
+      name: 'version',
+      when: () => isCustom() && !args.version,
+      ask: async ({ back }) => {
+        if (!versionList) {
+          try {
+            versionList = await fetchVersions(args['include-prerelease'], { offline: args.offline, dates: true });
+          } catch (error) {
+            throw versionListError(error, args.offline);
           }
-        } catch (error) {
-          display.message('');
-          display.error('error.fetchVersions.failed');
-          display.message(error.message);
-          display.message('');
-          display.info('error.fetchVersions.troubleshooting');
-          display.info('error.fetchVersions.step1');
-          display.info('error.fetchVersions.step2');
-          display.info('error.fetchVersions.step3');
-          process.exit(1);
         }
+        const { latest, versions, tags, dates } = versionList;
+        const version = current().choices.version;
+        const initialValue = !version || version === 'latest' ? latest : version;
+        return check(await prompts.promptVersion(versions, latest, { initialValue, back, tags, dates }));
       }
+    },
+    {
+      name: 'mode',
+      when: () => isCustom() && !args.mode,
+      ask: async ({ back }) => check(await prompts.promptMode({ initialValue: current().choices.mode, back }))
+    },
+    {
+      name: 'language',
+      when: () => isCustom() && !args.language,
+      ask: async ({ back }) => check(await prompts.promptLanguage({ initialValue: current().choices.language, back }))
+    },
+    {
+      name: 'p5Mode',
+      when: () => isCustom() && !args['p5-mode'],
+      ask: async ({ back }) => check(await prompts.promptP5Mode({ initialValue: current().choices.p5Mode, back }))
+    },
+    // Only asked when edited on the review screen
+    {
+      name: 'git',
+      when: () => false,
+      ask: async () => check(await prompts.promptGit(current().choices.git))
+    },
+    {
+      name: 'types',
+      when: () => false,
+      ask: async () => check(await prompts.promptTypes(current().choices.types))
     }
+  ];
 
-    // Validate template flag first
-    if (args.template) {
-      // --template flag now ONLY for community templates
-      if (!isRemoteTemplateSpec(args.template)) {
-        throw new Error(t('error.templateMustBeRemote', { template: args.template }));
-      }
+  await runSteps(steps, answers);
+
+  // STEP: Review every choice; editing one asks it again (and any step it makes necessary)
+  while (true) {
+    const setup = current();
+    const { projectName } = await resolveTarget(setup.projectPath, process.cwd());
+    showConfiguration(setup, projectName);
+
+    const editable = ['path', 'setupType'];
+    if (setup.setupType === 'custom' && !setup.presetName) {
+      editable.push('version', 'mode', 'language', 'p5Mode');
+    }
+    if (setup.setupType !== 'basic') {
+      editable.push('types');
     }
+    editable.push('git');
 
-    // Validate all other flags (skip if using --template, as they don't apply)
-    if (!args.template) {
-      if (args.language) {
-        const langError = validateLanguage(args.language);
-        if (langError) {
-          throw new Error(langError);
-        }
-      }
+    const action = check(await prompts.promptReview(editable.map(name => ({ name, value: describeChoice(setup, name, projectName) }))));
+    if (action === 'create') {
+      return answers;
+    }
 
-      if (args['p5-mode']) {
-        const p5ModeError = validateP5Mode(args['p5-mode']);
-        if (p5ModeError) {
-          throw new Error(p5ModeError);
-        }
-      }
+    const previous = answers[action];
+    if (await runSteps(steps, answers, { from: action }) === BACK) {
+      // Went back from the edited step: keep the previous answer
+      answers[action] = previous;
+    }
+  }
+}
 
-      if (args.version) {
-        const versionError = validateVersion(args.version, versions, latest);
-        if (versionError) {
-          throw new Error(versionError);
-        }
+/**
+ * Shows the configuration summary: every choice and where it came from
+ * @param {Setup} setup - The choices
+ * @param {string} projectName - Project name
+ */
+function showConfiguration(setup, projectName) {
+  const { choices, sources } = setup;
+  const configLines = [
+    ['info.config.header'],
+    ['info.config.projectName'],
+    ['info.config.setupType'],
+    ['info.config.language', 'language'],
+    ['info.config.p5Mode', 'p5Mode'],
+    ['info.config.version', 'version'],
+    ['info.config.mode', 'mode'],
+    ...(choices.mode === 'local' ? [] : [['info.config.cdn', 'cdn']]),
+    [choices.git ? 'info.config.git.yes' : 'info.config.git.no', 'git'],
+    [choices.types && setup.setupType !== 'basic' ? 'info.config.types.yes' : 'info.config.types.no', 'types']
+  ];
+
+  display.message('');
+  configLines.forEach(([key, choice]) => display.info(key, {
+    name: projectName,
+    setupType: describeChoice(setup, 'setupType', projectName),
+    language: choices.language || 'javascript',
+    p5Mode: choices.p5Mode || 'global',
+    version: choices.version || 'latest',
+    mode: choices.mode || 'cdn',
+    cdn: choices.cdn,
+    source: choice ? describeSource(sources[choice]) : ''
+  }));
+  display.message('');
+}
+
+/**
+ * Describes the current value of a choice, for the review screen
+ * @param {Setup} setup - The choices
+ * @param {string} name - Choice (wizard step name)
+ * @param {string} projectName - Project name
+ * @returns {string} The value as shown to the user
+ */
+function describeChoice(setup, name, projectName) {
+  const { choices } = setup;
+  switch (name) {
+    case 'path':
+      return setup.projectPath === '.' ? t('prompt.review.value.currentDirectory', { name: projectName }) : setup.projectPath;
+    case 'setupType':
+      return setup.presetName
+        ? t('prompt.setupType.option.preset.label', { name: setup.presetName })
+        : t(`prompt.setupType.option.${setup.setupType}.label`);
+    case 'git':
+    case 'types':
+      return t(choices[name] ? 'prompt.review.value.yes' : 'prompt.review.value.no');
+    default:
+      return choices[name] || { version: 'latest', mode: 'cdn', language: 'javascript', p5Mode: 'global' }[name];
+  }
+}
+
+/**
+ * Whether flags that only make sense for a custom setup were given
+ * @param {Object} args - Parsed command line arguments
+ * @returns {boolean} True if --language, --p5-mode, --version or --mode was given
+ */
+function hasConfigFlags(args) {
+  return Boolean(args.language || args['p5-mode'] || args.version || args.mode);
+}
+
+/**
+ * Describes where a choice came from, for the configuration summary
+ * @param {string} source - 'flag', 'prompt', 'default', 'preset:<name>', or the path of a defaults file
+ * @returns {string} The description
+ */
+function describeSource(source) {
+  if (['flag', 'prompt', 'default'].includes(source)) {
+    return t(`info.config.source.${source}`);
+  }
+  if (source.startsWith('preset:')) {
+    return t('info.config.source.preset', { name: source.slice('preset:'.length) });
+  }
+  return t('info.config.source.file', { file: source });
+}
+
+/**
+ * Creates a new p5.js project. Never prompts and never exits the process.
+ * The project is built in a staging directory and moved into place only when complete.
+ * @param {Object} [options={}] - Project options
+ * @param {string} [options.path] - Project directory, relative to `cwd` ('.' for `cwd` itself); a random name when omitted
+ * @param {string} [options.cwd=process.cwd()] - Directory relative paths are resolved against
+ * @param {string} [options.template] - Community template spec (e.g., 'user/repo'); the other project options are ignored
+ * @param {'basic'|'standard'|'custom'} [options.setupType='standard'] - 'basic' uses the minimal template without type definitions
+ * @param {string} [options.version='latest'] - p5.js version ("latest", a dist-tag, an exact version, or a semver range such as "^1.9")
+ * @param {'cdn'|'local'} [options.mode='cdn'] - Delivery mode
+ * @param {'jsdelivr'|'cdnjs'|'unpkg'} [options.cdn='jsdelivr'] - CDN the p5.js script tag points at in CDN mode
+ * @param {'javascript'|'typescript'} [options.language='javascript'] - Sketch language
+ * @param {'global'|'instance'} [options.p5Mode='global'] - p5.js mode
+ * @param {boolean} [options.git=false] - Initialize a git repository
+ * @param {boolean} [options.types=true] - Download TypeScript definitions
+ * @param {boolean} [options.sri=false] - Add Subresource Integrity attributes to CDN script tags
+ * @param {boolean} [options.offline=false] - Use the artifact cache only
+ * @param {boolean} [options.includePrerelease=false] - Accept pre-release versions
+ * @param {boolean} [options.dryRun=false] - Plan the changes without writing anything
+ * @param {boolean} [options.verbose=false] - Report extra details
+ * @param {import('../reporter.js').Logger} [options.logger] - Receives messages (none are shown by default)
+ * @param {(event: import('../reporter.js').ProgressEvent) => void} [options.onProgress] - Receives progress of long-running steps
+ * @returns {Promise<Object>} `{ projectPath, name, version, mode, language, p5Mode, typesVersion, files, warnings, plan }`
+ *   (`{ projectPath, name, template, files, warnings, plan }` for community templates); `plan` holds the planned steps of a dry run
+ * @throws {import('../errors.js').CreateP5Error} When the project cannot be created (nothing is left behind)
+ */
+export async function createProject(options = {}) {
+  const {
+    cwd = process.cwd(),
+    template = null,
+    setupType = 'standard',
+    git = false,
+    types = true,
+    cdn = 'jsdelivr',
+    sri = false,
+    offline = false,
+    includePrerelease = false,
+    dryRun = false,
+    verbose = false
+  } = options;
+  const report = createReporter(options);
+
+  const projectPath = (options.path || generateProjectName()).trim() || '.';
+  if (!template) {
+    const typeError = validateSetupType(setupType);
+    if (typeError) {
+      throw new InvalidFlagError('error.invalidSetupType', {}, { details: [typeError] });
+    }
+  }
+  const { targetPath, projectName } = await resolveTarget(projectPath, cwd);
+
+  if (projectPath === '.') {
+    report.info('info.creatingInCurrent');
+  } else {
+    report.info('info.creatingIn', { path: projectPath });
+  }
+
+  // Everything is built in a staging directory and moved to targetPath only on success.
+  // A dry run records the same steps on a plan instead and writes nothing.
+  let staging = null;
+  const plan = dryRun ? new Plan() : null;
+
+  try {
+    // STEP: Handle community templates
+    // Community templates don't need version/mode selection and are cloned as-is
+    if (template) {
+      if (!isRemoteTemplateSpec(template)) {
+        throw new InvalidFlagError('error.templateMustBeRemote', { template });
       }
 
-      if (args.mode) {
-        const modeError = validateMode(args.mode);
-        if (modeError) {
-          throw new Error(modeError);
-        }
+      const fields = { projectPath: targetPath, name: projectName, template };
+      if (plan) {
+        plan.template(template, targetPath);
+        return report.result(fields, plan);
       }
-    }
-    
-    // STEP: Handle community templates  
-    // Handle community templates early - they don't need version/mode selection
-    if (args.template) {
-      // Community template - fetch from remote and exit early
-      // We don't modify community templates - just clone them
-      const copySpinner = display.spinner('spinner.fetchingRemoteTemplate');
-      if (args.verbose) {
-        const spec = normalizeTemplateSpec(args.template);
-        display.info('note.verbose.remoteTemplateSpec', { spec });
-        display.info('note.verbose.targetPath', { path: targetPath });
+
+      const copyProgress = report.spinner('template', 'spinner.fetchingRemoteTemplate');
+      if (verbose) {
+        const spec = normalizeTemplateSpec(template);
+        report.info('note.verbose.remoteTemplateSpec', { spec });
+        report.info('note.verbose.targetPath', { path: targetPath });
       }
       try {
-        await fetchTemplate(args.template, targetPath, { verbose: args.verbose });
-        copySpinner.stop('spinner.fetchedRemoteTemplate');
+        staging = await ProjectStaging.create(targetPath);
+        await fetchTemplate(template, staging.path, { verbose });
+        report.filesWritten(await listFiles(staging.path));
+        await staging.commit();
+        copyProgress.stop('spinner.fetchedRemoteTemplate');
       } catch (err) {
-        copySpinner.stop('spinner.failedRemoteTemplate');
-        throw new Error(t('error.fetchTemplate', { template: args.template, error: err.message }));
+        copyProgress.stop('spinner.failedRemoteTemplate');
+        throw new TemplateFetchError('error.fetchTemplate', { template, error: err.message }, { cause: err });
       }
 
-      // Success! Community templates are used as-is, no modifications
-      // Show next steps before outro
-      const nextStepsLines = [
-        'note.nextSteps.step1',
-        'note.communityTemplate.checkReadme'
-      ];
-      display.note(nextStepsLines, 'note.nextSteps.title', { projectName });
-
-      // outro() exits the process - nothing after this executes
-      display.outro(t('note.success.created'));
+      return report.result(fields, plan);
     }
 
-    // STEP: Built-in templates: determine p5 version (flag, default, or prompt)
-    let selectedVersion;
-    if (args.version) {
-      selectedVersion = args.version === 'latest' ? latest : args.version;
-      display.success('info.usingVersion', { version: selectedVersion });
-    } else if (setupType === 'basic' || setupType === 'standard') {
-      // Use default (latest) for basic and standard setups
-      selectedVersion = latest;
-      display.success('info.latestVersion', { version: latest });
-    } else {
-      // Interactive customization mode (custom)
-      selectedVersion = await prompts.promptVersion(versions, latest);
-      if (prompts.isCancel(selectedVersion)) {
-        display.cancel('prompt.cancel.sketchCreation');
-      }
+    // Fetch available p5.js versions
+    let versionList;
+    const versionsProgress = report.spinner('versions', 'spinner.fetchingVersions');
+    try {
+      versionList = await fetchVersions(includePrerelease, { offline });
+      versionsProgress.stop('spinner.fetchedVersions');
+    } catch (error) {
+      versionsProgress.stop('spinner.failedVersions');
+      throw versionListError(error, offline);
+    }
+    if (includePrerelease) {
+      report.info('info.includePrerelease');
     }
 
-    // STEP: For built-in templates, determine delivery mode (flag, default, or prompt)
-    let selectedDeliveryMode;
-    if (args.mode) {
-      selectedDeliveryMode = args.mode;
-      display.success('info.usingMode', { mode: selectedDeliveryMode });
-    } else if (setupType === 'basic' || setupType === 'standard') {
-      // Use default (cdn) for basic and standard setups
-      selectedDeliveryMode = 'cdn';
-      display.success('info.defaultMode');
+    validateChoices(options, versionList);
+
+    // STEP: Determine p5 version, delivery mode, language and p5Mode (option or default)
+    // A dist-tag or range is resolved now; the specifier is kept in .p5-config.json for `update`
+    const versionSpec = options.version || 'latest';
+    const selectedVersion = resolveVersion(versionSpec, versionList);
+    if (!options.version) {
+      report.success('info.latestVersion', { version: selectedVersion });
+    } else if (selectedVersion !== options.version) {
+      report.success('info.usingVersionSpec', { version: selectedVersion, spec: options.version });
     } else {
-      // Interactive customization mode (custom)
-      selectedDeliveryMode = await prompts.promptMode();
-      if (prompts.isCancel(selectedDeliveryMode)) {
-        display.cancel('prompt.cancel.sketchCreation');
-      }
+      report.success('info.usingVersion', { version: selectedVersion });
     }
 
-    // STEP: Determine language and p5Mode for built-in templates
-    let selectedLanguage, selectedP5Mode;
-    if (args.language && args['p5-mode']) {
-      // Non-interactive with flags
-      selectedLanguage = args.language;
-      selectedP5Mode = args['p5-mode'];
-      display.success('info.usingLanguageMode', { language: selectedLanguage, p5Mode: selectedP5Mode });
-    } else if (setupType === 'basic' || setupType === 'standard') {
-      // Use defaults: JavaScript + Global mode for basic and standard setups
-      selectedLanguage = 'javascript';
-      selectedP5Mode = 'global';
-      display.success('info.defaultLanguageMode');
+    const selectedDeliveryMode = options.mode || 'cdn';
+    if (options.mode) {
+      report.success('info.usingMode', { mode: selectedDeliveryMode });
     } else {
-      // Interactive customization mode (custom): prompt for language and mode
-      const choices = await prompts.promptLanguageAndMode();
-      if (prompts.isCancel(choices)) {
-        display.cancel('prompt.cancel.sketchCreation');
-      }
-      [selectedLanguage, selectedP5Mode] = choices;
+      report.success('info.defaultMode');
     }
 
-
-    // STEP: Show summary of choices if not using --yes flag
-    if (!args.yes && (args.language || args['p5-mode'] || args.version || args.mode || args.git || args.types === false)) {
-      display.message('');
-      const configLines = [
-        'info.config.header',
-        'info.config.projectName'
-      ];
-      if (selectedLanguage) {
-        configLines.push('info.config.language', 'info.config.p5Mode');
-      }
-      configLines.push(
-        'info.config.version',
-        'info.config.mode',
-        args.git ? 'info.config.git.yes' : 'info.config.git.no',
-        args.types === false ? 'info.config.types.no' : 'info.config.types.yes'
-      );
-      configLines.forEach(key => display.info(key, {
-        name: projectName,
-        language: selectedLanguage,
-        p5Mode: selectedP5Mode,
-        version: selectedVersion,
-        mode: selectedDeliveryMode
-      }));
-      display.message('');
+    const selectedLanguage = options.language || 'javascript';
+    const selectedP5Mode = options.p5Mode || 'global';
+    if (options.language || options.p5Mode) {
+      report.success('info.usingLanguageMode', { language: selectedLanguage, p5Mode: selectedP5Mode });
+    } else {
+      report.success('info.defaultLanguageMode');
     }
 
     // STEP: Copy built-in template files
@@ -331,55 +678,83 @@ export async function scaffold(args) {
     }
     const templatePath = path.join(__dirname, '..', '..', 'templates', templateDir);
 
-    if (args.verbose) {
-      const copySpinner = display.spinner('spinner.copyingTemplate');
-      display.info('note.verbose.templatePath', { path: templatePath });
-      display.info('note.verbose.targetPath', { path: targetPath });
-      await copyTemplateFiles(templatePath, targetPath);
-      copySpinner.stop('spinner.copiedTemplate');
+    if (!plan) {
+      staging = await ProjectStaging.create(targetPath);
+    }
+    const projectDir = plan ? targetPath : staging.path;
+
+    if (plan) {
+      await plan.copyDirectory(templatePath, projectDir);
     } else {
-      await copyTemplateFiles(templatePath, targetPath);
+      const copyProgress = report.spinner('copy', 'spinner.copyingTemplate');
+      if (verbose) {
+        report.info('note.verbose.templatePath', { path: templatePath });
+        report.info('note.verbose.targetPath', { path: targetPath });
+      }
+      await copyTemplateFiles(templatePath, projectDir);
+      copyProgress.stop('spinner.copiedTemplate');
     }
 
     // STEP: Initialize git repository if requested (do this before other file operations)
-    if (args.git) {
-      if (args.verbose) {
-        const gitSpinner = display.spinner('spinner.initializingGit');
-        await initGit(targetPath);
-        gitSpinner.stop('spinner.initializedGit');
-      } else {
-        await initGit(targetPath);
-      }
+    if (git && plan) {
+      const gitignorePath = path.join(projectDir, '.gitignore');
+      const gitignoreContent = await plan.readFile(gitignorePath) || '';
+      plan.run('git init', projectDir);
+      plan.edit(gitignorePath, gitignoreContent, withDefaultGitignore(gitignoreContent));
+    } else if (git) {
+      const gitProgress = report.spinner('git', 'spinner.initializingGit');
+      await initGit(projectDir);
+      gitProgress.stop('spinner.initializedGit');
     }
 
     // STEP: If local mode, create lib directory and download p5.js files
-    if (selectedDeliveryMode === 'local'  && selectedLanguage !== 'typescript') {
-      const libPath = path.join(targetPath, 'lib');
+    if (selectedDeliveryMode === 'local'  && selectedLanguage !== 'typescript' && plan) {
+      const libPath = path.join(projectDir, 'lib');
+      const gitignorePath = path.join(projectDir, '.gitignore');
+      const gitignoreContent = await plan.readFile(gitignorePath) || '';
+      for (const { name, url } of await getP5FileUrls(selectedVersion)) {
+        plan.download(url, path.join(libPath, name), { cached: offline });
+      }
+      plan.edit(gitignorePath, gitignoreContent, withLibIgnored(gitignoreContent));
+    } else if (selectedDeliveryMode === 'local'  && selectedLanguage !== 'typescript') {
+      const libPath = path.join(projectDir, 'lib');
       await fs.mkdir(libPath, { recursive: true });
       try {
-        if (args.verbose) {
-          const downloadSpinner = display.spinner('spinner.downloadingP5File', { filename: 'p5.js' });
-          await downloadP5Files(selectedVersion, libPath, downloadSpinner);
-          downloadSpinner.stop('spinner.downloadedP5');
-        } else {
-          await downloadP5Files(selectedVersion, libPath);
-        }
-        await addLibToGitignore(targetPath);
+        const downloadProgress = report.spinner('p5', 'spinner.downloadingP5File', { filename: 'p5.js' });
+        await downloadP5Files(selectedVersion, libPath, downloadProgress, { offline });
+        await addLibToGitignore(projectDir);
       } catch (error) {
-        display.error('error.fetchVersions.failed');
-        display.message(error.message);
-        display.message('');
-        display.warn('error.partialProjectCreated', { path: projectPath });
-        display.info('error.manualCleanup');
-        process.exit(1);
+        // Checksum failures and files missing from the offline cache are already typed
+        if (error instanceof CreateP5Error) {
+          throw error;
+        }
+        throw new NetworkError('error.downloadP5Files', {}, { details: [error.message], cause: error });
       }
     }
     if (selectedLanguage !== 'typescript'){
       // STEP: Inject p5.js script tag into index.html
-      const indexPath = path.join(targetPath, 'index.html');
-      const htmlContent = await fs.readFile(indexPath, 'utf-8');
-      const updatedHtml = injectP5Script(htmlContent, selectedVersion, selectedDeliveryMode);
-      await fs.writeFile(indexPath, updatedHtml, 'utf-8');
+      const indexPath = path.join(projectDir, 'index.html');
+      const htmlContent = plan ? await plan.readFile(indexPath) : await fs.readFile(indexPath, 'utf-8');
+      const mgr = new HTMLManager(htmlContent);
+      let integrity = null;
+      if (sri && selectedDeliveryMode === 'cdn' && offline) {
+        report.warn('info.integrity.skippedOffline');
+      } else if (sri && selectedDeliveryMode === 'cdn' && plan) {
+        plan.integrity(mgr.getP5ScriptURL(selectedVersion, selectedDeliveryMode, { cdnProvider: cdn }));
+        integrity = t('note.plan.integrityPending');
+      } else if (sri && selectedDeliveryMode === 'cdn') {
+        try {
+          integrity = await fetchIntegrity(mgr.getP5ScriptURL(selectedVersion, selectedDeliveryMode, { cdnProvider: cdn }));
+        } catch (error) {
+          throw new NetworkError('error.integrity.failed', {}, { details: [error.message], cause: error });
+        }
+      }
+      mgr.updateP5Script(selectedVersion, selectedDeliveryMode, { integrity, cdnProvider: cdn });
+      if (plan) {
+        plan.edit(indexPath, htmlContent, mgr.serialize());
+      } else {
+        await fs.writeFile(indexPath, mgr.serialize(), 'utf-8');
+      }
     }
     //STEP: set up basic-ts typescript template for selected p5Mode (global / instance)
     if (selectedLanguage === 'typescript'){
@@ -394,149 +769,157 @@ export async function scaffold(args) {
       [globalModeSourceSketch, instanceModeSourceSketch] : 
       [instanceModeSourceSketch, globalModeSourceSketch]
       
-      renameFile(path.join(targetPath, "src", sourceSketchName), 
-                 path.join(targetPath, "src", targetSketchName));
-                 
-      deleteFile(path.join(targetPath, "src", unusedSketchName))
+      if (plan) {
+        plan.rename(path.join(projectDir, "src", sourceSketchName), path.join(projectDir, "src", targetSketchName));
+        plan.remove(path.join(projectDir, "src", unusedSketchName));
+      } else {
+        await renameFile(path.join(projectDir, "src", sourceSketchName), 
+                   path.join(projectDir, "src", targetSketchName));
+                   
+        await deleteFile(path.join(projectDir, "src", unusedSketchName))
+      }
     }
     // STEP: Download TypeScript definitions (skip for basic setup)
     let typeDefsVersion = null;
     if (setupType === 'basic') {
       // Basic setup never includes type definitions
-      display.info('info.skipTypesBasic');
-    } else if (args.types !== false && selectedLanguage !== 'typescript') {
-      const typesPath = path.join(targetPath, 'types');
-      await fs.mkdir(typesPath, { recursive: true });
+      report.info('info.skipTypesBasic');
+    } else if (types && selectedLanguage !== 'typescript') {
+      const typesPath = path.join(projectDir, 'types');
+      if (!plan) {
+        await fs.mkdir(typesPath, { recursive: true });
+      }
       try {
-        // Determine template mode for type definitions (global vs instance)
-        const templateMode = selectedP5Mode || 'global'; // Default to global if using community template
-        if (args.verbose) {
-          const typesSpinner = display.spinner('spinner.downloadingTypes');
-          typeDefsVersion = await downloadTypeDefinitions(selectedVersion, typesPath, typesSpinner, templateMode);
+        if (plan) {
+          const typeFiles = await getTypeDefinitionFiles(selectedVersion, selectedP5Mode, null, { offline });
+          for (const file of typeFiles.files) {
+            if (file.source) {
+              plan.create(path.join(typesPath, file.name), file.source);
+            } else {
+              plan.download(file.url, path.join(typesPath, file.name), { cached: offline });
+            }
+          }
+          typeDefsVersion = typeFiles.version;
         } else {
-          typeDefsVersion = await downloadTypeDefinitions(selectedVersion, typesPath, null, templateMode);
+          const typesProgress = report.spinner('types', 'spinner.downloadingTypes');
+          typeDefsVersion = await downloadTypeDefinitions(selectedVersion, typesPath, typesProgress, selectedP5Mode, null, { offline });
         }
       } catch (error) {
-        display.warn('error.fetchVersions.failed');
-        display.message(error.message);
-        display.info('info.continueWithoutTypes');
         // Don't fail the entire operation if type definitions fail
+        report.warn('info.typesFailed', { error: error.message });
+        report.info('info.continueWithoutTypes');
         typeDefsVersion = null;
       }
-    } else {
-      if (args.types === false){
-        display.warn('info.skipTypes');
-      }
+    } else if (!types) {
+      report.warn('info.skipTypes');
     }
 
     // STEP: Create .p5-config.json in project root
-    const configPath = path.join(targetPath, '.p5-config.json');
-    await createConfig(configPath, {
+    const configPath = path.join(projectDir, '.p5-config.json');
+    const configOptions = {
       version: selectedVersion,
+      versionSpec,
       mode: selectedDeliveryMode,
       language: selectedLanguage,
       p5Mode: selectedP5Mode,
-      typeDefsVersion
-    });
-
-    // STEP: Success summary
-    display.outro(t('note.success.created'));
+      typeDefsVersion,
+      sri
+    };
 
-    // Build project summary
-    const summaryLines = [
-      'note.projectSummary.name'
-    ];
-    if (selectedLanguage) {
-      summaryLines.push('note.projectSummary.language', 'note.projectSummary.p5Mode');
-    }
-    summaryLines.push(
-      'note.projectSummary.version',
-      'note.projectSummary.mode'
-    );
-    if (typeDefsVersion) {
-      summaryLines.push('note.projectSummary.types');
-    }
-    if (args.git) {
-      summaryLines.push('note.projectSummary.git');
-    }
-    display.note(summaryLines, 'note.projectSummary.title', {
+    const fields = {
+      projectPath: targetPath,
       name: projectName,
-      language: selectedLanguage,
-      p5Mode: selectedP5Mode,
       version: selectedVersion,
       mode: selectedDeliveryMode,
-      types: typeDefsVersion
-    });
-
-    // Next steps and documentation
-    const nextStepsLines = [
-      'note.nextSteps.step1',
-      'note.nextSteps.step2',
-      'note.nextSteps.documentation',
-      'note.nextSteps.reference',
-      'note.nextSteps.examples',
-      'note.nextSteps.update'
-    ];
-    display.note(nextStepsLines, 'note.nextSteps.title', { projectName });
+      language: selectedLanguage,
+      p5Mode: selectedP5Mode,
+      typesVersion: typeDefsVersion
+    };
 
-    // Language and mode-specific tips
-    if (selectedLanguage === 'typescript') {
-      const tipsLines = [
-        'note.typescriptTips.editor',
-        'note.typescriptTips.install',
-        'note.typescriptTips.compile'
-      ];
-      display.note(tipsLines, 'note.typescriptTips.title');
+    // STEP: Dry run - return the plan instead of moving anything into place
+    if (plan) {
+      plan.writeJSON(configPath, buildConfig(configOptions));
+      return report.result(fields, plan);
     }
 
-    if (selectedP5Mode === 'instance') {
-      const tipsLines = [
-        'note.instanceTips.multiple',
-        'note.instanceTips.usage'
-      ];
-      display.note(tipsLines, 'note.instanceTips.title');
-    }
+    await createConfig(configPath, configOptions);
+    report.filesWritten(await listFiles(projectDir));
 
-    if (args.git) {
-      const gitTipsLines = ['note.gitTips.firstCommit'];
-      if (selectedDeliveryMode === 'local') {
-        gitTipsLines.push('note.gitTips.libIgnored');
-      }
-      display.note(gitTipsLines, 'note.gitTips.title');
-    }
+    // STEP: Move the finished project into place
+    await staging.commit();
+
+    return report.result(fields, plan);
   } catch (error) {
-    display.message('');
-    // For template errors, the error.message already contains the full context
-    // For version fetch errors, show a specific header
-    if (!args.template) {
-      display.error('error.fetchVersions.failed');
-    }
-    display.message(error.message);
+    const failure = toCreateP5Error(error);
 
-    if (args.verbose) {
-      display.message('');
-      display.info('info.stackTrace');
-      display.message(error.stack);
+    // STEP: Discard the staged project so nothing is left behind
+    if (staging) {
+      try {
+        await staging.rollback();
+        failure.hints.push({ key: 'error.rolledBack', vars: { path: projectPath } });
+      } catch (cleanupError) {
+        // Ignore cleanup errors
+      }
     }
 
-    // STEP: Warn user that partial project may have been created and suggest manual cleanup
-    try {
-      if (await directoryExists(targetPath)) {
-        display.message('');
-        display.warn('error.partialProjectCreated', { path: projectPath });
-        display.info('error.manualCleanup');
-      }
-    } catch (checkError) {
-      // Ignore errors checking directory existence
+    throw failure;
+  }
+}
+
+/**
+ * Checks the project name and that the target directory can be used
+ * @param {string} projectPath - Project path as given ('.' for the current directory)
+ * @param {string} cwd - Directory relative paths are resolved against
+ * @returns {Promise<{ targetPath: string, projectName: string }>} Absolute target path and project name
+ * @throws {InvalidFlagError} When the name is invalid
+ * @throws {TargetExistsError} When the directory exists, or is the current directory and not empty
+ */
+async function resolveTarget(projectPath, cwd) {
+  // Extract project name from path for display purposes
+  const projectName = projectPath === '.' ? path.basename(cwd) : path.basename(projectPath);
+
+  // Validate project name
+  const nameError = validateProjectName(projectName);
+  if (nameError) {
+    throw new InvalidFlagError('error.invalidProjectName', {}, { details: [nameError] });
+  }
+
+  const targetPath = determineTargetPath(cwd, projectPath);
+
+  // Check if target directory already exists (unless it's current directory and empty)
+  if (projectPath !== '.') {
+    if (await directoryExists(targetPath)) {
+      throw new TargetExistsError('error.directoryExists', { path: projectPath }, { hints: ['error.directoryExistsSuggestion'] });
+    }
+  } else {
+    // If creating in current directory, check if it's empty
+    const files = await fs.readdir(targetPath);
+    const hasRelevantFiles = files.some(f => !f.startsWith('.') && f !== 'node_modules');
+    if (hasRelevantFiles) {
+      throw new TargetExistsError('error.currentDirNotEmpty', {}, { hints: ['error.currentDirSuggestion'] });
     }
+  }
 
-    const helpLines = [
-      'error.persistHelp.verbose',
-      'error.persistHelp.permissions',
-      'error.persistHelp.issues'
-    ];
-    display.note(helpLines, 'error.persistHelp.title');
+  return { targetPath, projectName };
+}
 
-    process.exit(1);
+/**
+ * Validates language, p5.js mode, delivery mode, CDN and (when the version list is given) version
+ * @param {{ language?: string, p5Mode?: string, mode?: string, cdn?: string, version?: string }} choices - Choices to check; undefined ones are skipped
+ * @param {{ latest: string, versions: string[], tags?: Record<string, string> }} [versionList] - Available versions and dist-tags
+ * @throws {InvalidFlagError} When a choice is invalid
+ */
+function validateChoices(choices, versionList = null) {
+  const errors = [
+    choices.language && validateLanguage(choices.language),
+    choices.p5Mode && validateP5Mode(choices.p5Mode),
+    versionList && choices.version != null && validateVersion(choices.version, versionList.versions, versionList.latest, versionList.tags),
+    choices.mode && validateMode(choices.mode),
+    choices.cdn && validateCdn(choices.cdn)
+  ];
+
+  const error = errors.find(Boolean);
+  if (error) {
+    throw new InvalidFlagError('error.invalidOption', {}, { details: [error] });
   }
 }
@@ -2,14 +2,24 @@
  * Update module - Handles version updates and mode switching for existing p5.js projects
  * Philosophy: Business logic only, NO inline copy
  * All UI text comes from i18n layer
+ *
+ * updateProject() does the work and never prompts or exits (it is part of the programmatic API);
+ * update() is the CLI wrapper that asks what to change and shows the result.
  */
 
 import path from 'path';
-import minimist from 'minimist';
-import { readConfig, createConfig, migrateConfigIfNeeded } from '../config.js';
-import { fetchVersions, downloadP5Files, downloadTypeDefinitions } from '../version.js';
-import { injectP5Script } from '../htmlManager.js';
-import { createDirectory, readFile, writeFile, fileExists, removeDirectory } from '../utils.js';
+import { readConfig, createConfig, buildConfig, migrateConfigIfNeeded } from '../config.js';
+import { fetchVersions, resolveVersion, findNewerOutside, downloadP5Files, downloadTypeDefinitions, getP5FileUrls, getTypeDefinitionFiles } from '../version.js';
+import { HTMLManager } from '../htmlManager.js';
+import { downloadLibraryFile, getLibraryDownloadUrl } from '../libraries.js';
+import { fetchIntegrity } from '../integrity.js';
+import { createDirectory, readFile, writeFile, removeDirectory, validateMode, validateVersion, listFiles } from '../utils.js';
+import { addLibToGitignore, withLibIgnored } from '../git.js';
+import { Plan } from '../plan.js';
+import { ProjectStaging } from '../staging.js';
+import { findProjects } from '../projects.js';
+import { createReporter } from '../reporter.js';
+import { InvalidFlagError, NoProjectError, NetworkError, NotCachedError, versionListError, toCreateP5Error } from '../errors.js';
 
 // i18n
 import { t } from '../i18n/index.js';
@@ -19,72 +29,377 @@ import * as display from '../ui/display.js';
 import * as prompts from '../ui/prompts.js';
 
 /**
- * Main update function - Entry point for updating existing projects
- * Detects existing project and shows current state
+ * Main update function (CLI) - Entry point for updating existing projects
+ * Detects existing project and shows current state.
+ * When --version, --within-range and/or --mode are passed (or --yes/--silent), runs without prompts.
  * @param {string} [projectDir=process.cwd()] - The directory of the project to update
+ * @param {Object} [args={}] - Parsed command line arguments
+ * @param {string} [args.version] - Target p5.js version ("latest", a dist-tag, an exact version or a semver range)
+ * @param {boolean} [args['within-range']] - Update to the newest version matching the recorded version range
+ * @param {string} [args.mode] - Target delivery mode ("cdn" or "local")
+ * @param {boolean} [args.yes] - Skip all prompts (requires --version, --within-range and/or --mode)
+ * @param {boolean} [args.verbose] - Show detailed logging
+ * @param {boolean} [args['include-prerelease']] - Include pre-release versions
+ * @param {boolean} [args.offline] - Resolve versions and files from the artifact cache only
+ * @param {boolean} [args['dry-run']] - Print the planned changes instead of making them
+ * @param {boolean} [args.recursive] - Apply the change to every project below the directory (args._[1], or projectDir)
  * @returns {Promise<void>}
+ * @throws {import('../errors.js').CreateP5Error} When the project or the options are invalid, or a download fails
  */
-export async function update(projectDir = process.cwd()) {
-  // Parse CLI arguments for options
-  const args = minimist(process.argv.slice(2), {
-    boolean: ['include-prerelease'],
-    alias: {
-      p: 'include-prerelease'
-    }
-  });
+export async function update(projectDir = process.cwd(), args = {}) {
+  if (args.recursive) {
+    const root = args._ && args._[1] !== undefined ? path.resolve(String(args._[1])) : projectDir;
+    await updateRecursive(root, args);
+    return;
+  }
 
-  // Check for old config file and migrate if found
-  const migrationResult = await migrateConfigIfNeeded(projectDir);
+  const hasVersionFlag = args.version !== undefined;
+  const hasModeFlag = args.mode !== undefined;
+  const withinRange = Boolean(args['within-range']);
+  const nonInteractive = Boolean(args.yes) || hasVersionFlag || hasModeFlag || withinRange;
 
-  // Read existing configuration
-  const configPath = path.join(projectDir, '.p5-config.json');
-  const config = await readConfig(configPath);
+  // Read the configuration without migrating it yet; updateProject() migrates and warns about it
+  const { config } = await loadProject(projectDir, { dryRun: true });
 
   if (!config) {
-    display.error('error.update.noConfig');
-    process.exit(1);
-    return; // defensive: ensure function doesn't continue if exit is mocked
+    throw await noConfigError(projectDir);
+  }
+
+  // Validate flags before anything is changed on disk
+  if (nonInteractive) {
+    checkUpdateOptions({ version: args.version, withinRange, mode: args.mode }, config);
   }
 
   // Display current project state
-  if (config) {
-    const configLines = [
-      'note.update.currentConfig.version',
-      'note.update.currentConfig.mode',
-      'note.update.currentConfig.template',
-      config.typeDefsVersion ? 'note.update.currentConfig.types' : 'note.update.currentConfig.typesNone',
-      'note.update.currentConfig.lastUpdated'
+  const configLines = [
+    'note.update.currentConfig.version',
+    'note.update.currentConfig.mode',
+    'note.update.currentConfig.template',
+    config.typeDefsVersion ? 'note.update.currentConfig.types' : 'note.update.currentConfig.typesNone',
+    'note.update.currentConfig.lastUpdated'
+  ];
+  display.note(configLines, 'note.update.currentConfig.title', {
+    version: config.version,
+    mode: config.mode,
+    template: config.template,
+    types: config.typeDefsVersion,
+    timestamp: config.lastUpdated
+  });
+
+  const changes = nonInteractive
+    ? { version: args.version, withinRange, mode: args.mode }
+    : await chooseChanges(config, args);
+  if (!changes) {
+    return;
+  }
+
+  const result = await updateProject(projectDir, {
+    ...changes,
+    includePrerelease: Boolean(args['include-prerelease']),
+    offline: Boolean(args.offline),
+    dryRun: Boolean(args['dry-run']),
+    verbose: Boolean(args.verbose),
+    logger: display.logger,
+    onProgress: display.progress({ verbose: args.verbose })
+  });
+
+  const { changed, files, warnings, plan, ...fields } = result;
+  display.result(fields);
+  display.filesWritten(files);
+
+  if (!changed) {
+    return;
+  }
+
+  if (plan) {
+    display.plan(plan);
+    display.outro(t('note.success.dryRun'));
+    return;
+  }
+
+  if (result.version !== config.version) {
+    const summaryLines = [
+      'note.update.versionSummary.oldVersion',
+      'note.update.versionSummary.newVersion',
+      'note.update.versionSummary.types'
     ];
-    display.note(configLines, 'note.update.currentConfig.title', {
-      version: config.version,
-      mode: config.mode,
-      template: config.template,
-      types: config.typeDefsVersion,
-      timestamp: config.lastUpdated
+    display.note(summaryLines, 'note.update.versionSummary.title', {
+      oldVersion: config.version,
+      newVersion: result.version,
+      types: result.typesVersion
     });
   }
+  display.outro(t('note.success.updated'));
+}
 
-  // Show migration warning after config display (more visible)
-  if (migrationResult.migrated) {
-    display.warn('info.update.migratedConfig');
-  } else if (migrationResult.error) {
-    display.warn(migrationResult.error);
+/**
+ * Applies the same version and/or mode change to every project below a directory (CLI, never prompts).
+ * The version list is fetched once; a project that fails is reported and the others are still updated.
+ * @param {string} root - Directory to search for projects
+ * @param {Object} args - Parsed command line arguments (see update())
+ * @returns {Promise<void>}
+ * @throws {import('../errors.js').CreateP5Error} When the options are invalid, no project is found or the version list
+ *   cannot be fetched (before any project is changed), or at the end when any project failed (with the class of the first failure)
+ */
+async function updateRecursive(root, args) {
+  const changes = { version: args.version, withinRange: Boolean(args['within-range']), mode: args.mode };
+  const options = {
+    includePrerelease: Boolean(args['include-prerelease']),
+    offline: Boolean(args.offline),
+    dryRun: Boolean(args['dry-run']),
+    verbose: Boolean(args.verbose)
+  };
+
+  // The same change applies to every project: check it once, before touching any of them
+  checkUpdateOptions(changes);
+  const projects = await findProjects(root);
+  if (projects.length === 0) {
+    throw new NoProjectError('error.update.noProjectsFound', { path: root });
+  }
+  display.info('info.update.recursive.found', { count: projects.length, path: root });
+
+  if (changes.version !== undefined || changes.withinRange) {
+    const versionsSpinner = display.spinner('spinner.fetchingVersions');
+    try {
+      options.versionList = await fetchVersions(options.includePrerelease, { offline: options.offline });
+      versionsSpinner.stop('spinner.fetchedVersions');
+    } catch (error) {
+      versionsSpinner.stop('spinner.failedVersions');
+      throw versionListError(error, options.offline);
+    }
+  }
+
+  const results = [];
+  const failures = [];
+  for (const project of projects) {
+    const projectPath = project.relativePath;
+    try {
+      const result = await updateProject(project.dir, { ...changes, ...options });
+      const vars = { path: projectPath, version: result.version, mode: result.mode };
+      if (!result.changed) {
+        display.info('info.update.recursive.unchanged', vars);
+      } else if (options.dryRun) {
+        display.info('info.update.recursive.planned', vars);
+      } else {
+        display.success('info.update.recursive.updated', vars);
+      }
+      for (const warning of result.warnings) {
+        display.logger.warn(t('info.update.recursive.warning', { path: projectPath, warning }));
+      }
+      if (options.dryRun && result.changed && !display.isJsonMode()) {
+        display.plan(result.plan);
+      }
+      results.push({ path: projectPath, ok: true, version: result.version, mode: result.mode, changed: result.changed, plan: result.plan });
+    } catch (error) {
+      const failure = toCreateP5Error(error);
+      display.warn('info.update.recursive.failed', { path: projectPath, error: failure.message });
+      results.push({ path: projectPath, ok: false, error: { code: failure.code, message: failure.message } });
+      failures.push({ path: projectPath, failure });
+    }
   }
 
-  // Show update options
-  const action = await prompts.promptUpdateAction();
+  display.result({ root, projects: results });
 
-  if (action === 'cancel') {
+  if (failures.length > 0) {
+    // Exit with the code of the first failure, listing every project that failed
+    const ErrorClass = failures[0].failure.constructor;
+    throw new ErrorClass('error.update.recursiveFailed', { failed: failures.length, total: projects.length }, {
+      details: failures.map(({ path: failedPath, failure }) => t('info.update.recursive.failed', { path: failedPath, error: failure.message })),
+      // --json still lists every project, so scripts can tell which ones were updated
+      result: { root, projects: results }
+    });
+  }
+
+  const updated = results.filter(result => result.changed).length;
+  display.outro(t(options.dryRun ? 'note.success.recursiveDryRun' : 'note.success.recursiveUpdated', { updated, total: projects.length }));
+}
+
+/**
+ * Asks what to update: a new version, the latest version within the recorded range, or a mode switch
+ * (and whether to delete lib/ when leaving local mode)
+ * @param {Object} config - Current project configuration
+ * @param {Object} args - Parsed command line arguments
+ * @returns {Promise<{ version?: string, withinRange?: boolean, mode?: string, deleteLib?: boolean }|null>} The changes, or null when cancelled
+ * @throws {import('../errors.js').CreateP5Error} When the version list cannot be fetched
+ */
+async function chooseChanges(config, args) {
+  // Show update options ("latest compatible" only when the project records more than an exact version)
+  const range = config.versionSpec && config.versionSpec !== config.version ? config.versionSpec : null;
+  const action = await prompts.promptUpdateAction({ range });
+
+  if (action === 'cancel' || prompts.isCancel(action)) {
     display.info('info.update.cancelled');
-    return;
+    return null;
+  }
+
+  if (action === 'withinRange') {
+    return { withinRange: true };
   }
 
-  // Route to appropriate update function
   if (action === 'version') {
-    await updateVersion(projectDir, config, { includePrerelease: args['include-prerelease'] });
-  } else if (action === 'mode') {
-    await switchMode(projectDir, config);
+    // Let user select new version
+    let latest, versions, tags, dates;
+    try {
+      ({ latest, versions, tags, dates } = await fetchVersions(args['include-prerelease'], { offline: args.offline, dates: true }));
+    } catch (error) {
+      throw versionListError(error, args.offline);
+    }
+    const version = await prompts.promptVersion(versions, latest, { tags, dates });
+    if (prompts.isCancel(version)) {
+      display.cancel('info.update.cancelled');
+      return null;
+    }
+    return { version };
+  }
+
+  // Toggle the mode; local → CDN asks whether to delete lib/
+  const mode = config.mode === 'cdn' ? 'local' : 'cdn';
+  const deleteLib = mode === 'cdn' ? await prompts.confirmDeleteLib() : false;
+  return { mode, deleteLib };
+}
+
+/**
+ * Updates an existing p5.js project: the version first, then the delivery mode.
+ * Never prompts and never exits the process.
+ * @param {string} projectDir - The directory of the project to update
+ * @param {Object} options - What to change (at least one of `version` and `mode`)
+ * @param {string} [options.version] - Target p5.js version ("latest", a dist-tag, an exact version or a semver range)
+ * @param {boolean} [options.withinRange=false] - Update to the newest version matching the version range recorded
+ *   in .p5-config.json (instead of `version`); a newer release outside it is reported, not applied
+ * @param {'cdn'|'local'} [options.mode] - Target delivery mode
+ * @param {boolean} [options.deleteLib=false] - Delete lib/ when switching from local to CDN
+ * @param {boolean} [options.includePrerelease=false] - Accept pre-release versions
+ * @param {Object} [options.versionList] - Available versions as returned by fetchVersions(), to update many projects with one list
+ * @param {boolean} [options.offline=false] - Resolve versions and files from the artifact cache only
+ * @param {boolean} [options.dryRun=false] - Plan the changes without writing anything
+ * @param {boolean} [options.verbose=false] - Report extra details
+ * @param {import('../reporter.js').Logger} [options.logger] - Receives messages (none are shown by default)
+ * @param {(event: import('../reporter.js').ProgressEvent) => void} [options.onProgress] - Receives progress of long-running steps
+ * @returns {Promise<Object>} `{ projectPath, version, mode, language, p5Mode, typesVersion, changed, files, warnings, plan }`;
+ *   `plan` holds the planned steps of a dry run
+ * @throws {import('../errors.js').CreateP5Error} When the project or the options are invalid, or a download fails
+ */
+export async function updateProject(projectDir, options = {}) {
+  const { version, withinRange = false, mode, deleteLib = false, includePrerelease = false, offline = false, dryRun = false, verbose = false } = options;
+  const report = createReporter(options);
+  const plan = dryRun ? new Plan() : null;
+
+  // Check for old config file and migrate if found (a dry run only plans the rename)
+  const { config, migrationResult } = await loadProject(projectDir, { dryRun });
+  if (plan && migrationResult.migrated) {
+    plan.rename(path.join(projectDir, 'p5-config.json'), path.join(projectDir, '.p5-config.json'));
+  }
+
+  if (!config) {
+    throw await noConfigError(projectDir);
+  }
+  checkUpdateOptions({ version, withinRange, mode }, config);
+
+  // A dry run lists the rename in its plan
+  if (migrationResult.migrated && !plan) {
+    report.warn('info.update.migratedConfig');
+  } else if (migrationResult.error) {
+    report.warn(migrationResult.error.key, migrationResult.error.vars);
+  }
+
+  const context = { report, plan, includePrerelease, offline, verbose, versionList: options.versionList };
+  let current = config;
+  let changed = false;
+
+  if (version !== undefined || withinRange) {
+    const target = withinRange ? { version: config.versionSpec, withinRange } : { version };
+    const updated = await updateVersion(projectDir, current, { ...context, ...target });
+    if (updated) {
+      current = updated;
+      changed = true;
+    }
+  }
+
+  if (mode !== undefined) {
+    const updated = await switchMode(projectDir, current, { ...context, mode, deleteLib });
+    if (updated) {
+      current = updated;
+      changed = true;
+    }
+  }
+
+  return report.result({ ...projectFields(projectDir, current), changed }, plan);
+}
+
+/**
+ * Migrates an old p5-config.json and reads the project configuration
+ * @param {string} projectDir - The directory of the project
+ * @param {Object} [options={}] - Load options
+ * @param {boolean} [options.dryRun=false] - Leave an old config file where it is and read it from there
+ * @returns {Promise<{ config: Object|null, migrationResult: Object }>} The configuration (null if there is none) and the migration result
+ */
+async function loadProject(projectDir, { dryRun = false } = {}) {
+  const migrationResult = await migrateConfigIfNeeded(projectDir, { dryRun });
+  const configFile = dryRun && migrationResult.migrated ? 'p5-config.json' : '.p5-config.json';
+  const config = await readConfig(path.join(projectDir, configFile));
+  return { config, migrationResult };
+}
+
+/**
+ * Builds the error for a directory without .p5-config.json, pointing to `adopt` when it holds a p5.js sketch
+ * @param {string} projectDir - Project directory
+ * @returns {Promise<NoProjectError>} The error to throw
+ */
+async function noConfigError(projectDir) {
+  let hasSketch = false;
+  try {
+    hasSketch = Boolean(new HTMLManager(await readFile(path.join(projectDir, 'index.html'))).findP5Script());
+  } catch {
+    // No index.html: not a sketch either
+  }
+  return new NoProjectError('error.update.noConfig', {}, { hints: hasSketch ? ['error.update.adoptHint'] : [] });
+}
+
+/**
+ * Checks the requested changes before anything is changed on disk
+ * @param {{ version?: string, withinRange?: boolean, mode?: string }} changes - Requested version (or version range policy) and mode
+ * @param {Object} [config] - Current project configuration (omitted when checking a bulk update before reading any project)
+ * @throws {InvalidFlagError} When nothing is requested, a version is requested twice,
+ *   the project records no version range, or the mode is invalid
+ */
+function checkUpdateOptions({ version, withinRange = false, mode }, config = null) {
+  if (version === undefined && !withinRange && mode === undefined) {
+    throw new InvalidFlagError('error.update.missingOptions');
+  }
+
+  if (withinRange && version !== undefined) {
+    throw new InvalidFlagError('error.update.withinRangeConflict');
   }
+
+  if (withinRange && config && !config.versionSpec) {
+    throw new InvalidFlagError('error.update.noVersionRange', { version: config.version }, {
+      hints: [{ key: 'error.update.noVersionRangeHint', vars: { range: `^${config.version}` } }]
+    });
+  }
+
+  if (mode !== undefined) {
+    const modeError = validateMode(mode);
+    if (modeError) {
+      throw new InvalidFlagError('error.update.invalidOption', {}, { details: [modeError] });
+    }
+  }
+}
+
+/**
+ * Builds the project fields of the update result
+ * @param {string} projectDir - The directory of the project
+ * @param {Object} config - Project configuration
+ * @returns {Object} Project path, version, modes and types version
+ */
+function projectFields(projectDir, config) {
+  return {
+    projectPath: projectDir,
+    version: config.version,
+    mode: config.mode,
+    language: config.language || null,
+    p5Mode: config.p5Mode || null,
+    typesVersion: config.typeDefsVersion || null
+  };
 }
 
 /**
@@ -92,161 +407,357 @@ export async function update(projectDir = process.cwd()) {
  * Handles both CDN and local delivery modes
  * @param {string} projectDir - The directory of the project to update
  * @param {Object} config - Current project configuration from p5-config.json
- * @param {Object} [options={}] - Update options
+ * @param {Object} options - Update options
+ * @param {Object} options.report - Reporter of the operation (see src/reporter.js)
+ * @param {string} options.version - Target version specifier ("latest", a dist-tag, an exact version or a semver range)
+ * @param {boolean} [options.withinRange=false] - The specifier is the recorded range: report a newer release outside it
+ * @param {Object} [options.versionList] - Available versions from fetchVersions(), instead of fetching them
  * @param {boolean} [options.includePrerelease=false] - Whether to include pre-release versions
- * @returns {Promise<void>}
+ * @param {boolean} [options.offline=false] - Resolve versions and files from the artifact cache only
+ * @param {boolean} [options.verbose=false] - Whether to report every step
+ * @param {Plan|null} [options.plan=null] - Record the changes on this dry-run plan instead of making them
+ * @returns {Promise<Object|null>} The updated configuration, or null if nothing changed
  */
-async function updateVersion(projectDir, config, options = {}) {
-  const { includePrerelease = false, verbose = false } = options;
-
-  // Fetch available versions
-  const { latest, versions } = await fetchVersions(includePrerelease);
+async function updateVersion(projectDir, config, options) {
+  const { report, includePrerelease = false, offline = false, verbose = false, version, withinRange = false, plan = null } = options;
+
+  // Fetch available versions (unless a bulk update already did)
+  let versionList = options.versionList;
+  if (!versionList) {
+    const versionsProgress = report.spinner('versions', 'spinner.fetchingVersions');
+    try {
+      versionList = await fetchVersions(includePrerelease, { offline });
+      versionsProgress.stop('spinner.fetchedVersions');
+    } catch (error) {
+      versionsProgress.stop('spinner.failedVersions');
+      throw versionListError(error, offline);
+    }
+  }
 
   if (includePrerelease && verbose) {
-    display.info('info.includePrerelease');
+    report.info('info.includePrerelease');
   }
 
-  // Let user select new version
-  const newVersion = await prompts.promptVersion(versions, latest);
+  const versionError = validateVersion(version, versionList.versions, versionList.latest, versionList.tags);
+  if (versionError) {
+    throw new InvalidFlagError('error.update.invalidOption', {}, { details: [versionError] });
+  }
+  const newVersion = resolveVersion(version, versionList);
+
+  // Staying within the range: a newer major (or any release the range excludes) is only reported
+  const outside = withinRange ? findNewerOutside(version, versionList) : null;
+  if (outside) {
+    report.warn('info.update.outsideRange', { version: outside, range: version });
+  }
 
   if (newVersion === config.version) {
-    display.info('info.update.sameVersion');
-    return;
+    report.info('info.update.sameVersion');
+    return null;
   }
 
   if (verbose) {
-    display.info('info.update.updating', { oldVersion: config.version, newVersion });
+    report.info('info.update.updating', { oldVersion: config.version, newVersion });
   }
 
   // Update based on delivery mode
-  if (config.mode === 'local') {
-    // Re-download p5.js files for local mode
-    const libPath = path.join(projectDir, 'lib');
-    await createDirectory(libPath);
-    await downloadP5Files(newVersion, libPath);
-    if (verbose) {
-      display.success('info.update.downloadedFiles');
-    }
+  let staging = null;
+  if (config.mode === 'local' && plan) {
+    await planP5Files(plan, projectDir, newVersion, offline);
+  } else if (config.mode === 'local') {
+    // Re-download p5.js files for local mode (staged until the add-on downloads succeed too)
+    staging = await stageP5Files(projectDir, newVersion, { report, verbose, offline });
   }
 
-  // Update script tag in index.html (works for both CDN and local)
-  const indexPath = path.join(projectDir, 'index.html');
-  const htmlContent = await readFile(indexPath);
-  const updatedHtml = injectP5Script(htmlContent, newVersion, config.mode);
-  await writeFile(indexPath, updatedHtml);
-  if (verbose) {
-    display.success('info.update.updatedScript');
+  // Update p5.js and add-on library script tags in index.html (works for both CDN and local)
+  await updateScriptTags(projectDir, newVersion, config.mode, { report, verbose, offline, sri: config.sri, plan, staging });
+  if (verbose && !plan) {
+    report.success('info.update.updatedScript');
   }
 
   // Update TypeScript definitions
   const typesPath = path.join(projectDir, 'types');
-  await createDirectory(typesPath);
-  const typeDefsVersion = await downloadTypeDefinitions(newVersion, typesPath, null, config.template, config.version);
-  if (verbose && typeDefsVersion) {
-    display.success('info.update.updatedTypes', { version: typeDefsVersion });
+  let typeDefsVersion;
+  if (plan) {
+    const types = await getTypeDefinitionFiles(newVersion, config.template, config.version, { offline });
+    if (types.clearsExisting) {
+      plan.remove(typesPath);
+    }
+    for (const file of types.files) {
+      if (file.source) {
+        plan.create(path.join(typesPath, file.name), file.source);
+      } else {
+        plan.download(file.url, path.join(typesPath, file.name), { cached: offline });
+      }
+    }
+    typeDefsVersion = types.version;
+  } else {
+    await createDirectory(typesPath);
+    const typesProgress = report.spinner('types', 'spinner.downloadingTypes');
+    typeDefsVersion = await downloadTypeDefinitions(newVersion, typesPath, typesProgress, config.template, config.version, { offline });
+    if (typeDefsVersion) {
+      report.filesWritten((await listFiles(typesPath)).map(file => path.join('types', file)));
+    }
+    if (verbose && typeDefsVersion) {
+      report.success('info.update.updatedTypes', { version: typeDefsVersion });
+    }
   }
 
   // Update .p5-config.json
   const configPath = path.join(projectDir, '.p5-config.json');
-  await createConfig(configPath, {
+  const newConfig = {
+    ...config,
     version: newVersion,
-    mode: config.mode,
-    template: config.template,
+    versionSpec: version,
     typeDefsVersion
-  });
-
-  const summaryLines = [
-    'note.update.versionSummary.oldVersion',
-    'note.update.versionSummary.newVersion',
-    'note.update.versionSummary.types'
-  ];
-  display.note(summaryLines, 'note.update.versionSummary.title', {
-    oldVersion: config.version,
-    newVersion: newVersion,
-    types: typeDefsVersion
-  });
+  };
+  if (plan) {
+    plan.writeJSON(configPath, buildConfig(newConfig));
+    return newConfig;
+  }
+  await createConfig(configPath, newConfig);
+  report.filesWritten(['.p5-config.json']);
 
-  display.outro(t('note.success.updated'));
+  return newConfig;
 }
 
 /**
  * Switches delivery mode between CDN and local
  * @param {string} projectDir - The directory of the project to update
  * @param {Object} config - Current project configuration from p5-config.json
- * @param {Object} [options={}] - Update options
- * @param {boolean} [options.verbose=false] - Whether to show verbose output
- * @returns {Promise<void>}
+ * @param {Object} options - Update options
+ * @param {Object} options.report - Reporter of the operation (see src/reporter.js)
+ * @param {string} options.mode - Target mode
+ * @param {boolean} [options.deleteLib=false] - Delete lib/ when switching to CDN (it is kept otherwise)
+ * @param {boolean} [options.verbose=false] - Whether to report every step
+ * @param {boolean} [options.offline=false] - Copy p5.js files from the artifact cache only
+ * @param {Plan|null} [options.plan=null] - Record the changes on this dry-run plan instead of making them
+ * @returns {Promise<Object|null>} The updated configuration, or null if nothing changed
  */
-async function switchMode(projectDir, config, options = {}) {
-  const { verbose = false } = options;
+async function switchMode(projectDir, config, options) {
+  const { report, mode: newMode, deleteLib = false, verbose = false, offline = false, plan = null } = options;
   const currentMode = config.mode;
-  const newMode = currentMode === 'cdn' ? 'local' : 'cdn';
 
-  if (verbose) {
-    display.info('info.update.switchingMode', { oldMode: currentMode, newMode });
+  if (newMode === currentMode) {
+    report.info('info.update.sameMode', { mode: currentMode });
+    return null;
   }
 
-  if (newMode === 'local') {
-    // CDN → Local: Download files and update script tag
-    const libPath = path.join(projectDir, 'lib');
-    await createDirectory(libPath);
-    await downloadP5Files(config.version, libPath);
-    if (verbose) {
-      display.success('info.update.downloadedFiles');
-    }
+  if (verbose) {
+    report.info('info.update.switchingMode', { oldMode: currentMode, newMode });
+  }
 
-    // Update .gitignore to exclude lib/ directory
+  let staging = null;
+  if (newMode === 'local' && plan) {
     const gitignorePath = path.join(projectDir, '.gitignore');
-    let gitignoreContent = '';
-    if (await fileExists(gitignorePath)) {
-      gitignoreContent = await readFile(gitignorePath);
-    }
-
-    // Only add lib/ if not already present
-    if (!gitignoreContent.includes('lib/')) {
-      await writeFile(gitignorePath, gitignoreContent + '\n# Local p5.js files\nlib/\n');
-      if (verbose) {
-        display.success('info.update.updatedGitignore');
-      }
-    }
+    const gitignoreContent = await plan.readFile(gitignorePath) || '';
+    await planP5Files(plan, projectDir, config.version, offline);
+    plan.edit(gitignorePath, gitignoreContent, withLibIgnored(gitignoreContent));
+  } else if (newMode === 'local') {
+    // CDN → Local: Download files (staged until the add-on downloads succeed too) and update script tag
+    staging = await stageP5Files(projectDir, config.version, { report, verbose, offline });
   } else {
-    // Local → CDN: Prompt user about lib/ directory
-    const shouldDelete = await prompts.confirmDeleteLib();
-
-    if (shouldDelete) {
+    // Local → CDN: lib/ is only deleted on request
+    if (deleteLib && plan) {
+      plan.remove(path.join(projectDir, 'lib'));
+    } else if (deleteLib) {
       const libPath = path.join(projectDir, 'lib');
       try {
         await removeDirectory(libPath);
         if (verbose) {
-          display.success('info.update.deletedLib');
+          report.success('info.update.deletedLib');
         }
       } catch (error) {
-        display.info('info.update.libNotFound');
+        report.info('info.update.libNotFound');
       }
     } else {
-      display.info('info.update.libKept');
+      report.info('info.update.libKept');
     }
   }
 
-  // Update script tag in index.html
-  const indexPath = path.join(projectDir, 'index.html');
-  const htmlContent = await readFile(indexPath);
-  const updatedHtml = injectP5Script(htmlContent, config.version, newMode);
-  await writeFile(indexPath, updatedHtml);
-  if (verbose) {
-    display.success('info.update.updatedScript');
+  // Update p5.js and add-on library script tags in index.html
+  await updateScriptTags(projectDir, config.version, newMode, { report, verbose, offline, sri: config.sri, plan, staging });
+  if (verbose && !plan) {
+    report.success('info.update.updatedScript');
+  }
+
+  // Update .gitignore to exclude lib/ directory (only if not already present)
+  if (newMode === 'local' && !plan) {
+    const gitignoreUpdated = await addLibToGitignore(projectDir);
+    if (gitignoreUpdated) {
+      report.filesWritten(['.gitignore']);
+    }
+    if (gitignoreUpdated && verbose) {
+      report.success('info.update.updatedGitignore');
+    }
   }
 
   // Update .p5-config.json
   const configPath = path.join(projectDir, '.p5-config.json');
-  await createConfig(configPath, {
-    version: config.version,
-    mode: newMode,
-    template: config.template,
-    typeDefsVersion: config.typeDefsVersion
-  });
+  const newConfig = {
+    ...config,
+    mode: newMode
+  };
+  if (plan) {
+    plan.writeJSON(configPath, buildConfig(newConfig));
+    return newConfig;
+  }
+  await createConfig(configPath, newConfig);
+  report.filesWritten(['.p5-config.json']);
 
-  display.success('info.update.modeUpdated', { oldMode: currentMode, newMode });
+  report.success('info.update.modeUpdated', { oldMode: currentMode, newMode });
 
-  display.outro(t('note.success.updated'));
+  return newConfig;
+}
+
+/**
+ * Rewrites the p5.js and add-on library script tags in index.html for a version and mode.
+ * In local mode, add-on builds are downloaded into lib/ before index.html is written.
+ * Warns about add-ons that have no build for the target p5.js major (their tags are left as-is).
+ * When the project uses Subresource Integrity (config.sri or existing `integrity` attributes),
+ * fresh hashes are computed for the new CDN URLs; stale ones are always removed.
+ * @param {string} projectDir - The directory of the project to update
+ * @param {string} version - Target p5.js version
+ * @param {string} mode - Target delivery mode: 'cdn' or 'local'
+ * @param {Object} options - Update options
+ * @param {Object} options.report - Reporter of the operation (see src/reporter.js)
+ * @param {boolean} [options.verbose=false] - Whether to report every step
+ * @param {boolean} [options.offline=false] - No network access: integrity hashes are dropped instead of refreshed
+ * @param {boolean} [options.sri=false] - Whether the project opted into Subresource Integrity
+ * @param {Plan|null} [options.plan=null] - Record the downloads and the index.html edit on this dry-run plan
+ * @param {ProjectStaging|null} [options.staging=null] - Staged lib/ files (see stageP5Files()): add-on builds are downloaded
+ *   into it too, and it is moved into lib/ just before index.html is written, or removed if anything fails
+ * @returns {Promise<void>}
+ * @throws {NetworkError} When an add-on build cannot be downloaded (nothing is changed then)
+ */
+async function updateScriptTags(projectDir, version, mode, options) {
+  const { staging = null } = options;
+  try {
+    await rewriteScriptTags(projectDir, version, mode, options);
+  } catch (error) {
+    if (staging) {
+      await staging.rollback();
+    }
+    throw error;
+  }
+}
+
+/**
+ * Does the work of updateScriptTags(), which removes the staged files if it fails
+ * @param {string} projectDir - The directory of the project to update
+ * @param {string} version - Target p5.js version
+ * @param {string} mode - Target delivery mode: 'cdn' or 'local'
+ * @param {Object} options - Options of updateScriptTags()
+ * @returns {Promise<void>}
+ */
+async function rewriteScriptTags(projectDir, version, mode, options) {
+  const { report, verbose = false, offline = false, sri = false, plan = null, staging = null } = options;
+  const indexPath = path.join(projectDir, 'index.html');
+  const htmlContent = plan ? await plan.readFile(indexPath) : await readFile(indexPath);
+  const mgr = new HTMLManager(htmlContent);
+
+  // In a dry run, hashes are not computed; the tags show a placeholder instead
+  const getIntegrity = async (url) => {
+    if (!plan) return await fetchIntegrity(url);
+    plan.integrity(url);
+    return t('note.plan.integrityPending');
+  };
+
+  let useIntegrity = mode === 'cdn' && (sri || mgr.usesIntegrity());
+  if (useIntegrity && offline) {
+    report.warn('info.integrity.skippedOffline');
+    useIntegrity = false;
+  }
+
+  const integrity = useIntegrity ? await getIntegrity(mgr.getP5ScriptURL(version, mode)) : null;
+  mgr.updateP5Script(version, mode, { integrity });
+  const { updated, unsupported } = mgr.updateLibraryScripts(version, mode);
+
+  if (useIntegrity) {
+    for (const { build, scriptNode } of updated) {
+      mgr.setScriptIntegrity(scriptNode, await getIntegrity(build.url));
+    }
+  }
+
+  if (mode === 'local' && updated.length > 0) {
+    const libPath = path.join(projectDir, 'lib');
+    const downloadPath = staging ? staging.path : libPath;
+    if (!plan) {
+      await createDirectory(downloadPath);
+    }
+    for (const { name, build } of updated) {
+      if (plan) {
+        plan.download(await getLibraryDownloadUrl(build), path.join(libPath, build.file), { cached: offline });
+        continue;
+      }
+      try {
+        await downloadLibraryFile(build, downloadPath, { offline });
+      } catch (error) {
+        if (error instanceof NotCachedError) throw error;
+        throw new NetworkError('error.library.downloadFailed', { name }, { details: [error.message], cause: error });
+      }
+      report.filesWritten([path.join('lib', build.file)]);
+    }
+  }
+
+  if (plan) {
+    plan.edit(indexPath, htmlContent, mgr.serialize());
+  } else {
+    if (staging) {
+      await staging.commit();
+    }
+    await writeFile(indexPath, mgr.serialize());
+    report.filesWritten(['index.html']);
+  }
+
+  for (const name of unsupported) {
+    report.warn('info.update.libraryNoBuild', { name, version });
+  }
+
+  if (verbose && !plan && updated.length > 0) {
+    report.success('info.update.updatedLibraries', { names: updated.map(lib => lib.name).join(', ') });
+  }
+
+  if (verbose && !plan && integrity) {
+    report.success('info.integrity.updated');
+  }
+}
+
+/**
+ * Downloads the p5.js files of local mode into a staging directory for lib/, which updateScriptTags()
+ * moves into place once the add-on builds are downloaded too
+ * @param {string} projectDir - The directory of the project
+ * @param {string} version - p5.js version to download
+ * @param {Object} options - Update options
+ * @param {Object} options.report - Reporter of the operation (see src/reporter.js)
+ * @param {boolean} [options.verbose=false] - Whether to report every step
+ * @param {boolean} [options.offline=false] - Copy p5.js files from the artifact cache only
+ * @returns {Promise<ProjectStaging>} The staged lib/ files
+ */
+async function stageP5Files(projectDir, version, { report, verbose = false, offline = false }) {
+  const staging = await ProjectStaging.create(path.join(projectDir, 'lib'));
+  try {
+    await downloadP5Files(version, staging.path, report.spinner('p5', 'spinner.downloadingP5File', { filename: 'p5.js' }), { offline });
+  } catch (error) {
+    await staging.rollback();
+    throw error;
+  }
+  report.filesWritten((await getP5FileUrls(version)).map(({ name }) => path.join('lib', name)));
+  if (verbose) {
+    report.success('info.update.downloadedFiles');
+  }
+  return staging;
+}
+
+/**
+ * Records the p5.js file downloads of local mode on a dry-run plan
+ * @param {Plan} plan - The dry-run plan
+ * @param {string} projectDir - The directory of the project
+ * @param {string} version - p5.js version to download
+ * @param {boolean} offline - Whether the files come from the artifact cache
+ * @returns {Promise<void>}
+ */
+async function planP5Files(plan, projectDir, version, offline) {
+  for (const { name, url } of await getP5FileUrls(version)) {
+    plan.download(url, path.join(projectDir, 'lib', name), { cached: offline });
+  }
 }
@@ -0,0 +1,196 @@
+/**
+ * Plan - Records the changes an operation would make, for --dry-run
+ * Operations that receive a Plan record steps on it instead of touching the disk.
+ * readFile() returns planned content, so later steps see earlier (unwritten) edits.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * @typedef {Object} PlanStep
+ * @property {'create'|'rename'|'delete'|'download'|'integrity'|'template'|'run'|'edit'|'config'} type - Kind of change
+ * @property {string} [path] - File or directory affected (create, delete, edit, config)
+ * @property {string} [from] - Source path (rename)
+ * @property {string} [to] - Destination path (rename)
+ * @property {string} [url] - URL to download (download, integrity)
+ * @property {string} [destination] - Where a download or template is written
+ * @property {boolean} [cached] - Whether a download is copied from the artifact cache
+ * @property {string} [template] - Community template spec (template)
+ * @property {string} [command] - Command to run (run)
+ * @property {string} [cwd] - Directory the command runs in (run)
+ * @property {Array<{op: '+'|'-', line: string}>} [diff] - Changed lines (edit)
+ * @property {string} [content] - File content (config)
+ */
+
+/**
+ * An ordered list of planned changes
+ */
+export class Plan {
+  constructor() {
+    /** @type {PlanStep[]} */
+    this.steps = [];
+    /** @type {Map<string, string>} Planned content of edited files */
+    this.contents = new Map();
+    /** @type {Map<string, string>} Files that will be copied, by destination */
+    this.sources = new Map();
+  }
+
+  /**
+   * Records a new file, optionally copied from an existing one
+   * @param {string} filePath - File to create
+   * @param {string} [sourcePath] - File it is copied from
+   */
+  create(filePath, sourcePath = null) {
+    this.steps.push({ type: 'create', path: filePath });
+    if (sourcePath) {
+      this.sources.set(filePath, sourcePath);
+    }
+  }
+
+  /**
+   * Records a file for every file in a directory (recursively), like copyTemplateFiles()
+   * @param {string} sourceDir - Directory to copy
+   * @param {string} targetDir - Destination directory
+   * @returns {Promise<void>}
+   */
+  async copyDirectory(sourceDir, targetDir) {
+    const entries = await fs.readdir(sourceDir, { withFileTypes: true });
+    for (const entry of entries) {
+      const sourcePath = path.join(sourceDir, entry.name);
+      const targetPath = path.join(targetDir, entry.name);
+      if (entry.isDirectory()) {
+        await this.copyDirectory(sourcePath, targetPath);
+      } else {
+        this.create(targetPath, sourcePath);
+      }
+    }
+  }
+
+  /**
+   * Records a rename
+   * @param {string} from - Current path
+   * @param {string} to - New path
+   */
+  rename(from, to) {
+    this.steps.push({ type: 'rename', from, to });
+  }
+
+  /**
+   * Records a deletion
+   * @param {string} filePath - File or directory to delete
+   */
+  remove(filePath) {
+    this.steps.push({ type: 'delete', path: filePath });
+  }
+
+  /**
+   * Records a download
+   * @param {string|null} url - URL to download (null when only the cache is used)
+   * @param {string} destination - File the download is written to
+   * @param {Object} [options={}] - Download options
+   * @param {boolean} [options.cached=false] - Whether the file is copied from the artifact cache
+   */
+  download(url, destination, { cached = false } = {}) {
+    this.steps.push({ type: 'download', url, destination, cached });
+  }
+
+  /**
+   * Records a download that is only hashed for a Subresource Integrity attribute
+   * @param {string} url - URL of the script
+   */
+  integrity(url) {
+    this.steps.push({ type: 'integrity', url });
+  }
+
+  /**
+   * Records fetching a community template
+   * @param {string} template - Template spec
+   * @param {string} destination - Project directory
+   */
+  template(template, destination) {
+    this.steps.push({ type: 'template', template, destination });
+  }
+
+  /**
+   * Records a command
+   * @param {string} command - Command line
+   * @param {string} cwd - Directory it runs in
+   */
+  run(command, cwd) {
+    this.steps.push({ type: 'run', command, cwd });
+  }
+
+  /**
+   * Records an edit of a text file (nothing is recorded when the content does not change)
+   * @param {string} filePath - File to edit (created when it does not exist yet)
+   * @param {string} before - Current content ('' for a new file)
+   * @param {string} after - New content
+   */
+  edit(filePath, before, after) {
+    if (before === after) return;
+    this.steps.push({ type: 'edit', path: filePath, diff: diffLines(before, after) });
+    this.contents.set(filePath, after);
+  }
+
+  /**
+   * Records writing a JSON file (the project config)
+   * @param {string} filePath - File to write
+   * @param {Object} data - Content
+   */
+  writeJSON(filePath, data) {
+    const content = JSON.stringify(data, null, 2);
+    this.steps.push({ type: 'config', path: filePath, content });
+    this.contents.set(filePath, content);
+  }
+
+  /**
+   * Reads a file as it will be once the planned steps so far are applied
+   * @param {string} filePath - File to read
+   * @returns {Promise<string|null>} The content, or null if the file does not exist
+   */
+  async readFile(filePath) {
+    if (this.contents.has(filePath)) {
+      return this.contents.get(filePath);
+    }
+    try {
+      return await fs.readFile(this.sources.get(filePath) || filePath, 'utf-8');
+    } catch {
+      return null;
+    }
+  }
+}
+
+/**
+ * Computes the lines removed and added between two texts (longest common subsequence)
+ * @param {string} before - Old text
+ * @param {string} after - New text
+ * @returns {Array<{op: '+'|'-', line: string}>} Removed and added lines, in file order
+ */
+export function diffLines(before, after) {
+  const a = before ? before.split('\n') : [];
+  const b = after ? after.split('\n') : [];
+
+  // lengths[i][j] = length of the LCS of a[i..] and b[j..]
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const diff = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      i++;
+      j++;
+    } else if (i < a.length && (j === b.length || lengths[i + 1][j] >= lengths[i][j + 1])) {
+      diff.push({ op: '-', line: a[i++] });
+    } else {
+      diff.push({ op: '+', line: b[j++] });
+    }
+  }
+  return diff;
+}
@@ -0,0 +1,172 @@
+/**
+ * Presets - Named sets of custom setup choices, saved from the wizard
+ * Stored in presets.json in the user config directory:
+ *
+ *   {
+ *     "workshop-local": {
+ *       "version": "2.1.1",
+ *       "mode": "local",
+ *       "language": "javascript",
+ *       "p5Mode": "global",
+ *       "git": true,
+ *       "types": true
+ *     }
+ *   }
+ *
+ * A preset is offered in the setup type prompt and can be used with --preset <name>.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { t } from './i18n/index.js';
+import { getUserConfigDir } from './userConfig.js';
+import { writeJSON } from './utils.js';
+import { validateAnswers } from './answers.js';
+import { CreateP5Error, ConfigError, InvalidFlagError } from './errors.js';
+
+/** Choices a preset holds */
+const PRESET_KEYS = ['version', 'mode', 'language', 'p5Mode', 'git', 'types'];
+
+/**
+ * Returns the path of the presets file
+ * @returns {string} Absolute path to presets.json
+ */
+export function getPresetsPath() {
+  return path.join(getUserConfigDir(), 'presets.json');
+}
+
+/**
+ * Checks that a preset name can be saved and typed on the command line
+ * @param {string} name - Preset name
+ * @returns {string|null} Error message if invalid, null if valid
+ */
+export function validatePresetName(name) {
+  if (!/^[a-z0-9][a-z0-9._-]{0,49}$/i.test(name)) {
+    return t('error.presets.invalidName', { name });
+  }
+  return null;
+}
+
+/**
+ * Reads all saved presets
+ * @returns {Promise<Record<string, Object>>} Presets by name (empty when none have been saved)
+ * @throws {ConfigError} When the presets file cannot be parsed or holds an invalid preset
+ */
+export async function readPresets() {
+  const file = getPresetsPath();
+  let presets;
+  try {
+    presets = JSON.parse(await fs.readFile(file, 'utf-8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return {};
+    }
+    throw new ConfigError('error.presets.unreadable', { file, error: error.message }, { cause: error });
+  }
+
+  if (!presets || typeof presets !== 'object' || Array.isArray(presets)) {
+    throw new ConfigError('error.presets.invalid', { file }, { details: [t('error.presets.notObject')] });
+  }
+  for (const [name, preset] of Object.entries(presets)) {
+    const errors = [validatePresetName(name), ...validatePreset(preset)].filter(Boolean);
+    if (errors.length > 0) {
+      throw new ConfigError('error.presets.invalidPreset', { file, name }, { details: errors });
+    }
+  }
+  return presets;
+}
+
+/**
+ * Returns one saved preset
+ * @param {string} name - Preset name
+ * @returns {Promise<Object>} The preset's choices
+ * @throws {InvalidFlagError} When there is no preset with that name
+ * @throws {ConfigError} When the presets file cannot be read
+ */
+export async function getPreset(name) {
+  const presets = await readPresets();
+  if (!Object.hasOwn(presets, name)) {
+    throw notFound(name, presets);
+  }
+  return presets[name];
+}
+
+/**
+ * Saves choices as a preset, replacing any preset with the same name
+ * @param {string} name - Preset name
+ * @param {Object} choices - Choices to save (keys other than the preset keys are dropped)
+ * @returns {Promise<void>}
+ * @throws {InvalidFlagError} When the name is invalid
+ * @throws {CreateP5Error} When the presets file cannot be written
+ */
+export async function savePreset(name, choices) {
+  if (validatePresetName(name)) {
+    throw new InvalidFlagError('error.presets.invalidName', { name });
+  }
+
+  const presets = await readPresets();
+  presets[name] = Object.fromEntries(PRESET_KEYS.filter(key => choices[key] !== undefined).map(key => [key, choices[key]]));
+  await writePresets(presets);
+}
+
+/**
+ * Removes a saved preset
+ * @param {string} name - Preset name
+ * @returns {Promise<void>}
+ * @throws {InvalidFlagError} When there is no preset with that name
+ * @throws {CreateP5Error} When the presets file cannot be written
+ */
+export async function removePreset(name) {
+  const presets = await readPresets();
+  if (!Object.hasOwn(presets, name)) {
+    throw notFound(name, presets);
+  }
+  delete presets[name];
+  await writePresets(presets);
+}
+
+/**
+ * Checks the keys, types and values of one preset
+ * @param {any} preset - Parsed preset
+ * @returns {string[]} Error messages (empty when the preset is valid)
+ */
+function validatePreset(preset) {
+  if (!preset || typeof preset !== 'object' || Array.isArray(preset)) {
+    return [t('error.presets.notObject')];
+  }
+  const unknown = Object.keys(preset).filter(key => !PRESET_KEYS.includes(key));
+  if (unknown.length > 0) {
+    return unknown.map(key => t('error.presets.unknownKey', { key, keys: PRESET_KEYS.join(', ') }));
+  }
+  // Presets hold a subset of the answers file keys, checked the same way
+  return validateAnswers(preset);
+}
+
+/**
+ * Writes all presets, creating the user config directory if needed
+ * @param {Record<string, Object>} presets - Presets by name
+ * @returns {Promise<void>}
+ * @throws {CreateP5Error} When the file cannot be written
+ */
+async function writePresets(presets) {
+  const file = getPresetsPath();
+  try {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await writeJSON(file, presets);
+  } catch (error) {
+    throw new CreateP5Error('error.presets.saveFailed', { file, error: error.message }, { cause: error });
+  }
+}
+
+/**
+ * Builds the error for a preset name that has not been saved
+ * @param {string} name - Preset name
+ * @param {Record<string, Object>} presets - Saved presets
+ * @returns {InvalidFlagError} The error, listing the saved presets
+ */
+function notFound(name, presets) {
+  const names = Object.keys(presets);
+  return new InvalidFlagError('error.presets.notFound', { name }, {
+    hints: [names.length > 0 ? { key: 'error.presets.available', vars: { names: names.join(', ') } } : 'error.presets.noneSaved']
+  });
+}
@@ -0,0 +1,67 @@
+/**
+ * Projects - Finds the create-p5 projects in a directory tree
+ * A project is a directory holding a .p5-config.json (or an old p5-config.json, before migration).
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { readConfig } from './config.js';
+
+/** Config file names, newest first */
+const CONFIG_FILES = ['.p5-config.json', 'p5-config.json'];
+
+/** Directories that never hold sketches */
+const SKIPPED_DIRECTORIES = ['node_modules'];
+
+/**
+ * @typedef {Object} FoundProject
+ * @property {string} dir - Absolute path of the project directory
+ * @property {string} relativePath - Path relative to the searched root ('.' for the root itself)
+ * @property {string} configFile - Absolute path of its config file
+ */
+
+/**
+ * Finds the projects under a directory, in path order. The search does not descend into
+ * projects (their subdirectories are not sketches), hidden directories or node_modules.
+ * @param {string} root - Directory to search
+ * @returns {Promise<FoundProject[]>} The projects found
+ */
+export async function findProjects(root) {
+  const projects = [];
+
+  const walk = async (dir) => {
+    let entries;
+    try {
+      entries = await fs.readdir(dir, { withFileTypes: true });
+    } catch {
+      // Unreadable directories are skipped like any directory without a project
+      return;
+    }
+
+    const configFile = CONFIG_FILES.find(name => entries.some(entry => entry.isFile() && entry.name === name));
+    if (configFile) {
+      projects.push({ dir, relativePath: path.relative(root, dir) || '.', configFile: path.join(dir, configFile) });
+      return;
+    }
+
+    const subdirectories = entries
+      .filter(entry => entry.isDirectory() && !entry.name.startsWith('.') && !SKIPPED_DIRECTORIES.includes(entry.name))
+      .map(entry => entry.name)
+      .sort();
+    for (const name of subdirectories) {
+      await walk(path.join(dir, name));
+    }
+  };
+
+  await walk(path.resolve(root));
+  return projects;
+}
+
+/**
+ * Reads the configuration of a found project (without migrating an old config file)
+ * @param {FoundProject} project - Project found by findProjects()
+ * @returns {Promise<Object|null>} The configuration, or null if it cannot be parsed
+ */
+export async function readProjectConfig(project) {
+  return await readConfig(project.configFile);
+}
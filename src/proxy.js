@@ -0,0 +1,64 @@
+/**
+ * Proxy support - Routes outbound requests through the standard proxy variables
+ * HTTPS_PROXY / HTTP_PROXY / NO_PROXY (upper- or lowercase) are honoured by proxyFetch(),
+ * which sends fetch() through an undici EnvHttpProxyAgent dispatcher. The HTTP client
+ * (http.js) follows redirects itself, so every hop gets its own proxy / NO_PROXY decision.
+ * Without proxy variables, requests go out exactly as before.
+ */
+
+import { EnvHttpProxyAgent, fetch as undiciFetch } from 'undici';
+
+/**
+ * Reads a proxy environment variable, preferring the lowercase spelling like curl does
+ * @param {string} name - Uppercase variable name (e.g., 'HTTPS_PROXY')
+ * @returns {string} The value, or an empty string when unset
+ */
+function readEnv(name) {
+  return process.env[name.toLowerCase()] || process.env[name] || '';
+}
+
+/**
+ * Returns the proxy configured for HTTPS requests, for clients that cannot take the
+ * proxy dispatcher (degit). NO_PROXY is only applied by the dispatcher.
+ * @returns {string|null} Proxy URL, or null when no proxy is configured
+ */
+export function getHttpsProxy() {
+  return readEnv('HTTPS_PROXY') || readEnv('HTTP_PROXY') || null;
+}
+
+let dispatcherCache = { key: null, dispatcher: null };
+
+/**
+ * Returns the dispatcher that routes fetch() calls through the configured proxies.
+ * The dispatcher is rebuilt when the proxy variables change.
+ * @returns {EnvHttpProxyAgent|null} The dispatcher, or null when no proxy is configured
+ */
+export function getProxyDispatcher() {
+  const httpProxy = readEnv('HTTP_PROXY');
+  const httpsProxy = getHttpsProxy() || '';
+  const noProxy = readEnv('NO_PROXY');
+  const key = [httpProxy, httpsProxy, noProxy].join('|');
+
+  if (dispatcherCache.key !== key) {
+    const dispatcher = httpProxy || httpsProxy
+      ? new EnvHttpProxyAgent({ httpProxy: httpProxy || undefined, httpsProxy: httpsProxy || undefined, noProxy })
+      : null;
+    dispatcherCache = { key, dispatcher };
+  }
+
+  return dispatcherCache.dispatcher;
+}
+
+/**
+ * fetch() that honours the proxy variables
+ * @param {string} url - URL to fetch
+ * @param {RequestInit} [init] - fetch options
+ * @returns {Promise<Response>} The response
+ */
+export async function proxyFetch(url, init) {
+  const dispatcher = getProxyDispatcher();
+  if (!dispatcher) {
+    return init ? await fetch(url, init) : await fetch(url);
+  }
+  return await undiciFetch(url, { ...init, dispatcher });
+}
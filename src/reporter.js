@@ -0,0 +1,94 @@
+/**
+ * Reporter - Output of the programmatic API (createProject, updateProject)
+ * Operations report through a reporter instead of the display module, so callers
+ * choose where messages go: the CLI shows them with display.logger and display.progress,
+ * scripts pass their own logger and progress callback (or nothing, to stay quiet).
+ */
+
+import { t } from './i18n/index.js';
+
+/**
+ * @typedef {Object} Logger
+ * @property {(message: string) => void} [info] - Informational message
+ * @property {(message: string) => void} [success] - A step completed
+ * @property {(message: string) => void} [warn] - Something was skipped or may need attention
+ */
+
+/**
+ * @typedef {Object} ProgressEvent
+ * @property {string} step - Step the event belongs to (e.g., 'versions', 'copy', 'p5', 'types')
+ * @property {'start'|'update'|'end'} status - The step started, reported progress, or ended (successfully or not)
+ * @property {string} message - Translated message
+ * @property {string} key - Translation key of the message
+ * @property {Record<string, any>} [vars] - Variables of the message
+ */
+
+/**
+ * Creates the reporter for one operation
+ * @param {Object} [options={}] - Operation options
+ * @param {Logger} [options.logger] - Receives translated messages; missing methods are ignored
+ * @param {(event: ProgressEvent) => void} [options.onProgress] - Receives progress of long-running steps
+ * @returns {Object} Reporter with info/success/warn(key, vars), spinner(step, key, vars),
+ *   filesWritten(files) and result(fields, plan) methods
+ */
+export function createReporter({ logger = {}, onProgress = null } = {}) {
+  const files = [];
+  const warnings = [];
+
+  const log = (level, key, vars) => {
+    const message = t(key, vars);
+    if (typeof logger[level] === 'function') {
+      logger[level](message);
+    }
+    return message;
+  };
+
+  const progress = (step, status, key, vars) => {
+    if (onProgress) {
+      onProgress({ step, status, message: t(key, vars), key, vars });
+    }
+  };
+
+  return {
+    info: (key, vars) => log('info', key, vars),
+    success: (key, vars) => log('success', key, vars),
+    warn: (key, vars) => warnings.push(log('warn', key, vars)),
+
+    /**
+     * Starts a step; the returned object has the spinner interface the download functions expect
+     * @param {string} step - Step name
+     * @param {string} key - Translation key of the start message
+     * @param {Record<string, any>} [vars] - Variables for interpolation
+     * @returns {{ message: Function, stop: Function }} Reports updates and the end of the step
+     */
+    spinner(step, key, vars) {
+      progress(step, 'start', key, vars);
+      return {
+        message: (key, vars) => progress(step, 'update', key, vars),
+        stop: (key, vars) => progress(step, 'end', key, vars)
+      };
+    },
+
+    /**
+     * Records files written, relative to the project directory
+     * @param {string[]} written - File paths
+     */
+    filesWritten(written) {
+      for (const file of written) {
+        if (!files.includes(file)) {
+          files.push(file);
+        }
+      }
+    },
+
+    /**
+     * Builds the result object returned to the caller
+     * @param {Record<string, any>} fields - Project fields
+     * @param {import('./plan.js').Plan|null} plan - The dry-run plan, if any
+     * @returns {Object} The fields with `files`, `warnings` and `plan` (the planned steps, or null)
+     */
+    result(fields, plan) {
+      return { ...fields, files, warnings, plan: plan ? plan.steps : null };
+    }
+  };
+}
@@ -0,0 +1,158 @@
+/**
+ * Staging - Builds a new project in a temporary directory next to its target
+ * Everything is written to the staging directory; it is moved into place only by
+ * commit(). Until then, any failure, process exit or Ctrl-C removes it again,
+ * so the target is never left half-built.
+ */
+
+import fs from 'fs/promises';
+import { rmSync, existsSync } from 'fs';
+import path from 'path';
+
+/**
+ * A staging directory for one project
+ */
+export class ProjectStaging {
+  /**
+   * Creates the staging directory for a target path.
+   * A new target is staged in a hidden sibling directory and renamed into place;
+   * an existing target (scaffolding into the current directory) is staged inside it
+   * and its entries are moved up on commit. Both stay on the same filesystem.
+   * @param {string} targetPath - Absolute path of the project directory
+   * @returns {Promise<ProjectStaging>} The staging directory
+   */
+  static async create(targetPath) {
+    const targetExists = existsSync(targetPath);
+    const parentPath = targetExists ? targetPath : path.dirname(targetPath);
+
+    // mkdir returns the first directory it had to create, which rollback removes again
+    const createdParent = targetExists ? undefined : await fs.mkdir(parentPath, { recursive: true });
+    const stagingPath = await fs.mkdtemp(path.join(parentPath, `.${path.basename(targetPath)}.create-p5-`));
+
+    const staging = new ProjectStaging(targetPath, stagingPath, createdParent || null);
+    staging.watch();
+
+    // Keep an existing .gitignore so git setup extends it instead of replacing it
+    if (targetExists && existsSync(path.join(targetPath, '.gitignore'))) {
+      await fs.copyFile(path.join(targetPath, '.gitignore'), path.join(stagingPath, '.gitignore'));
+    }
+
+    return staging;
+  }
+
+  /**
+   * @param {string} targetPath - Absolute path of the project directory
+   * @param {string} stagingPath - Absolute path of the staging directory
+   * @param {string|null} createdParent - Topmost parent directory created for staging, if any
+   */
+  constructor(targetPath, stagingPath, createdParent) {
+    this.targetPath = targetPath;
+    this.path = stagingPath;
+    this.createdParent = createdParent;
+    this.done = false;
+    this.onExit = () => this.rollbackSync();
+    this.onSigint = () => {
+      this.rollbackSync();
+      process.exit(130);
+    };
+  }
+
+  /**
+   * Removes the staging directory if the process exits or is interrupted before commit()
+   */
+  watch() {
+    process.on('exit', this.onExit);
+    process.on('SIGINT', this.onSigint);
+  }
+
+  /**
+   * Stops watching for exit and Ctrl-C
+   */
+  unwatch() {
+    process.off('exit', this.onExit);
+    process.off('SIGINT', this.onSigint);
+  }
+
+  /**
+   * Moves the staged project into place
+   * @returns {Promise<void>}
+   */
+  async commit() {
+    if (this.done) return;
+
+    if (existsSync(this.targetPath)) {
+      await moveEntries(this.path, this.targetPath);
+      await fs.rm(this.path, { recursive: true, force: true });
+    } else {
+      await fs.rename(this.path, this.targetPath);
+    }
+
+    this.done = true;
+    this.unwatch();
+  }
+
+  /**
+   * Removes the staging directory (and parent directories created for it)
+   * @returns {Promise<void>}
+   */
+  async rollback() {
+    if (this.done) return;
+    this.done = true;
+    this.unwatch();
+
+    await fs.rm(this.path, { recursive: true, force: true });
+    if (this.createdParent) {
+      await fs.rm(this.createdParent, { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * Synchronous rollback for exit handlers, where async work never completes
+   */
+  rollbackSync() {
+    if (this.done) return;
+    this.done = true;
+    this.unwatch();
+
+    try {
+      rmSync(this.path, { recursive: true, force: true });
+      if (this.createdParent) {
+        rmSync(this.createdParent, { recursive: true, force: true });
+      }
+    } catch {
+      // ignore - the process is exiting
+    }
+  }
+}
+
+/**
+ * Moves the entries of a directory into an existing directory.
+ * Existing files are replaced and existing directories are merged; an existing
+ * .git directory is kept as it is (the project is already a repository).
+ * @param {string} sourceDir - Directory to empty
+ * @param {string} targetDir - Directory to move entries into
+ * @returns {Promise<void>}
+ */
+async function moveEntries(sourceDir, targetDir) {
+  const entries = await fs.readdir(sourceDir, { withFileTypes: true });
+
+  for (const entry of entries) {
+    const sourcePath = path.join(sourceDir, entry.name);
+    const targetPath = path.join(targetDir, entry.name);
+
+    let targetStats = null;
+    try {
+      targetStats = await fs.stat(targetPath);
+    } catch {
+      // does not exist yet
+    }
+
+    if (targetStats && targetStats.isDirectory() && entry.isDirectory()) {
+      if (entry.name !== '.git') {
+        await moveEntries(sourcePath, targetPath);
+      }
+    } else {
+      await fs.rename(sourcePath, targetPath);
+    }
+  }
+}
@@ -1,6 +1,7 @@
 import degit from 'degit';
 import { parseGitHubSpec, isSingleFile, downloadSingleFile, downloadGitHubArchive } from './githubFallback.js';
 import { parseCodebergSpec, downloadCodebergArchive, downloadCodebergSingleFile } from './codebergFallback.js';
+import { getHttpsProxy } from './proxy.js';
 
 /**
  * Detect whether the provided template spec refers to a remote template
@@ -205,9 +206,12 @@ export async function fetchTemplate(templateSpec, targetPath, options = {}) {
     return;
   }
 
-  // Try degit first for directories, repos, and non-GitHub hosts
+  // Try degit first for directories, repos, and non-GitHub hosts.
   try {
     const emitter = degit(spec, { cache: false, force: true, verbose: !!options.verbose });
+    // degit only picks up the lowercase https_proxy variable when it is created, so give it
+    // the proxy from any of the proxy variables directly instead of changing the environment
+    emitter.proxy = getHttpsProxy() || undefined;
     await emitter.clone(targetPath);
     return;
   } catch (degitError) {
@@ -4,12 +4,16 @@
  * Applies formatting (colors) but no hardcoded text
  */
 
+import path from 'path';
+import { writeSync } from 'fs';
 import * as p from '@clack/prompts';
 import { blue, red, green, cyan, bgMagenta, white, gray } from 'kolorist';
 import { t } from '../i18n/index.js';
 import { VERSION } from '../version.js';
 
 let silentModeEnabled = false;
+let jsonModeEnabled = false;
+let jsonState = createJsonState();
 
 const SUPPRESSIBLE_TYPES = new Set([
   'intro',
@@ -25,11 +29,15 @@ const SUPPRESSIBLE_TYPES = new Set([
 /**
  * Determine if output should be suppressed based on silent mode settings.
  * Errors (and warnings) should always be shown so users can diagnose failures.
+ * JSON mode suppresses everything; errors and warnings go into the JSON output instead.
  *
  * @param {string} type - Type of message being displayed
  * @returns {boolean} Whether the message should be suppressed
  */
 function shouldSuppress(type) {
+  if (jsonModeEnabled) {
+    return true;
+  }
   if (!silentModeEnabled) {
     return false;
   }
@@ -46,6 +54,89 @@ export function setSilentMode(enabled) {
   silentModeEnabled = Boolean(enabled);
 }
 
+/**
+ * Creates the empty state collected for --json output
+ * @returns {{ result: Object, files: string[], warnings: string[], error: Object|null, messages: string[] }} Fresh state
+ */
+function createJsonState() {
+  return { result: {}, files: [], warnings: [], error: null, failedResult: {}, messages: [] };
+}
+
+/**
+ * Writes the JSON result when the process exits (every exit path ends here, including errors)
+ * @param {number} exitCode - Exit code of the process
+ */
+function writeJsonOutput(exitCode) {
+  writeSync(1, JSON.stringify(getJsonOutput(exitCode), null, 2) + '\n');
+}
+
+/**
+ * Enable or disable JSON mode (--json).
+ * All human output is replaced by one JSON object written to stdout on exit:
+ * the recorded result, files and warnings, or an error with a stable code.
+ *
+ * @param {boolean} enabled - Whether to output JSON
+ */
+export function setJsonMode(enabled) {
+  jsonModeEnabled = Boolean(enabled);
+  jsonState = createJsonState();
+  process.off('exit', writeJsonOutput);
+  if (jsonModeEnabled) {
+    process.on('exit', writeJsonOutput);
+  }
+}
+
+/**
+ * Check whether JSON mode is enabled
+ * @returns {boolean} True when --json output is active
+ */
+export function isJsonMode() {
+  return jsonModeEnabled;
+}
+
+/**
+ * Add fields to the JSON result (ignored outside JSON mode)
+ * @param {Record<string, any>} fields - Fields such as projectPath, version or mode
+ */
+export function result(fields) {
+  if (!jsonModeEnabled) {
+    return;
+  }
+  Object.assign(jsonState.result, fields);
+}
+
+/**
+ * Record files written by the operation for the JSON result (ignored outside JSON mode)
+ * @param {string[]} files - Paths relative to the project directory
+ */
+export function filesWritten(files) {
+  if (!jsonModeEnabled) {
+    return;
+  }
+  for (const file of files) {
+    if (!jsonState.files.includes(file)) {
+      jsonState.files.push(file);
+    }
+  }
+}
+
+/**
+ * Build the JSON output for an exit code
+ * @param {number} exitCode - Exit code of the process
+ * @returns {Object} `{ ok: true, ...result, files, warnings }` on success,
+ *   `{ ok: false, ...partial result of the error, error: { code, message, details }, warnings }` on failure
+ */
+export function getJsonOutput(exitCode) {
+  const { result, files, warnings, error, failedResult, messages } = jsonState;
+
+  if (exitCode === 0 && !error) {
+    return { ok: true, ...result, files, warnings };
+  }
+
+  const reported = error || { code: 'GENERAL', message: messages[0] || '', details: messages.slice(1) };
+  return { ok: false, ...failedResult, error: reported, warnings };
+}
+
 /**
  * Show intro banner with branding
  */
@@ -89,6 +180,9 @@ export function cancel(key) {
  * @param {string} text - Pre-formatted text (can include colors)
  */
 export function message(text) {
+  if (jsonModeEnabled && text) {
+    (jsonState.error ? jsonState.error.details : jsonState.messages).push(text);
+  }
   if (shouldSuppress('message')) {
     return;
   }
@@ -125,15 +219,57 @@ export function success(key, vars) {
  * @param {Record<string, any>} [vars] - Variables for interpolation
  */
 export function error(key, vars) {
+  if (jsonModeEnabled) {
+    // The first error is the one that caused the failure
+    jsonState.error = jsonState.error || { code: 'GENERAL', message: t(key, vars), details: [] };
+    return;
+  }
   p.log.error(t(key, vars));
 }
 
+/**
+ * Report an error that ends the command: its message, details and hints
+ * (and the stack trace when verbose). Unexpected errors also get the "problem persists" help.
+ * In JSON mode the error becomes the `error` object of the output instead, next to its partial result, if any.
+ * @param {import('../errors.js').CreateP5Error} failed - The typed error
+ * @param {Object} [options={}] - Report options
+ * @param {boolean} [options.verbose=false] - Show the stack trace
+ */
+export function failure(failed, { verbose = false } = {}) {
+  if (jsonModeEnabled) {
+    jsonState.error = { code: failed.code, message: failed.message, details: failed.details };
+    jsonState.failedResult = failed.result || {};
+    return;
+  }
+
+  p.log.error(t(failed.key, failed.vars));
+  for (const detail of failed.details) {
+    p.log.message(detail);
+  }
+  for (const hint of failed.hints) {
+    p.log.info(t(hint.key, hint.vars));
+  }
+
+  if (verbose) {
+    p.log.info(t('info.stackTrace'));
+    p.log.message((failed.cause || failed).stack);
+  }
+
+  if (failed.code === 'GENERAL') {
+    note(['error.persistHelp.verbose', 'error.persistHelp.permissions', 'error.persistHelp.issues'], 'error.persistHelp.title');
+  }
+}
+
 /**
  * Log a warning message
  * @param {string} key - Translation key
  * @param {Record<string, any>} [vars] - Variables for interpolation
  */
 export function warn(key, vars) {
+  if (jsonModeEnabled) {
+    jsonState.warnings.push(t(key, vars));
+    return;
+  }
   p.log.warn(t(key, vars));
 }
 
@@ -152,6 +288,44 @@ export function note(lineKeys, titleKey, vars = {}) {
   p.note(content, title);
 }
 
+/**
+ * Display a dry-run plan: one numbered line per step, with diffs and file contents below it.
+ * Shown even in silent mode, since the plan is the whole point of a dry run.
+ * In JSON mode the steps are added to the result instead.
+ * @param {import('../plan.js').PlanStep[]} steps - Planned steps, in order
+ */
+export function plan(steps) {
+  if (jsonModeEnabled) {
+    result({ dryRun: true, plan: steps });
+    return;
+  }
+  const relative = (filePath) => filePath && (path.relative(process.cwd(), filePath) || '.');
+  const lines = [];
+
+  steps.forEach((step, index) => {
+    const vars = {
+      ...step,
+      path: relative(step.path),
+      from: relative(step.from),
+      to: relative(step.to),
+      destination: relative(step.destination),
+      cwd: relative(step.cwd),
+      name: step.destination && path.basename(step.destination)
+    };
+    const key = step.type === 'download' && step.cached ? 'note.plan.downloadCached' : `note.plan.${step.type}`;
+    lines.push(`${index + 1}. ${t(key, vars)}`);
+
+    for (const { op, line } of step.diff || []) {
+      lines.push(op === '+' ? green(`   + ${line}`) : red(`   - ${line}`));
+    }
+    if (step.content) {
+      lines.push(...step.content.split('\n').map(line => gray(`   ${line}`)));
+    }
+  });
+
+  p.note(lines.length > 0 ? lines.join('\n') : t('note.plan.empty'), t('note.plan.title'));
+}
+
 /**
  * Create and manage a spinner
  * @param {string} key - Translation key for initial message
@@ -178,6 +352,61 @@ export function spinner(key, vars) {
   return s;
 }
 
+/**
+ * Logger for the programmatic API (see src/reporter.js) that shows messages like info(), success() and warn()
+ * @type {import('../reporter.js').Logger}
+ */
+export const logger = {
+  info(text) {
+    if (!shouldSuppress('info')) {
+      p.log.info(text);
+    }
+  },
+  success(text) {
+    if (!shouldSuppress('success')) {
+      p.log.success(text);
+    }
+  },
+  warn(text) {
+    if (jsonModeEnabled) {
+      jsonState.warnings.push(text);
+      return;
+    }
+    p.log.warn(text);
+  }
+};
+
+/**
+ * Progress callback for the programmatic API that shows steps as spinners
+ * @param {Object} [options={}] - Which steps to show
+ * @param {boolean} [options.verbose=false] - Show every step
+ * @param {string[]} [options.always=[]] - Steps shown even when not verbose
+ * @returns {(event: import('../reporter.js').ProgressEvent) => void} The callback
+ */
+export function progress({ verbose = false, always = [] } = {}) {
+  const spinners = new Map();
+
+  return (event) => {
+    if (!verbose && !always.includes(event.step)) {
+      return;
+    }
+    if (event.status === 'start') {
+      spinners.set(event.step, spinner(event.key, event.vars));
+      return;
+    }
+    const s = spinners.get(event.step);
+    if (!s) {
+      return;
+    }
+    if (event.status === 'update') {
+      s.message(event.key, event.vars);
+    } else {
+      s.stop(event.key, event.vars);
+      spinners.delete(event.step);
+    }
+  };
+}
+
 /**
  * Apply blue color to text
  * @param {string} text - Text to color
@@ -7,6 +7,8 @@
 import * as p from '@clack/prompts';
 import { t } from '../i18n/index.js';
 import { isValidPathName } from '../utils.js';
+import { groupVersions } from '../version.js';
+import { BACK } from './wizard.js';
 
 /**
  * Check if user cancelled a prompt
@@ -17,6 +19,22 @@ export function isCancel(value) {
   return p.isCancel(value);
 }
 
+/**
+ * @typedef {Object} WizardOptions
+ * @property {any} [initialValue] - Preselected value
+ * @property {boolean} [back=false] - Offer a "Back" option that answers BACK
+ */
+
+/**
+ * Adds the "Back" option to a select prompt's options when asked for
+ * @param {Array<Object>} options - Select options
+ * @param {WizardOptions} wizardOptions - Wizard options of the prompt
+ * @returns {Array<Object>} The options
+ */
+function withBack(options, { back = false }) {
+  return back ? [...options, { value: BACK, label: t('prompt.back.label') }] : options;
+}
+
 /**
  * Prompt for project path
  * @param {string} initialValue - Initial/default value
@@ -51,12 +69,25 @@ export async function promptProjectPath(initialValue) {
 
 /**
  * Prompt for setup type selection
- * @returns {Promise<string>} Selected setup type ('basic', 'standard', or 'custom')
+ * @param {Record<string, Object>} [presets={}] - Saved presets, offered after the built-in setup types
+ * @param {WizardOptions} [options={}] - Preselected value and "go back" option
+ * @returns {Promise<string|symbol>} Selected setup type ('basic', 'standard', or 'custom'), 'preset:<name>', or BACK
  */
-export async function promptSetupType() {
+export async function promptSetupType(presets = {}, options = {}) {
+  const presetOptions = Object.entries(presets).map(([name, preset]) => ({
+    value: `preset:${name}`,
+    label: t('prompt.setupType.option.preset.label', { name }),
+    hint: t('prompt.setupType.option.preset.hint', {
+      version: preset.version || 'latest',
+      mode: preset.mode || 'cdn',
+      language: preset.language || 'javascript',
+      p5Mode: preset.p5Mode || 'global'
+    })
+  }));
   const result = await p.select({
     message: t('prompt.setupType.message'),
-    options: [
+    initialValue: options.initialValue,
+    options: withBack([
       {
         value: 'basic',
         label: t('prompt.setupType.option.basic.label'),
@@ -71,20 +102,41 @@ export async function promptSetupType() {
         value: 'custom',
         label: t('prompt.setupType.option.custom.label'),
         hint: t('prompt.setupType.option.custom.hint')
-      }
-    ]
+      },
+      ...presetOptions
+    ], options)
   });
   return result;
 }
 
+/**
+ * Prompt for a name to save the custom setup choices under
+ * @param {(name: string) => string|null} validateName - Returns an error message for an invalid name
+ * @returns {Promise<string>} The name, or an empty string to skip saving
+ */
+export async function promptPresetName(validateName) {
+  return await p.text({
+    message: t('prompt.presetName.message'),
+    placeholder: t('prompt.presetName.placeholder'),
+    validate: (value) => {
+      const trimmed = value.trim();
+      if (trimmed !== '') {
+        return validateName(trimmed) || undefined;
+      }
+    }
+  });
+}
+
 /**
  * Prompt for language selection
- * @returns {Promise<string>} Selected language ('javascript' or 'typescript')
+ * @param {WizardOptions} [options={}] - Preselected language and "go back" option
+ * @returns {Promise<string|symbol>} Selected language ('javascript' or 'typescript'), or BACK
  */
-export async function promptLanguage() {
+export async function promptLanguage(options = {}) {
   return await p.select({
     message: t('prompt.languageMode.group.language.label'),
-    options: [
+    initialValue: options.initialValue,
+    options: withBack([
       {
         value: 'javascript',
         label: t('prompt.languageMode.option.javascript.label'),
@@ -95,18 +147,20 @@ export async function promptLanguage() {
         label: t('prompt.languageMode.option.typescript.label'),
         hint: t('prompt.languageMode.option.typescript.hint')
       }
-    ]
+    ], options)
   });
 }
 
 /**
  * Prompt for p5.js mode selection
- * @returns {Promise<string>} Selected mode ('global' or 'instance')
+ * @param {WizardOptions} [options={}] - Preselected mode and "go back" option
+ * @returns {Promise<string|symbol>} Selected mode ('global' or 'instance'), or BACK
  */
-export async function promptP5Mode() {
+export async function promptP5Mode(options = {}) {
   return await p.select({
     message: t('prompt.languageMode.group.mode.label'),
-    options: [
+    initialValue: options.initialValue,
+    options: withBack([
       {
         value: 'global',
         label: t('prompt.languageMode.option.global.label'),
@@ -117,53 +171,108 @@ export async function promptP5Mode() {
         label: t('prompt.languageMode.option.instance.label'),
         hint: t('prompt.languageMode.option.instance.hint')
       }
-    ]
+    ], options)
   });
 }
 
 /**
- * Prompt for language and mode selection using two separate prompts
- * @returns {Promise<string[]>} Array of selected values: ['javascript'|'typescript', 'global'|'instance']
+ * @typedef {Object} VersionOptions
+ * @property {string} [initialValue] - Preselected version
+ * @property {boolean} [back=false] - Offer a "Back" option that answers BACK
+ * @property {Record<string, string>} [tags] - Dist-tags (e.g. latest, beta) to mark, by tag name
+ * @property {Record<string, string>} [dates] - Publish dates to show, by version
  */
-export async function promptLanguageAndMode() {
-  const language = await promptLanguage();
-  if (isCancel(language)) {
-    return language; // Return the cancel symbol
-  }
-
-  const mode = await promptP5Mode();
-  if (isCancel(mode)) {
-    return mode; // Return the cancel symbol
-  }
 
-  return [language, mode];
-}
+/** Option of the version picker that asks for text to filter the versions by */
+const FILTER = Symbol('filter');
 
 /**
- * Prompt for version selection
+ * Prompt for version selection: first a release line (major.minor), the pre-releases, or
+ * "type to filter", then a version from it. Versions are marked with their dist-tags and
+ * shown with their publish date when known.
  * @param {string[]} versions - Available versions
  * @param {string} latest - Latest version
- * @returns {Promise<string>} Selected version
+ * @param {VersionOptions} [options={}] - Preselected version, "go back" option, dist-tags and publish dates
+ * @returns {Promise<string|symbol>} Selected version, or BACK
  */
-export async function promptVersion(versions, latest) {
-  return await p.select({
-    message: t('prompt.version.message'),
-    options: versions.map(v => ({
-      value: v,
-      label: v === latest ? t('prompt.version.latestLabel', { version: v }) : v
-    })),
-    maxItems: 7
-  });
+export async function promptVersion(versions, latest, options = {}) {
+  const { tags = { latest }, dates = {} } = options;
+  const { lines, prereleases } = groupVersions(versions);
+  const groups = lines.map(({ line, versions }) => ({ value: line, label: t('prompt.version.line.label', { line }), versions }));
+  if (prereleases.length > 0) {
+    groups.push({ value: 'prerelease', label: t('prompt.version.prerelease.label'), versions: prereleases });
+  }
+
+  const label = version => {
+    const names = Object.keys(tags).filter(tag => tags[tag] === version);
+    return names.length > 0 ? t('prompt.version.taggedLabel', { version, tags: names.join(', ') }) : version;
+  };
+  const matching = query => versions.filter(version => version.includes(query.trim()));
+  const initialGroup = groups.find(group => group.versions.includes(options.initialValue)) || groups[0];
+
+  while (true) {
+    const group = await p.select({
+      message: t('prompt.version.message'),
+      initialValue: initialGroup && initialGroup.value,
+      options: withBack([
+        ...groups.map(({ value, label: groupLabel, versions }) => ({
+          value,
+          label: groupLabel,
+          hint: t('prompt.version.group.hint', { count: versions.length, newest: label(versions[0]) })
+        })),
+        { value: FILTER, label: t('prompt.version.filter.label') }
+      ], options),
+      maxItems: 10
+    });
+    if (isCancel(group) || group === BACK) {
+      return group;
+    }
+
+    let candidates;
+    if (group === FILTER) {
+      const query = await p.text({
+        message: t('prompt.version.filter.message'),
+        placeholder: t('prompt.version.filter.placeholder'),
+        validate: value => matching(value).length > 0 ? undefined : t('prompt.version.filter.noMatch', { query: value.trim() })
+      });
+      if (isCancel(query)) {
+        return query;
+      }
+      candidates = matching(query);
+    } else {
+      candidates = groups.find(({ value }) => value === group).versions;
+    }
+
+    // "Back" returns to the release lines
+    const version = await p.select({
+      message: t('prompt.version.pick.message'),
+      initialValue: candidates.includes(options.initialValue) ? options.initialValue : candidates[0],
+      options: [
+        ...candidates.map(version => ({
+          value: version,
+          label: label(version),
+          hint: dates[version] ? t('prompt.version.releasedHint', { date: dates[version].slice(0, 10) }) : undefined
+        })),
+        { value: BACK, label: t('prompt.back.label') }
+      ],
+      maxItems: 10
+    });
+    if (version !== BACK) {
+      return version;
+    }
+  }
 }
 
 /**
  * Prompt for delivery mode selection
- * @returns {Promise<string>} Selected mode ('cdn' or 'local')
+ * @param {WizardOptions} [options={}] - Preselected mode and "go back" option
+ * @returns {Promise<string|symbol>} Selected mode ('cdn' or 'local'), or BACK
  */
-export async function promptMode() {
+export async function promptMode(options = {}) {
   return await p.select({
     message: t('prompt.mode.message'),
-    options: [
+    initialValue: options.initialValue,
+    options: withBack([
       {
         value: 'cdn',
         label: t('prompt.mode.option.cdn.label'),
@@ -174,18 +283,72 @@ export async function promptMode() {
         label: t('prompt.mode.option.local.label'),
         hint: t('prompt.mode.option.local.hint')
       }
+    ], options)
+  });
+}
+
+/**
+ * Prompt whether to initialize a git repository
+ * @param {boolean} initialValue - Current choice
+ * @returns {Promise<boolean|symbol>} User's choice
+ */
+export async function promptGit(initialValue) {
+  return await p.confirm({
+    message: t('prompt.git.message'),
+    initialValue
+  });
+}
+
+/**
+ * Prompt whether to download TypeScript definitions
+ * @param {boolean} initialValue - Current choice
+ * @returns {Promise<boolean|symbol>} User's choice
+ */
+export async function promptTypes(initialValue) {
+  return await p.confirm({
+    message: t('prompt.types.message'),
+    initialValue
+  });
+}
+
+/**
+ * Prompt on the review screen: create the project, or pick a choice to edit
+ * @param {Array<{ name: string, value: string }>} choices - Editable choices with their current value
+ * @returns {Promise<string|symbol>} 'create', or the name of the choice to edit
+ */
+export async function promptReview(choices) {
+  return await p.select({
+    message: t('prompt.review.message'),
+    options: [
+      {
+        value: 'create',
+        label: t('prompt.review.option.create.label')
+      },
+      ...choices.map(({ name, value }) => ({
+        value: name,
+        label: t(`prompt.review.option.${name}.label`),
+        hint: value
+      }))
     ]
   });
 }
 
 /**
  * Prompt for update action selection
- * @returns {Promise<string>} Selected action ('version', 'mode', or 'cancel')
+ * @param {Object} [options={}] - Update options to offer
+ * @param {string|null} [options.range=null] - Version range recorded in the project; offers updating within it
+ * @returns {Promise<string>} Selected action ('withinRange', 'version', 'mode', or 'cancel')
  */
-export async function promptUpdateAction() {
+export async function promptUpdateAction({ range = null } = {}) {
+  const rangeOptions = range ? [{
+    value: 'withinRange',
+    label: t('prompt.update.action.option.withinRange.label'),
+    hint: t('prompt.update.action.option.withinRange.hint', { range })
+  }] : [];
   return await p.select({
     message: t('prompt.update.action.message'),
     options: [
+      ...rangeOptions,
       {
         value: 'version',
         label: t('prompt.update.action.option.version.label'),
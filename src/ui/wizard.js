@@ -0,0 +1,60 @@
+/**
+ * Wizard primitives - Runs prompt steps in order, with "go back"
+ * Philosophy: Mechanisms only; the steps and their prompts come from the caller
+ */
+
+/** Answer of a wizard prompt whose "Back" option was picked */
+export const BACK = Symbol('back');
+
+/**
+ * @typedef {Object} WizardStep
+ * @property {string} name - Key the step's answer is stored under
+ * @property {(answers: Object) => boolean} [when] - Whether the step is asked (default: always)
+ * @property {(options: { back: boolean }) => Promise<any>} ask - Asks for the answer; resolves to BACK to return
+ *   to the previous step (`back` tells whether there is one to offer)
+ */
+
+/**
+ * Asks the steps that are due, in order, storing each answer under the step's name.
+ * A step is due when it has no answer yet and its `when` allows it; answering BACK asks the
+ * previously asked step again.
+ *
+ * With `from`, that step is asked again even though it has an answer (e.g. to edit it),
+ * followed by the steps the new answer makes due.
+ * @param {WizardStep[]} steps - Steps in order
+ * @param {Object} answers - Answers so far (modified in place)
+ * @param {Object} [options={}] - Where to start
+ * @param {string} [options.from] - Name of the step to ask again
+ * @returns {Promise<Object|typeof BACK>} The answers, or BACK when the user went back from the `from` step
+ */
+export async function runSteps(steps, answers, options = {}) {
+  const asked = [];
+  let index = options.from ? steps.findIndex(step => step.name === options.from) : 0;
+  let force = Boolean(options.from);
+
+  while (index < steps.length) {
+    const step = steps[index];
+    const due = force || (answers[step.name] === undefined && (!step.when || step.when(answers)));
+    force = false;
+    if (!due) {
+      index++;
+      continue;
+    }
+
+    const answer = await step.ask({ back: asked.length > 0 || Boolean(options.from) });
+    if (answer === BACK) {
+      if (asked.length === 0) {
+        return BACK;
+      }
+      index = asked.pop();
+      force = true;
+      continue;
+    }
+
+    answers[step.name] = answer;
+    asked.push(index);
+    index++;
+  }
+
+  return answers;
+}
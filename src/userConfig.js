@@ -0,0 +1,61 @@
+/**
+ * User configuration - Machine-wide create-p5 settings (not tied to a project)
+ * Stored as JSON in the platform's user config location, e.g.:
+ *
+ *   {
+ *     "mirrors": {
+ *       "versionApi": "https://npm-mirror.example.edu/jsdelivr/v1/package/npm",
+ *       "cdn": "https://npm-mirror.example.edu/cdn/npm",
+ *       "types": "https://npm-mirror.example.edu/cdn/npm"
+ *     }
+ *   }
+ */
+
+import os from 'os';
+import fs from 'fs/promises';
+import path from 'path';
+import { ConfigError } from './errors.js';
+
+/**
+ * Returns the directory holding the user configuration.
+ * Honours CREATE_P5_CONFIG_DIR, then the platform's user config location
+ * (APPDATA on Windows, XDG_CONFIG_HOME or ~/.config elsewhere).
+ * @returns {string} Absolute path to the config directory
+ */
+export function getUserConfigDir() {
+  if (process.env.CREATE_P5_CONFIG_DIR) {
+    return path.resolve(process.env.CREATE_P5_CONFIG_DIR);
+  }
+
+  if (process.platform === 'win32' && process.env.APPDATA) {
+    return path.join(process.env.APPDATA, 'create-p5');
+  }
+
+  const base = process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config');
+  return path.join(base, 'create-p5');
+}
+
+/**
+ * Returns the path of the user configuration file
+ * @returns {string} Absolute path to config.json
+ */
+export function getUserConfigPath() {
+  return path.join(getUserConfigDir(), 'config.json');
+}
+
+/**
+ * Reads the user configuration
+ * @returns {Promise<Object>} Parsed configuration, or an empty object if there is none
+ * @throws {ConfigError} When the file exists but cannot be read or is not valid JSON (like a malformed .p5rc)
+ */
+export async function readUserConfig() {
+  const file = getUserConfigPath();
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf-8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return {};
+    }
+    throw new ConfigError('error.userConfig.unreadable', { file, error: error.message }, { cause: error });
+  }
+}
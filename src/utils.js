@@ -8,6 +8,7 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import { uniqueNamesGenerator, adjectives, colors, animals } from 'unique-names-generator';
+import semver from 'semver';
 
 /**
  * Copies all files from a template directory to a target directory.
@@ -41,6 +42,30 @@ export async function copyTemplateFiles(templatePath, targetPath) {
   }
 }
 
+/**
+ * List the files in a directory, recursively (the contents of .git are skipped)
+ * @param {string} dirPath - Directory to list
+ * @param {string} [prefix=''] - Prefix for the returned paths (used when recursing)
+ * @returns {Promise<string[]>} File paths relative to dirPath
+ */
+export async function listFiles(dirPath, prefix = '') {
+  const entries = await fs.readdir(dirPath, { withFileTypes: true });
+  const files = [];
+
+  for (const entry of entries) {
+    const relativePath = path.join(prefix, entry.name);
+    if (entry.isDirectory()) {
+      if (entry.name !== '.git') {
+        files.push(...await listFiles(path.join(dirPath, entry.name), relativePath));
+      }
+    } else {
+      files.push(relativePath);
+    }
+  }
+
+  return files;
+}
+
 /**
  * Create a directory (recursive)
  * @param {string} dirPath
@@ -130,6 +155,23 @@ export async function writeFile(filePath, content) {
   await fs.writeFile(filePath, content, 'utf-8');
 }
 
+/**
+ * Write a file atomically: content goes to a temporary file next to the target,
+ * which is then renamed over it, so an interrupted write never leaves a partial file
+ * @param {string} filePath
+ * @param {string|Buffer} content
+ */
+export async function writeFileAtomic(filePath, content) {
+  const tempPath = `${filePath}.${process.pid}-${Date.now()}.tmp`;
+  try {
+    await fs.writeFile(tempPath, content, 'utf-8');
+    await fs.rename(tempPath, filePath);
+  } catch (error) {
+    await fs.rm(tempPath, { force: true });
+    throw error;
+  }
+}
+
 /**
  * Remove a directory recursively (safe)
  * @param {string} dirPath
@@ -259,6 +301,20 @@ export function validateMode(mode) {
   return null;
 }
 
+/**
+ * Validates the CDN a p5.js script tag points at in CDN mode
+ *
+ * @param {string} cdn - The CDN to validate
+ * @returns {string|null} Error message if invalid, null if valid
+ */
+export function validateCdn(cdn) {
+  const validCdns = ['jsdelivr', 'cdnjs', 'unpkg'];
+  if (!validCdns.includes(cdn)) {
+    return `Invalid CDN "${cdn}". Valid CDNs: ${validCdns.join(', ')}`;
+  }
+  return null;
+}
+
 /**
  * Validates language choice
  * @param {string} language - Language to validate
@@ -314,23 +370,37 @@ export function getTemplateName(language, mode) {
 }
 
 /**
- * Validates that a version exists in the available versions list
+ * Validates a version specifier against the available versions: "latest", a dist-tag,
+ * an exact version, or a semver range (e.g. "^1.9", "1.x", "~2.1.0") that matches one of them
  *
- * @param {string} version - The version to validate
+ * @param {string} version - The version specifier to validate
  * @param {string[]} availableVersions - Array of available version strings
  * @param {string} latest - The latest version string
+ * @param {Record<string, string>} [tags={}] - Dist-tags of the package, by tag name
  * @returns {string|null} Error message if invalid, null if valid
  */
-export function validateVersion(version, availableVersions, latest) {
-  if (version === 'latest') {
+export function validateVersion(version, availableVersions, latest, tags = {}) {
+  // semver reads an empty range as "*", which would silently mean the latest version
+  if (typeof version !== 'string' || version.trim() === '') {
+    return `Missing version. Use "latest", a dist-tag, a range like "^${semver.major(latest)}" or a specific version like "${latest}"`;
+  }
+
+  if (version === 'latest' || Object.hasOwn(tags, version)) {
     return null; // Valid, will be resolved to actual version
   }
 
-  if (!availableVersions.includes(version)) {
-    return `Version "${version}" not found. Use "latest" or a specific version like "${latest}"`;
+  if (availableVersions.includes(version)) {
+    return null;
   }
 
-  return null;
+  if (!semver.valid(version) && semver.validRange(version)) {
+    if (!semver.maxSatisfying(availableVersions, version)) {
+      return `No version matches "${version}". Use a range like "^${semver.major(latest)}" or a specific version like "${latest}"`;
+    }
+    return null;
+  }
+
+  return `Version "${version}" not found. Use "latest", a dist-tag, a range like "^${semver.major(latest)}" or a specific version like "${latest}"`;
 }
 
 /**
@@ -1,5 +1,14 @@
-import { writeFile, getPackageVersion } from './utils.js';
-import { t } from './i18n/index.js';
+import crypto from 'crypto';
+import { createRequire } from 'module';
+import semver from 'semver';
+import { writeFileAtomic, getPackageVersion } from './utils.js';
+import { resolveEndpoint, fetchFromEndpoint } from './mirrors.js';
+import { isNetworkError } from './http.js';
+import { readCachedVersions, writeCachedVersions, readCachedFile, writeCachedFile } from './cache.js';
+import { CreateP5Error, IntegrityError, NetworkError, NotCachedError } from './errors.js';
+
+const require = createRequire(import.meta.url);
+const tar = require('tar');
 
 /**
  * The current version of create-p5 CLI tool from package.json
@@ -34,6 +43,27 @@ export function parseVersion(version) {
 }
 
 
+/**
+ * Compares two semantic version strings for sorting.
+ * Pre-releases sort before the release they precede (2.1.0-rc.1 < 2.1.0).
+ * @param {string} a - First version
+ * @param {string} b - Second version
+ * @returns {number} Negative if a < b, positive if a > b, 0 if equal
+ */
+export function compareVersions(a, b) {
+  const pa = parseVersion(a);
+  const pb = parseVersion(b);
+
+  if (pa.major !== pb.major) return pa.major - pb.major;
+  if (pa.minor !== pb.minor) return pa.minor - pb.minor;
+  if (pa.patch !== pb.patch) return pa.patch - pb.patch;
+  if (pa.prerelease === pb.prerelease) return 0;
+  if (!pa.prerelease) return 1;
+  if (!pb.prerelease) return -1;
+  return pa.prerelease.localeCompare(pb.prerelease, undefined, { numeric: true });
+}
+
+
 /**
  * Determines whether to use @types/p5 or bundled types based on p5.js version
  * @param {string} version - The p5.js version
@@ -66,24 +96,174 @@ export function filterStableVersions(versions) {
   return versions.filter(isStableVersion);
 }
 
+/**
+ * Groups versions for the version picker: stable releases by release line (major.minor),
+ * newest first, and pre-releases on their own
+ * @param {string[]} versions - Version strings
+ * @returns {{ lines: Array<{ line: string, versions: string[] }>, prereleases: string[] }} Release lines and pre-releases, newest first
+ */
+export function groupVersions(versions) {
+  const sorted = [...versions].sort((a, b) => compareVersions(b, a));
+  const lines = [];
+  for (const version of sorted.filter(isStableVersion)) {
+    const { major, minor } = parseVersion(version);
+    const line = `${major}.${minor}`;
+    if (lines.length === 0 || lines[lines.length - 1].line !== line) {
+      lines.push({ line, versions: [] });
+    }
+    lines[lines.length - 1].versions.push(version);
+  }
+  return { lines, prereleases: sorted.filter(version => !isStableVersion(version)) };
+}
+
+/**
+ * Resolves a version specifier to an exact version: "latest" and dist-tags to the version
+ * they point at, a semver range to the newest available version it matches, and an exact
+ * version to itself. The specifier is expected to have passed validateVersion().
+ * @param {string} spec - Version specifier ("latest", a dist-tag, an exact version or a range)
+ * @param {{ latest: string, versions: string[], tags?: Record<string, string> }} versionList - Available versions, as returned by fetchVersions()
+ * @returns {string|null} The exact version, or null if nothing matches (or the specifier is empty)
+ */
+export function resolveVersion(spec, { latest, versions, tags = {} }) {
+  if (typeof spec !== 'string' || spec.trim() === '') {
+    return null;
+  }
+  if (spec === 'latest') {
+    return latest;
+  }
+  if (Object.hasOwn(tags, spec)) {
+    return tags[spec];
+  }
+  if (versions.includes(spec)) {
+    return spec;
+  }
+  return semver.validRange(spec) ? semver.maxSatisfying(versions, spec) : null;
+}
+
+/**
+ * Finds a release newer than what a specifier resolves to that the specifier does not allow,
+ * e.g. the next major for "^1.9"
+ * @param {string} spec - Version specifier ("latest", a dist-tag, an exact version or a range)
+ * @param {{ latest: string, versions: string[], tags?: Record<string, string> }} versionList - Available versions, as returned by fetchVersions()
+ * @returns {string|null} The latest version if it is newer and outside the specifier, otherwise null
+ */
+export function findNewerOutside(spec, versionList) {
+  const resolved = resolveVersion(spec, versionList);
+  const { latest } = versionList;
+  if (!resolved || compareVersions(latest, resolved) <= 0) {
+    return null;
+  }
+  return semver.validRange(spec) && semver.satisfies(latest, spec) ? null : latest;
+}
+
+/**
+ * Finds the newest patch, minor and major release available for a version
+ * @param {string} current - Current version
+ * @param {{ latest: string, versions: string[] }} versionList - Available versions, as returned by fetchVersions()
+ * @returns {{ patch: string|null, minor: string|null, major: string|null }} The newest patch release of the current
+ *   minor, the newest release of a later minor in the current major, and the latest release if it is a later major
+ *   (each null when there is none)
+ */
+export function findNewerVersions(current, { latest, versions }) {
+  if (!semver.valid(current)) {
+    return { patch: null, minor: null, major: null };
+  }
+  const { major, minor } = parseVersion(current);
+  const patch = semver.maxSatisfying(versions, `${major}.${minor}.x`);
+  const newestInMajor = semver.maxSatisfying(versions, `${major}.x`);
+  return {
+    patch: patch && compareVersions(patch, current) > 0 ? patch : null,
+    minor: newestInMajor && parseVersion(newestInMajor).minor > minor ? newestInMajor : null,
+    major: latest && semver.valid(latest) && parseVersion(latest).major > major ? latest : null
+  };
+}
+
+/**
+ * Normalizes the package metadata returned by the version API: the jsdelivr shape
+ * (`tags`, and `versions` as a list of strings or `{ version, date }` objects) or the
+ * npm registry shape (`dist-tags`, `versions` keyed by version and a `time` map of publish dates).
+ * @param {Object} data - Raw API data
+ * @returns {{ tags: Record<string, string>, versions: string[], dates: Record<string, string> }} Dist-tags, versions and the publish dates that are known
+ */
+function normalizeVersionData(data) {
+  const dates = {};
+  const entries = Array.isArray(data.versions) ? data.versions : Object.keys(data.versions || {});
+  const versions = entries.map(entry => {
+    if (typeof entry === 'string') {
+      return entry;
+    }
+    if (entry.date) {
+      dates[entry.version] = entry.date;
+    }
+    return entry.version;
+  });
+  for (const [version, date] of Object.entries(data.time || {})) {
+    if (versions.includes(version) && !dates[version]) {
+      dates[version] = date;
+    }
+  }
+  return { tags: data.tags || data['dist-tags'] || {}, versions, dates };
+}
+
 
 /**
- * Fetches available p5.js versions from jsdelivr CDN API
+ * Reads the publish dates of p5.js releases from the `time` map of the npm registry
+ * (or its configured mirror). Dates are only shown as hints, so failures are ignored.
+ * @param {string[]} versions - Versions to find dates for
+ * @returns {Promise<Record<string, string>>} Publish dates by version (empty if the registry cannot be read)
+ * @throws {Error} If the configured registry URL is not a valid http(s) URL
+ */
+async function fetchReleaseDates(versions) {
+  const registry = await resolveEndpoint('registry');
+  try {
+    const response = await fetchFromEndpoint(registry, `${registry.url}/p5`);
+    if (!response.ok) {
+      return {};
+    }
+    const { dates } = normalizeVersionData(await response.json());
+    return Object.fromEntries(versions.filter(version => dates[version]).map(version => [version, dates[version]]));
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Fetches available p5.js versions from the jsdelivr CDN API (or its configured mirror).
+ * Successful responses are stored in the artifact cache; in offline mode the
+ * cached list is used instead of the network.
  * @param {boolean} [includePrerelease=false] - Whether to include pre-release versions (RC, beta, alpha)
- * @returns {Promise<{ latest: string, versions: string[] }>} Object containing latest version and array of all versions (stable only if includePrerelease is false)
- * @throws {Error} If network request fails or API is unreachable
+ * @param {Object} [options={}] - Fetch options
+ * @param {boolean} [options.offline=false] - Resolve versions from the artifact cache only
+ * @param {boolean} [options.dates=false] - Also read release dates from the npm registry when the version API has none (for the version picker)
+ * @returns {Promise<{ latest: string, versions: string[], tags: Record<string, string>, dates: Record<string, string> }>} Object containing latest version,
+ *   array of all versions (stable only if includePrerelease is false), the dist-tags, and the publish dates that are known (by version)
+ * @throws {Error} If network request fails or API is unreachable, or the list is not cached in offline mode
  */
-export async function fetchVersions(includePrerelease = false) {
-  const apiUrl = 'https://data.jsdelivr.com/v1/package/npm/p5';
+export async function fetchVersions(includePrerelease = false, options = {}) {
+  const { offline = false, dates = false } = options;
+
+  if (offline) {
+    const cached = await readCachedVersions();
+    if (!cached) {
+      throw new NotCachedError('error.offline.versionsNotCached');
+    }
+    const versions = includePrerelease ? cached.versions : filterStableVersions(cached.versions);
+    return { latest: cached.tags.latest, versions, tags: cached.tags, dates: cached.dates || {} };
+  }
 
   try {
-    const response = await fetch(apiUrl);
+    const versionApi = await resolveEndpoint('versionApi');
+    const response = await fetchFromEndpoint(versionApi, `${versionApi.url}/p5`);
 
     if (!response.ok) {
       throw new Error(`HTTP error! status: ${response.status}`);
     }
 
-    const data = await response.json();
+    const data = normalizeVersionData(await response.json());
+    if (dates && Object.keys(data.dates).length === 0) {
+      data.dates = await fetchReleaseDates(data.versions);
+    }
+    await writeCachedVersions(data);
 
     const latest = data.tags.latest;
 
@@ -93,9 +273,12 @@ export async function fetchVersions(includePrerelease = false) {
       versions = filterStableVersions(versions);
     }
 
-    return { latest, versions };
+    return { latest, versions, tags: data.tags, dates: data.dates };
   } catch (error) {
-    if (error.message.includes('fetch failed') || error.code === 'ENOTFOUND') {
+    if (error instanceof CreateP5Error) {
+      throw error;
+    }
+    if (isNetworkError(error)) {
       throw new Error('Unable to reach jsdelivr CDN API. Please check your internet connection and try again.');
     }
     throw new Error(`Failed to fetch p5.js versions: ${error.message}`);
@@ -103,48 +286,80 @@ export async function fetchVersions(includePrerelease = false) {
 }
 
 /**
- * Downloads p5.js files for local mode from jsdelivr CDN
+ * p5.js files used in local mode (regular and minified), as paths inside the npm package
+ * @type {Array<{path: string, name: string}>}
+ */
+const P5_FILES = [
+  { path: '/lib/p5.js', name: 'p5.js' },
+  { path: '/lib/p5.min.js', name: 'p5.min.js' }
+];
+
+/**
+ * Lists the URLs downloadP5Files() fetches for a version
+ * @param {string} version - The p5.js version
+ * @returns {Promise<Array<{name: string, url: string}>>} File names and their CDN (or mirror) URLs
+ */
+export async function getP5FileUrls(version) {
+  const cdn = await resolveEndpoint('cdn');
+  return P5_FILES.map(file => ({ name: file.name, url: `${cdn.url}/p5@${version}${file.path}` }));
+}
+
+/**
+ * Downloads p5.js files for local mode from jsdelivr CDN (or its configured mirror).
+ * Each file is checked against the SHA-256 hashes jsdelivr publishes for the npm
+ * package before anything is written, then written through a temporary file and
+ * renamed into place, so a truncated or tampered download never replaces a working file.
+ * Verified files are stored in the artifact cache; in offline mode they are
+ * copied from the cache instead.
  * @param {string} version - The p5.js version to download
  * @param {string} targetDir - The directory path where files should be saved
- * @param {Object} [spinner] - Optional spinner object with stop() method for progress feedback
+ * @param {Object} [spinner] - Optional spinner with message(key, vars) and stop(key, vars) methods (translation keys) for progress feedback
+ * @param {Object} [options={}] - Download options
+ * @param {boolean} [options.offline=false] - Copy files from the artifact cache only
  * @returns {Promise<void>}
- * @throws {Error} If download fails or files cannot be written
+ * @throws {Error} If download or verification fails or files cannot be written, or a file is not cached in offline mode
  */
-export async function downloadP5Files(version, targetDir, spinner = null) {
-  const cdnBase = 'https://cdn.jsdelivr.net/npm';
-
-  // Download both regular and minified versions
-  const files = [
-    { url: `${cdnBase}/p5@${version}/lib/p5.js`, name: 'p5.js' },
-    { url: `${cdnBase}/p5@${version}/lib/p5.min.js`, name: 'p5.min.js' }
-  ];
+export async function downloadP5Files(version, targetDir, spinner = null, options = {}) {
+  const { offline = false } = options;
+  const files = P5_FILES;
 
   try {
+    const cdn = offline ? null : await resolveEndpoint('cdn');
+    const hashes = offline ? null : await fetchPublishedHashes(version);
+    const contents = [];
+
     for (const file of files) {
       if (spinner) {
-        spinner.message(t('spinner.downloadingP5File', { filename: file.name }));
+        spinner.message('spinner.downloadingP5File', { filename: file.name });
       }
 
-      const response = await fetch(file.url);
-
-      if (!response.ok) {
-        throw new Error(`Failed to download ${file.name}: HTTP ${response.status}`);
+      if (offline) {
+        contents.push(await readFromCache('p5', version, file.name));
+      } else {
+        const url = `${cdn.url}/p5@${version}${file.path}`;
+        const content = await downloadVerified(cdn, url, file.name, version, hashes.get(file.path));
+        await writeCachedFile('p5', version, file.name, content);
+        contents.push(content);
       }
+    }
 
-      const content = await response.text();
-      const targetPath = `${targetDir}/${file.name}`;
-      await writeFile(targetPath, content);
+    // Only touch targetDir once every file has been verified
+    for (const [index, file] of files.entries()) {
+      await writeFileAtomic(`${targetDir}/${file.name}`, contents[index]);
     }
 
     if (spinner) {
-      spinner.stop(t('spinner.downloadedP5'));
+      spinner.stop('spinner.downloadedP5');
     }
   } catch (error) {
     if (spinner) {
-      spinner.stop(t('spinner.failedP5'));
+      spinner.stop('spinner.failedP5');
     }
 
-    if (error.message.includes('fetch failed') || error.code === 'ENOTFOUND') {
+    if (error instanceof CreateP5Error) {
+      throw error;
+    }
+    if (isNetworkError(error)) {
       throw new Error('Unable to download p5.js files. Please check your internet connection and try again.');
     }
     throw new Error(`Failed to download p5.js files: ${error.message}`);
@@ -160,108 +375,292 @@ export async function downloadP5Files(version, targetDir, spinner = null) {
  * For global-mode sketches, downloads both global.d.ts and main definition file.
  * @param {string} p5Version - The p5.js version to download type definitions for
  * @param {string} targetDir - The directory path where type definitions should be saved
- * @param {Object} [spinner] - Optional spinner object with stop() method for progress feedback
+ * @param {Object} [spinner] - Optional spinner with message(key, vars) and stop(key, vars) methods (translation keys) for progress feedback
  * @param {string} [template] - The template being used ('instance', 'basic', 'typescript', 'empty')
  * @param {string} [previousVersion] - Optional previous p5.js version (for detecting major version changes)
+ * @param {Object} [options={}] - Download options
+ * @param {boolean} [options.offline=false] - Copy 2.x definitions from the artifact cache only
  * @returns {Promise<string>} The actual types version used
- * @throws {Error} If download fails
+ * @throws {Error} If download fails, or a file is not cached in offline mode
  */
-export async function downloadTypeDefinitions(p5Version, targetDir, spinner = null, template = null, previousVersion = null) {
-  const cdnBase = 'https://cdn.jsdelivr.net/npm';
-  const isInstanceMode = template === 'instance';
+export async function downloadTypeDefinitions(p5Version, targetDir, spinner = null, template = null, previousVersion = null, options = {}) {
+  const { offline = false } = options;
 
   try {
-    // Determine strategy based on p5.js version
-    const strategy = getTypesStrategy(p5Version);
-
-    // Check if we're downgrading from 2.x to 1.x
-    if (previousVersion) {
-      const prevStrategy = getTypesStrategy(previousVersion);
-      const isDowngrading = !prevStrategy.useTypesPackage && strategy.useTypesPackage;
-
-      if (isDowngrading) {
-        // Clear the types folder when downgrading from 2.x to 1.x
-        const { removeDirectory } = await import('./utils.js');
-        await removeDirectory(targetDir);
-
-        // Recreate the directory
-        const { createDirectory } = await import('./utils.js');
-        await createDirectory(targetDir);
-      }
+    const types = await getTypeDefinitionFiles(p5Version, template, previousVersion, { offline });
+
+    if (types.clearsExisting) {
+      // Clear the types folder when downgrading from 2.x to 1.x
+      const { removeDirectory, createDirectory } = await import('./utils.js');
+      await removeDirectory(targetDir);
+      await createDirectory(targetDir);
     }
 
-    if (strategy.useTypesPackage) {
-      // p5.js 1.x: Copy minimal global.d.ts from repo
-      // This file tells VS Code to auto-acquire from @types/p5 package
-      if (spinner) {
-        spinner.message(t('spinner.downloadingTypes'));
+    if (spinner) {
+      spinner.message('spinner.downloadingTypes');
+    }
+
+    // Read or download every type definition file first, then write them atomically like the p5.js files,
+    // so a failed download never leaves a partial definition file behind
+    const contents = [];
+    for (const file of types.files) {
+      if (file.source) {
+        const { readFile } = await import('fs/promises');
+        contents.push(await readFile(file.source, 'utf-8'));
+      } else {
+        contents.push(offline
+          ? await readFromCache('types', types.version, file.name)
+          : await downloadAndCache(types.endpoint, file.url, 'types', types.version, file.name));
       }
+    }
+    for (const [index, file] of types.files.entries()) {
+      await writeFileAtomic(`${targetDir}/${file.name}`, contents[index]);
+    }
+
+    if (spinner) {
+      spinner.stop('spinner.downloadedTypes', { version: types.version });
+    }
+
+    return types.version;
+  } catch (error) {
+    if (spinner) {
+      spinner.stop('spinner.failedTypes');
+    }
 
-      // Copy the minimal global.d.ts file from the repo
-      const { copyFile } = await import('fs/promises');
-      const { fileURLToPath } = await import('url');
-      const { dirname, join } = await import('path');
+    if (error instanceof CreateP5Error) {
+      throw error;
+    }
+    if (isNetworkError(error)) {
+      throw new Error('Unable to download TypeScript definitions. Please check your internet connection and try again.');
+    }
+    throw new Error(`Failed to download TypeScript definitions: ${error.message}`);
+  }
+}
 
-      const __filename = fileURLToPath(import.meta.url);
-      const __dirname = dirname(__filename);
-      const sourceFileName = isInstanceMode ? 'instance.d.ts': 'global.d.ts'
-      const sourceFilePath = join(__dirname, '..', 'types', 'default', 'v1', sourceFileName);
-      const targetPath = `${targetDir}/${sourceFileName}`;
+/**
+ * Works out which type definition files downloadTypeDefinitions() writes, without writing them.
+ * - For p5.js 1.x: the minimal global.d.ts or instance.d.ts shipped with create-p5 (tells VS Code to auto-acquire @types/p5)
+ * - For p5.js 2.x: the bundled types of the p5 package, with a fixed fallback for 2.0.0-2.0.1
+ * @param {string} p5Version - The p5.js version
+ * @param {string} [template] - The template being used ('instance' selects instance-mode definitions)
+ * @param {string} [previousVersion] - Previous p5.js version, to detect a 2.x to 1.x downgrade
+ * @param {Object} [options={}] - Options
+ * @param {boolean} [options.offline=false] - Files come from the artifact cache (no URLs are resolved)
+ * @returns {Promise<{version: string, endpoint: import('./mirrors.js').Endpoint|null, clearsExisting: boolean, files: Array<{name: string, url?: string|null, source?: string}>}>}
+ *   The types version, the endpoint files are downloaded from, whether the types folder is cleared first, and the files
+ */
+export async function getTypeDefinitionFiles(p5Version, template = null, previousVersion = null, options = {}) {
+  const { offline = false } = options;
+  const isInstanceMode = template === 'instance';
+  const strategy = getTypesStrategy(p5Version);
 
-      await copyFile(sourceFilePath, targetPath);
+  // Check if we're downgrading from 2.x to 1.x
+  const clearsExisting = Boolean(previousVersion) && !getTypesStrategy(previousVersion).useTypesPackage && strategy.useTypesPackage;
 
-      if (spinner) {
-        spinner.stop(t('spinner.downloadedTypes', { version: '1.7.7' }));
-      }
+  if (strategy.useTypesPackage) {
+    // p5.js 1.x: copy the minimal definition file from the repo
+    const { fileURLToPath } = await import('url');
+    const { dirname, join } = await import('path');
 
-      return '1.7.7'; // Fixed version for reference only
-    } else {
-      // p5.js 2.x: Download bundled types with simple fallback
-      let typesVersion = p5Version;
+    const __dirname = dirname(fileURLToPath(import.meta.url));
+    const sourceFileName = isInstanceMode ? 'instance.d.ts' : 'global.d.ts';
 
-      // Hardcoded fallback for 2.0.0, 2.0.1, and any pre-releases thereof
-      if (p5Version === '2.0.0' || p5Version.startsWith('2.0.0-') || p5Version === '2.0.1') {
-        typesVersion = '2.0.2';
-      }
+    return {
+      version: '1.7.7', // Fixed version for reference only
+      endpoint: null,
+      clearsExisting,
+      files: [{ name: sourceFileName, source: join(__dirname, '..', 'types', 'default', 'v1', sourceFileName) }]
+    };
+  }
 
-      const typeFiles = isInstanceMode
-        ? [{ name: 'p5.d.ts', url: `${cdnBase}/p5@${typesVersion}/types/p5.d.ts` }]
-        : [
-            { name: 'global.d.ts', url: `${cdnBase}/p5@${typesVersion}/types/global.d.ts` },
-            { name: 'p5.d.ts', url: `${cdnBase}/p5@${typesVersion}/types/p5.d.ts` }
-          ];
+  // p5.js 2.x: bundled types, with a hardcoded fallback for 2.0.0, 2.0.1, and any pre-releases thereof
+  let typesVersion = p5Version;
+  if (p5Version === '2.0.0' || p5Version.startsWith('2.0.0-') || p5Version === '2.0.1') {
+    typesVersion = '2.0.2';
+  }
 
-      // Download and write all type definition files
-      if (spinner) {
-        spinner.message(t('spinner.downloadingTypes'));
-      }
+  const typeFiles = isInstanceMode ? ['p5.d.ts'] : ['global.d.ts', 'p5.d.ts'];
+  const typesCdn = offline ? null : await resolveEndpoint('types');
 
-      for (const file of typeFiles) {
-        const fileResponse = await fetch(file.url);
+  return {
+    version: typesVersion,
+    endpoint: typesCdn,
+    clearsExisting,
+    files: typeFiles.map(name => ({ name, url: typesCdn ? `${typesCdn.url}/p5@${typesVersion}/types/${name}` : null }))
+  };
+}
 
-        if (!fileResponse.ok) {
-          throw new Error(`Failed to download ${file.name}: HTTP ${fileResponse.status}`);
-        }
+/**
+ * Downloads a text file and stores it in the artifact cache
+ * @param {import('./mirrors.js').Endpoint} endpoint - Endpoint the file is served from
+ * @param {string} url - URL to download
+ * @param {'p5' | 'types'} kind - Artifact kind for the cache
+ * @param {string} version - Version the file belongs to
+ * @param {string} name - File name
+ * @returns {Promise<string>} The file content
+ * @throws {Error} If the response is not successful
+ */
+async function downloadAndCache(endpoint, url, kind, version, name) {
+  const response = await fetchFromEndpoint(endpoint, url);
 
-        const content = await fileResponse.text();
-        const targetPath = `${targetDir}/${file.name}`;
-        await writeFile(targetPath, content);
-      }
+  if (!response.ok) {
+    throw new Error(`Failed to download ${name}: HTTP ${response.status}`);
+  }
 
-      if (spinner) {
-        spinner.stop(t('spinner.downloadedTypes', { version: typesVersion }));
-      }
+  const content = await response.text();
+  await writeCachedFile(kind, version, name, content);
+  return content;
+}
 
-      return typesVersion;
+/**
+ * Fetches the SHA-256 hashes jsdelivr publishes for the files of a p5.js release.
+ * npm registry mirrors have no `/flat` listing: the files are then hashed from the
+ * package tarball, once the tarball matches the `dist.integrity` of the registry.
+ * @param {string} version - The p5.js version
+ * @returns {Promise<Map<string, string>>} Base64 SHA-256 hashes keyed by package path (e.g., '/lib/p5.js')
+ * @throws {NetworkError} If the hashes cannot be fetched
+ * @throws {IntegrityError} If the package tarball does not match its published integrity
+ */
+async function fetchPublishedHashes(version) {
+  const versionApi = await resolveEndpoint('versionApi');
+
+  let flatError;
+  try {
+    const response = await fetchFromEndpoint(versionApi, `${versionApi.url}/p5@${version}/flat`);
+    if (response.ok) {
+      const data = await response.json();
+      return new Map((data.files || []).map(file => [file.name, file.hash]));
     }
+    flatError = `HTTP ${response.status}`;
   } catch (error) {
-    if (spinner) {
-      spinner.stop(t('spinner.failedTypes'));
-    }
+    if (error instanceof CreateP5Error) throw error;
+    flatError = error.reason || error.message;
+  }
 
-    if (error.message.includes('fetch failed') || error.code === 'ENOTFOUND') {
-      throw new Error('Unable to download TypeScript definitions. Please check your internet connection and try again.');
+  const dist = await fetchRegistryDist(versionApi, version);
+  if (!dist) {
+    throw new NetworkError('error.checksum.unavailable', { version, error: flatError });
+  }
+
+  try {
+    return await hashTarballFiles(versionApi, dist, version);
+  } catch (error) {
+    if (error instanceof CreateP5Error) throw error;
+    throw new NetworkError('error.checksum.unavailable', { version, error: error.reason || error.message }, { cause: error });
+  }
+}
+
+/**
+ * Reads the `dist` section of a p5.js release from an npm registry (`<url>/p5/<version>`)
+ * @param {import('./mirrors.js').Endpoint} versionApi - Version API endpoint
+ * @param {string} version - The p5.js version
+ * @returns {Promise<{ tarball: string, integrity: string }|null>} The tarball URL and its integrity, or null if the endpoint has none
+ */
+async function fetchRegistryDist(versionApi, version) {
+  try {
+    const response = await fetchFromEndpoint(versionApi, `${versionApi.url}/p5/${version}`);
+    if (!response.ok) {
+      return null;
     }
-    throw new Error(`Failed to download TypeScript definitions: ${error.message}`);
+    const { dist } = await response.json();
+    return dist && dist.tarball && dist.integrity ? dist : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Downloads the npm tarball of a p5.js release, checks it against its integrity and
+ * hashes the p5.js files inside it
+ * @param {import('./mirrors.js').Endpoint} versionApi - Version API endpoint the tarball is served from
+ * @param {{ tarball: string, integrity: string }} dist - Tarball URL and its Subresource Integrity string (e.g., 'sha512-...')
+ * @param {string} version - The p5.js version
+ * @returns {Promise<Map<string, string>>} Base64 SHA-256 hashes keyed by package path (e.g., '/lib/p5.js')
+ * @throws {Error} If the tarball cannot be downloaded or read
+ * @throws {IntegrityError} If the tarball does not match its integrity
+ */
+async function hashTarballFiles(versionApi, dist, version) {
+  const response = await fetchFromEndpoint(versionApi, dist.tarball);
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+  const tarball = Buffer.from(await response.arrayBuffer());
+
+  const matches = dist.integrity.split(/\s+/).some(entry => {
+    const [, algorithm, digest] = /^(sha256|sha384|sha512)-(.+)$/.exec(entry) || [];
+    return algorithm && crypto.createHash(algorithm).update(tarball).digest('base64') === digest;
+  });
+  if (!matches) {
+    throw new IntegrityError('error.checksum.tarballMismatch', { version });
+  }
+
+  // npm tarballs keep the package files under a top-level "package/" folder
+  const wanted = new Set(P5_FILES.map(file => `package${file.path}`));
+  const hashes = new Map();
+  await new Promise((resolve, reject) => {
+    const parser = new tar.Parser({
+      filter: (entryPath) => wanted.has(entryPath),
+      onReadEntry: (entry) => {
+        const hash = crypto.createHash('sha256');
+        entry.on('data', chunk => hash.update(chunk));
+        entry.on('end', () => hashes.set(entry.path.slice('package'.length), hash.digest('base64')));
+      }
+    });
+    parser.on('end', resolve);
+    parser.on('error', reject);
+    parser.end(tarball);
+  });
+  return hashes;
+}
+
+/**
+ * Downloads a p5.js file and checks its content type and SHA-256 hash
+ * @param {import('./mirrors.js').Endpoint} endpoint - Endpoint the file is served from
+ * @param {string} url - URL to download
+ * @param {string} name - File name
+ * @param {string} version - The p5.js version the file belongs to
+ * @param {string|undefined} expectedHash - Published base64 SHA-256 hash
+ * @returns {Promise<Buffer>} The verified file content
+ * @throws {Error} If the response is not successful
+ * @throws {IntegrityError} If there is no published hash, or the file is not JavaScript or does not match it
+ */
+async function downloadVerified(endpoint, url, name, version, expectedHash) {
+  if (!expectedHash) {
+    throw new IntegrityError('error.checksum.missing', { filename: name, version });
+  }
+
+  const response = await fetchFromEndpoint(endpoint, url);
+
+  if (!response.ok) {
+    throw new Error(`Failed to download ${name}: HTTP ${response.status}`);
+  }
+
+  const contentType = response.headers.get('content-type') || '';
+  if (contentType.includes('text/html')) {
+    throw new IntegrityError('error.checksum.notJavaScript', { filename: name, type: contentType });
+  }
+
+  const content = Buffer.from(await response.arrayBuffer());
+  const actualHash = crypto.createHash('sha256').update(content).digest('base64');
+  if (actualHash !== expectedHash) {
+    throw new IntegrityError('error.checksum.mismatch', { filename: name, version });
+  }
+
+  return content;
+}
+
+/**
+ * Reads a file from the artifact cache for offline mode
+ * @param {'p5' | 'types'} kind - Artifact kind
+ * @param {string} version - Version the file belongs to
+ * @param {string} name - File name
+ * @returns {Promise<string>} The cached file content
+ * @throws {NotCachedError} If the file is not cached
+ */
+async function readFromCache(kind, version, name) {
+  const content = await readCachedFile(kind, version, name);
+  if (content === null) {
+    throw new NotCachedError('error.offline.fileNotCached', { filename: name, version });
   }
+  return content;
 }
@@ -0,0 +1,97 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs/promises';
+import path from 'path';
+
+import { adopt, adoptProject } from '../src/operations/adopt.js';
+import { update } from '../src/operations/update.js';
+import * as display from '../src/ui/display.js';
+
+const tmpDir = path.resolve('tests', 'tmp-adopt');
+
+/**
+ * Writes a sketch (index.html plus other files) under the test directory
+ * @param {string} head - Script tags of index.html
+ * @param {Record<string, string>} [files={}] - Other files, by path
+ */
+async function writeSketch(head, files = {}) {
+  await fs.writeFile(path.join(tmpDir, 'index.html'), `<!DOCTYPE html><html><head>${head}</head><body></body></html>`);
+  for (const [file, content] of Object.entries(files)) {
+    await fs.mkdir(path.dirname(path.join(tmpDir, file)), { recursive: true });
+    await fs.writeFile(path.join(tmpDir, file), content);
+  }
+}
+
+describe('adopt', () => {
+  beforeEach(async () => {
+    display.setSilentMode(true);
+    vi.spyOn(process, 'exit').mockImplementation(() => {});
+    await fs.mkdir(tmpDir, { recursive: true });
+  });
+
+  afterEach(async () => {
+    display.setSilentMode(false);
+    vi.restoreAllMocks();
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  });
+
+  it('writes a config inferred from a Web Editor sketch', async () => {
+    await writeSketch(
+      '<script src="https://cdnjs.cloudflare.com/ajax/libs/p5.js/1.9.0/p5.min.js"></script>' +
+      '<script src="https://cdnjs.cloudflare.com/ajax/libs/p5.js/1.9.0/addons/p5.sound.min.js"></script>' +
+      '<script src="sketch.js"></script>',
+      { 'sketch.js': 'function setup() {\n  createCanvas(400, 400);\n}\n' }
+    );
+
+    const result = await adoptProject(tmpDir);
+
+    expect(result).toMatchObject({
+      version: '1.9.0',
+      mode: 'cdn',
+      cdnProvider: 'cdnjs',
+      minified: true,
+      language: 'javascript',
+      p5Mode: 'global',
+      libraries: ['p5.sound'],
+      files: ['.p5-config.json']
+    });
+    const config = JSON.parse(await fs.readFile(path.join(tmpDir, '.p5-config.json'), 'utf-8'));
+    expect(config).toMatchObject({ version: '1.9.0', versionSpec: '1.9.0', mode: 'cdn', p5Mode: 'global', libraries: ['p5.sound'], sri: false });
+    await expect(adoptProject(tmpDir)).rejects.toMatchObject({ code: 'TARGET_EXISTS' });
+  });
+
+  it('reads the version of a local lib/ file from its banner and detects instance mode', async () => {
+    await writeSketch('<script src="lib/p5.js"></script><script src="./js/sketch.js"></script>', {
+      'lib/p5.js': '/*! p5.js v2.0.3 June 2, 2025 */\n(function () {})();\n',
+      'js/sketch.js': 'new p5((p) => {\n  p.setup = () => p.createCanvas(100, 100);\n});\n'
+    });
+
+    const result = await adoptProject(tmpDir, { dryRun: true });
+
+    expect(result).toMatchObject({ version: '2.0.3', mode: 'local', cdnProvider: null, minified: false, p5Mode: 'instance', files: [] });
+    expect(result.plan).toEqual([expect.objectContaining({ type: 'config', path: path.join(tmpDir, '.p5-config.json') })]);
+    expect(await fs.readdir(tmpDir)).not.toContain('.p5-config.json');
+  });
+
+  it('asks for --version when the tag names no exact release', async () => {
+    await writeSketch('<script src="https://cdn.jsdelivr.net/npm/p5@1/lib/p5.js"></script><script>console.log("hi")</script>');
+
+    await expect(adoptProject(tmpDir)).rejects.toMatchObject({ code: 'INVALID_FLAG', key: 'error.adopt.unknownVersion' });
+    await expect(adoptProject(tmpDir, { version: '^1' })).rejects.toMatchObject({ key: 'error.adopt.invalidVersion' });
+
+    await adopt({ _: ['adopt', tmpDir], version: '1.11.2' });
+
+    const config = JSON.parse(await fs.readFile(path.join(tmpDir, '.p5-config.json'), 'utf-8'));
+    expect(config).toMatchObject({ version: '1.11.2', p5Mode: null });
+  });
+
+  it('points update to adopt for a sketch without a config', async () => {
+    await expect(adoptProject(tmpDir)).rejects.toMatchObject({ code: 'NO_PROJECT', key: 'error.adopt.noIndex' });
+
+    await writeSketch('<script src="https://cdn.jsdelivr.net/npm/p5@1.9.0/lib/p5.js"></script>');
+
+    await expect(update(tmpDir, { _: ['update'] })).rejects.toMatchObject({
+      key: 'error.update.noConfig',
+      hints: [{ key: 'error.update.adoptHint' }]
+    });
+  });
+});
@@ -0,0 +1,151 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs/promises';
+import path from 'path';
+
+vi.mock('../src/version.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  fetchVersions: vi.fn(async () => ({ latest: '2.1.1', versions: ['2.1.1', '2.0.0', '1.9.0'] })),
+  downloadP5Files: vi.fn(async () => {}),
+  downloadTypeDefinitions: vi.fn(async () => '2.0.2')
+}));
+
+vi.mock('../src/ui/prompts.js', () => ({
+  isCancel: vi.fn(() => false),
+  promptProjectPath: vi.fn(async () => 'sketch'),
+  promptSetupType: vi.fn(async () => 'custom'),
+  promptVersion: vi.fn(async () => '2.0.0'),
+  promptMode: vi.fn(async () => 'local'),
+  promptLanguage: vi.fn(async () => 'javascript'),
+  promptP5Mode: vi.fn(async () => 'instance'),
+  promptGit: vi.fn(async () => false),
+  promptTypes: vi.fn(async () => true),
+  promptReview: vi.fn(async () => 'create'),
+  promptPresetName: vi.fn(async () => '')
+}));
+
+import { validateAnswers, applyAnswers, readAnswers } from '../src/answers.js';
+import { scaffold } from '../src/operations/scaffold.js';
+import { pickDefault } from '../src/defaults.js';
+import * as prompts from '../src/ui/prompts.js';
+import * as display from '../src/ui/display.js';
+
+const tmpDir = path.resolve('tests', 'tmp-answers');
+
+describe('validateAnswers', () => {
+  it('accepts a complete answers file', () => {
+    expect(validateAnswers({
+      path: 'my-sketch',
+      setupType: 'custom',
+      version: '2.1.1',
+      mode: 'local',
+      language: 'typescript',
+      p5Mode: 'instance',
+      git: true,
+      types: false
+    })).toEqual([]);
+    expect(validateAnswers({ path: '.', template: 'user/repo' })).toEqual([]);
+  });
+
+  it('rejects unknown keys, wrong types and invalid values', () => {
+    expect(validateAnswers([])).toEqual(['The answers file must contain a JSON object.']);
+    expect(validateAnswers({ colour: 'red', git: 'yes' })).toEqual([
+      expect.stringContaining('Unknown answer "colour"'),
+      'Answer "git" must be a boolean.'
+    ]);
+    expect(validateAnswers({ path: 'my sketch', mode: 'ftp', template: 'basic' })).toEqual([
+      expect.stringContaining('cannot contain spaces'),
+      expect.stringContaining('Invalid mode "ftp"'),
+      expect.stringContaining('only accepts community templates')
+    ]);
+  });
+});
+
+describe('applyAnswers', () => {
+  it('fills in the choices not given as flags and skips prompts', () => {
+    const args = applyAnswers({ _: [], git: null, mode: 'cdn' }, { path: 'sketch', mode: 'local', git: true, types: false });
+
+    expect(args).toMatchObject({ _: ['sketch'], yes: true, mode: 'cdn', git: true, types: false });
+  });
+
+  it('lets --git and --no-git win over the git answer', () => {
+    expect(applyAnswers({ _: [], git: false }, { git: true }).git).toBe(false);
+    expect(applyAnswers({ _: [], git: true }, { git: false }).git).toBe(true);
+  });
+
+  it('leaves git to the configured defaults when the file has no git answer', () => {
+    const args = applyAnswers({ _: [], git: null }, { mode: 'local' });
+    const defaults = { values: { git: true }, sources: { git: '.p5rc' } };
+
+    expect(args.git ?? null).toBeNull();
+    expect(pickDefault(args.git, defaults, 'git', false)).toEqual({ value: true, source: '.p5rc' });
+  });
+});
+
+describe('scaffold --answers / --save-answers', () => {
+  beforeEach(async () => {
+    vi.clearAllMocks();
+    display.setSilentMode(true);
+    vi.spyOn(process, 'exit').mockImplementation(() => {});
+    await fs.mkdir(tmpDir, { recursive: true });
+  });
+
+  afterEach(async () => {
+    display.setSilentMode(false);
+    vi.restoreAllMocks();
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  });
+
+  it('fails on an invalid answers file before creating anything', async () => {
+    const file = path.join(tmpDir, 'answers.json');
+    await fs.writeFile(file, JSON.stringify({ language: 'python' }));
+
+    await expect(readAnswers(path.join(tmpDir, 'missing.json'))).rejects.toMatchObject({ code: 'INVALID_FLAG' });
+    await expect(scaffold({ _: [], answers: file })).rejects.toMatchObject({
+      code: 'INVALID_FLAG',
+      details: [expect.stringContaining('python')]
+    });
+    expect(await fs.readdir(tmpDir)).toEqual(['answers.json']);
+  });
+
+  it('lists the answers file as a planned step on a dry run and does not offer a preset', async () => {
+    const file = path.join(tmpDir, 'answers.json');
+    prompts.promptProjectPath.mockResolvedValueOnce(path.join(tmpDir, 'sketch'));
+    const plan = vi.spyOn(display, 'plan').mockImplementation(() => {});
+
+    await scaffold({ _: [], git: false, 'dry-run': true, 'save-answers': file });
+
+    expect(await fs.readdir(tmpDir)).toEqual([]);
+    expect(prompts.promptPresetName).not.toHaveBeenCalled();
+    expect(plan.mock.calls[0][0]).toContainEqual({ type: 'config', path: file, content: expect.stringContaining('"setupType": "custom"') });
+  });
+
+  it('saves the answers of an interactive session and replays them without prompting', async () => {
+    const file = path.join(tmpDir, 'answers.json');
+    const first = path.join(tmpDir, 'first');
+    prompts.promptProjectPath.mockResolvedValueOnce(first);
+
+    await scaffold({ _: [], git: false, 'save-answers': file });
+
+    const answers = JSON.parse(await fs.readFile(file, 'utf-8'));
+    expect(answers).toEqual({
+      path: first,
+      setupType: 'custom',
+      version: '2.0.0',
+      mode: 'local',
+      language: 'javascript',
+      p5Mode: 'instance',
+      git: false,
+      types: true
+    });
+
+    vi.clearAllMocks();
+    const second = path.join(tmpDir, 'second');
+    await scaffold({ _: [second], git: false, answers: file });
+
+    expect(prompts.promptSetupType).not.toHaveBeenCalled();
+    expect(prompts.promptVersion).not.toHaveBeenCalled();
+    expect(prompts.promptLanguage).not.toHaveBeenCalled();
+    const config = JSON.parse(await fs.readFile(path.join(second, '.p5-config.json'), 'utf-8'));
+    expect(config).toMatchObject({ version: '2.0.0', mode: 'local', language: 'javascript', p5Mode: 'instance' });
+  });
+});
@@ -0,0 +1,121 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs/promises';
+import { existsSync } from 'fs';
+import path from 'path';
+
+vi.mock('../src/version.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  fetchVersions: vi.fn(async () => ({ latest: '2.1.1', versions: ['2.1.1', '2.0.0', '1.9.0'] })),
+  downloadP5Files: vi.fn(async (version, targetDir, spinner) => {
+    spinner.message('spinner.downloadingP5File', { filename: 'p5.min.js' });
+    await fs.writeFile(path.join(targetDir, 'p5.js'), `// p5@${version}`);
+    await fs.writeFile(path.join(targetDir, 'p5.min.js'), `// p5@${version}`);
+    spinner.stop('spinner.downloadedP5');
+  }),
+  downloadTypeDefinitions: vi.fn(async () => '2.1.1')
+}));
+
+// The API must never prompt
+vi.mock('../src/ui/prompts.js', () => {
+  const fail = () => {
+    throw new Error('prompted');
+  };
+  return { isCancel: () => false, promptProjectPath: fail, promptVersion: fail, promptMode: fail, confirmDeleteLib: fail };
+});
+
+import { createProject, updateProject, TargetExistsError, NoProjectError } from '../src/api.js';
+
+const tmpDir = path.resolve('tests', 'tmp-api');
+
+describe('programmatic API', () => {
+  let exitSpy;
+
+  beforeEach(async () => {
+    vi.clearAllMocks();
+    exitSpy = vi.spyOn(process, 'exit').mockImplementation(() => {});
+    await fs.mkdir(tmpDir, { recursive: true });
+  });
+
+  afterEach(async () => {
+    exitSpy.mockRestore();
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  });
+
+  it('creates a project and returns the result, reporting to the logger and progress callback', async () => {
+    const logger = { info: vi.fn(), success: vi.fn(), warn: vi.fn() };
+    const events = [];
+
+    const result = await createProject({
+      path: 'week-1',
+      cwd: tmpDir,
+      mode: 'local',
+      logger,
+      onProgress: event => events.push(`${event.step}:${event.status}`)
+    });
+
+    expect(result).toMatchObject({
+      projectPath: path.join(tmpDir, 'week-1'),
+      name: 'week-1',
+      version: '2.1.1',
+      mode: 'local',
+      language: 'javascript',
+      p5Mode: 'global',
+      typesVersion: '2.1.1',
+      warnings: [],
+      plan: null
+    });
+    expect(result.files).toContain(path.join('lib', 'p5.min.js'));
+    expect(existsSync(path.join(tmpDir, 'week-1', '.p5-config.json'))).toBe(true);
+
+    expect(logger.info).toHaveBeenCalledWith('Creating project in: week-1');
+    expect(logger.success).toHaveBeenCalledWith('Using latest p5.js version: 2.1.1');
+    expect(events).toEqual([
+      'versions:start', 'versions:end',
+      'copy:start', 'copy:end',
+      'p5:start', 'p5:update', 'p5:end',
+      'types:start'
+    ]);
+    expect(exitSpy).not.toHaveBeenCalled();
+  });
+
+  it('resolves a version range and stores it next to the resolved version', async () => {
+    const logger = { info: vi.fn(), success: vi.fn(), warn: vi.fn() };
+
+    const result = await createProject({ path: 'week-1', cwd: tmpDir, version: '2.0.x', types: false, logger });
+
+    expect(result.version).toBe('2.0.0');
+    expect(logger.success).toHaveBeenCalledWith('Using p5.js version: 2.0.0 (resolved from "2.0.x")');
+    const config = JSON.parse(await fs.readFile(path.join(tmpDir, 'week-1', '.p5-config.json'), 'utf-8'));
+    expect(config).toMatchObject({ version: '2.0.0', versionSpec: '2.0.x' });
+  });
+
+  it('returns the plan of a dry run without writing anything', async () => {
+    const result = await createProject({ path: 'week-1', cwd: tmpDir, dryRun: true });
+
+    expect(result.plan).toContainEqual(expect.objectContaining({ type: 'config' }));
+    expect(result.files).toEqual([]);
+    expect(await fs.readdir(tmpDir)).toEqual([]);
+  });
+
+  it('throws typed errors instead of exiting', async () => {
+    await fs.mkdir(path.join(tmpDir, 'week-1'));
+
+    await expect(createProject({ path: 'week-1', cwd: tmpDir })).rejects.toBeInstanceOf(TargetExistsError);
+    await expect(updateProject(path.join(tmpDir, 'week-1'), { version: 'latest' })).rejects.toBeInstanceOf(NoProjectError);
+    expect(exitSpy).not.toHaveBeenCalled();
+  });
+
+  it('updates a project and deletes lib/ only when asked', async () => {
+    const { projectPath } = await createProject({ path: 'week-1', cwd: tmpDir, version: '2.0.0', mode: 'local' });
+
+    const result = await updateProject(projectPath, { version: 'latest', mode: 'cdn', deleteLib: true });
+
+    expect(result).toMatchObject({ projectPath, version: '2.1.1', mode: 'cdn', changed: true, plan: null });
+    expect(result.files).toEqual(expect.arrayContaining(['index.html', '.p5-config.json']));
+    expect(existsSync(path.join(projectPath, 'lib'))).toBe(false);
+    expect(await fs.readFile(path.join(projectPath, 'index.html'), 'utf-8')).toContain('p5@2.1.1');
+
+    const unchanged = await updateProject(projectPath, { mode: 'cdn' });
+    expect(unchanged.changed).toBe(false);
+  });
+});
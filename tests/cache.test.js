@@ -0,0 +1,187 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs/promises';
+import path from 'path';
+import { getCacheDir, readCachedVersions, readCachedFile, writeCachedFile, listCachedVersions, exportCache, importCache, clearCache } from '../src/cache.js';
+import { fetchVersions, downloadP5Files, downloadTypeDefinitions } from '../src/version.js';
+import { manageCache } from '../src/operations/cache.js';
+import * as display from '../src/ui/display.js';
+import { fakeCdn } from './helpers/cdn.js';
+
+let originalFetch;
+let originalCacheDir;
+const tmpDir = path.join('tests', 'tmp-cache');
+const cacheDir = path.join(tmpDir, 'cache');
+const targetDir = path.join(tmpDir, 'target');
+
+beforeEach(async () => {
+  originalFetch = globalThis.fetch;
+  originalCacheDir = process.env.CREATE_P5_CACHE_DIR;
+  process.env.CREATE_P5_CACHE_DIR = cacheDir;
+  await fs.mkdir(targetDir, { recursive: true });
+});
+
+afterEach(async () => {
+  globalThis.fetch = originalFetch;
+  process.env.CREATE_P5_CACHE_DIR = originalCacheDir;
+  await fs.rm(tmpDir, { recursive: true, force: true });
+});
+
+describe('getCacheDir', () => {
+  it('honours CREATE_P5_CACHE_DIR', () => {
+    expect(getCacheDir()).toBe(path.resolve(cacheDir));
+  });
+});
+
+describe('online downloads populate the cache', () => {
+  it('stores the version list', async () => {
+    globalThis.fetch = async () => ({
+      ok: true,
+      json: async () => ({ tags: { latest: '2.1.1' }, versions: ['2.1.1', '2.1.0-rc.1', '1.9.0'] })
+    });
+
+    await fetchVersions();
+
+    const cached = await readCachedVersions();
+    expect(cached.tags.latest).toBe('2.1.1');
+    expect(cached.versions).toContain('2.1.0-rc.1');
+  });
+
+  it('stores downloaded p5.js files', async () => {
+    globalThis.fetch = fakeCdn();
+
+    await downloadP5Files('1.9.0', targetDir);
+
+    expect(await readCachedFile('p5', '1.9.0', 'p5.js')).toMatch(/p5@1\.9\.0\/lib\/p5\.js/);
+    expect(await readCachedFile('p5', '1.9.0', 'p5.min.js')).toMatch(/p5\.min\.js/);
+  });
+});
+
+describe('offline mode', () => {
+  const noNetwork = async () => {
+    throw new Error('network should not be used in offline mode');
+  };
+
+  it('resolves versions from the cache without the network', async () => {
+    globalThis.fetch = async () => ({
+      ok: true,
+      json: async () => ({ tags: { latest: '2.1.1' }, versions: ['2.1.1', '2.1.0-rc.1', '1.9.0'] })
+    });
+    await fetchVersions();
+
+    globalThis.fetch = noNetwork;
+    const result = await fetchVersions(false, { offline: true });
+    expect(result).toEqual({ latest: '2.1.1', versions: ['2.1.1', '1.9.0'], tags: { latest: '2.1.1' }, dates: {} });
+
+    const withPrerelease = await fetchVersions(true, { offline: true });
+    expect(withPrerelease.versions).toContain('2.1.0-rc.1');
+  });
+
+  it('fails with a clear message when the version list is not cached', async () => {
+    globalThis.fetch = noNetwork;
+    await expect(fetchVersions(false, { offline: true })).rejects.toThrow(/not in the offline cache/);
+  });
+
+  it('copies cached p5.js files without the network', async () => {
+    globalThis.fetch = fakeCdn();
+    await downloadP5Files('1.9.0', targetDir);
+    await fs.rm(path.join(targetDir, 'p5.js'));
+
+    globalThis.fetch = noNetwork;
+    await downloadP5Files('1.9.0', targetDir, null, { offline: true });
+
+    const content = await fs.readFile(path.join(targetDir, 'p5.js'), 'utf-8');
+    expect(content).toMatch(/p5@1\.9\.0/);
+  });
+
+  it('fails with a clear message when p5.js files are not cached', async () => {
+    globalThis.fetch = noNetwork;
+    await expect(downloadP5Files('1.4.0', targetDir, null, { offline: true }))
+      .rejects.toThrow(/p5\.js for version 1\.4\.0 is not in the offline cache/);
+  });
+
+  it('copies cached 2.x type definitions without the network', async () => {
+    globalThis.fetch = async (url) => ({ ok: true, text: async () => `// ${url}` });
+    await downloadTypeDefinitions('2.1.1', targetDir, null, 'global');
+
+    globalThis.fetch = noNetwork;
+    const typesVersion = await downloadTypeDefinitions('2.1.1', targetDir, null, 'global', null, { offline: true });
+
+    expect(typesVersion).toBe('2.1.1');
+    const content = await fs.readFile(path.join(targetDir, 'global.d.ts'), 'utf-8');
+    expect(content).toMatch(/types\/global\.d\.ts/);
+  });
+});
+
+describe('cache management', () => {
+  beforeEach(() => {
+    display.setSilentMode(true);
+  });
+
+  afterEach(() => {
+    display.setSilentMode(false);
+  });
+
+  it('lists cached versions', async () => {
+    await writeCachedFile('p5', '1.9.0', 'p5.js', '// p5');
+    await writeCachedFile('types', '2.1.1', 'p5.d.ts', '// types');
+
+    const cached = await listCachedVersions();
+    expect(cached.p5).toEqual(['1.9.0']);
+    expect(cached.types).toEqual(['2.1.1']);
+  });
+
+  it('exports and imports a portable archive', async () => {
+    await writeCachedFile('p5', '1.9.0', 'p5.js', '// p5 1.9.0');
+    await writeCachedFile('p5', '1.9.0', 'p5.min.js', '// p5 1.9.0 min');
+    const archivePath = path.join(tmpDir, 'p5-cache.tgz');
+
+    expect(await exportCache(archivePath)).toBeGreaterThan(0);
+
+    await clearCache();
+    expect((await listCachedVersions()).p5).toEqual([]);
+
+    const imported = await importCache(archivePath);
+    expect(imported).toBe(2);
+    expect(await readCachedFile('p5', '1.9.0', 'p5.min.js')).toBe('// p5 1.9.0 min');
+  });
+
+  it('exports nothing when the cache is empty', async () => {
+    expect(await exportCache(path.join(tmpDir, 'empty.tgz'))).toBe(0);
+  });
+
+  it('prune keeps the newest cached version of each major release', async () => {
+    for (const version of ['1.8.0', '1.9.0', '2.0.0', '2.1.1']) {
+      await writeCachedFile('p5', version, 'p5.js', `// ${version}`);
+    }
+
+    await manageCache({ _: ['cache', 'prune'] });
+
+    const cached = await listCachedVersions();
+    expect(cached.p5.sort()).toEqual(['1.9.0', '2.1.1']);
+  });
+
+  it('prune --all clears the cache', async () => {
+    await writeCachedFile('p5', '1.9.0', 'p5.js', '// p5');
+
+    await manageCache({ _: ['cache', 'prune'], all: true });
+
+    expect((await listCachedVersions()).p5).toEqual([]);
+  });
+
+  it('add keeps the INTEGRITY code of a checksum mismatch', async () => {
+    globalThis.fetch = fakeCdn({ body: (url) => `// tampered ${url}` });
+
+    await expect(manageCache({ _: ['cache', 'add', '1.9.0'], types: false })).rejects.toMatchObject({
+      code: 'INTEGRITY',
+      key: 'error.checksum.mismatch'
+    });
+  });
+
+  it('rejects unknown subcommands as invalid flags', async () => {
+    await expect(manageCache({ _: ['cache', 'frobnicate'] })).rejects.toMatchObject({
+      code: 'INVALID_FLAG',
+      key: 'error.cache.unknownSubcommand',
+      vars: { subcommand: 'frobnicate' }
+    });
+  });
+});
@@ -1,8 +1,6 @@
 import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
-import { Readable } from 'stream';
 import fs from 'fs/promises';
 import path from 'path';
-import https from 'https';
 import {
   parseCodebergSpec,
   downloadCodebergSingleFile,
@@ -250,27 +248,13 @@ describe('parseCodebergSpec', () => {
 
 describe('downloadCodebergSingleFile', () => {
   function createMockResponse(statusCode, data = '', headers = {}) {
-    const response = new Readable();
-    response.statusCode = statusCode;
-    response.headers = headers;
-    response._read = () => {};
-
-    // Simulate async data emission
-    setImmediate(() => {
-      response.push(data);
-      response.push(null);
-    });
-
-    return response;
+    return new Response(data, { status: statusCode, headers });
   }
 
   it('downloads a file successfully', async () => {
     const mockResponse = createMockResponse(200, '// file content');
 
-    vi.spyOn(https, 'get').mockImplementation((url, callback) => {
-      callback(mockResponse);
-      return { on: () => ({}) };
-    });
+    vi.spyOn(globalThis, 'fetch').mockImplementation(async () => mockResponse);
 
     await downloadCodebergSingleFile('user', 'repo', 'main', 'test.js', tmpDir);
 
@@ -281,11 +265,10 @@ describe('downloadCodebergSingleFile', () => {
   it('constructs correct Codeberg API URL', async () => {
     let capturedUrl = '';
 
-    vi.spyOn(https, 'get').mockImplementation((url, callback) => {
+    vi.spyOn(globalThis, 'fetch').mockImplementation(async (url) => {
       capturedUrl = url;
       const mockResponse = createMockResponse(404); // Fail fast for test
-      callback(mockResponse);
-      return { on: () => ({}) };
+      return mockResponse;
     });
 
     await expect(
@@ -298,11 +281,10 @@ describe('downloadCodebergSingleFile', () => {
   it('constructs correct URL with custom ref', async () => {
     let capturedUrl = '';
 
-    vi.spyOn(https, 'get').mockImplementation((url, callback) => {
+    vi.spyOn(globalThis, 'fetch').mockImplementation(async (url) => {
       capturedUrl = url;
       const mockResponse = createMockResponse(404);
-      callback(mockResponse);
-      return { on: () => ({}) };
+      return mockResponse;
     });
 
     await expect(
@@ -316,10 +298,7 @@ describe('downloadCodebergSingleFile', () => {
     const nestedDir = path.join(tmpDir, 'nested', 'dir');
     const mockResponse = createMockResponse(200, 'content');
 
-    vi.spyOn(https, 'get').mockImplementation((url, callback) => {
-      callback(mockResponse);
-      return { on: () => ({}) };
-    });
+    vi.spyOn(globalThis, 'fetch').mockImplementation(async () => mockResponse);
 
     await downloadCodebergSingleFile('user', 'repo', 'main', 'file.js', nestedDir);
 
@@ -330,10 +309,7 @@ describe('downloadCodebergSingleFile', () => {
   it('extracts filename from path', async () => {
     const mockResponse = createMockResponse(200, 'content');
 
-    vi.spyOn(https, 'get').mockImplementation((url, callback) => {
-      callback(mockResponse);
-      return { on: () => ({}) };
-    });
+    vi.spyOn(globalThis, 'fetch').mockImplementation(async () => mockResponse);
 
     await downloadCodebergSingleFile('user', 'repo', 'main', 'path/to/file.js', tmpDir);
 
@@ -344,10 +320,7 @@ describe('downloadCodebergSingleFile', () => {
   it('throws error on non-200/redirect status codes', async () => {
     const mockResponse = createMockResponse(500);
 
-    vi.spyOn(https, 'get').mockImplementation((url, callback) => {
-      callback(mockResponse);
-      return { on: () => ({}) };
-    });
+    vi.spyOn(globalThis, 'fetch').mockImplementation(async () => mockResponse);
 
     await expect(
       downloadCodebergSingleFile('user', 'repo', 'main', 'file.js', tmpDir)
@@ -357,10 +330,7 @@ describe('downloadCodebergSingleFile', () => {
   it('throws error on 404 status', async () => {
     const mockResponse = createMockResponse(404);
 
-    vi.spyOn(https, 'get').mockImplementation((url, callback) => {
-      callback(mockResponse);
-      return { on: () => ({}) };
-    });
+    vi.spyOn(globalThis, 'fetch').mockImplementation(async () => mockResponse);
 
     await expect(
       downloadCodebergSingleFile('user', 'repo', 'main', 'missing.js', tmpDir)
@@ -371,18 +341,17 @@ describe('downloadCodebergSingleFile', () => {
     let callCount = 0;
     const redirectUrl = 'https://new-location.com/file.js';
 
-    vi.spyOn(https, 'get').mockImplementation((url, callback) => {
+    vi.spyOn(globalThis, 'fetch').mockImplementation(async () => {
       callCount++;
       if (callCount === 1) {
         const redirectResponse = createMockResponse(301, '', {
           location: redirectUrl
         });
-        callback(redirectResponse);
+        return redirectResponse;
       } else {
         const finalResponse = createMockResponse(200, 'redirected content');
-        callback(finalResponse);
+        return finalResponse;
       }
-      return { on: () => ({}) };
     });
 
     await downloadCodebergSingleFile('user', 'repo', 'main', 'file.js', tmpDir);
@@ -397,18 +366,17 @@ describe('downloadCodebergSingleFile', () => {
       let callCount = 0;
       const redirectUrl = 'https://new-location.com/file.js';
 
-      vi.spyOn(https, 'get').mockImplementation((url, callback) => {
+      vi.spyOn(globalThis, 'fetch').mockImplementation(async () => {
         callCount++;
         if (callCount === 1) {
           const redirectResponse = createMockResponse(statusCode, '', {
             location: redirectUrl
           });
-          callback(redirectResponse);
+          return redirectResponse;
         } else {
           const finalResponse = createMockResponse(200, `content-${statusCode}`);
-          callback(finalResponse);
+          return finalResponse;
         }
-        return { on: () => ({}) };
       });
 
       const testDir = path.join(tmpDir, `test-${statusCode}`);
@@ -425,10 +393,7 @@ describe('downloadCodebergSingleFile', () => {
   it('throws error when redirect has no location header', async () => {
     const mockResponse = createMockResponse(301, '', {});
 
-    vi.spyOn(https, 'get').mockImplementation((url, callback) => {
-      callback(mockResponse);
-      return { on: () => ({}) };
-    });
+    vi.spyOn(globalThis, 'fetch').mockImplementation(async () => mockResponse);
 
     await expect(
       downloadCodebergSingleFile('user', 'repo', 'main', 'file.js', tmpDir)
@@ -436,12 +401,11 @@ describe('downloadCodebergSingleFile', () => {
   });
 
   it('throws error after too many redirects', async () => {
-    vi.spyOn(https, 'get').mockImplementation((url, callback) => {
+    vi.spyOn(globalThis, 'fetch').mockImplementation(async () => {
       const redirectResponse = createMockResponse(301, '', {
         location: 'https://redirect-loop.com/file.js'
       });
-      callback(redirectResponse);
-      return { on: () => ({}) };
+      return redirectResponse;
     });
 
     await expect(
@@ -450,17 +414,7 @@ describe('downloadCodebergSingleFile', () => {
   });
 
   it('throws error on network error', async () => {
-    vi.spyOn(https, 'get').mockImplementation(() => {
-      const request = {
-        on: (event, handler) => {
-          if (event === 'error') {
-            setImmediate(() => handler(new Error('Network error')));
-          }
-          return request;
-        }
-      };
-      return request;
-    });
+    vi.spyOn(globalThis, 'fetch').mockRejectedValue(new TypeError('fetch failed', { cause: new Error('Network error') }));
 
     await expect(
       downloadCodebergSingleFile('user', 'repo', 'main', 'file.js', tmpDir)
@@ -470,28 +424,16 @@ describe('downloadCodebergSingleFile', () => {
 
 describe('downloadCodebergArchive', () => {
   function createMockResponse(statusCode, data = '', headers = {}) {
-    const response = new Readable();
-    response.statusCode = statusCode;
-    response.headers = headers;
-    response._read = () => {};
-
-    // Simulate async data emission
-    setImmediate(() => {
-      response.push(data);
-      response.push(null);
-    });
-
-    return response;
+    return new Response(data, { status: statusCode, headers });
   }
 
   it('constructs correct Codeberg archive URL', async () => {
     let capturedUrl = '';
 
-    vi.spyOn(https, 'get').mockImplementation((url, callback) => {
+    vi.spyOn(globalThis, 'fetch').mockImplementation(async (url) => {
       capturedUrl = url;
       const mockResponse = createMockResponse(404); // Fail fast for test
-      callback(mockResponse);
-      return { on: () => ({}) };
+      return mockResponse;
     });
 
     await expect(
@@ -504,11 +446,10 @@ describe('downloadCodebergArchive', () => {
   it('constructs correct URL with custom ref', async () => {
     let capturedUrl = '';
 
-    vi.spyOn(https, 'get').mockImplementation((url, callback) => {
+    vi.spyOn(globalThis, 'fetch').mockImplementation(async (url) => {
       capturedUrl = url;
       const mockResponse = createMockResponse(404);
-      callback(mockResponse);
-      return { on: () => ({}) };
+      return mockResponse;
     });
 
     await expect(
@@ -521,10 +462,7 @@ describe('downloadCodebergArchive', () => {
   it('throws error on non-200/redirect status codes', async () => {
     const mockResponse = createMockResponse(500);
 
-    vi.spyOn(https, 'get').mockImplementation((url, callback) => {
-      callback(mockResponse);
-      return { on: () => ({}) };
-    });
+    vi.spyOn(globalThis, 'fetch').mockImplementation(async () => mockResponse);
 
     await expect(
       downloadCodebergArchive('user', 'repo', 'main', '', tmpDir)
@@ -534,10 +472,7 @@ describe('downloadCodebergArchive', () => {
   it('throws error on 404 status', async () => {
     const mockResponse = createMockResponse(404);
 
-    vi.spyOn(https, 'get').mockImplementation((url, callback) => {
-      callback(mockResponse);
-      return { on: () => ({}) };
-    });
+    vi.spyOn(globalThis, 'fetch').mockImplementation(async () => mockResponse);
 
     await expect(
       downloadCodebergArchive('user', 'repo', 'main', '', tmpDir)
@@ -547,19 +482,18 @@ describe('downloadCodebergArchive', () => {
   it('follows redirects with correct status codes', async () => {
     let callCount = 0;
 
-    vi.spyOn(https, 'get').mockImplementation((url, callback) => {
+    vi.spyOn(globalThis, 'fetch').mockImplementation(async () => {
       callCount++;
       if (callCount === 1) {
         const redirectResponse = createMockResponse(302, '', {
           location: 'https://new-location.com/archive.tar.gz'
         });
-        callback(redirectResponse);
+        return redirectResponse;
       } else {
         // Return a mock response that will fail extraction but proves redirect worked
         const mockResponse = createMockResponse(404);
-        callback(mockResponse);
+        return mockResponse;
       }
-      return { on: () => ({}) };
     });
 
     await expect(
@@ -572,10 +506,7 @@ describe('downloadCodebergArchive', () => {
   it('throws error when redirect has no location header', async () => {
     const mockResponse = createMockResponse(301, '', {});
 
-    vi.spyOn(https, 'get').mockImplementation((url, callback) => {
-      callback(mockResponse);
-      return { on: () => ({}) };
-    });
+    vi.spyOn(globalThis, 'fetch').mockImplementation(async () => mockResponse);
 
     await expect(
       downloadCodebergArchive('user', 'repo', 'main', '', tmpDir)
@@ -583,12 +514,11 @@ describe('downloadCodebergArchive', () => {
   });
 
   it('throws error after too many redirects', async () => {
-    vi.spyOn(https, 'get').mockImplementation((url, callback) => {
+    vi.spyOn(globalThis, 'fetch').mockImplementation(async () => {
       const redirectResponse = createMockResponse(301, '', {
         location: 'https://redirect-loop.com/archive.tar.gz'
       });
-      callback(redirectResponse);
-      return { on: () => ({}) };
+      return redirectResponse;
     });
 
     await expect(
@@ -597,17 +527,7 @@ describe('downloadCodebergArchive', () => {
   });
 
   it('throws error on network error', async () => {
-    vi.spyOn(https, 'get').mockImplementation(() => {
-      const request = {
-        on: (event, handler) => {
-          if (event === 'error') {
-            setImmediate(() => handler(new Error('Network error')));
-          }
-          return request;
-        }
-      };
-      return request;
-    });
+    vi.spyOn(globalThis, 'fetch').mockRejectedValue(new TypeError('fetch failed', { cause: new Error('Network error') }));
 
     await expect(
       downloadCodebergArchive('user', 'repo', 'main', '', tmpDir)
@@ -618,10 +538,7 @@ describe('downloadCodebergArchive', () => {
     const nestedDir = path.join(tmpDir, 'nested', 'archive-dir');
     const mockResponse = createMockResponse(404);
 
-    vi.spyOn(https, 'get').mockImplementation((url, callback) => {
-      callback(mockResponse);
-      return { on: () => ({}) };
-    });
+    vi.spyOn(globalThis, 'fetch').mockImplementation(async () => mockResponse);
 
     await expect(
       downloadCodebergArchive('user', 'repo', 'main', '', nestedDir)
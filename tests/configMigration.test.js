@@ -64,7 +64,7 @@ describe('Config file migration', () => {
 
     // Verify: migration failed with appropriate error
     expect(result.migrated).toBe(false);
-    expect(result.error).toBe('error.migration.configExists');
+    expect(result.error).toMatchObject({ code: 'CONFIG', key: 'error.migration.configExists' });
 
     // Verify: both files still exist with original content
     const { fileExists } = await import('../src/utils.js');
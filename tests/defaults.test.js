@@ -0,0 +1,129 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs/promises';
+import path from 'path';
+
+vi.mock('../src/version.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  fetchVersions: vi.fn(async () => ({ latest: '2.1.1', versions: ['2.1.1', '2.0.0', '1.9.0'] })),
+  downloadP5Files: vi.fn(async () => {}),
+  downloadTypeDefinitions: vi.fn(async () => '2.1.1')
+}));
+
+vi.mock('../src/ui/prompts.js', () => ({
+  isCancel: vi.fn(() => false),
+  promptReview: vi.fn(async () => 'create')
+}));
+
+import { loadDefaults, pickDefault, validateDefaults } from '../src/defaults.js';
+import { scaffold } from '../src/operations/scaffold.js';
+import * as display from '../src/ui/display.js';
+
+const tmpDir = path.resolve('tests', 'tmp-defaults');
+const configDir = path.join(tmpDir, 'config');
+const courseDir = path.join(tmpDir, 'course');
+const userConfigPath = path.join(configDir, 'config.json');
+const rcPath = path.join(courseDir, '.p5rc');
+
+/**
+ * Writes the user config defaults and the course .p5rc
+ * @param {Object} userDefaults - `defaults` section of the user config
+ * @param {Object} rc - Contents of .p5rc
+ */
+async function writeDefaults(userDefaults, rc) {
+  await fs.writeFile(userConfigPath, JSON.stringify({ defaults: userDefaults }));
+  await fs.writeFile(rcPath, JSON.stringify(rc));
+}
+
+describe('defaults', () => {
+  const originalConfigDir = process.env.CREATE_P5_CONFIG_DIR;
+
+  beforeEach(async () => {
+    vi.clearAllMocks();
+    process.env.CREATE_P5_CONFIG_DIR = configDir;
+    await fs.mkdir(configDir, { recursive: true });
+    await fs.mkdir(path.join(courseDir, 'week-1'), { recursive: true });
+  });
+
+  afterEach(async () => {
+    if (originalConfigDir === undefined) {
+      delete process.env.CREATE_P5_CONFIG_DIR;
+    } else {
+      process.env.CREATE_P5_CONFIG_DIR = originalConfigDir;
+    }
+    vi.restoreAllMocks();
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  });
+
+  it('merges the nearest .p5rc over the user config and records where each value came from', async () => {
+    await writeDefaults({ mode: 'local', git: true }, { mode: 'cdn', cdn: 'unpkg' });
+
+    const defaults = await loadDefaults(path.join(courseDir, 'week-1'));
+
+    expect(defaults.values).toEqual({ mode: 'cdn', git: true, cdn: 'unpkg' });
+    expect(defaults.sources).toEqual({ mode: rcPath, git: userConfigPath, cdn: rcPath });
+    expect(pickDefault('local', defaults, 'mode', 'cdn')).toEqual({ value: 'local', source: 'flag' });
+    expect(pickDefault(null, defaults, 'git', false)).toEqual({ value: true, source: userConfigPath });
+    expect(pickDefault(undefined, defaults, 'language', 'javascript')).toEqual({ value: 'javascript', source: 'default' });
+  });
+
+  it('rejects unknown keys and invalid values with the file that holds them', async () => {
+    expect(validateDefaults({ colour: 'red', git: 'yes' })).toEqual([
+      expect.stringContaining('Unknown default "colour"'),
+      'Default "git" must be a boolean.'
+    ]);
+    expect(validateDefaults({ mode: 'ftp', cdn: 'jsdelivr' })).toEqual([expect.stringContaining('Invalid mode "ftp"')]);
+
+    await writeDefaults({}, { cdn: 'example' });
+    await expect(loadDefaults(courseDir)).rejects.toMatchObject({
+      code: 'CONFIG',
+      vars: { file: rcPath },
+      details: [expect.stringContaining('Invalid CDN "example"')]
+    });
+
+    await fs.writeFile(rcPath, '{ mode: local }');
+    await expect(loadDefaults(courseDir)).rejects.toMatchObject({ code: 'CONFIG', key: 'error.defaults.unreadable' });
+  });
+
+  it('reports a malformed user config file like a malformed .p5rc', async () => {
+    await fs.writeFile(userConfigPath, '{ "defaults": ');
+
+    await expect(loadDefaults(courseDir)).rejects.toMatchObject({
+      code: 'CONFIG',
+      key: 'error.userConfig.unreadable',
+      vars: { file: userConfigPath }
+    });
+
+    await fs.rm(userConfigPath);
+    expect(await loadDefaults(courseDir)).toEqual({ values: {}, sources: {} });
+  });
+
+  it('applies flags > .p5rc > user config > built-in defaults when scaffolding', async () => {
+    await writeDefaults({ mode: 'local', git: true, types: false }, { mode: 'cdn', cdn: 'unpkg' });
+    await fs.rm(path.join(courseDir, 'week-1'), { recursive: true });
+    vi.spyOn(process, 'cwd').mockReturnValue(courseDir);
+    vi.spyOn(process, 'exit').mockImplementation(() => {});
+    const info = vi.spyOn(display, 'info').mockImplementation(() => {});
+    display.setSilentMode(true);
+
+    try {
+      await scaffold({ _: ['week-1'], type: 'standard', version: '2.0.0', git: false });
+    } finally {
+      display.setSilentMode(false);
+    }
+
+    const html = await fs.readFile(path.join(courseDir, 'week-1', 'index.html'), 'utf-8');
+    expect(html).toContain('https://unpkg.com/p5@2.0.0/lib/p5.js');
+    await expect(fs.stat(path.join(courseDir, 'week-1', '.git'))).rejects.toThrow();
+    await expect(fs.stat(path.join(courseDir, 'week-1', 'types'))).rejects.toThrow();
+
+    const summary = Object.fromEntries(info.mock.calls.filter(([key]) => key.startsWith('info.config.')).map(([key, vars]) => [key, vars.source]));
+    expect(summary).toMatchObject({
+      'info.config.version': '(command line)',
+      'info.config.mode': `(from ${rcPath})`,
+      'info.config.cdn': `(from ${rcPath})`,
+      'info.config.language': '(built-in default)',
+      'info.config.git.no': '(command line)',
+      'info.config.types.no': `(from ${userConfigPath})`
+    });
+  });
+});
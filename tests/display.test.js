@@ -2,6 +2,7 @@ import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
 import * as prompts from '@clack/prompts';
 import * as display from '../src/ui/display.js';
 import { setLocale } from '../src/i18n/index.js';
+import { CreateP5Error, InvalidFlagError, TargetExistsError } from '../src/errors.js';
 
 const spinnerInstances = [];
 
@@ -160,3 +161,123 @@ describe('display silent mode behavior', () => {
     );
   });
 });
+
+describe('display JSON mode', () => {
+  let exitSpy;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    setLocale('en');
+    exitSpy = vi.spyOn(process, 'exit').mockImplementation(() => {});
+    display.setJsonMode(true);
+  });
+
+  afterEach(() => {
+    display.setJsonMode(false);
+    exitSpy.mockRestore();
+  });
+
+  it('replaces all UI output, including errors and warnings', () => {
+    display.intro();
+    display.info('info.creatingIn', { path: './sketch' });
+    display.warn('info.update.cancelled');
+    display.error('error.directoryExists', { path: './sketch' });
+    display.outro('All done');
+
+    expect(prompts.intro).not.toHaveBeenCalled();
+    expect(prompts.log.info).not.toHaveBeenCalled();
+    expect(prompts.log.warn).not.toHaveBeenCalled();
+    expect(prompts.log.error).not.toHaveBeenCalled();
+    expect(prompts.outro).not.toHaveBeenCalled();
+    expect(exitSpy).toHaveBeenCalledWith(0);
+  });
+
+  it('reports the result, files written and warnings on success', () => {
+    display.result({ projectPath: '/tmp/sketch', version: '2.1.1' });
+    display.filesWritten(['index.html', 'sketch.js']);
+    display.filesWritten(['index.html', '.p5-config.json']);
+    display.warn('info.update.cancelled');
+
+    expect(display.getJsonOutput(0)).toEqual({
+      ok: true,
+      projectPath: '/tmp/sketch',
+      version: '2.1.1',
+      files: ['index.html', 'sketch.js', '.p5-config.json'],
+      warnings: ['Update cancelled.']
+    });
+  });
+
+  it('reports a typed error with its code, message and details', () => {
+    display.result({ projectPath: '/tmp/sketch' });
+    display.failure(new InvalidFlagError('error.update.invalidOption', {}, { details: ['Invalid mode "ftp"'] }));
+
+    expect(display.getJsonOutput(2)).toEqual({
+      ok: false,
+      error: {
+        code: 'INVALID_FLAG',
+        message: 'Invalid update option.',
+        details: ['Invalid mode "ftp"']
+      },
+      warnings: []
+    });
+    expect(prompts.log.error).not.toHaveBeenCalled();
+  });
+
+  it('falls back to the logged messages when a process exits with an error of its own', () => {
+    display.message('Failed to fetch remote template "user/repo": HTTP 404');
+
+    expect(display.getJsonOutput(1).error).toEqual({
+      code: 'GENERAL',
+      message: 'Failed to fetch remote template "user/repo": HTTP 404',
+      details: []
+    });
+  });
+
+  it('adds dry-run plans to the result', () => {
+    const steps = [{ type: 'delete', path: '/tmp/sketch/lib' }];
+    display.plan(steps);
+
+    expect(prompts.note).not.toHaveBeenCalled();
+    expect(display.getJsonOutput(0)).toMatchObject({ ok: true, dryRun: true, plan: steps });
+  });
+
+  it('writes the output on exit only while enabled', () => {
+    const listeners = process.listenerCount('exit');
+
+    display.setJsonMode(false);
+    expect(process.listenerCount('exit')).toBe(listeners - 1);
+    expect(display.isJsonMode()).toBe(false);
+
+    display.result({ version: '2.1.1' });
+    display.setJsonMode(true);
+    expect(process.listenerCount('exit')).toBe(listeners);
+    expect(display.getJsonOutput(0)).toEqual({ ok: true, files: [], warnings: [] });
+  });
+});
+
+describe('display failure', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    setLocale('en');
+  });
+
+  it('shows the message, details and hints of a typed error', () => {
+    display.failure(new TargetExistsError('error.directoryExists', { path: './sketch' }, {
+      details: ['EEXIST'],
+      hints: ['error.directoryExistsSuggestion']
+    }));
+
+    expect(prompts.log.error).toHaveBeenCalledWith('Directory "./sketch" already exists.');
+    expect(prompts.log.message).toHaveBeenCalledWith('EEXIST');
+    expect(prompts.log.info).toHaveBeenCalledTimes(1);
+    expect(prompts.note).not.toHaveBeenCalled();
+  });
+
+  it('adds the stack trace when verbose and the help note for unexpected errors', () => {
+    const cause = new Error('EACCES: permission denied');
+    display.failure(new CreateP5Error('error.unexpected', {}, { details: [cause.message], cause }), { verbose: true });
+
+    expect(prompts.log.message).toHaveBeenCalledWith(cause.stack);
+    expect(prompts.note).toHaveBeenCalledWith(expect.stringContaining('--verbose'), 'If the problem persists:');
+  });
+});
@@ -0,0 +1,72 @@
+import { describe, it, expect } from 'vitest';
+import {
+  EXIT_CODES,
+  CreateP5Error,
+  InvalidFlagError,
+  TemplateFetchError,
+  NotCachedError,
+  toCreateP5Error,
+  versionListError
+} from '../src/errors.js';
+
+describe('typed errors', () => {
+  it('carry their code, exit code, i18n key and translated message', () => {
+    const error = new TemplateFetchError('error.fetchTemplate', { template: 'user/repo', error: 'HTTP 404' });
+
+    expect(error).toBeInstanceOf(CreateP5Error);
+    expect(error.name).toBe('TemplateFetchError');
+    expect(error.code).toBe('TEMPLATE_FETCH');
+    expect(error.exitCode).toBe(EXIT_CODES.TEMPLATE_FETCH);
+    expect(error.key).toBe('error.fetchTemplate');
+    expect(error.vars).toEqual({ template: 'user/repo', error: 'HTTP 404' });
+    expect(error.message).toBe('Failed to fetch remote template "user/repo": HTTP 404');
+  });
+
+  it('normalizes details and hints', () => {
+    const error = new InvalidFlagError('error.invalidOption', {}, {
+      details: ['Invalid mode', ''],
+      hints: ['error.directoryExistsSuggestion', { key: 'error.rolledBack', vars: { path: 'sketch' } }]
+    });
+
+    expect(error.details).toEqual(['Invalid mode']);
+    expect(error.hints).toEqual([
+      { key: 'error.directoryExistsSuggestion' },
+      { key: 'error.rolledBack', vars: { path: 'sketch' } }
+    ]);
+  });
+
+  it('uses a distinct exit code for every code', () => {
+    const codes = Object.values(EXIT_CODES);
+    expect(new Set(codes).size).toBe(codes.length);
+    expect(codes).not.toContain(0);
+  });
+});
+
+describe('toCreateP5Error', () => {
+  it('keeps typed errors and wraps anything else as GENERAL', () => {
+    const typed = new InvalidFlagError('error.invalidOption');
+    expect(toCreateP5Error(typed)).toBe(typed);
+
+    const cause = new Error('EACCES: permission denied');
+    const wrapped = toCreateP5Error(cause);
+    expect(wrapped).toMatchObject({ code: 'GENERAL', exitCode: 1, key: 'error.unexpected', details: ['EACCES: permission denied'] });
+    expect(wrapped.cause).toBe(cause);
+  });
+});
+
+describe('versionListError', () => {
+  it('reports network failures with troubleshooting steps', () => {
+    const error = versionListError(new Error('Unable to reach jsdelivr CDN API.'));
+
+    expect(error.code).toBe('NETWORK');
+    expect(error.details).toEqual(['Unable to reach jsdelivr CDN API.']);
+    expect(error.hints.map(hint => hint.key)).toContain('error.fetchVersions.step1');
+  });
+
+  it('reports a missing offline cache as NOT_CACHED', () => {
+    const error = versionListError(new Error('not cached'), true);
+
+    expect(error).toBeInstanceOf(NotCachedError);
+    expect(error.hints.map(hint => hint.key)).toEqual(['error.fetchVersions.troubleshooting', 'error.offline.hint']);
+  });
+});
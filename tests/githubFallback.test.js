@@ -1,8 +1,6 @@
 import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
-import { Readable } from 'stream';
 import fs from 'fs/promises';
 import path from 'path';
-import https from 'https';
 import {
   parseGitHubSpec,
   isSingleFile,
@@ -140,27 +138,13 @@ describe('isSingleFile', () => {
 
 describe('downloadSingleFile', () => {
   function createMockResponse(statusCode, data = '', headers = {}) {
-    const response = new Readable();
-    response.statusCode = statusCode;
-    response.headers = headers;
-    response._read = () => {};
-
-    // Simulate async data emission
-    setImmediate(() => {
-      response.push(data);
-      response.push(null);
-    });
-
-    return response;
+    return new Response(data, { status: statusCode, headers });
   }
 
   it('downloads a file successfully', async () => {
     const mockResponse = createMockResponse(200, '// file content');
 
-    vi.spyOn(https, 'get').mockImplementation((url, callback) => {
-      callback(mockResponse);
-      return { on: () => ({}) };
-    });
+    vi.spyOn(globalThis, 'fetch').mockImplementation(async () => mockResponse);
 
     await downloadSingleFile('user', 'repo', 'main', 'test.js', tmpDir);
 
@@ -172,10 +156,7 @@ describe('downloadSingleFile', () => {
     const nestedDir = path.join(tmpDir, 'nested', 'dir');
     const mockResponse = createMockResponse(200, 'content');
 
-    vi.spyOn(https, 'get').mockImplementation((url, callback) => {
-      callback(mockResponse);
-      return { on: () => ({}) };
-    });
+    vi.spyOn(globalThis, 'fetch').mockImplementation(async () => mockResponse);
 
     await downloadSingleFile('user', 'repo', 'main', 'file.js', nestedDir);
 
@@ -186,10 +167,7 @@ describe('downloadSingleFile', () => {
   it('extracts filename from path', async () => {
     const mockResponse = createMockResponse(200, 'content');
 
-    vi.spyOn(https, 'get').mockImplementation((url, callback) => {
-      callback(mockResponse);
-      return { on: () => ({}) };
-    });
+    vi.spyOn(globalThis, 'fetch').mockImplementation(async () => mockResponse);
 
     await downloadSingleFile('user', 'repo', 'main', 'path/to/file.js', tmpDir);
 
@@ -200,10 +178,7 @@ describe('downloadSingleFile', () => {
   it('throws error on 404 status', async () => {
     const mockResponse = createMockResponse(404);
 
-    vi.spyOn(https, 'get').mockImplementation((url, callback) => {
-      callback(mockResponse);
-      return { on: () => ({}) };
-    });
+    vi.spyOn(globalThis, 'fetch').mockImplementation(async () => mockResponse);
 
     await expect(
       downloadSingleFile('user', 'repo', 'main', 'missing.js', tmpDir)
@@ -213,10 +188,7 @@ describe('downloadSingleFile', () => {
   it('throws error on non-200/redirect status codes', async () => {
     const mockResponse = createMockResponse(500);
 
-    vi.spyOn(https, 'get').mockImplementation((url, callback) => {
-      callback(mockResponse);
-      return { on: () => ({}) };
-    });
+    vi.spyOn(globalThis, 'fetch').mockImplementation(async () => mockResponse);
 
     await expect(
       downloadSingleFile('user', 'repo', 'main', 'file.js', tmpDir)
@@ -227,18 +199,17 @@ describe('downloadSingleFile', () => {
     let callCount = 0;
     const redirectUrl = 'https://new-location.com/file.js';
 
-    vi.spyOn(https, 'get').mockImplementation((url, callback) => {
+    vi.spyOn(globalThis, 'fetch').mockImplementation(async () => {
       callCount++;
       if (callCount === 1) {
         const redirectResponse = createMockResponse(301, '', {
           location: redirectUrl
         });
-        callback(redirectResponse);
+        return redirectResponse;
       } else {
         const finalResponse = createMockResponse(200, 'redirected content');
-        callback(finalResponse);
+        return finalResponse;
       }
-      return { on: () => ({}) };
     });
 
     await downloadSingleFile('user', 'repo', 'main', 'file.js', tmpDir);
@@ -253,18 +224,17 @@ describe('downloadSingleFile', () => {
       let callCount = 0;
       const redirectUrl = 'https://new-location.com/file.js';
 
-      vi.spyOn(https, 'get').mockImplementation((url, callback) => {
+      vi.spyOn(globalThis, 'fetch').mockImplementation(async () => {
         callCount++;
         if (callCount === 1) {
           const redirectResponse = createMockResponse(statusCode, '', {
             location: redirectUrl
           });
-          callback(redirectResponse);
+          return redirectResponse;
         } else {
           const finalResponse = createMockResponse(200, `content-${statusCode}`);
-          callback(finalResponse);
+          return finalResponse;
         }
-        return { on: () => ({}) };
       });
 
       const testDir = path.join(tmpDir, `test-${statusCode}`);
@@ -281,10 +251,7 @@ describe('downloadSingleFile', () => {
   it('throws error when redirect has no location header', async () => {
     const mockResponse = createMockResponse(301, '', {});
 
-    vi.spyOn(https, 'get').mockImplementation((url, callback) => {
-      callback(mockResponse);
-      return { on: () => ({}) };
-    });
+    vi.spyOn(globalThis, 'fetch').mockImplementation(async () => mockResponse);
 
     await expect(
       downloadSingleFile('user', 'repo', 'main', 'file.js', tmpDir)
@@ -292,12 +259,11 @@ describe('downloadSingleFile', () => {
   });
 
   it('throws error after too many redirects', async () => {
-    vi.spyOn(https, 'get').mockImplementation((url, callback) => {
+    vi.spyOn(globalThis, 'fetch').mockImplementation(async () => {
       const redirectResponse = createMockResponse(301, '', {
         location: 'https://redirect-loop.com/file.js'
       });
-      callback(redirectResponse);
-      return { on: () => ({}) };
+      return redirectResponse;
     });
 
     await expect(
@@ -306,17 +272,7 @@ describe('downloadSingleFile', () => {
   });
 
   it('throws error on network error', async () => {
-    vi.spyOn(https, 'get').mockImplementation(() => {
-      const request = {
-        on: (event, handler) => {
-          if (event === 'error') {
-            setImmediate(() => handler(new Error('Network error')));
-          }
-          return request;
-        }
-      };
-      return request;
-    });
+    vi.spyOn(globalThis, 'fetch').mockRejectedValue(new TypeError('fetch failed', { cause: new Error('Network error') }));
 
     await expect(
       downloadSingleFile('user', 'repo', 'main', 'file.js', tmpDir)
@@ -326,28 +282,16 @@ describe('downloadSingleFile', () => {
 
 describe('downloadGitHubArchive', () => {
   function createMockResponse(statusCode, data = '', headers = {}) {
-    const response = new Readable();
-    response.statusCode = statusCode;
-    response.headers = headers;
-    response._read = () => {};
-
-    // Simulate async data emission
-    setImmediate(() => {
-      response.push(data);
-      response.push(null);
-    });
-
-    return response;
+    return new Response(data, { status: statusCode, headers });
   }
 
   it('constructs correct archive URL', async () => {
     let capturedUrl = '';
 
-    vi.spyOn(https, 'get').mockImplementation((url, callback) => {
+    vi.spyOn(globalThis, 'fetch').mockImplementation(async (url) => {
       capturedUrl = url;
       const mockResponse = createMockResponse(404); // Fail fast for test
-      callback(mockResponse);
-      return { on: () => ({}) };
+      return mockResponse;
     });
 
     await expect(
@@ -360,10 +304,7 @@ describe('downloadGitHubArchive', () => {
   it('throws error on non-200/redirect status codes', async () => {
     const mockResponse = createMockResponse(500);
 
-    vi.spyOn(https, 'get').mockImplementation((url, callback) => {
-      callback(mockResponse);
-      return { on: () => ({}) };
-    });
+    vi.spyOn(globalThis, 'fetch').mockImplementation(async () => mockResponse);
 
     await expect(
       downloadGitHubArchive('user', 'repo', 'main', '', tmpDir)
@@ -373,19 +314,18 @@ describe('downloadGitHubArchive', () => {
   it('follows redirects with correct status codes', async () => {
     let callCount = 0;
 
-    vi.spyOn(https, 'get').mockImplementation((url, callback) => {
+    vi.spyOn(globalThis, 'fetch').mockImplementation(async () => {
       callCount++;
       if (callCount === 1) {
         const redirectResponse = createMockResponse(302, '', {
           location: 'https://new-location.com/archive.tar.gz'
         });
-        callback(redirectResponse);
+        return redirectResponse;
       } else {
         // Return a mock response that will fail extraction but proves redirect worked
         const mockResponse = createMockResponse(404);
-        callback(mockResponse);
+        return mockResponse;
       }
-      return { on: () => ({}) };
     });
 
     await expect(
@@ -398,10 +338,7 @@ describe('downloadGitHubArchive', () => {
   it('throws error when redirect has no location header', async () => {
     const mockResponse = createMockResponse(301, '', {});
 
-    vi.spyOn(https, 'get').mockImplementation((url, callback) => {
-      callback(mockResponse);
-      return { on: () => ({}) };
-    });
+    vi.spyOn(globalThis, 'fetch').mockImplementation(async () => mockResponse);
 
     await expect(
       downloadGitHubArchive('user', 'repo', 'main', '', tmpDir)
@@ -409,12 +346,11 @@ describe('downloadGitHubArchive', () => {
   });
 
   it('throws error after too many redirects', async () => {
-    vi.spyOn(https, 'get').mockImplementation((url, callback) => {
+    vi.spyOn(globalThis, 'fetch').mockImplementation(async () => {
       const redirectResponse = createMockResponse(301, '', {
         location: 'https://redirect-loop.com/archive.tar.gz'
       });
-      callback(redirectResponse);
-      return { on: () => ({}) };
+      return redirectResponse;
     });
 
     await expect(
@@ -423,17 +359,7 @@ describe('downloadGitHubArchive', () => {
   });
 
   it('throws error on network error', async () => {
-    vi.spyOn(https, 'get').mockImplementation(() => {
-      const request = {
-        on: (event, handler) => {
-          if (event === 'error') {
-            setImmediate(() => handler(new Error('Network error')));
-          }
-          return request;
-        }
-      };
-      return request;
-    });
+    vi.spyOn(globalThis, 'fetch').mockRejectedValue(new TypeError('fetch failed', { cause: new Error('Network error') }));
 
     await expect(
       downloadGitHubArchive('user', 'repo', 'main', '', tmpDir)
@@ -444,10 +370,7 @@ describe('downloadGitHubArchive', () => {
     const nestedDir = path.join(tmpDir, 'nested', 'archive-dir');
     const mockResponse = createMockResponse(404);
 
-    vi.spyOn(https, 'get').mockImplementation((url, callback) => {
-      callback(mockResponse);
-      return { on: () => ({}) };
-    });
+    vi.spyOn(globalThis, 'fetch').mockImplementation(async () => mockResponse);
 
     await expect(
       downloadGitHubArchive('user', 'repo', 'main', '', nestedDir)
@@ -0,0 +1,41 @@
+/**
+ * Test helpers - A fake jsdelivr for the tests that download p5.js files
+ */
+
+import crypto from 'crypto';
+
+/**
+ * Fake jsdelivr: serves `// content for <url>` for every file along with matching published p5.js hashes,
+ * and a version list for `<version API>/p5`
+ * @param {Object} [overrides={}] - Options to simulate bad downloads
+ * @param {(url: string) => string} [overrides.body] - Content served for a file URL (the published hashes stay those of the regular content)
+ * @param {string} [overrides.contentType='application/javascript; charset=utf-8'] - Content type of the files
+ * @param {{ tags: Record<string, string>, versions: string[] }} [overrides.versionList] - Version list returned by the API
+ * @returns {(url: string) => Promise<Object>} A replacement for globalThis.fetch
+ */
+export function fakeCdn({
+  body = (url) => `// content for ${url}`,
+  contentType = 'application/javascript; charset=utf-8',
+  versionList = { tags: { latest: '2.1.1' }, versions: ['2.1.1', '1.9.0'] }
+} = {}) {
+  const sha256 = (text) => crypto.createHash('sha256').update(text).digest('base64');
+  return async (url) => {
+    if (/data\.jsdelivr\.com\/v1\/package\/npm\/p5$/.test(url)) {
+      return { ok: true, json: async () => versionList };
+    }
+    const flat = /data\.jsdelivr\.com\/v1\/package\/npm\/p5@([^/]+)\/flat$/.exec(url);
+    if (flat) {
+      const files = ['/lib/p5.js', '/lib/p5.min.js'].map(name => ({
+        name,
+        hash: sha256(`// content for https://cdn.jsdelivr.net/npm/p5@${flat[1]}${name}`)
+      }));
+      return { ok: true, json: async () => ({ files }) };
+    }
+    return {
+      ok: true,
+      headers: new Headers({ 'content-type': contentType }),
+      text: async () => body(url),
+      arrayBuffer: async () => Buffer.from(body(url))
+    };
+  };
+}
@@ -0,0 +1,23 @@
+/**
+ * Test helpers - Project fixtures shared by the tests that work on a directory of sketches
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * Writes a CDN project using p5.js 1.9.0: its .p5-config.json and an index.html with the p5.js script tag
+ * @param {string} root - Test directory
+ * @param {string} dir - Project directory, relative to the test directory
+ * @param {Object|string} config - Config object, or raw file content
+ * @returns {Promise<void>}
+ */
+export async function writeProject(root, dir, config) {
+  await fs.mkdir(path.join(root, dir), { recursive: true });
+  const content = typeof config === 'string' ? config : JSON.stringify(config);
+  await fs.writeFile(path.join(root, dir, '.p5-config.json'), content);
+  await fs.writeFile(
+    path.join(root, dir, 'index.html'),
+    '<!DOCTYPE html><html><head><script src="https://cdn.jsdelivr.net/npm/p5@1.9.0/lib/p5.js"></script></head><body></body></html>'
+  );
+}
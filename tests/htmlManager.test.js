@@ -52,6 +52,12 @@ describe('HTMLManager advanced detection and updates', () => {
     expect(info.cdnProvider).toBe('jsdelivr');
   });
 
+  it('detects a minified cdnjs script and keeps it minified', () => {
+    const mgr = new HTMLManager('<html><head><script src="https://cdnjs.cloudflare.com/ajax/libs/p5.js/1.9.0/p5.min.js"></script></head><body></body></html>');
+    expect(mgr.findP5Script()).toMatchObject({ version: '1.9.0', isMinified: true, cdnProvider: 'cdnjs' });
+    expect(mgr.getP5ScriptURL('1.11.2')).toBe('https://cdnjs.cloudflare.com/ajax/libs/p5.js/1.11.2/p5.min.js');
+  });
+
   it('detects local lib script', () => {
     const mgr = new HTMLManager(htmlWithLocal);
     const info = mgr.findP5Script();
@@ -68,3 +74,124 @@ describe('HTMLManager advanced detection and updates', () => {
     expect(out).toMatch(/p5.min.js/);
   });
 });
+
+describe('HTMLManager library scripts', () => {
+  it('inserts a library script directly after the p5 script', () => {
+    const mgr = new HTMLManager(htmlWithCdn);
+    const inserted = mgr.insertLibraryScript('https://cdn.jsdelivr.net/npm/p5@1.8.0/lib/addons/p5.sound.min.js');
+    expect(inserted).toBe(true);
+
+    const scripts = [...mgr.document.querySelectorAll('script')].map(s => s.getAttribute('src'));
+    expect(scripts).toEqual([
+      'https://cdn.jsdelivr.net/npm/p5@1.8.0/lib/p5.min.js',
+      'https://cdn.jsdelivr.net/npm/p5@1.8.0/lib/addons/p5.sound.min.js'
+    ]);
+  });
+
+  it('does not insert a library script when there is no p5 script', () => {
+    const mgr = new HTMLManager('<html><head></head><body></body></html>');
+    expect(mgr.insertLibraryScript('./lib/ml5.min.js')).toBe(false);
+  });
+
+  it('finds and removes a library script by file name', () => {
+    const mgr = new HTMLManager(htmlWithLocal);
+    mgr.insertLibraryScript('./lib/ml5.min.js');
+    expect(mgr.findLibraryScript('ml5.min.js')).not.toBeNull();
+
+    expect(mgr.removeLibraryScript('ml5.min.js')).toBe(true);
+    expect(mgr.findLibraryScript('ml5.min.js')).toBeNull();
+    expect(mgr.serialize()).not.toMatch(/ml5/);
+  });
+});
+
+describe('HTMLManager add-on library sync', () => {
+  const htmlWithAddons = `<!doctype html>
+<html>
+<head>
+  <script src="https://cdn.jsdelivr.net/npm/p5@1.9.0/lib/p5.min.js"></script>
+  <script src="https://cdn.jsdelivr.net/npm/p5@1.9.0/lib/addons/p5.sound.js"></script>
+  <script src="./lib/p5.collide2d.min.js"></script>
+</head>
+<body>
+  <script src="sketch.js"></script>
+</body>
+</html>`;
+
+  it('recognises known add-on tags on a CDN or in lib/', () => {
+    const mgr = new HTMLManager(htmlWithAddons);
+    const found = mgr.findLibraryScripts();
+    expect(found.map(f => f.library.name)).toEqual(['p5.sound', 'p5.collide2D']);
+    expect(found.map(f => f.isLocal)).toEqual([false, true]);
+  });
+
+  it('rewrites add-on tags for a new version and mode', () => {
+    const mgr = new HTMLManager(htmlWithAddons);
+    const result = mgr.updateLibraryScripts('1.11.0', 'cdn');
+
+    expect(result.unsupported).toEqual([]);
+    expect(result.updated.map(u => u.name)).toEqual(['p5.sound', 'p5.collide2D']);
+    const out = mgr.serialize();
+    expect(out).toMatch(/p5@1\.11\.0\/lib\/addons\/p5\.sound\.min\.js/);
+    expect(out).toMatch(/cdn\.jsdelivr\.net\/npm\/p5\.collide2d@0\.7\.3\/p5\.collide2d\.min\.js/);
+  });
+
+  it('keeps add-on tags on the CDN of the p5.js tag', () => {
+    const html = htmlWithAddons.replace('https://cdn.jsdelivr.net/npm/p5@1.9.0/lib/p5.min.js', 'https://cdnjs.cloudflare.com/ajax/libs/p5.js/1.9.0/p5.min.js');
+    const mgr = new HTMLManager(html);
+    mgr.updateP5Script('1.11.0', 'cdn');
+    mgr.updateLibraryScripts('1.11.0', 'cdn');
+
+    const out = mgr.serialize();
+    expect(out).toContain('src="https://cdnjs.cloudflare.com/ajax/libs/p5.js/1.11.0/addons/p5.sound.min.js"');
+    // cdnjs does not host p5.collide2d
+    expect(out).toContain('src="https://cdn.jsdelivr.net/npm/p5.collide2d@0.7.3/p5.collide2d.min.js"');
+  });
+
+  it('reports add-ons without a build for the target major', () => {
+    const mgr = new HTMLManager(htmlWithLocal.replace('</head>', '<script src="./lib/ml5.min.js"></script></head>'));
+    const result = mgr.updateLibraryScripts('2.1.1', 'local');
+    expect(result.unsupported).toEqual(['ml5']);
+    expect(mgr.serialize()).toMatch(/\.\/lib\/ml5\.min\.js/);
+  });
+});
+
+describe('HTMLManager Subresource Integrity', () => {
+  const integrity = 'sha384-abc123';
+
+  it('writes integrity and crossorigin on a CDN p5 tag', () => {
+    const mgr = new HTMLManager(baseHtml);
+    mgr.updateP5Script('1.9.0', 'cdn', { integrity });
+    const script = mgr.findP5Script().scriptNode;
+    expect(script.getAttribute('integrity')).toBe(integrity);
+    expect(script.getAttribute('crossorigin')).toBe('anonymous');
+  });
+
+  it('removes a stale integrity attribute when no new hash is given', () => {
+    const html = htmlWithCdn.replace('p5.min.js"', `p5.min.js" integrity="${integrity}" crossorigin="anonymous"`);
+    const mgr = new HTMLManager(html);
+    expect(mgr.usesIntegrity()).toBe(true);
+
+    mgr.updateP5Script('1.9.0', 'cdn');
+    expect(mgr.findP5Script().scriptNode.hasAttribute('integrity')).toBe(false);
+    expect(mgr.usesIntegrity()).toBe(false);
+  });
+
+  it('never writes integrity for local files', () => {
+    const mgr = new HTMLManager(htmlWithCdn);
+    mgr.updateP5Script('1.9.0', 'local', { integrity });
+    expect(mgr.findP5Script().scriptNode.hasAttribute('integrity')).toBe(false);
+  });
+
+  it('reports the URL updateP5Script would write', () => {
+    const mgr = new HTMLManager(htmlWithCdn);
+    expect(mgr.getP5ScriptURL('2.0.0', 'cdn')).toBe('https://cdn.jsdelivr.net/npm/p5@2.0.0/lib/p5.min.js');
+    expect(new HTMLManager(baseHtml).getP5ScriptURL('2.0.0', 'cdn')).toBe('https://cdn.jsdelivr.net/npm/p5@2.0.0/lib/p5.js');
+  });
+
+  it('drops integrity from add-on tags it rewrites', () => {
+    const html = htmlWithCdn.replace('</head>', `<script src="https://cdn.jsdelivr.net/npm/p5@1.8.0/lib/addons/p5.sound.min.js" integrity="${integrity}"></script></head>`);
+    const mgr = new HTMLManager(html);
+    const { updated } = mgr.updateLibraryScripts('1.9.0', 'cdn');
+    expect(updated[0].scriptNode.hasAttribute('integrity')).toBe(false);
+  });
+});
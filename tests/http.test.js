@@ -0,0 +1,156 @@
+import { describe, it, expect, beforeAll, afterAll, afterEach, vi } from 'vitest';
+import http from 'http';
+import {
+  request,
+  configureHttp,
+  getHttpSettings,
+  isNetworkError,
+  HttpError,
+  DEFAULT_TIMEOUT
+} from '../src/http.js';
+
+afterEach(() => {
+  configureHttp({});
+  vi.restoreAllMocks();
+});
+
+describe('request', () => {
+  let server;
+  let baseUrl;
+  const hits = {};
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      hits[req.url] = (hits[req.url] || 0) + 1;
+
+      if (req.url === '/flaky') {
+        // Fails twice, then succeeds
+        res.statusCode = hits[req.url] <= 2 ? 503 : 200;
+        res.end(res.statusCode === 200 ? 'ok' : 'unavailable');
+      } else if (req.url === '/broken') {
+        res.statusCode = 500;
+        res.end();
+      } else if (req.url === '/missing') {
+        res.statusCode = 404;
+        res.end();
+      } else if (req.url === '/slow') {
+        setTimeout(() => res.end('late'), 500);
+      } else if (req.url.startsWith('/loop')) {
+        res.writeHead(302, { location: `/loop${hits[req.url]}${req.url}` });
+        res.end();
+      } else if (req.url === '/moved') {
+        res.writeHead(301, { location: '/flaky' });
+        res.end();
+      } else {
+        res.end('hello');
+      }
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  it('retries 5xx responses with backoff until one succeeds', async () => {
+    hits['/flaky'] = 0;
+    const response = await request(`${baseUrl}/flaky`, { retries: 2, retryDelay: 1 });
+
+    expect(response.status).toBe(200);
+    expect(await response.text()).toBe('ok');
+    expect(hits['/flaky']).toBe(3);
+  });
+
+  it('returns the last 5xx response once retries are used up', async () => {
+    hits['/broken'] = 0;
+    const response = await request(`${baseUrl}/broken`, { retries: 1, retryDelay: 1 });
+
+    expect(response.status).toBe(500);
+    expect(hits['/broken']).toBe(2);
+  });
+
+  it('does not retry client errors', async () => {
+    hits['/missing'] = 0;
+    const response = await request(`${baseUrl}/missing`, { retries: 3, retryDelay: 1 });
+
+    expect(response.status).toBe(404);
+    expect(hits['/missing']).toBe(1);
+  });
+
+  it('follows redirects, including relative locations', async () => {
+    hits['/flaky'] = 2;
+    const response = await request(`${baseUrl}/moved`, { retries: 0 });
+
+    expect(response.status).toBe(200);
+    expect(await response.text()).toBe('ok');
+  });
+
+  it('stops after the redirect limit', async () => {
+    const error = await request(`${baseUrl}/loop`, { retries: 0, maxRedirects: 3 }).catch(e => e);
+
+    expect(error).toBeInstanceOf(HttpError);
+    expect(error.code).toBe('TOO_MANY_REDIRECTS');
+    expect(error.message).toBe('Too many redirects');
+  });
+
+  it('times out when the server does not respond in time', async () => {
+    hits['/slow'] = 0;
+    const error = await request(`${baseUrl}/slow`, { retries: 1, retryDelay: 1, timeout: 50 }).catch(e => e);
+
+    expect(error.code).toBe('TIMEOUT');
+    expect(error.message).toContain('timed out after 50 ms');
+    expect(isNetworkError(error)).toBe(true);
+    expect(hits['/slow']).toBe(2);
+  });
+
+  it('reports network errors with the URL and reason', async () => {
+    vi.spyOn(globalThis, 'fetch').mockRejectedValue(new TypeError('fetch failed', { cause: new Error('getaddrinfo ENOTFOUND cdn.example') }));
+
+    const error = await request('https://cdn.example/p5.js', { retries: 2, retryDelay: 1 }).catch(e => e);
+
+    expect(error.code).toBe('NETWORK');
+    expect(error.url).toBe('https://cdn.example/p5.js');
+    expect(error.reason).toBe('getaddrinfo ENOTFOUND cdn.example');
+    expect(error.message).toBe('Network error while fetching https://cdn.example/p5.js: getaddrinfo ENOTFOUND cdn.example');
+    expect(globalThis.fetch).toHaveBeenCalledTimes(3);
+  });
+});
+
+describe('configureHttp', () => {
+  const ENV_VARS = ['CREATE_P5_HTTP_RETRIES', 'CREATE_P5_HTTP_TIMEOUT'];
+  let savedEnv;
+
+  beforeAll(() => {
+    savedEnv = Object.fromEntries(ENV_VARS.map(name => [name, process.env[name]]));
+  });
+
+  afterEach(() => {
+    for (const [name, value] of Object.entries(savedEnv)) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+  });
+
+  it('prefers flags over environment variables over defaults', () => {
+    process.env.CREATE_P5_HTTP_RETRIES = '4';
+    delete process.env.CREATE_P5_HTTP_TIMEOUT;
+    expect(getHttpSettings()).toEqual({ retries: 4, timeout: DEFAULT_TIMEOUT });
+
+    expect(configureHttp({ retries: '1', timeout: '5000' })).toBeNull();
+    expect(getHttpSettings()).toEqual({ retries: 1, timeout: 5000 });
+  });
+
+  it('rejects invalid flag values', () => {
+    expect(configureHttp({ retries: '-1' })).toContain('Invalid retry count "-1"');
+    expect(configureHttp({ retries: 'many' })).toContain('Invalid retry count');
+    expect(configureHttp({ timeout: '0' })).toContain('Invalid timeout "0"');
+    expect(configureHttp({ timeout: '1.5' })).toContain('Invalid timeout');
+  });
+
+  it('rejects invalid environment values', () => {
+    process.env.CREATE_P5_HTTP_TIMEOUT = 'soon';
+    expect(() => getHttpSettings()).toThrow('Invalid timeout "soon (CREATE_P5_HTTP_TIMEOUT)"');
+  });
+});
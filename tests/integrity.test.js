@@ -0,0 +1,31 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import crypto from 'crypto';
+import { computeIntegrity, fetchIntegrity } from '../src/integrity.js';
+
+describe('Subresource Integrity', () => {
+  const originalFetch = globalThis.fetch;
+
+  afterEach(() => {
+    globalThis.fetch = originalFetch;
+  });
+
+  it('computes a sha384 integrity value by default', () => {
+    const expected = crypto.createHash('sha384').update('console.log(1);').digest('base64');
+    expect(computeIntegrity('console.log(1);')).toBe(`sha384-${expected}`);
+  });
+
+  it('supports other hash algorithms', () => {
+    expect(computeIntegrity('x', 'sha256')).toMatch(/^sha256-/);
+  });
+
+  it('hashes the exact bytes served at a URL', async () => {
+    const content = Buffer.from('/*! p5.js */');
+    globalThis.fetch = async () => ({ ok: true, arrayBuffer: async () => content });
+    await expect(fetchIntegrity('https://cdn.example/p5.js')).resolves.toBe(computeIntegrity(content));
+  });
+
+  it('reports the URL when the download fails', async () => {
+    globalThis.fetch = async () => ({ ok: false, status: 404 });
+    await expect(fetchIntegrity('https://cdn.example/missing.js')).rejects.toThrow(/missing\.js.*HTTP 404/);
+  });
+});
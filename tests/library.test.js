@@ -0,0 +1,169 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import fs from 'fs/promises';
+import path from 'path';
+import semver from 'semver';
+import { addLibrary, removeLibrary } from '../src/operations/library.js';
+import { LIBRARY_CATALOG, findLibrary, getCompatibleMajors, resolveLibraryBuild } from '../src/libraries.js';
+import { createConfig, readConfig } from '../src/config.js';
+import * as display from '../src/ui/display.js';
+
+let originalFetch;
+let originalCacheDir;
+let exitSpy;
+const tmpDir = path.join('tests', 'tmp-library');
+const configPath = path.join(tmpDir, '.p5-config.json');
+const indexPath = path.join(tmpDir, 'index.html');
+
+async function setupProject(version, mode) {
+  const src = mode === 'local' ? './lib/p5.js' : `https://cdn.jsdelivr.net/npm/p5@${version}/lib/p5.js`;
+  await fs.writeFile(indexPath, `<!DOCTYPE html>\n<html>\n<head>\n  <script src="${src}"></script>\n</head>\n<body>\n  <script src="sketch.js"></script>\n</body>\n</html>`);
+  await createConfig(configPath, { version, mode, language: 'javascript', p5Mode: 'global' });
+}
+
+beforeEach(async () => {
+  originalFetch = globalThis.fetch;
+  // Library downloads are cached; give every test an empty cache
+  originalCacheDir = process.env.CREATE_P5_CACHE_DIR;
+  process.env.CREATE_P5_CACHE_DIR = path.resolve(tmpDir, 'cache');
+  display.setSilentMode(true);
+  exitSpy = vi.spyOn(process, 'exit').mockImplementation(() => {});
+  await fs.mkdir(tmpDir, { recursive: true });
+});
+
+afterEach(async () => {
+  globalThis.fetch = originalFetch;
+  process.env.CREATE_P5_CACHE_DIR = originalCacheDir;
+  delete process.env.CREATE_P5_CDN_URL;
+  display.setSilentMode(false);
+  exitSpy.mockRestore();
+  await fs.rm(tmpDir, { recursive: true, force: true });
+});
+
+describe('library catalog', () => {
+  it('looks up libraries case-insensitively', () => {
+    expect(findLibrary('P5.SOUND').name).toBe('p5.sound');
+    expect(findLibrary('p5.collide2d').name).toBe('p5.collide2D');
+    expect(findLibrary('nope')).toBeNull();
+  });
+
+  it('resolves the build for the project p5 major', () => {
+    const sound = findLibrary('p5.sound');
+    expect(resolveLibraryBuild(sound, '1.9.0').url).toBe('https://cdn.jsdelivr.net/npm/p5@1.9.0/lib/addons/p5.sound.min.js');
+    expect(resolveLibraryBuild(sound, '2.1.1').url).toMatch(/p5\.sound@/);
+    expect(resolveLibraryBuild(findLibrary('ml5'), '2.1.1')).toBeNull();
+  });
+
+  it('builds the script URL on the CDN the p5.js tag uses', () => {
+    const collide = findLibrary('p5.collide2D');
+    expect(resolveLibraryBuild(collide, '1.9.0', 'unpkg').url).toBe('https://unpkg.com/p5.collide2d@0.7.3/p5.collide2d.min.js');
+    expect(resolveLibraryBuild(findLibrary('p5.sound'), '1.9.0', 'cdnjs').url).toBe('https://cdnjs.cloudflare.com/ajax/libs/p5.js/1.9.0/addons/p5.sound.min.js');
+    expect(resolveLibraryBuild(collide, '1.9.0', 'cdnjs').url).toBe('https://cdn.jsdelivr.net/npm/p5.collide2d@0.7.3/p5.collide2d.min.js');
+  });
+
+  it('pins every build to an exact package version, never a range like ml5@1', () => {
+    // A range would let the CDN serve a newer release than the one the integrity hash was computed for
+    for (const library of LIBRARY_CATALOG) {
+      for (const major of getCompatibleMajors(library)) {
+        const { pkg } = resolveLibraryBuild(library, `${major}.0.0`);
+        expect(semver.valid(pkg.slice(pkg.lastIndexOf('@') + 1)), `${library.name}: ${pkg}`).not.toBeNull();
+      }
+    }
+  });
+});
+
+describe('add / remove libraries', () => {
+  it('adds a CDN library tag after p5 and records it in the config', async () => {
+    await setupProject('1.9.0', 'cdn');
+
+    await addLibrary({ _: ['add', 'p5.sound'] }, tmpDir);
+
+    const html = await fs.readFile(indexPath, 'utf-8');
+    expect(html.indexOf('p5.sound.min.js')).toBeGreaterThan(html.indexOf('lib/p5.js'));
+    expect(html.indexOf('p5.sound.min.js')).toBeLessThan(html.indexOf('sketch.js'));
+    expect((await readConfig(configPath)).libraries).toEqual(['p5.sound']);
+  });
+
+  it('adds the library tag from the CDN of the p5.js tag', async () => {
+    await setupProject('1.9.0', 'cdn');
+    const html = await fs.readFile(indexPath, 'utf-8');
+    await fs.writeFile(indexPath, html.replace('https://cdn.jsdelivr.net/npm/p5@1.9.0/lib/p5.js', 'https://unpkg.com/p5@1.9.0/lib/p5.js'));
+
+    await addLibrary({ _: ['add', 'ml5'] }, tmpDir);
+
+    expect(await fs.readFile(indexPath, 'utf-8')).toContain('<script src="https://unpkg.com/ml5@1.4.0/dist/ml5.min.js"></script>');
+  });
+
+  it('adds an integrity attribute when the project uses SRI', async () => {
+    await setupProject('1.9.0', 'cdn');
+    await createConfig(configPath, { version: '1.9.0', mode: 'cdn', sri: true });
+    globalThis.fetch = async () => ({ ok: true, arrayBuffer: async () => Buffer.from('// sound') });
+
+    await addLibrary({ _: ['add', 'p5.sound'] }, tmpDir);
+
+    const html = await fs.readFile(indexPath, 'utf-8');
+    expect(html).toMatch(/p5\.sound\.min\.js" integrity="sha384-[^"]+" crossorigin="anonymous"/);
+  });
+
+  it('downloads the library into lib/ in local mode', async () => {
+    await setupProject('1.9.0', 'local');
+    globalThis.fetch = async (url) => ({ ok: true, text: async () => `// ${url}` });
+
+    await addLibrary({ _: ['add', 'ml5'] }, tmpDir);
+
+    const file = await fs.readFile(path.join(tmpDir, 'lib', 'ml5.min.js'), 'utf-8');
+    expect(file).toMatch(/ml5@1/);
+    expect(await fs.readFile(indexPath, 'utf-8')).toMatch(/\.\/lib\/ml5\.min\.js/);
+  });
+
+  it('downloads from the configured CDN mirror and copies from the cache when offline', async () => {
+    process.env.CREATE_P5_CDN_URL = 'https://npm-mirror.example.edu/cdn/npm';
+    await setupProject('1.9.0', 'local');
+    const fetched = [];
+    globalThis.fetch = async (url) => {
+      fetched.push(String(url));
+      return { ok: true, text: async () => '// ml5' };
+    };
+
+    await addLibrary({ _: ['add', 'ml5'] }, tmpDir);
+    await removeLibrary({ _: ['remove', 'ml5'] }, tmpDir);
+    globalThis.fetch = async () => { throw new Error('offline'); };
+    await addLibrary({ _: ['add', 'ml5'], offline: true }, tmpDir);
+
+    expect(fetched).toEqual(['https://npm-mirror.example.edu/cdn/npm/ml5@1.4.0/dist/ml5.min.js']);
+    expect(await fs.readFile(path.join(tmpDir, 'lib', 'ml5.min.js'), 'utf-8')).toBe('// ml5');
+  });
+
+  it('fails with NOT_CACHED when an offline library is not in the cache', async () => {
+    await setupProject('1.9.0', 'local');
+
+    await expect(addLibrary({ _: ['add', 'p5.collide2D'], offline: true }, tmpDir)).rejects.toMatchObject({ code: 'NOT_CACHED' });
+  });
+
+  it('refuses libraries without a build for the project p5 major', async () => {
+    await setupProject('2.1.1', 'cdn');
+
+    await expect(addLibrary({ _: ['add', 'ml5'] }, tmpDir)).rejects.toMatchObject({ code: 'INCOMPATIBLE' });
+
+    expect(await fs.readFile(indexPath, 'utf-8')).not.toMatch(/ml5/);
+  });
+
+  it('rejects unknown libraries', async () => {
+    await setupProject('1.9.0', 'cdn');
+    await expect(addLibrary({ _: ['add', 'p5.unknown'] }, tmpDir)).rejects.toMatchObject({
+      code: 'INVALID_FLAG',
+      hints: [{ key: 'error.library.available', vars: { names: 'p5.sound, ml5, p5.collide2D' } }]
+    });
+  });
+
+  it('removes the tag, lib/ file and config entry', async () => {
+    await setupProject('1.9.0', 'local');
+    globalThis.fetch = async (url) => ({ ok: true, text: async () => `// ${url}` });
+    await addLibrary({ _: ['add', 'p5.sound'] }, tmpDir);
+
+    await removeLibrary({ _: ['remove', 'p5.sound'] }, tmpDir);
+
+    expect(await fs.readFile(indexPath, 'utf-8')).not.toMatch(/p5\.sound/);
+    await expect(fs.access(path.join(tmpDir, 'lib', 'p5.sound.min.js'))).rejects.toThrow();
+    expect((await readConfig(configPath)).libraries).toEqual([]);
+  });
+});
@@ -0,0 +1,224 @@
+import { describe, it, expect, beforeAll, afterAll, beforeEach, afterEach } from 'vitest';
+import http from 'http';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createRequire } from 'module';
+import { resolveEndpoint } from '../src/mirrors.js';
+import { fetchVersions, downloadP5Files, downloadTypeDefinitions } from '../src/version.js';
+
+const tmpDir = path.join('tests', 'tmp-mirrors');
+const configDir = path.join(tmpDir, 'config');
+const targetDir = path.join(tmpDir, 'target');
+const ENV_VARS = ['CREATE_P5_VERSION_API_URL', 'CREATE_P5_CDN_URL', 'CREATE_P5_TYPES_URL', 'CREATE_P5_CONFIG_DIR'];
+
+const files = {
+  '/cdn/p5@2.1.1/lib/p5.js': '// p5.js from mirror',
+  '/cdn/p5@2.1.1/lib/p5.min.js': '// p5.min.js from mirror',
+  '/cdn/p5@2.1.1/types/global.d.ts': '// global.d.ts from mirror',
+  '/cdn/p5@2.1.1/types/p5.d.ts': '// p5.d.ts from mirror'
+};
+const sha256 = (text) => crypto.createHash('sha256').update(text).digest('base64');
+const tar = createRequire(import.meta.url)('tar');
+
+/**
+ * Packs files into an npm-style tarball (everything under "package/")
+ * @param {Record<string, string>} contents - File contents by package path
+ * @returns {Promise<Buffer>} The gzipped tarball
+ */
+async function packTarball(contents) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'create-p5-tarball-'));
+  for (const [name, content] of Object.entries(contents)) {
+    await fs.mkdir(path.dirname(path.join(dir, 'package', name)), { recursive: true });
+    await fs.writeFile(path.join(dir, 'package', name), content);
+  }
+  await tar.create({ gzip: true, file: path.join(dir, 'p5.tgz'), cwd: dir, portable: true }, ['package']);
+  const tarball = await fs.readFile(path.join(dir, 'p5.tgz'));
+  await fs.rm(dir, { recursive: true, force: true });
+  return tarball;
+}
+
+// Local stand-in for an npm mirror serving a jsdelivr-compatible API, and for an npm registry
+let server;
+let baseUrl;
+let tarball;
+let tarballIntegrity;
+const requests = [];
+
+/**
+ * Registry metadata of the 2.1.1 release, shaped like registry.npmjs.org/p5/2.1.1
+ * @returns {Object} Version manifest
+ */
+const registryManifest = () => ({
+  name: 'p5',
+  version: '2.1.1',
+  dist: {
+    integrity: tarballIntegrity,
+    shasum: crypto.createHash('sha1').update(tarball).digest('hex'),
+    tarball: `${baseUrl}/registry/p5/-/p5-2.1.1.tgz`
+  }
+});
+
+beforeAll(async () => {
+  tarball = await packTarball({ '/lib/p5.js': files['/cdn/p5@2.1.1/lib/p5.js'], '/lib/p5.min.js': files['/cdn/p5@2.1.1/lib/p5.min.js'], '/package.json': '{}' });
+  tarballIntegrity = `sha512-${crypto.createHash('sha512').update(tarball).digest('base64')}`;
+
+  server = http.createServer((req, res) => {
+    requests.push(req.url);
+    if (req.url === '/registry/p5') {
+      res.setHeader('content-type', 'application/json');
+      res.end(JSON.stringify({
+        _id: 'p5',
+        name: 'p5',
+        'dist-tags': { latest: '2.1.1', beta: '2.1.1-rc.1' },
+        versions: { '2.0.0': { name: 'p5', version: '2.0.0' }, '2.1.1-rc.1': { name: 'p5', version: '2.1.1-rc.1' }, '2.1.1': registryManifest() },
+        time: { created: '2014-01-01T00:00:00.000Z', modified: '2025-10-01T00:00:00.000Z', '2.0.0': '2025-04-17T12:00:00.000Z', '2.1.1': '2025-09-30T12:00:00.000Z' }
+      }));
+    } else if (req.url === '/registry/p5/2.1.1') {
+      res.setHeader('content-type', 'application/json');
+      res.end(JSON.stringify(registryManifest()));
+    } else if (req.url === '/registry/p5/-/p5-2.1.1.tgz') {
+      res.setHeader('content-type', 'application/octet-stream');
+      res.end(tarball);
+    } else if (req.url === '/api/p5') {
+      res.setHeader('content-type', 'application/json');
+      res.end(JSON.stringify({ tags: { latest: '2.1.1' }, versions: ['2.1.1', '2.0.0'] }));
+    } else if (req.url === '/api/p5@2.1.1/flat') {
+      res.setHeader('content-type', 'application/json');
+      res.end(JSON.stringify({
+        files: ['/lib/p5.js', '/lib/p5.min.js'].map(name => ({ name, hash: sha256(files[`/cdn/p5@2.1.1${name}`]) }))
+      }));
+    } else if (files[req.url]) {
+      res.setHeader('content-type', 'application/javascript');
+      res.end(files[req.url]);
+    } else {
+      res.statusCode = 404;
+      res.end('not found');
+    }
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+  await new Promise(resolve => server.close(resolve));
+});
+
+let savedEnv;
+
+beforeEach(async () => {
+  savedEnv = Object.fromEntries(ENV_VARS.map(name => [name, process.env[name]]));
+  process.env.CREATE_P5_CONFIG_DIR = configDir;
+  requests.length = 0;
+  await fs.mkdir(targetDir, { recursive: true });
+});
+
+afterEach(async () => {
+  for (const [name, value] of Object.entries(savedEnv)) {
+    if (value === undefined) delete process.env[name];
+    else process.env[name] = value;
+  }
+  await fs.rm(tmpDir, { recursive: true, force: true });
+});
+
+describe('resolveEndpoint', () => {
+  it('defaults to jsdelivr', async () => {
+    delete process.env.CREATE_P5_CDN_URL;
+    expect(await resolveEndpoint('cdn')).toEqual({ name: 'cdn', url: 'https://cdn.jsdelivr.net/npm', source: null });
+  });
+
+  it('reads mirrors from the user config file', async () => {
+    await fs.mkdir(configDir, { recursive: true });
+    await fs.writeFile(path.join(configDir, 'config.json'), JSON.stringify({ mirrors: { cdn: 'https://mirror.example/npm/' } }));
+
+    const endpoint = await resolveEndpoint('cdn');
+    expect(endpoint.url).toBe('https://mirror.example/npm');
+    expect(endpoint.source).toBe(path.resolve(configDir, 'config.json'));
+  });
+
+  it('lets environment variables override the config file', async () => {
+    await fs.mkdir(configDir, { recursive: true });
+    await fs.writeFile(path.join(configDir, 'config.json'), JSON.stringify({ mirrors: { cdn: 'https://mirror.example/npm' } }));
+    process.env.CREATE_P5_CDN_URL = 'https://other.example/npm';
+
+    expect(await resolveEndpoint('cdn')).toEqual({ name: 'cdn', url: 'https://other.example/npm', source: 'CREATE_P5_CDN_URL' });
+  });
+
+  it('rejects URLs that are not http(s)', async () => {
+    process.env.CREATE_P5_TYPES_URL = 'ftp://mirror.example';
+    await expect(resolveEndpoint('types')).rejects.toThrow(/Invalid type definitions CDN URL .* CREATE_P5_TYPES_URL/);
+  });
+});
+
+describe('downloads from a mirror', () => {
+  beforeEach(() => {
+    process.env.CREATE_P5_VERSION_API_URL = `${baseUrl}/api`;
+    process.env.CREATE_P5_CDN_URL = `${baseUrl}/cdn`;
+    process.env.CREATE_P5_TYPES_URL = `${baseUrl}/cdn`;
+  });
+
+  it('fetches the version list from the version API mirror', async () => {
+    expect(await fetchVersions()).toEqual({ latest: '2.1.1', versions: ['2.1.1', '2.0.0'], tags: { latest: '2.1.1' }, dates: {} });
+    expect(requests).toEqual(['/api/p5']);
+  });
+
+  it('downloads and verifies p5.js files from the file mirror', async () => {
+    await downloadP5Files('2.1.1', targetDir);
+
+    expect(await fs.readFile(path.join(targetDir, 'p5.js'), 'utf-8')).toBe('// p5.js from mirror');
+    expect(requests).toContain('/api/p5@2.1.1/flat');
+  });
+
+  it('downloads type definitions from the types mirror', async () => {
+    await downloadTypeDefinitions('2.1.1', targetDir, null, 'global');
+
+    expect(await fs.readFile(path.join(targetDir, 'p5.d.ts'), 'utf-8')).toBe('// p5.d.ts from mirror');
+  });
+
+  it('names the endpoint and its setting when the mirror answers with an error', async () => {
+    await expect(downloadTypeDefinitions('9.9.9', targetDir, null, 'instance'))
+      .rejects.toThrow(/type definitions CDN at .*p5@9\.9\.9.* \(set by CREATE_P5_TYPES_URL\) answered with HTTP 404/);
+  });
+
+  it('names the endpoint and its setting when the mirror is unreachable', async () => {
+    process.env.CREATE_P5_VERSION_API_URL = 'http://127.0.0.1:1/api';
+
+    await expect(fetchVersions()).rejects.toThrow(/Could not reach the version API at http:\/\/127\.0\.0\.1:1\/api\/p5 \(set by CREATE_P5_VERSION_API_URL\)/);
+  });
+});
+
+describe('npm registry mirrors', () => {
+  beforeEach(() => {
+    process.env.CREATE_P5_VERSION_API_URL = `${baseUrl}/registry`;
+    process.env.CREATE_P5_CDN_URL = `${baseUrl}/cdn`;
+  });
+
+  it('reads the version list from the registry document', async () => {
+    const result = await fetchVersions(true);
+
+    expect(result.latest).toBe('2.1.1');
+    expect(result.tags).toEqual({ latest: '2.1.1', beta: '2.1.1-rc.1' });
+    expect(result.versions).toEqual(['2.0.0', '2.1.1-rc.1', '2.1.1']);
+    expect(result.dates).toEqual({ '2.0.0': '2025-04-17T12:00:00.000Z', '2.1.1': '2025-09-30T12:00:00.000Z' });
+  });
+
+  it('verifies p5.js files against the package tarball when there is no /flat listing', async () => {
+    await downloadP5Files('2.1.1', targetDir);
+
+    expect(await fs.readFile(path.join(targetDir, 'p5.min.js'), 'utf-8')).toBe('// p5.min.js from mirror');
+    expect(requests).toContain('/registry/p5/-/p5-2.1.1.tgz');
+  });
+
+  it('refuses a tarball that does not match dist.integrity', async () => {
+    const published = tarballIntegrity;
+    tarballIntegrity = `sha512-${crypto.createHash('sha512').update('another tarball').digest('base64')}`;
+
+    try {
+      await expect(downloadP5Files('2.1.1', targetDir)).rejects.toMatchObject({ code: 'INTEGRITY', key: 'error.checksum.tarballMismatch' });
+      expect(await fs.readdir(targetDir)).toEqual([]);
+    } finally {
+      tarballIntegrity = published;
+    }
+  });
+});
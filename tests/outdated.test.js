@@ -0,0 +1,83 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs/promises';
+import path from 'path';
+
+vi.mock('../src/version.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  fetchVersions: vi.fn(async () => ({ latest: '2.1.1', versions: ['2.1.1', '2.1.0', '2.0.0', '1.11.2', '1.9.4', '1.9.0'] }))
+}));
+
+import { listOutdated, outdated } from '../src/operations/outdated.js';
+import { fetchVersions } from '../src/version.js';
+import * as display from '../src/ui/display.js';
+import { writeProject } from './helpers/projects.js';
+
+const tmpDir = path.resolve('tests', 'tmp-outdated');
+
+describe('outdated', () => {
+  beforeEach(async () => {
+    vi.clearAllMocks();
+    await writeProject(tmpDir, 'week-1', { version: '1.9.0', mode: 'local', typeDefsVersion: '1.7.7' });
+    await writeProject(tmpDir, path.join('term-2', 'week-5'), { version: '2.1.1', mode: 'cdn', typeDefsVersion: '2.1.1' });
+    await writeProject(tmpDir, path.join('term-2', 'broken'), '{ "version": ');
+    await writeProject(tmpDir, path.join('node_modules', 'some-package'), { version: '1.0.0' });
+    await writeProject(tmpDir, path.join('week-1', 'copy'), { version: '1.0.0' });
+  });
+
+  afterEach(async () => {
+    display.setJsonMode(false);
+    vi.restoreAllMocks();
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  });
+
+  it('compares every project in the tree with one version list', async () => {
+    const result = await listOutdated(tmpDir);
+
+    expect(fetchVersions).toHaveBeenCalledTimes(1);
+    expect(result.projects).toEqual([
+      { path: path.join('term-2', 'week-5'), version: '2.1.1', patch: null, minor: null, major: null, mode: 'cdn', typesVersion: '2.1.1', outdated: false },
+      { path: 'week-1', version: '1.9.0', patch: '1.9.4', minor: '1.11.2', major: '2.1.1', mode: 'local', typesVersion: '1.7.7', outdated: true }
+    ]);
+    expect(result.outdatedCount).toBe(1);
+    expect(result.warnings).toEqual([`Skipped ${path.join('term-2', 'broken')}: its .p5-config.json could not be read`]);
+  });
+
+  it('prints a table, or the result as JSON for CI', async () => {
+    const message = vi.spyOn(display, 'message').mockImplementation(() => {});
+    const warn = vi.spyOn(display, 'warn').mockImplementation(() => {});
+
+    // Without --json an outdated project is reported, not a failure
+    await outdated({ _: ['outdated', tmpDir] });
+
+    expect(warn).toHaveBeenCalledWith('info.outdated.summary', { count: 1, total: 2 });
+
+    expect(message.mock.calls[0][0].split('\n')).toEqual([
+      'Project        Current  Patch  Minor   Major  Mode   Types',
+      `${path.join('term-2', 'week-5')}  2.1.1    -      -       -      cdn    2.1.1`,
+      'week-1         1.9.0    1.9.4  1.11.2  2.1.1  local  1.7.7'
+    ]);
+
+    display.setJsonMode(true);
+    const failed = await outdated({ _: ['outdated', tmpDir] }).catch(error => error);
+    display.failure(failed);
+
+    expect(failed.exitCode).toBe(11);
+    expect(display.getJsonOutput(failed.exitCode)).toMatchObject({
+      ok: false,
+      root: tmpDir,
+      latest: '2.1.1',
+      outdatedCount: 1,
+      projects: [expect.objectContaining({ outdated: false }), expect.objectContaining({ path: 'week-1', outdated: true })],
+      error: { code: 'OUTDATED' }
+    });
+  });
+
+  it('succeeds with --json when every project is up to date', async () => {
+    await fs.rm(path.join(tmpDir, 'week-1'), { recursive: true });
+    display.setJsonMode(true);
+
+    await outdated({ _: ['outdated', tmpDir] });
+
+    expect(display.getJsonOutput(0)).toMatchObject({ ok: true, outdatedCount: 0 });
+  });
+});
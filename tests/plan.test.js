@@ -0,0 +1,128 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs/promises';
+import path from 'path';
+
+vi.mock('../src/version.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  fetchVersions: vi.fn(async () => ({ latest: '2.1.1', versions: ['2.1.1', '2.0.0', '1.9.0'] })),
+  downloadP5Files: vi.fn(async () => {}),
+  downloadTypeDefinitions: vi.fn(async () => '2.1.1')
+}));
+
+import { Plan, diffLines } from '../src/plan.js';
+import { scaffold } from '../src/operations/scaffold.js';
+import { downloadP5Files, downloadTypeDefinitions } from '../src/version.js';
+import * as display from '../src/ui/display.js';
+
+const tmpDir = path.resolve('tests', 'tmp-plan');
+
+beforeEach(async () => {
+  await fs.mkdir(tmpDir, { recursive: true });
+});
+
+afterEach(async () => {
+  await fs.rm(tmpDir, { recursive: true, force: true });
+  vi.restoreAllMocks();
+});
+
+describe('diffLines', () => {
+  it('lists removed lines before the lines that replace them', () => {
+    expect(diffLines('a\nb\nc', 'a\nB\nc\nd')).toEqual([
+      { op: '-', line: 'b' },
+      { op: '+', line: 'B' },
+      { op: '+', line: 'd' }
+    ]);
+  });
+
+  it('treats an empty text as no lines', () => {
+    expect(diffLines('', 'lib/\n')).toEqual([{ op: '+', line: 'lib/' }, { op: '+', line: '' }]);
+    expect(diffLines('same', 'same')).toEqual([]);
+  });
+});
+
+describe('Plan', () => {
+  it('reads planned edits, then copy sources, then the disk', async () => {
+    const source = path.join(tmpDir, 'source.html');
+    const copy = path.join(tmpDir, 'project', 'index.html');
+    await fs.writeFile(source, '<html></html>');
+
+    const plan = new Plan();
+    plan.create(copy, source);
+    expect(await plan.readFile(copy)).toBe('<html></html>');
+
+    plan.edit(copy, '<html></html>', '<html lang="en"></html>');
+    expect(await plan.readFile(copy)).toBe('<html lang="en"></html>');
+    expect(await plan.readFile(path.join(tmpDir, 'missing.txt'))).toBeNull();
+  });
+
+  it('skips edits that change nothing', () => {
+    const plan = new Plan();
+    plan.edit('.gitignore', 'lib/\n', 'lib/\n');
+    expect(plan.steps).toEqual([]);
+  });
+});
+
+describe('scaffold --dry-run', () => {
+  let exitSpy;
+  let planSpy;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    display.setSilentMode(true);
+    exitSpy = vi.spyOn(process, 'exit').mockImplementation(() => {});
+    planSpy = vi.spyOn(display, 'plan').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    display.setSilentMode(false);
+  });
+
+  it('plans every change of a local-mode project with git and writes nothing', async () => {
+    const target = path.join(tmpDir, 'sketch');
+
+    await scaffold({
+      _: [target],
+      yes: true,
+      version: '2.1.1',
+      language: 'javascript',
+      'p5-mode': 'global',
+      mode: 'local',
+      git: true,
+      'dry-run': true
+    });
+
+    expect(exitSpy).not.toHaveBeenCalledWith(1);
+    expect(await fs.readdir(tmpDir)).toEqual([]);
+    expect(downloadP5Files).not.toHaveBeenCalled();
+    expect(downloadTypeDefinitions).not.toHaveBeenCalled();
+
+    const steps = planSpy.mock.calls[0][0];
+    const types = steps.map(step => step.type);
+    expect(types.indexOf('create')).toBe(0);
+    expect(steps).toContainEqual(expect.objectContaining({ type: 'create', path: path.join(target, 'sketch.js') }));
+    expect(steps).toContainEqual({ type: 'run', command: 'git init', cwd: target });
+    expect(steps).toContainEqual({
+      type: 'download',
+      url: 'https://cdn.jsdelivr.net/npm/p5@2.1.1/lib/p5.min.js',
+      destination: path.join(target, 'lib', 'p5.min.js'),
+      cached: false
+    });
+    expect(steps).toContainEqual({
+      type: 'download',
+      url: 'https://cdn.jsdelivr.net/npm/p5@2.1.1/types/global.d.ts',
+      destination: path.join(target, 'types', 'global.d.ts'),
+      cached: false
+    });
+
+    const gitignoreEdits = steps.filter(step => step.type === 'edit' && step.path === path.join(target, '.gitignore'));
+    expect(gitignoreEdits).toHaveLength(2);
+    expect(gitignoreEdits[1].diff).toContainEqual({ op: '+', line: 'lib/' });
+
+    const htmlEdit = steps.find(step => step.type === 'edit' && step.path === path.join(target, 'index.html'));
+    expect(htmlEdit.diff).toContainEqual({ op: '+', line: '  <script src="./lib/p5.js"></script>' });
+
+    const config = steps[steps.length - 1];
+    expect(config.type).toBe('config');
+    expect(JSON.parse(config.content)).toMatchObject({ version: '2.1.1', mode: 'local', language: 'javascript' });
+  });
+});
@@ -0,0 +1,124 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs/promises';
+import path from 'path';
+
+vi.mock('../src/version.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  fetchVersions: vi.fn(async () => ({ latest: '2.1.1', versions: ['2.1.1', '2.0.0', '1.9.0'] })),
+  downloadP5Files: vi.fn(async () => {}),
+  downloadTypeDefinitions: vi.fn(async () => '2.0.2')
+}));
+
+vi.mock('../src/ui/prompts.js', () => ({
+  isCancel: vi.fn(() => false),
+  promptProjectPath: vi.fn(async () => 'sketch'),
+  promptSetupType: vi.fn(async () => 'custom'),
+  promptVersion: vi.fn(async () => '2.0.0'),
+  promptMode: vi.fn(async () => 'cdn'),
+  promptLanguage: vi.fn(async () => 'javascript'),
+  promptP5Mode: vi.fn(async () => 'instance'),
+  promptGit: vi.fn(async () => false),
+  promptTypes: vi.fn(async () => true),
+  promptReview: vi.fn(async () => 'create'),
+  promptPresetName: vi.fn(async () => '')
+}));
+
+import { readPresets, savePreset, getPreset, getPresetsPath } from '../src/presets.js';
+import { managePresets } from '../src/operations/presets.js';
+import { scaffold } from '../src/operations/scaffold.js';
+import * as prompts from '../src/ui/prompts.js';
+import * as display from '../src/ui/display.js';
+
+const tmpDir = path.resolve('tests', 'tmp-presets');
+
+describe('presets', () => {
+  const originalConfigDir = process.env.CREATE_P5_CONFIG_DIR;
+
+  beforeEach(async () => {
+    vi.clearAllMocks();
+    process.env.CREATE_P5_CONFIG_DIR = path.join(tmpDir, 'config');
+    display.setSilentMode(true);
+    vi.spyOn(process, 'exit').mockImplementation(() => {});
+    await fs.mkdir(tmpDir, { recursive: true });
+  });
+
+  afterEach(async () => {
+    if (originalConfigDir === undefined) {
+      delete process.env.CREATE_P5_CONFIG_DIR;
+    } else {
+      process.env.CREATE_P5_CONFIG_DIR = originalConfigDir;
+    }
+    display.setSilentMode(false);
+    vi.restoreAllMocks();
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  });
+
+  it('saves presets in the user config directory and rejects bad names and unknown presets', async () => {
+    expect(await readPresets()).toEqual({});
+
+    await savePreset('workshop-local', { version: '2.0.0', mode: 'local', language: 'javascript', p5Mode: 'global', git: true, types: false, name: 'ignored' });
+
+    expect(getPresetsPath()).toBe(path.join(tmpDir, 'config', 'presets.json'));
+    expect(await getPreset('workshop-local')).toEqual({ version: '2.0.0', mode: 'local', language: 'javascript', p5Mode: 'global', git: true, types: false });
+    await expect(savePreset('my preset', {})).rejects.toMatchObject({ code: 'INVALID_FLAG' });
+    await expect(getPreset('workshop')).rejects.toMatchObject({
+      code: 'INVALID_FLAG',
+      hints: [{ key: 'error.presets.available', vars: { names: 'workshop-local' } }]
+    });
+
+    await fs.writeFile(getPresetsPath(), JSON.stringify({ broken: { mode: 'ftp' } }));
+    await expect(readPresets()).rejects.toMatchObject({ code: 'CONFIG', details: [expect.stringContaining('Invalid mode "ftp"')] });
+  });
+
+  it('offers to save a custom setup, then uses the preset from the prompt or --preset without asking again', async () => {
+    prompts.promptProjectPath.mockResolvedValueOnce(path.join(tmpDir, 'first'));
+    prompts.promptPresetName.mockResolvedValueOnce('workshop');
+    await scaffold({ _: [], git: false });
+
+    expect(await getPreset('workshop')).toEqual({ version: '2.0.0', mode: 'cdn', language: 'javascript', p5Mode: 'instance', git: false, types: true });
+
+    vi.clearAllMocks();
+    prompts.promptProjectPath.mockResolvedValueOnce(path.join(tmpDir, 'second'));
+    prompts.promptSetupType.mockResolvedValueOnce('preset:workshop');
+    await scaffold({ _: [] });
+
+    expect(prompts.promptSetupType).toHaveBeenCalledWith({ workshop: expect.objectContaining({ version: '2.0.0' }) }, expect.anything());
+    expect(prompts.promptVersion).not.toHaveBeenCalled();
+    expect(prompts.promptLanguage).not.toHaveBeenCalled();
+    expect(prompts.promptPresetName).not.toHaveBeenCalled();
+
+    vi.clearAllMocks();
+    await scaffold({ _: [path.join(tmpDir, 'third')], preset: 'workshop', mode: 'local' });
+
+    expect(prompts.promptSetupType).not.toHaveBeenCalled();
+    for (const [dir, mode] of [['second', 'cdn'], ['third', 'local']]) {
+      const config = JSON.parse(await fs.readFile(path.join(tmpDir, dir, '.p5-config.json'), 'utf-8'));
+      expect(config).toMatchObject({ version: '2.0.0', mode, p5Mode: 'instance' });
+    }
+  });
+
+  it('saves the version as chosen rather than the release it resolved to', async () => {
+    prompts.promptProjectPath.mockResolvedValueOnce(path.join(tmpDir, 'sketch'));
+    prompts.promptVersion.mockResolvedValueOnce('latest');
+    prompts.promptPresetName.mockResolvedValueOnce('always-latest');
+
+    await scaffold({ _: [], git: false });
+
+    const config = JSON.parse(await fs.readFile(path.join(tmpDir, 'sketch', '.p5-config.json'), 'utf-8'));
+    expect(config.version).toBe('2.1.1');
+    expect(await getPreset('always-latest')).toMatchObject({ version: 'latest' });
+  });
+
+  it('lists and removes presets with the presets command', async () => {
+    await savePreset('workshop-local', { mode: 'local', git: true });
+    const message = vi.spyOn(display, 'message');
+
+    await managePresets({ _: ['presets', 'list'] });
+    expect(message).toHaveBeenCalledWith('  workshop-local: p5.js latest, local, javascript, global mode, git');
+
+    await managePresets({ _: ['presets', 'remove', 'workshop-local'] });
+    expect(await readPresets()).toEqual({});
+    await expect(managePresets({ _: ['presets', 'remove', 'workshop-local'] })).rejects.toMatchObject({ code: 'INVALID_FLAG' });
+    await expect(managePresets({ _: ['presets'] })).rejects.toMatchObject({ key: 'error.presets.unknownSubcommand' });
+  });
+});
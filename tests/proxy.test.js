@@ -0,0 +1,149 @@
+import { describe, it, expect, beforeAll, afterAll, beforeEach, afterEach, vi } from 'vitest';
+import http from 'http';
+import net from 'net';
+import { getHttpsProxy, proxyFetch } from '../src/proxy.js';
+import { request } from '../src/http.js';
+
+const PROXY_VARS = ['HTTP_PROXY', 'HTTPS_PROXY', 'NO_PROXY', 'http_proxy', 'https_proxy', 'no_proxy'];
+let savedEnv;
+
+beforeEach(() => {
+  savedEnv = Object.fromEntries(PROXY_VARS.map(name => [name, process.env[name]]));
+  for (const name of PROXY_VARS) delete process.env[name];
+});
+
+afterEach(() => {
+  for (const [name, value] of Object.entries(savedEnv)) {
+    if (value === undefined) delete process.env[name];
+    else process.env[name] = value;
+  }
+  vi.restoreAllMocks();
+});
+
+describe('getHttpsProxy', () => {
+  it('is null without proxy variables', () => {
+    expect(getHttpsProxy()).toBeNull();
+  });
+
+  it('uses HTTPS_PROXY and falls back to HTTP_PROXY', () => {
+    process.env.HTTP_PROXY = 'http://proxy.local:3128';
+    expect(getHttpsProxy()).toBe('http://proxy.local:3128');
+
+    process.env.HTTPS_PROXY = 'http://secure-proxy.local:3128';
+    expect(getHttpsProxy()).toBe('http://secure-proxy.local:3128');
+  });
+
+  it('prefers the lowercase spelling', () => {
+    process.env.HTTPS_PROXY = 'http://upper.local:3128';
+    process.env.https_proxy = 'http://lower.local:3128';
+    expect(getHttpsProxy()).toBe('http://lower.local:3128');
+  });
+});
+
+describe('proxyFetch', () => {
+  let target;
+  let proxy;
+  const proxied = [];
+
+  beforeAll(async () => {
+    target = http.createServer((req, res) => res.end(`hello from ${req.url}`));
+    await new Promise(resolve => target.listen(0, '127.0.0.1', resolve));
+
+    // Minimal forward proxy: tunnels CONNECT requests and records their targets
+    proxy = http.createServer((req, res) => {
+      res.statusCode = 501;
+      res.end();
+    });
+    proxy.on('connect', (req, clientSocket, head) => {
+      proxied.push(req.url);
+      const [host, port] = req.url.split(':');
+      const upstream = net.connect(Number(port), host, () => {
+        clientSocket.write('HTTP/1.1 200 Connection Established\r\n\r\n');
+        upstream.write(head);
+        upstream.pipe(clientSocket);
+        clientSocket.pipe(upstream);
+      });
+      upstream.on('error', () => clientSocket.destroy());
+    });
+    await new Promise(resolve => proxy.listen(0, '127.0.0.1', resolve));
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => target.close(resolve));
+    await new Promise(resolve => proxy.close(resolve));
+  });
+
+  it('routes requests through HTTP_PROXY', async () => {
+    proxied.length = 0;
+    process.env.HTTP_PROXY = `http://127.0.0.1:${proxy.address().port}`;
+
+    const response = await proxyFetch(`http://127.0.0.1:${target.address().port}/p5.js`);
+
+    expect(await response.text()).toBe('hello from /p5.js');
+    expect(proxied).toEqual([`127.0.0.1:${target.address().port}`]);
+  });
+
+  it('skips the proxy for NO_PROXY hosts', async () => {
+    proxied.length = 0;
+    process.env.HTTP_PROXY = `http://127.0.0.1:${proxy.address().port}`;
+    process.env.NO_PROXY = '127.0.0.1';
+
+    const response = await proxyFetch(`http://127.0.0.1:${target.address().port}/direct`);
+
+    expect(await response.text()).toBe('hello from /direct');
+    expect(proxied).toEqual([]);
+  });
+});
+
+describe('redirects', () => {
+  let origin;
+  let files;
+  let proxy;
+  const proxied = [];
+
+  beforeAll(async () => {
+    // The template host redirects to a file host; only the template host is proxied
+    files = http.createServer((req, res) => res.end('// file'));
+    await new Promise(resolve => files.listen(0, 'localhost', resolve));
+
+    origin = http.createServer((req, res) => {
+      res.writeHead(302, { location: `http://localhost:${files.address().port}/file.js` });
+      res.end();
+    });
+    await new Promise(resolve => origin.listen(0, '127.0.0.1', resolve));
+
+    proxy = http.createServer((req, res) => {
+      res.statusCode = 501;
+      res.end();
+    });
+    proxy.on('connect', (req, clientSocket, head) => {
+      proxied.push(req.url);
+      const [host, port] = req.url.split(':');
+      const upstream = net.connect(Number(port), host, () => {
+        clientSocket.write('HTTP/1.1 200 Connection Established\r\n\r\n');
+        upstream.write(head);
+        upstream.pipe(clientSocket);
+        clientSocket.pipe(upstream);
+      });
+      upstream.on('error', () => clientSocket.destroy());
+    });
+    await new Promise(resolve => proxy.listen(0, '127.0.0.1', resolve));
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => origin.close(resolve));
+    await new Promise(resolve => files.close(resolve));
+    await new Promise(resolve => proxy.close(resolve));
+  });
+
+  it('makes the proxy decision again for every redirect hop', async () => {
+    proxied.length = 0;
+    process.env.HTTP_PROXY = `http://127.0.0.1:${proxy.address().port}`;
+    process.env.NO_PROXY = 'localhost';
+
+    const response = await request(`http://127.0.0.1:${origin.address().port}/template.js`);
+
+    expect(await response.text()).toBe('// file');
+    expect(proxied).toEqual([`127.0.0.1:${origin.address().port}`]);
+  });
+});
@@ -0,0 +1,179 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs/promises';
+import { existsSync } from 'fs';
+import path from 'path';
+
+vi.mock('../src/version.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  fetchVersions: vi.fn(async () => ({ latest: '2.1.1', versions: ['2.1.1', '2.0.0', '1.9.0'] })),
+  downloadP5Files: vi.fn(async () => {}),
+  downloadTypeDefinitions: vi.fn(async () => '2.1.1')
+}));
+
+import { ProjectStaging } from '../src/staging.js';
+import { scaffold } from '../src/operations/scaffold.js';
+import { downloadP5Files } from '../src/version.js';
+import * as display from '../src/ui/display.js';
+
+const tmpDir = path.resolve('tests', 'tmp-staging');
+
+beforeEach(async () => {
+  await fs.mkdir(tmpDir, { recursive: true });
+});
+
+afterEach(async () => {
+  await fs.rm(tmpDir, { recursive: true, force: true });
+  vi.restoreAllMocks();
+});
+
+describe('ProjectStaging', () => {
+  it('builds a new project next to the target and renames it into place', async () => {
+    const target = path.join(tmpDir, 'sketch');
+    const staging = await ProjectStaging.create(target);
+
+    expect(path.dirname(staging.path)).toBe(tmpDir);
+    await fs.writeFile(path.join(staging.path, 'index.html'), '<html></html>');
+    expect(existsSync(target)).toBe(false);
+
+    await staging.commit();
+
+    expect(await fs.readdir(tmpDir)).toEqual(['sketch']);
+    expect(await fs.readFile(path.join(target, 'index.html'), 'utf-8')).toBe('<html></html>');
+  });
+
+  it('removes the staging directory and the parents it created on rollback', async () => {
+    const staging = await ProjectStaging.create(path.join(tmpDir, 'nested', 'dirs', 'sketch'));
+    await fs.writeFile(path.join(staging.path, 'sketch.js'), '');
+
+    await staging.rollback();
+
+    expect(await fs.readdir(tmpDir)).toEqual([]);
+  });
+
+  it('moves staged entries into an existing directory, keeping its repository and .gitignore', async () => {
+    await fs.mkdir(path.join(tmpDir, '.git'));
+    await fs.writeFile(path.join(tmpDir, '.git', 'HEAD'), 'ref: refs/heads/main\n');
+    await fs.writeFile(path.join(tmpDir, '.gitignore'), 'secrets/\n');
+
+    const staging = await ProjectStaging.create(tmpDir);
+    expect(await fs.readFile(path.join(staging.path, '.gitignore'), 'utf-8')).toBe('secrets/\n');
+
+    await fs.mkdir(path.join(staging.path, '.git'));
+    await fs.writeFile(path.join(staging.path, '.git', 'HEAD'), 'ref: refs/heads/master\n');
+    await fs.appendFile(path.join(staging.path, '.gitignore'), 'lib/\n');
+    await fs.writeFile(path.join(staging.path, 'sketch.js'), '// sketch');
+
+    await staging.commit();
+
+    expect((await fs.readdir(tmpDir)).sort()).toEqual(['.git', '.gitignore', 'sketch.js']);
+    expect(await fs.readFile(path.join(tmpDir, '.git', 'HEAD'), 'utf-8')).toBe('ref: refs/heads/main\n');
+    expect(await fs.readFile(path.join(tmpDir, '.gitignore'), 'utf-8')).toBe('secrets/\nlib/\n');
+  });
+
+  it('cleans up when the process exits before commit', async () => {
+    const staging = await ProjectStaging.create(path.join(tmpDir, 'sketch'));
+    const exitListeners = process.listenerCount('exit');
+
+    process.emit('exit', 1);
+
+    expect(existsSync(staging.path)).toBe(false);
+    expect(process.listenerCount('exit')).toBe(exitListeners - 1);
+  });
+
+  it('cleans up and exits on Ctrl-C', async () => {
+    const exitSpy = vi.spyOn(process, 'exit').mockImplementation(() => {});
+    const sigintListeners = process.listenerCount('SIGINT');
+    const staging = await ProjectStaging.create(path.join(tmpDir, 'nested', 'sketch'));
+
+    process.emit('SIGINT');
+
+    expect(await fs.readdir(tmpDir)).toEqual([]);
+    expect(exitSpy).toHaveBeenCalledWith(130);
+    expect(process.listenerCount('SIGINT')).toBe(sigintListeners);
+    expect(staging.done).toBe(true);
+  });
+});
+
+describe('scaffold rollback', () => {
+  let exitSpy;
+  const args = (target, overrides = {}) => ({
+    _: [target],
+    yes: true,
+    version: '2.1.1',
+    language: 'javascript',
+    'p5-mode': 'global',
+    types: false,
+    ...overrides
+  });
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    display.setSilentMode(true);
+    exitSpy = vi.spyOn(process, 'exit').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    display.setSilentMode(false);
+  });
+
+  it('moves the project into place only once it is complete', async () => {
+    const target = path.join(tmpDir, 'sketch');
+
+    await scaffold(args(target, { mode: 'cdn' }));
+
+    expect(exitSpy).not.toHaveBeenCalledWith(1);
+    expect(await fs.readdir(tmpDir)).toEqual(['sketch']);
+    expect(existsSync(path.join(target, 'index.html'))).toBe(true);
+    expect(existsSync(path.join(target, '.p5-config.json'))).toBe(true);
+  });
+
+  it('refuses an existing target directory before anything is staged', async () => {
+    await fs.mkdir(path.join(tmpDir, 'sketch'));
+
+    await expect(scaffold(args(path.join(tmpDir, 'sketch')))).rejects.toMatchObject({ code: 'TARGET_EXISTS', exitCode: 3 });
+    expect(await fs.readdir(tmpDir)).toEqual(['sketch']);
+  });
+
+  it('leaves nothing behind when a download fails', async () => {
+    downloadP5Files.mockRejectedValueOnce(new Error('Failed to download p5.js: HTTP 500'));
+
+    await expect(scaffold(args(path.join(tmpDir, 'sketch'), { mode: 'local' }))).rejects.toMatchObject({
+      code: 'NETWORK',
+      details: ['Failed to download p5.js: HTTP 500'],
+      hints: [{ key: 'error.rolledBack', vars: { path: path.join(tmpDir, 'sketch') } }]
+    });
+    expect(await fs.readdir(tmpDir)).toEqual([]);
+  });
+});
+
+describe('scaffold --json', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.spyOn(process, 'exit').mockImplementation(() => {});
+    display.setJsonMode(true);
+  });
+
+  afterEach(() => {
+    display.setJsonMode(false);
+  });
+
+  it('reports the project and the files written to it', async () => {
+    const target = path.join(tmpDir, 'sketch');
+
+    await scaffold({ _: [target], yes: true, version: '2.1.1', mode: 'local', git: true, types: false });
+
+    const output = display.getJsonOutput(0);
+    expect(output).toMatchObject({
+      ok: true,
+      projectPath: target,
+      name: 'sketch',
+      version: '2.1.1',
+      mode: 'local',
+      language: 'javascript',
+      p5Mode: 'global',
+      typesVersion: null,
+      warnings: ['Skipping TypeScript definitions download (--no-types flag)']
+    });
+    expect(output.files.sort()).toEqual(['.gitignore', '.p5-config.json', 'index.html', 'jsconfig.json', 'sketch.js', 'style.css']);
+  });
+});
@@ -1,5 +1,14 @@
-import { describe, it, expect } from 'vitest';
-import { normalizeTemplateSpec } from '../src/templateFetcher.js';
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { normalizeTemplateSpec, fetchTemplate } from '../src/templateFetcher.js';
+
+const clones = [];
+
+vi.mock('degit', () => ({
+  default: () => {
+    const emitter = { proxy: undefined, clone: async () => clones.push({ proxy: emitter.proxy }) };
+    return emitter;
+  }
+}));
 
 describe('normalizeTemplateSpec', () => {
   it('normalizes basic github URL to user/repo', () => {
@@ -37,3 +46,25 @@ describe('normalizeTemplateSpec', () => {
   });
 });
 
+describe('fetchTemplate', () => {
+  const PROXY_VARS = ['HTTP_PROXY', 'HTTPS_PROXY', 'http_proxy', 'https_proxy'];
+  const savedEnv = Object.fromEntries(PROXY_VARS.map(name => [name, process.env[name]]));
+
+  afterEach(() => {
+    for (const [name, value] of Object.entries(savedEnv)) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+    clones.length = 0;
+  });
+
+  it('hands the proxy to degit without changing the environment', async () => {
+    for (const name of PROXY_VARS) delete process.env[name];
+    process.env.HTTPS_PROXY = 'http://proxy.local:3128';
+
+    await fetchTemplate('user/repo', 'unused-target');
+
+    expect(clones).toEqual([{ proxy: 'http://proxy.local:3128' }]);
+    expect(process.env.https_proxy).toBeUndefined();
+  });
+});
@@ -1,18 +1,422 @@
-import { describe, it, expect, vi } from 'vitest';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import fs from 'fs/promises';
+import path from 'path';
 
 // Mock config functions to simulate non-create-p5 project
-vi.mock('../src/config.js', () => ({
+vi.mock('../src/config.js', async (importOriginal) => ({
+  ...(await importOriginal()),
   readConfig: vi.fn(async () => null),
+  createConfig: vi.fn(async () => {}),
   migrateConfigIfNeeded: vi.fn(async () => ({ migrated: false, error: null }))
 }));
 
-import { update } from '../src/operations/update.js';
+vi.mock('../src/version.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  fetchVersions: vi.fn(async () => ({ latest: '2.1.1', versions: ['2.1.1', '2.0.0', '1.9.0'] })),
+  downloadP5Files: vi.fn(async () => {}),
+  downloadTypeDefinitions: vi.fn(async () => '2.1.1')
+}));
+
+vi.mock('../src/ui/prompts.js', () => ({
+  isCancel: vi.fn(() => false),
+  promptUpdateAction: vi.fn(),
+  promptVersion: vi.fn(),
+  confirmDeleteLib: vi.fn()
+}));
+
+import { update, updateProject } from '../src/operations/update.js';
+import { readConfig, createConfig } from '../src/config.js';
+import { downloadP5Files, fetchVersions } from '../src/version.js';
+import { computeIntegrity } from '../src/integrity.js';
+import * as prompts from '../src/ui/prompts.js';
+import * as display from '../src/ui/display.js';
+
+const tmpDir = path.join('tests', 'tmp-update');
 
 describe('update workflow', () => {
-  it('exits when no .p5-config.json found', async () => {
-    const exitSpy = vi.spyOn(process, 'exit').mockImplementation(() => {});
-    await update();
-    expect(exitSpy).toHaveBeenCalledWith(1);
+  it('fails when no .p5-config.json found', async () => {
+    await expect(update()).rejects.toMatchObject({ code: 'NO_PROJECT', exitCode: 4 });
+  });
+});
+
+describe('non-interactive update', () => {
+  let exitSpy;
+
+  beforeEach(async () => {
+    vi.clearAllMocks();
+    display.setSilentMode(true);
+    exitSpy = vi.spyOn(process, 'exit').mockImplementation(() => {});
+    await fs.mkdir(tmpDir, { recursive: true });
+    await fs.writeFile(
+      path.join(tmpDir, 'index.html'),
+      '<!DOCTYPE html><html><head><script src="https://cdn.jsdelivr.net/npm/p5@1.9.0/lib/p5.js"></script></head><body></body></html>'
+    );
+    readConfig.mockResolvedValue({
+      version: '1.9.0',
+      mode: 'cdn',
+      language: 'javascript',
+      p5Mode: 'global',
+      typeDefsVersion: '1.7.7'
+    });
+  });
+
+  afterEach(async () => {
+    exitSpy.mockRestore();
+    display.setSilentMode(false);
+    readConfig.mockResolvedValue(null);
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  });
+
+  it('fails instead of prompting when --yes is given without --version or --mode', async () => {
+    await expect(update(tmpDir, { _: ['update'], yes: true })).rejects.toMatchObject({ code: 'INVALID_FLAG' });
+
+    expect(prompts.promptUpdateAction).not.toHaveBeenCalled();
+  });
+
+  it('fails on an invalid --mode', async () => {
+    await expect(update(tmpDir, { _: ['update'], mode: 'ftp' })).rejects.toMatchObject({
+      code: 'INVALID_FLAG',
+      details: [expect.stringContaining('ftp')]
+    });
+
+    expect(createConfig).not.toHaveBeenCalled();
+  });
+
+  it('fails on a version that does not exist', async () => {
+    await expect(update(tmpDir, { _: ['update'], version: '0.0.1' })).rejects.toMatchObject({ code: 'INVALID_FLAG' });
+
+    expect(prompts.promptVersion).not.toHaveBeenCalled();
+  });
+
+  it('fails on --version without a value instead of moving to the latest version', async () => {
+    await expect(update(tmpDir, { _: ['update'], version: '', mode: 'local' })).rejects.toMatchObject({
+      code: 'INVALID_FLAG',
+      details: [expect.stringContaining('Missing version')]
+    });
+
+    expect(createConfig).not.toHaveBeenCalled();
+    expect(downloadP5Files).not.toHaveBeenCalled();
+  });
+
+  it('updates to the latest version without prompting', async () => {
+    await update(tmpDir, { _: ['update'], version: 'latest' });
+
+    const html = await fs.readFile(path.join(tmpDir, 'index.html'), 'utf-8');
+    expect(html).toMatch(/p5@2\.1\.1/);
+    expect(prompts.promptVersion).not.toHaveBeenCalled();
+    expect(createConfig).toHaveBeenCalledWith(
+      path.join(tmpDir, '.p5-config.json'),
+      expect.objectContaining({ version: '2.1.1', mode: 'cdn', language: 'javascript', p5Mode: 'global' })
+    );
+    expect(exitSpy).toHaveBeenCalledWith(0);
+  });
+
+  it('applies --version and --mode together', async () => {
+    await update(tmpDir, { _: ['update'], version: '2.0.0', mode: 'local' });
+
+    const html = await fs.readFile(path.join(tmpDir, 'index.html'), 'utf-8');
+    expect(html).toMatch(/\.\/lib\/p5\.js/);
+    // Downloads are staged next to lib/ and moved into place once index.html is ready
+    expect(downloadP5Files).toHaveBeenLastCalledWith('2.0.0', expect.stringContaining(path.join(tmpDir, '.lib.create-p5-')), expect.anything(), { offline: false });
+    expect(await fs.readdir(tmpDir)).not.toContainEqual(expect.stringMatching(/^\.lib\.create-p5-/));
+    expect(await fs.readdir(tmpDir)).toContain('lib');
+    expect(createConfig).toHaveBeenLastCalledWith(
+      path.join(tmpDir, '.p5-config.json'),
+      expect.objectContaining({ version: '2.0.0', mode: 'local' })
+    );
+  });
+
+  it('resolves a range for --version and records it with the resolved version', async () => {
+    await update(tmpDir, { _: ['update'], version: '^2.0', yes: true });
+
+    expect(createConfig).toHaveBeenLastCalledWith(
+      path.join(tmpDir, '.p5-config.json'),
+      expect.objectContaining({ version: '2.1.1', versionSpec: '^2.0' })
+    );
+  });
+
+  it('updates within the recorded range and only reports a newer major', async () => {
+    readConfig.mockResolvedValue({ version: '1.9.0', versionSpec: '^1.9', mode: 'cdn', typeDefsVersion: null });
+    fetchVersions.mockResolvedValueOnce({ latest: '2.1.1', versions: ['2.1.1', '2.0.0', '1.9.4', '1.9.0'] });
+
+    const result = await updateProject(tmpDir, { withinRange: true });
+
+    expect(result).toMatchObject({ version: '1.9.4', changed: true });
+    expect(result.warnings).toEqual([expect.stringContaining('p5.js 2.1.1 is available outside the recorded range "^1.9"')]);
+    expect(createConfig).toHaveBeenLastCalledWith(
+      path.join(tmpDir, '.p5-config.json'),
+      expect.objectContaining({ version: '1.9.4', versionSpec: '^1.9' })
+    );
+  });
+
+  it('rejects --within-range without a recorded range or together with --version', async () => {
+    await expect(update(tmpDir, { _: ['update'], 'within-range': true })).rejects.toMatchObject({
+      key: 'error.update.noVersionRange',
+      hints: [{ key: 'error.update.noVersionRangeHint', vars: { range: '^1.9.0' } }]
+    });
+
+    readConfig.mockResolvedValue({ version: '1.9.0', versionSpec: '^1.9', mode: 'cdn' });
+    await expect(update(tmpDir, { _: ['update'], 'within-range': true, version: 'latest' })).rejects.toMatchObject({
+      key: 'error.update.withinRangeConflict'
+    });
+    expect(createConfig).not.toHaveBeenCalled();
+  });
+
+  it('offers the latest compatible version when the project records a range', async () => {
+    readConfig.mockResolvedValue({ version: '1.9.0', versionSpec: '^1.9', mode: 'cdn' });
+    prompts.promptUpdateAction.mockResolvedValueOnce('cancel');
+
+    await update(tmpDir, { _: ['update'] });
+
+    expect(prompts.promptUpdateAction).toHaveBeenCalledWith({ range: '^1.9' });
+  });
+
+  it('keeps lib/ without prompting when switching to cdn with --yes', async () => {
+    readConfig.mockResolvedValue({ version: '1.9.0', mode: 'local', typeDefsVersion: null });
+
+    await update(tmpDir, { _: ['update'], mode: 'cdn', yes: true });
+
+    expect(prompts.confirmDeleteLib).not.toHaveBeenCalled();
+    expect(createConfig).toHaveBeenCalledWith(
+      path.join(tmpDir, '.p5-config.json'),
+      expect.objectContaining({ mode: 'cdn' })
+    );
+  });
+
+  it('moves add-on library tags together with p5.js', async () => {
+    await fs.writeFile(
+      path.join(tmpDir, 'index.html'),
+      '<!DOCTYPE html><html><head>' +
+      '<script src="https://cdn.jsdelivr.net/npm/p5@1.9.0/lib/p5.js"></script>' +
+      '<script src="https://cdn.jsdelivr.net/npm/p5@1.9.0/lib/addons/p5.sound.min.js"></script>' +
+      '</head><body></body></html>'
+    );
+
+    await update(tmpDir, { _: ['update'], version: '2.0.0' });
+
+    const html = await fs.readFile(path.join(tmpDir, 'index.html'), 'utf-8');
+    expect(html).toMatch(/p5@2\.0\.0\/lib\/p5\.js/);
+    expect(html).toMatch(/p5\.sound@[^/]+\/dist\/p5\.sound\.min\.js/);
+    expect(html).not.toMatch(/p5@1\.9\.0/);
+  });
+
+  it('downloads add-on builds and points tags at lib/ when switching to local', async () => {
+    const originalFetch = globalThis.fetch;
+    const fetchedUrls = [];
+    globalThis.fetch = async (url) => {
+      fetchedUrls.push(url);
+      return { ok: true, text: async () => `// ${url}` };
+    };
+    await fs.writeFile(
+      path.join(tmpDir, 'index.html'),
+      '<!DOCTYPE html><html><head>' +
+      '<script src="https://cdn.jsdelivr.net/npm/p5@1.9.0/lib/p5.js"></script>' +
+      '<script src="https://cdn.jsdelivr.net/npm/ml5@1/dist/ml5.min.js"></script>' +
+      '</head><body></body></html>'
+    );
+
+    try {
+      await update(tmpDir, { _: ['update'], mode: 'local' });
+    } finally {
+      globalThis.fetch = originalFetch;
+    }
+
+    const html = await fs.readFile(path.join(tmpDir, 'index.html'), 'utf-8');
+    expect(html).toMatch(/src="\.\/lib\/ml5\.min\.js"/);
+    expect(fetchedUrls).toContain('https://cdn.jsdelivr.net/npm/ml5@1.4.0/dist/ml5.min.js');
+    const libFile = await fs.readFile(path.join(tmpDir, 'lib', 'ml5.min.js'), 'utf-8');
+    expect(libFile).toMatch(/ml5/);
+  });
+
+  it('fails with a network error and leaves lib/ and index.html as they were when an add-on download fails', async () => {
+    const originalFetch = globalThis.fetch;
+    globalThis.fetch = async () => ({ ok: false, status: 503 });
+    readConfig.mockResolvedValue({ version: '1.9.0', mode: 'local', language: 'javascript', p5Mode: 'global' });
+    fetchVersions.mockResolvedValueOnce({ latest: '2.1.1', versions: ['2.1.1', '2.0.0', '1.11.0', '1.9.0'] });
+    downloadP5Files.mockImplementationOnce(async (version, dir) => fs.writeFile(path.join(dir, 'p5.js'), `// p5.js ${version}`));
+    const html = '<!DOCTYPE html><html><head>' +
+      '<script src="./lib/p5.js"></script>' +
+      '<script src="./lib/ml5.min.js"></script>' +
+      '</head><body></body></html>';
+    await fs.writeFile(path.join(tmpDir, 'index.html'), html);
+    await fs.mkdir(path.join(tmpDir, 'lib'));
+    await fs.writeFile(path.join(tmpDir, 'lib', 'p5.js'), '// p5.js 1.9.0');
+
+    try {
+      await expect(update(tmpDir, { _: ['update'], version: '1.11.0' })).rejects.toMatchObject({
+        code: 'NETWORK',
+        key: 'error.library.downloadFailed',
+        vars: { name: 'ml5' }
+      });
+    } finally {
+      globalThis.fetch = originalFetch;
+    }
+
+    expect(await fs.readFile(path.join(tmpDir, 'lib', 'p5.js'), 'utf-8')).toBe('// p5.js 1.9.0');
+    expect(await fs.readdir(path.join(tmpDir, 'lib'))).toEqual(['p5.js']);
+    expect(await fs.readFile(path.join(tmpDir, 'index.html'), 'utf-8')).toBe(html);
+    expect(createConfig).not.toHaveBeenCalled();
+  });
+
+  it('warns and leaves add-ons without a build for the target major untouched', async () => {
+    await fs.writeFile(
+      path.join(tmpDir, 'index.html'),
+      '<!DOCTYPE html><html><head>' +
+      '<script src="https://cdn.jsdelivr.net/npm/p5@1.9.0/lib/p5.js"></script>' +
+      '<script src="https://cdn.jsdelivr.net/npm/ml5@1/dist/ml5.min.js"></script>' +
+      '</head><body></body></html>'
+    );
+
+    const result = await updateProject(tmpDir, { version: '2.0.0' });
+
+    const html = await fs.readFile(path.join(tmpDir, 'index.html'), 'utf-8');
+    expect(html).toMatch(/ml5@1\/dist\/ml5\.min\.js/);
+    expect(result.warnings).toEqual(['ml5 has no build for p5.js 2.0.0; its script tag was left unchanged.']);
+  });
+
+  it('refreshes integrity attributes for the new version', async () => {
+    const originalFetch = globalThis.fetch;
+    globalThis.fetch = async (url) => ({ ok: true, arrayBuffer: async () => Buffer.from(`// ${url}`) });
+    readConfig.mockResolvedValue({ version: '1.9.0', mode: 'cdn', typeDefsVersion: null, sri: true });
+
+    try {
+      await update(tmpDir, { _: ['update'], version: '2.0.0' });
+    } finally {
+      globalThis.fetch = originalFetch;
+    }
+
+    const html = await fs.readFile(path.join(tmpDir, 'index.html'), 'utf-8');
+    const expected = computeIntegrity('// https://cdn.jsdelivr.net/npm/p5@2.0.0/lib/p5.js');
+    expect(html).toContain(`integrity="${expected}"`);
+    expect(html).toContain('crossorigin="anonymous"');
+  });
+
+  it('removes stale integrity attributes when hashes cannot be computed offline', async () => {
+    await fs.writeFile(
+      path.join(tmpDir, 'index.html'),
+      '<!DOCTYPE html><html><head><script src="https://cdn.jsdelivr.net/npm/p5@1.9.0/lib/p5.js" integrity="sha384-old" crossorigin="anonymous"></script></head><body></body></html>'
+    );
+
+    await update(tmpDir, { _: ['update'], version: '2.0.0', offline: true });
+
+    const html = await fs.readFile(path.join(tmpDir, 'index.html'), 'utf-8');
+    expect(html).toMatch(/p5@2\.0\.0/);
+    expect(html).not.toContain('integrity=');
+  });
+});
+
+describe('dry-run update', () => {
+  let exitSpy;
+  let planSpy;
+
+  beforeEach(async () => {
+    vi.clearAllMocks();
+    display.setSilentMode(true);
+    exitSpy = vi.spyOn(process, 'exit').mockImplementation(() => {});
+    planSpy = vi.spyOn(display, 'plan').mockImplementation(() => {});
+    await fs.mkdir(tmpDir, { recursive: true });
+    await fs.writeFile(
+      path.join(tmpDir, 'index.html'),
+      '<!DOCTYPE html>\n<html lang="en">\n<head>\n  <meta charset="UTF-8">\n  <script src="https://cdn.jsdelivr.net/npm/p5@1.9.0/lib/p5.js"></script>\n</head>\n<body>\n  <script src="sketch.js"></script>\n</body>\n</html>'
+    );
+    readConfig.mockResolvedValue({ version: '1.9.0', mode: 'cdn', language: 'javascript', p5Mode: 'global', typeDefsVersion: '1.7.7' });
+  });
+
+  afterEach(async () => {
     exitSpy.mockRestore();
+    planSpy.mockRestore();
+    display.setSilentMode(false);
+    readConfig.mockResolvedValue(null);
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  });
+
+  it('prints the planned changes in order and writes nothing', async () => {
+    await update(tmpDir, { _: ['update'], version: '2.0.0', mode: 'local', 'dry-run': true });
+
+    expect(createConfig).not.toHaveBeenCalled();
+    expect(downloadP5Files).not.toHaveBeenCalled();
+    expect(await fs.readdir(tmpDir)).toEqual(['index.html']);
+    expect(await fs.readFile(path.join(tmpDir, 'index.html'), 'utf-8')).toContain('p5@1.9.0');
+
+    const steps = planSpy.mock.calls[0][0];
+    expect(steps.map(step => [step.type, path.basename(step.path || step.destination || '')])).toEqual([
+      ['edit', 'index.html'],
+      ['download', 'global.d.ts'],
+      ['download', 'p5.d.ts'],
+      ['config', '.p5-config.json'],
+      ['download', 'p5.js'],
+      ['download', 'p5.min.js'],
+      ['edit', '.gitignore'],
+      ['edit', 'index.html'],
+      ['config', '.p5-config.json']
+    ]);
+    expect(steps[1].url).toBe('https://cdn.jsdelivr.net/npm/p5@2.0.2/types/global.d.ts');
+    expect(steps[4].url).toBe('https://cdn.jsdelivr.net/npm/p5@2.0.0/lib/p5.js');
+    expect(steps[0].diff).toEqual([
+      { op: '-', line: '  <script src="https://cdn.jsdelivr.net/npm/p5@1.9.0/lib/p5.js"></script>' },
+      { op: '+', line: '  <script src="https://cdn.jsdelivr.net/npm/p5@2.0.0/lib/p5.js"></script>' }
+    ]);
+    // The mode switch builds on the planned (unwritten) version change
+    expect(steps[7].diff).toEqual([
+      { op: '-', line: '  <script src="https://cdn.jsdelivr.net/npm/p5@2.0.0/lib/p5.js"></script>' },
+      { op: '+', line: '  <script src="./lib/p5.js"></script>' }
+    ]);
+    expect(JSON.parse(steps[8].content)).toMatchObject({ version: '2.0.0', mode: 'local', typeDefsVersion: '2.0.2' });
+    expect(exitSpy).toHaveBeenCalledWith(0);
+  });
+
+  it('plans hashes instead of downloading them for integrity attributes', async () => {
+    const fetchSpy = vi.spyOn(globalThis, 'fetch');
+    readConfig.mockResolvedValue({ version: '1.9.0', mode: 'cdn', typeDefsVersion: null, sri: true });
+
+    await update(tmpDir, { _: ['update'], version: '2.1.1', 'dry-run': true });
+
+    const steps = planSpy.mock.calls[0][0];
+    expect(steps[0]).toEqual({ type: 'integrity', url: 'https://cdn.jsdelivr.net/npm/p5@2.1.1/lib/p5.js' });
+    expect(steps[1].diff[1].line).toContain('integrity="(computed when applied)"');
+    expect(fetchSpy).not.toHaveBeenCalled();
+  });
+});
+
+describe('update --json', () => {
+  beforeEach(async () => {
+    vi.clearAllMocks();
+    vi.spyOn(process, 'exit').mockImplementation(() => {});
+    display.setJsonMode(true);
+    await fs.mkdir(tmpDir, { recursive: true });
+    await fs.writeFile(
+      path.join(tmpDir, 'index.html'),
+      '<!DOCTYPE html><html><head><script src="https://cdn.jsdelivr.net/npm/p5@1.9.0/lib/p5.js"></script></head><body></body></html>'
+    );
+    readConfig.mockResolvedValue({ version: '1.9.0', mode: 'cdn', language: 'javascript', p5Mode: 'global', typeDefsVersion: '1.7.7' });
+  });
+
+  afterEach(async () => {
+    display.setJsonMode(false);
+    vi.restoreAllMocks();
+    readConfig.mockResolvedValue(null);
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  });
+
+  it('reports the updated project and the files written', async () => {
+    await update(tmpDir, { _: ['update'], version: '2.1.1', mode: 'local', yes: true });
+
+    expect(display.getJsonOutput(0)).toEqual({
+      ok: true,
+      projectPath: tmpDir,
+      version: '2.1.1',
+      mode: 'local',
+      language: 'javascript',
+      p5Mode: 'global',
+      typesVersion: '2.1.1',
+      files: [
+        'index.html',
+        '.p5-config.json',
+        path.join('lib', 'p5.js'),
+        path.join('lib', 'p5.min.js'),
+        '.gitignore'
+      ],
+      warnings: []
+    });
   });
 });
@@ -0,0 +1,110 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs/promises';
+import path from 'path';
+
+vi.mock('../src/version.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  fetchVersions: vi.fn(async () => ({ latest: '2.1.1', versions: ['2.1.1', '2.0.0', '1.9.0'] })),
+  downloadP5Files: vi.fn(async () => {}),
+  downloadTypeDefinitions: vi.fn(async () => '2.1.1')
+}));
+
+import { update } from '../src/operations/update.js';
+import { fetchVersions } from '../src/version.js';
+import * as display from '../src/ui/display.js';
+import { writeProject } from './helpers/projects.js';
+
+const tmpDir = path.resolve('tests', 'tmp-update-recursive');
+
+/**
+ * Reads the config of a project under the test directory
+ * @param {string} dir - Project directory, relative to the test directory
+ * @returns {Promise<Object>} The parsed config
+ */
+async function readProject(dir) {
+  return JSON.parse(await fs.readFile(path.join(tmpDir, dir, '.p5-config.json'), 'utf-8'));
+}
+
+describe('update --recursive', () => {
+  beforeEach(async () => {
+    vi.clearAllMocks();
+    display.setSilentMode(true);
+    vi.spyOn(process, 'exit').mockImplementation(() => {});
+    vi.spyOn(display, 'warn').mockImplementation(() => {});
+    vi.spyOn(display.logger, 'warn').mockImplementation(() => {});
+    await writeProject(tmpDir, 'week-1', { version: '1.9.0', mode: 'cdn', typeDefsVersion: '1.7.7' });
+    await writeProject(tmpDir, 'week-2', { version: '1.9.0', versionSpec: '^1.9.0', mode: 'cdn', typeDefsVersion: '1.7.7' });
+    await writeProject(tmpDir, path.join('term-2', 'broken'), '{ "version": ');
+  });
+
+  afterEach(async () => {
+    display.setSilentMode(false);
+    display.setJsonMode(false);
+    vi.restoreAllMocks();
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  });
+
+  it('updates every project with one version list and reports failures at the end', async () => {
+    await expect(update(process.cwd(), { _: ['update', tmpDir], recursive: true, version: '2.1.1' })).rejects.toMatchObject({
+      code: 'NO_PROJECT',
+      key: 'error.update.recursiveFailed',
+      vars: { failed: 1, total: 3 },
+      details: [expect.stringContaining(path.join('term-2', 'broken'))]
+    });
+
+    expect(fetchVersions).toHaveBeenCalledTimes(1);
+    expect(await readProject('week-1')).toMatchObject({ version: '2.1.1', versionSpec: '2.1.1' });
+    expect(await readProject('week-2')).toMatchObject({ version: '2.1.1', versionSpec: '2.1.1' });
+    expect(display.warn).toHaveBeenCalledWith('info.update.recursive.failed', expect.objectContaining({ path: path.join('term-2', 'broken') }));
+  });
+
+  it('keeps going when --within-range does not apply to a project', async () => {
+    await expect(update(tmpDir, { _: ['update'], recursive: true, 'within-range': true })).rejects.toMatchObject({ vars: { failed: 2, total: 3 } });
+
+    expect(await readProject('week-2')).toMatchObject({ version: '1.9.0', versionSpec: '^1.9.0' });
+    expect(display.warn).toHaveBeenCalledWith('info.update.recursive.failed', expect.objectContaining({ path: 'week-1' }));
+  });
+
+  it('lists every project in the JSON output when one of them failed', async () => {
+    display.setJsonMode(true);
+
+    const failed = await update(tmpDir, { _: ['update'], recursive: true, version: '2.1.1' }).catch(error => error);
+    display.failure(failed);
+
+    expect(display.getJsonOutput(failed.exitCode)).toMatchObject({
+      ok: false,
+      root: tmpDir,
+      projects: [
+        { path: path.join('term-2', 'broken'), ok: false, error: { code: 'NO_PROJECT' } },
+        { path: 'week-1', ok: true, version: '2.1.1', changed: true },
+        { path: 'week-2', ok: true, version: '2.1.1', changed: true }
+      ],
+      error: { code: 'NO_PROJECT', details: [expect.stringContaining(path.join('term-2', 'broken'))] }
+    });
+  });
+
+  it('plans the change for each project as JSON on a dry run', async () => {
+    await fs.rm(path.join(tmpDir, 'term-2'), { recursive: true });
+    display.setJsonMode(true);
+
+    await update(tmpDir, { _: ['update'], recursive: true, version: '2.1.1', 'dry-run': true });
+
+    expect(await readProject('week-1')).toMatchObject({ version: '1.9.0' });
+    expect(display.getJsonOutput(0)).toMatchObject({
+      ok: true,
+      root: tmpDir,
+      projects: [
+        { path: 'week-1', ok: true, version: '2.1.1', changed: true, plan: expect.any(Array) },
+        { path: 'week-2', ok: true, version: '2.1.1', changed: true, plan: expect.any(Array) }
+      ]
+    });
+  });
+
+  it('checks the options and the directory before updating anything', async () => {
+    await expect(update(tmpDir, { _: ['update'], recursive: true })).rejects.toMatchObject({ key: 'error.update.missingOptions' });
+    await expect(update(path.join(tmpDir, 'week-1', 'lib'), { _: ['update'], recursive: true, mode: 'local' })).rejects.toMatchObject({
+      key: 'error.update.noProjectsFound'
+    });
+    expect(fetchVersions).not.toHaveBeenCalled();
+  });
+});
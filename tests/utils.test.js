@@ -78,6 +78,18 @@ describe('utils validations', () => {
     expect(validateVersion('1.9.0', available, '1.9.0')).toBeNull();
     expect(validateVersion('2.0.0', available, '1.9.0')).toMatch(/not found/);
   });
+
+  it('validateVersion accepts dist-tags and semver ranges that match an available version', () => {
+    const available = ['2.1.1', '2.1.0', '2.0.0', '1.9.4', '1.9.0'];
+    expect(validateVersion('beta', available, '2.1.1', { latest: '2.1.1', beta: '2.2.0-beta.1' })).toBeNull();
+    expect(validateVersion('^1.9', available, '2.1.1')).toBeNull();
+    expect(validateVersion('1.x', available, '2.1.1')).toBeNull();
+    expect(validateVersion('~2.1.0', available, '2.1.1')).toBeNull();
+    expect(validateVersion('^3', available, '2.1.1')).toBe('No version matches "^3". Use a range like "^2" or a specific version like "2.1.1"');
+    expect(validateVersion('next', available, '2.1.1')).toMatch(/not found/);
+    expect(validateVersion('', available, '2.1.1')).toMatch(/Missing version/);
+    expect(validateVersion(undefined, available, '2.1.1')).toMatch(/Missing version/);
+  });
 });
 
 
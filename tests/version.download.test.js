@@ -1,7 +1,9 @@
-import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
 import fs from 'fs/promises';
 import path from 'path';
-import { downloadP5Files } from '../src/version.js';
+import { downloadP5Files, downloadTypeDefinitions } from '../src/version.js';
+import { createReporter } from '../src/reporter.js';
+import { fakeCdn } from './helpers/cdn.js';
 
 let originalFetch;
 const tmpDir = path.join('tests', 'tmp-download');
@@ -18,10 +20,7 @@ afterEach(async () => {
 
 describe('downloadP5Files', () => {
   it('downloads p5.js and p5.min.js into target dir', async () => {
-    globalThis.fetch = async (url) => ({
-      ok: true,
-      text: async () => `// content for ${url}`
-    });
+    globalThis.fetch = fakeCdn();
 
     await downloadP5Files('1.9.0', tmpDir);
 
@@ -30,5 +29,60 @@ describe('downloadP5Files', () => {
 
     expect(a).toMatch(/p5@1.9.0/);
     expect(b).toMatch(/p5@1.9.0/);
+    expect(await fs.readdir(tmpDir)).toEqual(['p5.js', 'p5.min.js']);
+  });
+
+  it('reports progress to the spinner with translation keys', async () => {
+    globalThis.fetch = fakeCdn();
+    const onProgress = vi.fn();
+    const warn = vi.spyOn(console, 'warn');
+
+    await downloadP5Files('1.9.0', tmpDir, createReporter({ onProgress }).spinner('p5', 'spinner.downloadingP5File', { filename: 'p5.js' }));
+
+    expect(onProgress.mock.calls.map(([event]) => event.key)).toContain('spinner.downloadedP5');
+    expect(warn).not.toHaveBeenCalledWith(expect.stringContaining('Translation key not found'));
+    warn.mockRestore();
+  });
+
+  it('rejects a download that does not match the published hash and keeps the existing file', async () => {
+    await fs.writeFile(path.join(tmpDir, 'p5.js'), '// working copy');
+    globalThis.fetch = fakeCdn({ body: (url) => `// truncated ${url}` });
+
+    await expect(downloadP5Files('1.9.0', tmpDir)).rejects.toThrow(/does not match its published checksum/);
+
+    expect(await fs.readFile(path.join(tmpDir, 'p5.js'), 'utf-8')).toBe('// working copy');
+    expect(await fs.readdir(tmpDir)).toEqual(['p5.js']);
+  });
+
+  it('rejects HTML served in place of JavaScript', async () => {
+    globalThis.fetch = fakeCdn({ contentType: 'text/html' });
+
+    await expect(downloadP5Files('1.9.0', tmpDir)).rejects.toThrow(/served as text\/html/);
+    await expect(downloadP5Files('1.9.0', tmpDir)).rejects.toMatchObject({ code: 'INTEGRITY', exitCode: 8 });
+  });
+
+  it('fails when the published hashes cannot be fetched', async () => {
+    globalThis.fetch = async () => ({ ok: false, status: 503 });
+
+    await expect(downloadP5Files('1.9.0', tmpDir)).rejects.toMatchObject({
+      code: 'NETWORK',
+      key: 'error.checksum.unavailable',
+      vars: { version: '1.9.0', error: 'HTTP 503' },
+      message: expect.stringMatching(/published checksums for p5\.js 1\.9\.0/)
+    });
+  });
+});
+
+describe('downloadTypeDefinitions', () => {
+  it('leaves the existing definitions alone when one file fails to download', async () => {
+    await fs.writeFile(path.join(tmpDir, 'global.d.ts'), '// working copy');
+    globalThis.fetch = async (url) => (/p5\.d\.ts$/.test(url)
+      ? { ok: false, status: 404 }
+      : { ok: true, text: async () => `// ${url}` });
+
+    await expect(downloadTypeDefinitions('2.1.1', tmpDir, null, 'global')).rejects.toThrow(/HTTP 404/);
+
+    expect(await fs.readdir(tmpDir)).toEqual(['global.d.ts']);
+    expect(await fs.readFile(path.join(tmpDir, 'global.d.ts'), 'utf-8')).toBe('// working copy');
   });
 });
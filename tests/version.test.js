@@ -1,5 +1,5 @@
 import { describe, it, expect, beforeEach, afterEach } from 'vitest';
-import { fetchVersions, isStableVersion, filterStableVersions } from '../src/version.js';
+import { fetchVersions, isStableVersion, filterStableVersions, groupVersions, resolveVersion, findNewerOutside } from '../src/version.js';
 
 let originalFetch;
 
@@ -59,7 +59,104 @@ describe('filterStableVersions', () => {
   });
 });
 
+describe('groupVersions', () => {
+  it('groups stable releases by release line and keeps pre-releases apart, newest first', () => {
+    expect(groupVersions(['1.9.0', '2.1.0-rc.1', '2.0.0', '2.1.1', '1.9.4', '2.1.0', '2.0.0-beta.2'])).toEqual({
+      lines: [
+        { line: '2.1', versions: ['2.1.1', '2.1.0'] },
+        { line: '2.0', versions: ['2.0.0'] },
+        { line: '1.9', versions: ['1.9.4', '1.9.0'] }
+      ],
+      prereleases: ['2.1.0-rc.1', '2.0.0-beta.2']
+    });
+  });
+});
+
+describe('resolveVersion', () => {
+  it('resolves latest, dist-tags and ranges to the newest matching version', () => {
+    const versionList = { latest: '2.1.1', versions: ['2.1.1', '2.1.0', '2.0.0', '1.9.4', '1.9.0'], tags: { latest: '2.1.1', beta: '2.2.0-beta.1' } };
+    expect(resolveVersion('latest', versionList)).toBe('2.1.1');
+    expect(resolveVersion('beta', versionList)).toBe('2.2.0-beta.1');
+    expect(resolveVersion('1.9.0', versionList)).toBe('1.9.0');
+    expect(resolveVersion('^1.9', versionList)).toBe('1.9.4');
+    expect(resolveVersion('~2.1.0', versionList)).toBe('2.1.1');
+    expect(resolveVersion('2.0.x', versionList)).toBe('2.0.0');
+    expect(resolveVersion('^3', versionList)).toBeNull();
+    expect(resolveVersion('', versionList)).toBeNull();
+  });
+
+  it('finds the newer release a range excludes', () => {
+    const versionList = { latest: '2.1.1', versions: ['2.1.1', '2.0.0', '1.9.4'] };
+    expect(findNewerOutside('^1.9', versionList)).toBe('2.1.1');
+    expect(findNewerOutside('1.9.4', versionList)).toBe('2.1.1');
+    expect(findNewerOutside('>=1.9', versionList)).toBeNull();
+    expect(findNewerOutside('latest', versionList)).toBeNull();
+  });
+});
+
 describe('fetchVersions', () => {
+  // Shaped like the responses of data.jsdelivr.com/v1/package/npm/p5 and registry.npmjs.org/p5
+  const jsdelivrList = { tags: { latest: '2.1.1', beta: '2.2.0-beta.1' }, versions: ['2.2.0-beta.1', '2.1.1', '2.1.0'] };
+  const registryDocument = {
+    _id: 'p5',
+    name: 'p5',
+    'dist-tags': { latest: '2.1.1', beta: '2.2.0-beta.1' },
+    versions: {
+      '2.1.0': { name: 'p5', version: '2.1.0', dist: { tarball: 'https://registry.npmjs.org/p5/-/p5-2.1.0.tgz' } },
+      '2.1.1': { name: 'p5', version: '2.1.1', dist: { tarball: 'https://registry.npmjs.org/p5/-/p5-2.1.1.tgz' } },
+      '2.2.0-beta.1': { name: 'p5', version: '2.2.0-beta.1', dist: { tarball: 'https://registry.npmjs.org/p5/-/p5-2.2.0-beta.1.tgz' } }
+    },
+    time: {
+      created: '2014-03-04T18:17:40.581Z',
+      modified: '2025-09-01T10:00:05.000Z',
+      '2.1.0': '2025-05-30T08:00:00.000Z',
+      '2.1.1': '2025-06-12T08:00:00.000Z',
+      '2.2.0-beta.1': '2025-09-01T10:00:00.000Z'
+    }
+  };
+
+  it('reads release dates from the npm registry when asked to', async () => {
+    const urls = [];
+    globalThis.fetch = async (url) => {
+      urls.push(url);
+      return { ok: true, json: async () => (url === 'https://registry.npmjs.org/p5' ? registryDocument : jsdelivrList) };
+    };
+
+    const result = await fetchVersions(true, { dates: true });
+    expect(urls).toEqual(['https://data.jsdelivr.com/v1/package/npm/p5', 'https://registry.npmjs.org/p5']);
+    expect(result.versions).toEqual(['2.2.0-beta.1', '2.1.1', '2.1.0']);
+    expect(result.tags).toEqual({ latest: '2.1.1', beta: '2.2.0-beta.1' });
+    expect(result.dates).toEqual({
+      '2.2.0-beta.1': '2025-09-01T10:00:00.000Z',
+      '2.1.1': '2025-06-12T08:00:00.000Z',
+      '2.1.0': '2025-05-30T08:00:00.000Z'
+    });
+  });
+
+  it('only asks the registry for dates when the version picker needs them', async () => {
+    const urls = [];
+    globalThis.fetch = async (url) => {
+      urls.push(url);
+      return { ok: true, json: async () => jsdelivrList };
+    };
+
+    expect((await fetchVersions(true)).dates).toEqual({});
+    expect(urls).toEqual(['https://data.jsdelivr.com/v1/package/npm/p5']);
+  });
+
+  it('lists versions without dates when the registry cannot be reached', async () => {
+    globalThis.fetch = async (url) => {
+      if (url === 'https://registry.npmjs.org/p5') {
+        throw Object.assign(new TypeError('fetch failed'), { cause: { code: 'ECONNREFUSED' } });
+      }
+      return { ok: true, json: async () => jsdelivrList };
+    };
+
+    const result = await fetchVersions(true, { dates: true });
+    expect(result.versions).toEqual(['2.2.0-beta.1', '2.1.1', '2.1.0']);
+    expect(result.dates).toEqual({});
+  });
+
   it('returns latest and versions array from mocked API', async () => {
     globalThis.fetch = async () => ({
       ok: true,
@@ -0,0 +1,57 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+vi.mock('@clack/prompts', () => ({
+  isCancel: vi.fn(value => typeof value === 'symbol' && value.description === 'cancel'),
+  select: vi.fn(),
+  text: vi.fn()
+}));
+
+import * as p from '@clack/prompts';
+import { promptVersion } from '../src/ui/prompts.js';
+import { BACK } from '../src/ui/wizard.js';
+
+const versions = ['2.2.0-beta.1', '2.1.1', '2.1.0', '2.0.0', '1.9.4'];
+const options = {
+  initialValue: '2.0.0',
+  tags: { latest: '2.1.1', beta: '2.2.0-beta.1' },
+  dates: { '2.1.1': '2025-06-12T08:00:00.000Z' }
+};
+
+describe('promptVersion', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('picks a release line, then a version marked with its dist-tags and date', async () => {
+    p.select.mockResolvedValueOnce('2.1').mockResolvedValueOnce('2.1.1');
+
+    expect(await promptVersion(versions, '2.1.1', options)).toBe('2.1.1');
+
+    const [lines, picks] = p.select.mock.calls.map(([call]) => call);
+    expect(lines.initialValue).toBe('2.0');
+    expect(lines.options.map(option => option.value)).toEqual(['2.1', '2.0', '1.9', 'prerelease', expect.any(Symbol)]);
+    expect(lines.options[0]).toMatchObject({ label: '2.1.x', hint: 'newest 2.1.1 (latest), 2 in total' });
+    expect(lines.options[3]).toMatchObject({ hint: 'newest 2.2.0-beta.1 (beta), 1 in total' });
+    expect(picks.options.slice(0, 2)).toEqual([
+      { value: '2.1.1', label: '2.1.1 (latest)', hint: 'released 2025-06-12' },
+      { value: '2.1.0', label: '2.1.0', hint: undefined }
+    ]);
+  });
+
+  it('filters by typed text, returns to the release lines on back, and offers back to the wizard', async () => {
+    const filter = () => p.select.mock.calls[0][0].options.find(option => typeof option.value === 'symbol' && option.value !== BACK).value;
+    p.select
+      .mockImplementationOnce(async () => filter())
+      .mockResolvedValueOnce(BACK)
+      .mockResolvedValueOnce(BACK);
+    p.text.mockResolvedValueOnce('2.1');
+
+    expect(await promptVersion(versions, '2.1.1', { ...options, back: true })).toBe(BACK);
+
+    const { validate } = p.text.mock.calls[0][0];
+    expect(validate('1.9')).toBeUndefined();
+    expect(validate('3.0')).toBe('No version contains "3.0"');
+    expect(p.select.mock.calls[1][0].options.map(option => option.value)).toEqual(['2.1.1', '2.1.0', BACK]);
+    expect(p.select).toHaveBeenCalledTimes(3);
+  });
+});
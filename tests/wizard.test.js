@@ -0,0 +1,104 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs/promises';
+import path from 'path';
+
+vi.mock('../src/version.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  fetchVersions: vi.fn(async () => ({ latest: '2.1.1', versions: ['2.1.1', '2.0.0', '1.9.0'] })),
+  downloadP5Files: vi.fn(async () => {}),
+  downloadTypeDefinitions: vi.fn(async () => '2.1.1')
+}));
+
+vi.mock('../src/ui/prompts.js', () => ({
+  isCancel: vi.fn(() => false),
+  promptProjectPath: vi.fn(async () => 'sketch'),
+  promptSetupType: vi.fn(async () => 'standard'),
+  promptVersion: vi.fn(async () => '2.0.0'),
+  promptMode: vi.fn(async () => 'cdn'),
+  promptLanguage: vi.fn(async () => 'javascript'),
+  promptP5Mode: vi.fn(async () => 'global'),
+  promptGit: vi.fn(async () => false),
+  promptTypes: vi.fn(async () => true),
+  promptReview: vi.fn(async () => 'create'),
+  promptPresetName: vi.fn(async () => '')
+}));
+
+import { runSteps, BACK } from '../src/ui/wizard.js';
+import { scaffold } from '../src/operations/scaffold.js';
+import * as prompts from '../src/ui/prompts.js';
+import * as display from '../src/ui/display.js';
+
+const tmpDir = path.resolve('tests', 'tmp-wizard');
+
+describe('runSteps', () => {
+  it('asks the due steps in order and goes back to the previously asked step', async () => {
+    const replies = { a: ['a1', 'a2'], b: [BACK, 'b2'], c: ['c1'] };
+    const asked = [];
+    const steps = ['a', 'b', 'c'].map(name => ({
+      name,
+      when: answers => name !== 'c' || answers.a === 'a2',
+      ask: async ({ back }) => {
+        asked.push([name, back]);
+        return replies[name].shift();
+      }
+    }));
+
+    expect(await runSteps(steps, {})).toEqual({ a: 'a2', b: 'b2', c: 'c1' });
+    expect(asked).toEqual([['a', false], ['b', true], ['a', false], ['b', true], ['c', true]]);
+  });
+
+  it('asks a step again from the review and reports going back from it', async () => {
+    const answers = { a: 'a1', b: 'b1' };
+    const steps = [
+      { name: 'a', ask: async () => 'a2' },
+      { name: 'b', ask: async () => BACK }
+    ];
+
+    expect(await runSteps(steps, answers, { from: 'a' })).toEqual({ a: 'a2', b: 'b1' });
+    expect(await runSteps(steps, answers, { from: 'b' })).toBe(BACK);
+  });
+});
+
+describe('new-project wizard', () => {
+  beforeEach(async () => {
+    vi.clearAllMocks();
+    display.setSilentMode(true);
+    vi.spyOn(process, 'exit').mockImplementation(() => {});
+    await fs.mkdir(tmpDir, { recursive: true });
+  });
+
+  afterEach(async () => {
+    display.setSilentMode(false);
+    vi.restoreAllMocks();
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  });
+
+  it('lets a choice be changed on the review screen before anything is written', async () => {
+    const target = path.join(tmpDir, 'sketch');
+    prompts.promptProjectPath.mockResolvedValueOnce(target);
+    // Switch to a custom setup from the review, go back from the version step once, then create
+    prompts.promptReview
+      .mockImplementationOnce(async () => {
+        await expect(fs.stat(target)).rejects.toThrow();
+        return 'setupType';
+      })
+      .mockResolvedValueOnce('create');
+    prompts.promptSetupType.mockResolvedValueOnce('standard').mockResolvedValueOnce('custom');
+    prompts.promptVersion.mockResolvedValueOnce(BACK);
+    prompts.promptSetupType.mockResolvedValueOnce('custom');
+    prompts.promptMode.mockResolvedValueOnce('local');
+
+    await scaffold({ _: [], git: false });
+
+    expect(prompts.promptSetupType).toHaveBeenCalledTimes(3);
+    expect(prompts.promptSetupType).toHaveBeenLastCalledWith({}, { initialValue: 'custom', back: true });
+    expect(prompts.promptVersion).toHaveBeenCalledTimes(2);
+    expect(prompts.promptReview).toHaveBeenLastCalledWith(expect.arrayContaining([
+      { name: 'version', value: '2.0.0' },
+      { name: 'mode', value: 'local' },
+      { name: 'git', value: 'no' }
+    ]));
+    const config = JSON.parse(await fs.readFile(path.join(target, '.p5-config.json'), 'utf-8'));
+    expect(config).toMatchObject({ version: '2.0.0', mode: 'local', p5Mode: 'global' });
+  });
+});
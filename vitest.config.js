@@ -0,0 +1,16 @@
+import os from 'os';
+import path from 'path';
+import { defineConfig } from 'vitest/config';
+
+export default defineConfig({
+  test: {
+    env: {
+      // Keep mocked downloads out of the real user-level artifact cache
+      CREATE_P5_CACHE_DIR: path.join(os.tmpdir(), 'create-p5-test-cache'),
+      // Ignore the developer's own user config (mirrors, ...)
+      CREATE_P5_CONFIG_DIR: path.join(os.tmpdir(), 'create-p5-test-config'),
+      // Mocked failures should fail at once instead of being retried with backoff
+      CREATE_P5_HTTP_RETRIES: '0'
+    }
+  }
+});